@@ -32,7 +32,7 @@ export default function UserManagement() {
         onChange={(e) => adminApi.updateUserRole(row.id, e.target.value)}
       >
         <option value="user">User</option>
-        <option value="mod">Moderator</option>
+        <option value="moderator">Moderator</option>
         <option value="admin">Admin</option>
       </select>
     ),
@@ -50,7 +50,7 @@ export default function UserManagement() {
         <select className="admin-input" value={role} onChange={(e) => setRole(e.target.value)}>
           <option value="">All roles</option>
           <option value="admin">Admin</option>
-          <option value="mod">Moderator</option>
+          <option value="moderator">Moderator</option>
           <option value="user">User</option>
         </select>
       </div>
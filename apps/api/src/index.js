@@ -8,6 +8,7 @@ import path from 'path';
 import { fileURLToPath } from 'url';
 import { makeAuth } from './middleware/auth.js';
 import health from './routes/health.js';
+import sitemapRoutes from './routes/sitemap.js';
 import deals from './routes/deals.js';
 import adminRoutes from './routes/admin.js';
 import authRoutes from './routes/auth.js';
@@ -37,8 +38,20 @@ import forYouRoutes from './routes/for-you.js';
 import referralsRoutes from './routes/referrals.js';
 // import userAnalyticsRoutes from './routes/user-analytics.js'; // Removed user-facing analytics
 import reactionsRoutes from './routes/reactions.js';
+import forumsRoutes from './routes/forums.js';
+import threadsRoutes from './routes/threads.js';
+import messagesRoutes from './routes/messages.js';
+import dealAlertsRoutes from './routes/dealAlerts.js';
+import userRoutes from './routes/user.js';
+import storesRoutes from './routes/stores.js';
+import redemptionsRoutes from './routes/redemptions.js';
+import merchantRoutes from './routes/merchant.js';
+import emailRoutes from './routes/email.js';
 // import aiRoutes from './routes/ai.js';
 import { log } from './lib/logger.js';
+import { startEmailDispatcher } from './lib/email/dispatcher.js';
+import { startSavedSearchMatcher } from './lib/savedSearchAlerts.js';
+import { startPriceAlertDelivery } from './lib/priceAlerts.js';
 
 const app = express();
 app.use(helmet({
@@ -59,6 +72,7 @@ app.use(express.json());
 app.use(makeAuth());
 
 app.use(health);
+app.use(sitemapRoutes); // /sitemap.xml index and child sitemaps
 app.use('/api/auth', authRoutes);
 app.use('/api/users', makeAuth(), usersRoutes);
 app.use('/api/categories', categoriesRoutes);
@@ -85,6 +99,15 @@ app.use('/api/for-you', forYouRoutes); // Personalized For You recommendations
 app.use('/api/referrals', referralsRoutes); // Referral system
 // app.use('/api/user-analytics', userAnalyticsRoutes); // Removed user-facing analytics
 app.use('/api/reactions', reactionsRoutes); // Comment reactions
+app.use('/api/forums', forumsRoutes); // Community forums
+app.use('/api/threads', threadsRoutes); // Forum threads, replies and subscriptions
+app.use('/api/messages', messagesRoutes); // Direct messages between users
+app.use('/api/deal-alerts', dealAlertsRoutes); // Per-deal price/stock alerts
+app.use('/api/user', userRoutes); // Signed-in user's permissions
+app.use('/api/stores', storesRoutes); // Store profiles and trust scores
+app.use('/api/redemptions', redemptionsRoutes); // In-store verify and redeem of claimed deals
+app.use('/api/merchant', merchantRoutes); // Business claims and the merchant portal
+app.use('/api/email', emailRoutes); // Unsubscribe links, bounce webhook, suppression list
 // app.use('/api/ai', makeAuth(), aiRoutes); // AI chat endpoint
 app.use('/api', tempDataRoutes);
 app.use('/api', debugRoutes); // Debug routes
@@ -122,3 +145,12 @@ app.get('*', (req, res) => {
 
 const PORT = Number(process.env.PORT || 4000);
 app.listen(PORT, () => log(`API listening on http://localhost:${PORT}`));
+
+// Deliver queued notification emails (EMAIL_DISPATCHER=false to run elsewhere)
+if (process.env.EMAIL_DISPATCHER !== 'false') startEmailDispatcher();
+
+// Match approved deals against saved searches (SAVED_SEARCH_MATCHER=false to run elsewhere)
+if (process.env.SAVED_SEARCH_MATCHER !== 'false') startSavedSearchMatcher();
+
+// Deliver price alerts, including ones the worker triggers (PRICE_ALERT_DELIVERY=false to run elsewhere)
+if (process.env.PRICE_ALERT_DELIVERY !== 'false') startPriceAlertDelivery();
@@ -0,0 +1,186 @@
+/**
+ * Business claims
+ *
+ * A user proves they run a company before it is handed to them:
+ *   - domain_email: we mail a 6-digit code to an address on the company's
+ *     website domain and they type it back
+ *   - document: they upload a business license, utility bill or similar
+ *
+ * Both end in the admin review queue (status pending_review); approval is
+ * approve_business_claim() in SQL. Also holds the merchant stats rollup.
+ */
+
+import crypto from 'crypto';
+import { sendEmail, siteUrl } from './email/index.js';
+
+export const CLAIM_METHODS = ['domain_email', 'document'];
+export const OPEN_CLAIM_STATUSES = ['pending_email', 'pending_review'];
+
+export const EMAIL_CODE_TTL_MINUTES = 30;
+export const MAX_EMAIL_CODE_ATTEMPTS = 5;
+// Minimum gap between code emails for one claim
+export const EMAIL_CODE_RESEND_SECONDS = 60;
+
+// Mailbox providers never prove ownership of a business domain
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com', 'yahoo.com', 'outlook.com', 'hotmail.com', 'live.com',
+  'msn.com', 'aol.com', 'icloud.com', 'me.com', 'mac.com', 'proton.me', 'protonmail.com',
+  'gmx.com', 'mail.com', 'yandex.com', 'zoho.com'
+]);
+
+const MAX_STATS_DAYS = 90;
+
+export function emailDomain(email) {
+  const match = /^[^\s@]+@([^\s@]+\.[^\s@]+)$/.exec(String(email || '').trim().toLowerCase());
+  return match ? match[1] : null;
+}
+
+/**
+ * Registrable-ish host of the company website, without "www."
+ */
+export function companyDomain(company) {
+  const website = company?.website_url || company?.website;
+  if (!website) return null;
+  try {
+    const url = new URL(/^https?:\/\//i.test(website) ? website : `https://${website}`);
+    return url.hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The address must be on the website's domain (or a subdomain of it) and
+ * not on a free mailbox provider
+ */
+export function emailMatchesCompany(email, company) {
+  const domain = emailDomain(email);
+  const site = companyDomain(company);
+  if (!domain || !site || FREE_EMAIL_DOMAINS.has(domain)) return false;
+  return domain === site || domain.endsWith(`.${site}`);
+}
+
+export function generateEmailCode() {
+  return String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+}
+
+export function hashEmailCode(claimId, code) {
+  return crypto.createHash('sha256').update(`${claimId}:${String(code).trim()}`).digest('hex');
+}
+
+export function emailCodeMatches(claim, code) {
+  if (!claim.email_code_hash || !code) return false;
+  const expected = Buffer.from(claim.email_code_hash);
+  const given = Buffer.from(hashEmailCode(claim.id, code));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+export function emailCodeTimedOut(claim, now = new Date()) {
+  if (!claim.email_code_sent_at) return true;
+  return now - new Date(claim.email_code_sent_at) > EMAIL_CODE_TTL_MINUTES * 60 * 1000;
+}
+
+/**
+ * Store a fresh code on the claim and email it to the business address
+ *
+ * The code is sent straight through the email transport rather than queued:
+ * notification_queue rows are readable by their user in the app, and the
+ * claimant must not see the code without access to the mailbox.
+ * @returns {Promise<'sent'|'suppressed'|'disabled'>}
+ */
+export async function sendEmailCode(supabase, claim, company) {
+  const code = generateEmailCode();
+
+  const { error } = await supabase
+    .from('business_claims')
+    .update({
+      email_code_hash: hashEmailCode(claim.id, code),
+      email_code_sent_at: new Date().toISOString(),
+      email_code_attempts: 0,
+      updated_at: new Date().toISOString()
+    })
+    .eq('id', claim.id);
+  if (error) throw error;
+
+  // Subjects are logged to email_messages, so the code only goes in the body
+  const { status } = await sendEmail({
+    to: claim.business_email,
+    template: 'notification',
+    subject: 'Your SaveBucks verification code',
+    data: {
+      Title: `Your verification code: ${code}`,
+      Message: `Enter ${code} to confirm you manage ${company.name} on SaveBucks. The code is valid for ${EMAIL_CODE_TTL_MINUTES} minutes. If you did not request this, you can ignore this email.`,
+      ActionURL: siteUrl('/merchant/claim'),
+      ActionLabel: 'Enter your code'
+    },
+    userId: claim.user_id
+  });
+  return status;
+}
+
+/**
+ * Views, clicks, claims and redemptions for one company's deals.
+ * Totals use the counters on deals; the daily series come from
+ * analytics_events (clicks) and deal_claims over the last `days` days.
+ */
+export async function getCompanyStats(supabase, companyId, days = 30) {
+  const windowDays = Math.min(Math.max(parseInt(days) || 30, 1), MAX_STATS_DAYS);
+  const since = new Date(Date.now() - windowDays * 24 * 60 * 60 * 1000);
+
+  const { data: deals, error } = await supabase
+    .from('deals')
+    .select('id, title, status, created_at, expires_at, view_count, click_count, claim_count, current_redemptions, max_redemptions')
+    .eq('company_id', companyId)
+    .order('created_at', { ascending: false })
+    .limit(1000);
+  if (error) throw error;
+
+  const dealIds = (deals || []).map(d => d.id);
+  const daily = new Map();
+  const bump = (ts, field) => {
+    const day = String(ts).slice(0, 10);
+    if (!daily.has(day)) daily.set(day, { date: day, clicks: 0, claims: 0, redemptions: 0 });
+    daily.get(day)[field] += 1;
+  };
+
+  if (dealIds.length) {
+    const { data: claims } = await supabase
+      .from('deal_claims')
+      .select('claimed_at, redeemed_at')
+      .in('deal_id', dealIds)
+      .gte('claimed_at', since.toISOString())
+      .limit(10000);
+
+    (claims || []).forEach(c => {
+      bump(c.claimed_at, 'claims');
+      if (c.redeemed_at) bump(c.redeemed_at, 'redemptions');
+    });
+
+    const { data: clicks } = await supabase
+      .from('analytics_events')
+      .select('created_at, properties')
+      .eq('event_name', 'deal_click')
+      .in('properties->>deal_id', dealIds.map(String))
+      .gte('created_at', since.toISOString())
+      .limit(10000);
+
+    (clicks || []).forEach(e => bump(e.created_at, 'clicks'));
+  }
+
+  const now = new Date();
+  const sum = (field) => (deals || []).reduce((total, d) => total + (d[field] || 0), 0);
+
+  return {
+    days: windowDays,
+    totals: {
+      deals: dealIds.length,
+      active_deals: (deals || []).filter(d => d.status === 'approved' && (!d.expires_at || new Date(d.expires_at) > now)).length,
+      views: sum('view_count'),
+      clicks: sum('click_count'),
+      claims: sum('claim_count'),
+      redemptions: sum('current_redemptions')
+    },
+    daily: [...daily.values()].sort((a, b) => a.date.localeCompare(b.date)),
+    deals: deals || []
+  };
+}
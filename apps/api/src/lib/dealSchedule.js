@@ -0,0 +1,231 @@
+/**
+ * Deal Schedules
+ *
+ * Recurring restaurant deals carry `valid_days` (['monday', ...], null = every
+ * day) and `valid_hours` ({ start: '17:00', end: '21:00' }, null = all day).
+ * Both are read in the restaurant's local timezone. A window whose end is
+ * before its start runs past midnight and belongs to the day it starts on.
+ *
+ * Mirrors deal_schedule_active() and company_timezone() in
+ * 078_deal_schedules.sql, which the feed and map use for 'active now'.
+ */
+
+const DAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+
+// "Starting soon" horizon
+export const STARTS_SOON_MINUTES = 30;
+
+export const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'America/New_York';
+
+// Schedule statuses, in the order they sort
+export const SCHEDULE_STATUSES = ['active', 'starting_soon', 'later_today', 'not_today', 'ended'];
+
+// ?when= values accepted by the restaurant endpoints
+export const SCHEDULE_FILTERS = {
+  active_now: ['active'],
+  starting_soon: ['starting_soon'],
+  later_today: ['later_today'],
+  today: ['active', 'starting_soon', 'later_today']
+};
+
+// Majority zone per US state; same mapping as state_timezone() in 078
+const STATE_TIMEZONES = {
+  'America/New_York': ['CT', 'DE', 'DC', 'FL', 'GA', 'IN', 'KY', 'ME', 'MD', 'MA', 'MI', 'NH', 'NJ', 'NY', 'NC', 'OH', 'PA', 'RI', 'SC', 'VT', 'VA', 'WV'],
+  'America/Chicago': ['AL', 'AR', 'IL', 'IA', 'KS', 'LA', 'MN', 'MS', 'MO', 'NE', 'ND', 'OK', 'SD', 'TN', 'TX', 'WI'],
+  'America/Denver': ['CO', 'ID', 'MT', 'NM', 'UT', 'WY'],
+  'America/Phoenix': ['AZ'],
+  'America/Los_Angeles': ['CA', 'NV', 'OR', 'WA'],
+  'America/Anchorage': ['AK'],
+  'Pacific/Honolulu': ['HI']
+};
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      weekday: 'long',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+export function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Timezone for a restaurant: its own, else inferred from a US state
+ */
+export function timezoneForCompany(company) {
+  if (isValidTimezone(company?.timezone)) return company.timezone;
+
+  if (company?.country && company.country !== 'US') return DEFAULT_TIMEZONE;
+
+  const state = String(company?.state || '').toUpperCase();
+  for (const [timezone, states] of Object.entries(STATE_TIMEZONES)) {
+    if (states.includes(state)) return timezone;
+  }
+  return DEFAULT_TIMEZONE;
+}
+
+/**
+ * Weekday index and minutes since local midnight
+ */
+function localClock(date, timezone) {
+  const parts = Object.fromEntries(
+    getFormatter(timezone).formatToParts(date).map(p => [p.type, p.value])
+  );
+  return {
+    day: DAYS.indexOf(parts.weekday.toLowerCase()),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute)
+  };
+}
+
+function parseTime(value) {
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value || ''));
+  if (!match) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function runsOn(validDays, dayIndex) {
+  if (!Array.isArray(validDays) || validDays.length === 0) return true;
+  const day = DAYS[((dayIndex % 7) + 7) % 7];
+  return validDays.some(d => String(d).toLowerCase() === day);
+}
+
+/**
+ * Where a deal's schedule stands at `now`
+ * @returns {{ active_now: boolean, schedule_status: string, starts_in_minutes: number|null, ends_in_minutes: number|null, timezone: string }}
+ */
+export function getScheduleStatus(deal, timezone = DEFAULT_TIMEZONE, now = new Date()) {
+  const result = (status, startsIn = null, endsIn = null) => ({
+    active_now: status === 'active',
+    schedule_status: status,
+    starts_in_minutes: startsIn,
+    ends_in_minutes: endsIn,
+    timezone
+  });
+
+  if (deal.expires_at && new Date(deal.expires_at) <= now) return result('ended');
+
+  const { day, minutes } = localClock(now, timezone);
+
+  // Not live yet: count down to starts_at
+  const startsAt = deal.starts_at ? new Date(deal.starts_at) : null;
+  if (startsAt && startsAt > now) {
+    const startsIn = Math.ceil((startsAt - now) / 60000);
+    if (startsIn <= STARTS_SOON_MINUTES) return result('starting_soon', startsIn);
+    return result(minutes + startsIn < MINUTES_PER_DAY ? 'later_today' : 'not_today', startsIn);
+  }
+
+  const start = parseTime(deal.valid_hours?.start);
+  const end = parseTime(deal.valid_hours?.end);
+
+  // All-day deal on its valid days
+  if (start == null || end == null) {
+    if (runsOn(deal.valid_days, day)) return result('active', null, MINUTES_PER_DAY - minutes);
+    for (let offset = 1; offset <= 7; offset++) {
+      if (runsOn(deal.valid_days, day + offset)) {
+        const startsIn = offset * MINUTES_PER_DAY - minutes;
+        return result(startsIn <= STARTS_SOON_MINUTES ? 'starting_soon' : 'not_today', startsIn);
+      }
+    }
+    return result('not_today');
+  }
+
+  const overnight = end <= start;
+  const length = overnight ? MINUTES_PER_DAY - start + end : end - start;
+
+  // Carry-over from yesterday's overnight window
+  if (overnight && minutes < end && runsOn(deal.valid_days, day - 1)) {
+    return result('active', null, end - minutes);
+  }
+
+  if (runsOn(deal.valid_days, day) && minutes >= start && minutes < start + length) {
+    return result('active', null, start + length - minutes);
+  }
+
+  // Next window start, today or within the week
+  for (let offset = 0; offset <= 7; offset++) {
+    if (!runsOn(deal.valid_days, day + offset)) continue;
+    const startsIn = offset * MINUTES_PER_DAY + start - minutes;
+    if (startsIn <= 0) continue;
+    if (startsIn <= STARTS_SOON_MINUTES) return result('starting_soon', startsIn);
+    return result(offset === 0 ? 'later_today' : 'not_today', startsIn);
+  }
+
+  return result('not_today');
+}
+
+/**
+ * Attach schedule fields to a deal
+ */
+export function withSchedule(deal, timezone, now = new Date()) {
+  return { ...deal, ...getScheduleStatus(deal, timezone, now) };
+}
+
+/**
+ * Active first (ending soonest), then by how soon they start
+ */
+export function compareBySchedule(a, b) {
+  const rank = SCHEDULE_STATUSES.indexOf(a.schedule_status) - SCHEDULE_STATUSES.indexOf(b.schedule_status);
+  if (rank !== 0) return rank;
+  if (a.active_now) return (a.ends_in_minutes ?? Infinity) - (b.ends_in_minutes ?? Infinity);
+  return (a.starts_in_minutes ?? Infinity) - (b.starts_in_minutes ?? Infinity);
+}
+
+/**
+ * Keep deals matching a ?when= filter; unknown or empty filters keep everything
+ */
+export function matchesScheduleFilter(deal, when) {
+  const statuses = SCHEDULE_FILTERS[when];
+  return !statuses || statuses.includes(deal.schedule_status);
+}
+
+const isTime = (value) => /^([01]\d|2[0-3]):[0-5]\d$/.test(String(value || ''));
+
+/**
+ * Validate a submitted valid_days / valid_hours pair
+ * @returns {string|null} error message, or null when valid
+ */
+export function scheduleError({ valid_days, valid_hours } = {}) {
+  if (valid_days != null) {
+    if (!Array.isArray(valid_days) || valid_days.some(d => !DAYS.includes(String(d).toLowerCase()))) {
+      return `valid_days must be a list of: ${DAYS.join(', ')}`;
+    }
+  }
+  if (valid_hours != null && (!isTime(valid_hours.start) || !isTime(valid_hours.end))) {
+    return 'valid_hours must be { start: "HH:MM", end: "HH:MM" }';
+  }
+  return null;
+}
+
+/**
+ * Validate companies.restaurant_hours ({ monday: { open: '09:00', close: '21:00' }, ... });
+ * a day set to null is closed
+ * @returns {string|null} error message, or null when valid
+ */
+export function openingHoursError(hours) {
+  if (hours == null) return null;
+  if (typeof hours !== 'object' || Array.isArray(hours)) return 'restaurant_hours must be an object keyed by weekday';
+
+  for (const [day, window] of Object.entries(hours)) {
+    if (!DAYS.includes(day)) return `Unknown day in restaurant_hours: ${day}`;
+    if (window != null && (!isTime(window.open) || !isTime(window.close))) {
+      return `restaurant_hours.${day} must be { open: "HH:MM", close: "HH:MM" }`;
+    }
+  }
+  return null;
+}
@@ -0,0 +1,176 @@
+/**
+ * Email dispatcher
+ *
+ * Delivers notification_queue rows with notification_type 'email'. Rows that
+ * set recipient_email are transactional (verification codes and the like) and
+ * go to that address without preference checks or unsubscribe links. All
+ * other rows go to the user's account email, honour
+ * user_notification_preferences.email_notifications_enabled and can be
+ * unsubscribed from (template_data.unsubscribe_scope, default 'all').
+ *
+ * A failed send is retried with backoff up to MAX_ATTEMPTS, then the row is
+ * marked failed. startEmailDispatcher() runs this on an interval in the API
+ * process; POST /api/email/admin/dispatch runs it once.
+ */
+
+import { makeAdminClient } from '../supa.js';
+import { log } from '../logger.js';
+import { sendEmail, siteUrl } from './index.js';
+import { getTransport } from './transports.js';
+
+const supabase = makeAdminClient();
+
+export const MAX_ATTEMPTS = 3;
+const RETRY_BASE_MINUTES = 5;
+const DEFAULT_TEMPLATE = 'notification';
+
+async function finish(row, fields) {
+  const { error } = await supabase.from('notification_queue').update(fields).eq('id', row.id);
+  if (error) console.error(`Could not update notification ${row.id}:`, error.message);
+}
+
+async function resolveRecipient(row) {
+  if (row.recipient_email) return { email: row.recipient_email, transactional: true };
+
+  const [{ data: userData }, { data: prefs }] = await Promise.all([
+    supabase.auth.admin.getUserById(row.user_id),
+    supabase
+      .from('user_notification_preferences')
+      .select('email_notifications_enabled')
+      .eq('user_id', row.user_id)
+      .maybeSingle()
+  ]);
+
+  return {
+    email: userData?.user?.email || null,
+    transactional: false,
+    optedOut: prefs?.email_notifications_enabled === false
+  };
+}
+
+async function deliver(row) {
+  if (row.expires_at && new Date(row.expires_at) <= new Date()) {
+    await finish(row, { status: 'cancelled', error_message: 'Not sent before expires_at' });
+    return 'cancelled';
+  }
+
+  // Take the row; losing this race means another dispatcher already has it
+  const { data: claimed } = await supabase
+    .from('notification_queue')
+    .update({ attempts: row.attempts + 1 })
+    .eq('id', row.id)
+    .eq('status', 'pending')
+    .eq('attempts', row.attempts)
+    .select('id');
+  if (!claimed?.length) return 'skipped';
+
+  const recipient = await resolveRecipient(row);
+  if (!recipient.email) {
+    await finish(row, { status: 'failed', error_message: 'Recipient has no email address' });
+    return 'failed';
+  }
+  if (recipient.optedOut) {
+    await finish(row, { status: 'cancelled', error_message: 'Recipient turned off email notifications' });
+    return 'cancelled';
+  }
+
+  const templateData = row.template_data || {};
+
+  try {
+    const result = await sendEmail({
+      to: recipient.email,
+      template: row.template || DEFAULT_TEMPLATE,
+      subject: row.title,
+      data: {
+        Title: row.title,
+        Message: row.message,
+        ActionURL: siteUrl(row.action_url),
+        ImageURL: row.image_url,
+        ...templateData
+      },
+      userId: row.user_id,
+      notificationId: row.id,
+      unsubscribeScope: recipient.transactional ? null : (templateData.unsubscribe_scope || 'all')
+    });
+
+    if (result.status === 'suppressed') {
+      await finish(row, { status: 'cancelled', error_message: 'Recipient address is suppressed' });
+      return 'suppressed';
+    }
+    if (result.status === 'disabled') {
+      // Transport was switched off mid-run; put the attempt back
+      await finish(row, { attempts: row.attempts });
+      return 'skipped';
+    }
+
+    await finish(row, { status: 'sent', sent_at: new Date().toISOString(), error_message: null });
+    return 'sent';
+  } catch (error) {
+    const attempts = row.attempts + 1;
+    if (attempts >= MAX_ATTEMPTS) {
+      await finish(row, { status: 'failed', error_message: error.message });
+      return 'failed';
+    }
+    const retryAt = new Date(Date.now() + RETRY_BASE_MINUTES * attempts * attempts * 60 * 1000);
+    await finish(row, { scheduled_for: retryAt.toISOString(), error_message: error.message });
+    return 'retrying';
+  }
+}
+
+/**
+ * Send up to `limit` due email rows
+ * @returns {Promise<{ processed: number, sent: number, failed: number, retrying: number, cancelled: number, suppressed: number, skipped: number, disabled?: boolean }>}
+ */
+export async function dispatchQueuedEmails({ limit = 50 } = {}) {
+  const totals = { processed: 0, sent: 0, failed: 0, retrying: 0, cancelled: 0, suppressed: 0, skipped: 0 };
+  if (!getTransport()) return { ...totals, disabled: true };
+
+  const { data: rows, error } = await supabase
+    .from('notification_queue')
+    .select('id, user_id, recipient_email, title, message, action_url, image_url, template, template_data, attempts, expires_at')
+    .eq('notification_type', 'email')
+    .eq('status', 'pending')
+    .lte('scheduled_for', new Date().toISOString())
+    .order('priority', { ascending: false })
+    .order('scheduled_for', { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+
+  for (const row of rows || []) {
+    const outcome = await deliver(row);
+    totals.processed++;
+    totals[outcome]++;
+  }
+
+  return totals;
+}
+
+let timer = null;
+
+/**
+ * Poll the queue every EMAIL_DISPATCH_INTERVAL_SECONDS (default 60)
+ */
+export function startEmailDispatcher() {
+  if (timer) return;
+  if (!getTransport()) {
+    log('Email transport disabled; queued emails will not be sent');
+    return;
+  }
+
+  const intervalMs = (Number(process.env.EMAIL_DISPATCH_INTERVAL_SECONDS) || 60) * 1000;
+  let running = false;
+
+  timer = setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      const totals = await dispatchQueuedEmails();
+      if (totals.processed) log('Email dispatch:', totals);
+    } catch (error) {
+      console.error('Email dispatch failed:', error.message);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+  timer.unref();
+}
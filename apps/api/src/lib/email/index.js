@@ -0,0 +1,166 @@
+/**
+ * Email delivery
+ *
+ * sendEmail() renders a template, checks the suppression list, sends through
+ * the configured transport (./transports.js) and logs the attempt to
+ * email_messages. Most mail is not sent directly: code queues a
+ * notification_queue row of type 'email' and ./dispatcher.js delivers it.
+ *
+ * Bounces and complaints arrive from the provider's webhook and go through
+ * recordEmailEvent(); hard bounces and complaints suppress the address at
+ * once, soft bounces after SOFT_BOUNCE_LIMIT within SOFT_BOUNCE_WINDOW_DAYS.
+ */
+
+import { makeAdminClient } from '../supa.js';
+import { getTransport, transportName } from './transports.js';
+import { renderTemplate } from './templates.js';
+import { unsubscribeLinks } from './unsubscribe.js';
+
+const supabase = makeAdminClient();
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'SaveBucks <no-reply@savebucks.com>';
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5173';
+
+export const SOFT_BOUNCE_LIMIT = 3;
+export const SOFT_BOUNCE_WINDOW_DAYS = 30;
+export const EMAIL_EVENT_TYPES = ['hard_bounce', 'soft_bounce', 'complaint'];
+
+export function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Make a site path like /deal/12 absolute for use in an email
+ */
+export function siteUrl(pathOrUrl) {
+  if (!pathOrUrl) return null;
+  if (/^https?:\/\//i.test(pathOrUrl)) return pathOrUrl;
+  return `${SITE_URL}${pathOrUrl.startsWith('/') ? '' : '/'}${pathOrUrl}`;
+}
+
+export async function isSuppressed(email) {
+  const { data, error } = await supabase
+    .from('email_suppressions')
+    .select('email, reason')
+    .eq('email', normalizeEmail(email))
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export async function suppressEmail(email, reason, { details = null, createdBy = null } = {}) {
+  const { error } = await supabase
+    .from('email_suppressions')
+    .upsert({
+      email: normalizeEmail(email),
+      reason,
+      details,
+      created_by: createdBy
+    }, { onConflict: 'email', ignoreDuplicates: true });
+  if (error) throw error;
+}
+
+/**
+ * Store a bounce/complaint and suppress the address when it crosses the line
+ * @returns {Promise<{ suppressed: boolean }>}
+ */
+export async function recordEmailEvent({ email, type, messageId = null, details = null }) {
+  const address = normalizeEmail(email);
+
+  const { error } = await supabase.from('email_events').insert({
+    email: address,
+    event_type: type,
+    provider_message_id: messageId,
+    details
+  });
+  if (error) throw error;
+
+  if (type === 'hard_bounce' || type === 'complaint') {
+    await suppressEmail(address, type, { details });
+    return { suppressed: true };
+  }
+
+  const since = new Date(Date.now() - SOFT_BOUNCE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const { count, error: countError } = await supabase
+    .from('email_events')
+    .select('id', { count: 'exact', head: true })
+    .eq('email', address)
+    .eq('event_type', 'soft_bounce')
+    .gte('created_at', since);
+  if (countError) throw countError;
+
+  if (count >= SOFT_BOUNCE_LIMIT) {
+    await suppressEmail(address, 'soft_bounce', { details: { soft_bounces: count, last: details } });
+    return { suppressed: true };
+  }
+  return { suppressed: false };
+}
+
+async function logMessage(entry) {
+  const { error } = await supabase.from('email_messages').insert(entry);
+  if (error) console.error('Email log insert failed:', error.message);
+}
+
+/**
+ * Send one templated email
+ *
+ * @param {object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name in supabase/email-templates
+ * @param {string} options.subject
+ * @param {object} [options.data] - Template variables
+ * @param {string} [options.userId] - Recipient's user, for the log and unsubscribe link
+ * @param {number} [options.notificationId] - notification_queue row being delivered
+ * @param {string} [options.unsubscribeScope] - Adds unsubscribe links/headers; omit for transactional mail
+ * @returns {Promise<{ status: 'sent'|'suppressed'|'disabled', messageId?: string }>}
+ * @throws when rendering or the transport fails (the failure is logged first)
+ */
+export async function sendEmail({ to, template, subject, data = {}, userId = null, notificationId = null, unsubscribeScope = null }) {
+  const transport = getTransport();
+  if (!transport) return { status: 'disabled' };
+
+  const entry = {
+    notification_id: notificationId,
+    user_id: userId,
+    to_email: normalizeEmail(to),
+    template,
+    subject,
+    transport: transportName()
+  };
+
+  const suppression = await isSuppressed(to);
+  if (suppression) {
+    await logMessage({ ...entry, status: 'suppressed', error_message: `Suppressed: ${suppression.reason}` });
+    return { status: 'suppressed' };
+  }
+
+  const links = unsubscribeScope && userId ? unsubscribeLinks(userId, unsubscribeScope) : null;
+
+  try {
+    const { html, text } = renderTemplate(template, {
+      ...data,
+      Subject: subject,
+      SiteURL: SITE_URL,
+      UnsubscribeURL: links?.page || null,
+      Year: new Date().getFullYear()
+    });
+
+    const info = await transport.sendMail({
+      from: EMAIL_FROM,
+      to,
+      subject,
+      text,
+      html: html || undefined,
+      headers: links ? {
+        'List-Unsubscribe': `<${links.oneClick}>`,
+        'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+      } : undefined
+    });
+
+    await logMessage({ ...entry, status: 'sent', provider_message_id: info?.messageId || null });
+    return { status: 'sent', messageId: info?.messageId };
+  } catch (error) {
+    await logMessage({ ...entry, status: 'failed', error_message: error.message });
+    throw error;
+  }
+}
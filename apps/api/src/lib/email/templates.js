@@ -0,0 +1,157 @@
+/**
+ * Email templates
+ *
+ * Templates live next to the Supabase auth emails in supabase/email-templates
+ * as <name>.html and <name>.txt and use the same Go-template style tags, so
+ * one person can maintain all of them:
+ *
+ *   {{ .Title }}                       variable (HTML-escaped in .html files)
+ *   {{ if .ActionURL }}...{{ else }}...{{ end }}
+ *   {{ range .Deals }}{{ .Title }}{{ end }}   inside a range, names resolve
+ *                                            against the item, then the root
+ *
+ * Only this subset is supported; anything else is a template error.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const DEFAULT_DIR = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '../../../../../supabase/email-templates');
+const TEMPLATES_DIR = process.env.EMAIL_TEMPLATES_DIR || DEFAULT_DIR;
+
+const TAG = /\{\{\s*(.*?)\s*\}\}/g;
+
+const cache = new Map();
+
+export class EmailTemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'EmailTemplateError';
+  }
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function parse(source, name) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+  let match;
+
+  const current = () => stack[stack.length - 1];
+  const push = (node) => {
+    const parent = current();
+    (parent.inElse ? parent.otherwise : parent.children).push(node);
+  };
+
+  TAG.lastIndex = 0;
+  while ((match = TAG.exec(source))) {
+    if (match.index > last) push({ type: 'text', value: source.slice(last, match.index) });
+    last = TAG.lastIndex;
+
+    const tag = match[1];
+    let parts;
+    if ((parts = /^(if|range)\s+\.([\w.]+)$/.exec(tag))) {
+      const node = { type: parts[1], path: parts[2], children: [], otherwise: [] };
+      push(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (current().type !== 'if') throw new EmailTemplateError(`${name}: {{ else }} outside {{ if }}`);
+      current().inElse = true;
+    } else if (tag === 'end') {
+      if (stack.length === 1) throw new EmailTemplateError(`${name}: unexpected {{ end }}`);
+      stack.pop();
+    } else if ((parts = /^\.([\w.]+)$/.exec(tag))) {
+      push({ type: 'var', path: parts[1] });
+    } else {
+      throw new EmailTemplateError(`${name}: unsupported tag {{ ${tag} }}`);
+    }
+  }
+
+  if (stack.length !== 1) throw new EmailTemplateError(`${name}: missing {{ end }}`);
+  if (last < source.length) push({ type: 'text', value: source.slice(last) });
+  return root.children;
+}
+
+function lookup(scopes, dotted) {
+  for (const scope of scopes) {
+    let value = scope;
+    let found = true;
+    for (const key of dotted.split('.')) {
+      if (value == null || !(key in Object(value))) {
+        found = false;
+        break;
+      }
+      value = value[key];
+    }
+    if (found) return value;
+  }
+  return undefined;
+}
+
+function truthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function renderNodes(nodes, scopes, html) {
+  return nodes.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var': {
+        const value = lookup(scopes, node.path);
+        if (value == null) return '';
+        return html ? escapeHtml(value) : String(value);
+      }
+      case 'if':
+        return truthy(lookup(scopes, node.path))
+          ? renderNodes(node.children, scopes, html)
+          : renderNodes(node.otherwise, scopes, html);
+      case 'range': {
+        const items = lookup(scopes, node.path);
+        if (!Array.isArray(items)) return '';
+        return items.map(item => renderNodes(node.children, [item, ...scopes], html)).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+function load(name, extension) {
+  const key = `${name}.${extension}`;
+  if (!cache.has(key)) {
+    if (!/^[a-z0-9-]+$/.test(name)) throw new EmailTemplateError(`Invalid template name: ${name}`);
+    const file = path.join(TEMPLATES_DIR, key);
+    if (!fs.existsSync(file)) {
+      cache.set(key, null);
+    } else {
+      cache.set(key, parse(fs.readFileSync(file, 'utf8'), key));
+    }
+  }
+  return cache.get(key);
+}
+
+/**
+ * Render both parts of a template
+ * @returns {{ html: string|null, text: string }}
+ * @throws {EmailTemplateError} when the template is missing or malformed
+ */
+export function renderTemplate(name, data) {
+  const html = load(name, 'html');
+  const text = load(name, 'txt');
+  if (!text) throw new EmailTemplateError(`Email template not found: ${name}.txt`);
+
+  return {
+    html: html ? renderNodes(html, [data], true) : null,
+    text: renderNodes(text, [data], false)
+  };
+}
@@ -0,0 +1,84 @@
+/**
+ * Email transports
+ *
+ * EMAIL_TRANSPORT picks where mail goes:
+ *   smtp     - SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS / SMTP_SECURE
+ *   file     - each message is written as an .eml file to EMAIL_FILE_DIR
+ *              (default ./tmp/emails), handy for local dev
+ *   console  - subject, recipient and text body are logged
+ *   disabled - nothing is sent and queued emails stay pending
+ *
+ * The default is console outside production and disabled in production.
+ * Other transports can be added with registerTransport(); a transport is
+ * anything with sendMail(message) resolving to { messageId }.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import nodemailer from 'nodemailer';
+import { log } from '../logger.js';
+
+const factories = {
+  smtp() {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST is required for the smtp email transport');
+    const port = Number(process.env.SMTP_PORT) || 587;
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  },
+
+  file() {
+    const dir = path.resolve(process.env.EMAIL_FILE_DIR || 'tmp/emails');
+    const stream = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      async sendMail(message) {
+        const info = await stream.sendMail(message);
+        await fs.mkdir(dir, { recursive: true });
+        const safeTo = String(message.to).replace(/[^a-z0-9@._-]/gi, '_');
+        const file = path.join(dir, `${Date.now()}-${safeTo}.eml`);
+        await fs.writeFile(file, info.message);
+        log(`Email written to ${file}`);
+        return { messageId: info.messageId };
+      }
+    };
+  },
+
+  console() {
+    const json = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      async sendMail(message) {
+        const info = await json.sendMail(message);
+        log(`Email to ${message.to}: ${message.subject}\n${message.text}`);
+        return { messageId: info.messageId };
+      }
+    };
+  }
+};
+
+let active = null;
+
+export function registerTransport(name, factory) {
+  factories[name] = factory;
+  active = null;
+}
+
+export function transportName() {
+  return process.env.EMAIL_TRANSPORT || (process.env.NODE_ENV === 'production' ? 'disabled' : 'console');
+}
+
+/**
+ * The configured transport, or null when email is disabled
+ */
+export function getTransport() {
+  const name = transportName();
+  if (name === 'disabled') return null;
+  if (!active || active.name !== name) {
+    const factory = factories[name];
+    if (!factory) throw new Error(`Unknown EMAIL_TRANSPORT: ${name}`);
+    active = { name, transport: factory() };
+  }
+  return active.transport;
+}
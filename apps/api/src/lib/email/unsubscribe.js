@@ -0,0 +1,125 @@
+/**
+ * Unsubscribe tokens
+ *
+ * Every non-transactional email links to /unsubscribe?token=... and carries
+ * List-Unsubscribe headers pointing at the API. Tokens are HMAC-signed and do
+ * not lapse: an old email's link has to keep working.
+ *
+ * Format: base64url(JSON payload) + '.' + base64url(sig)
+ * Payload: { u: user id, s: scope }
+ *   scope 'all'                 - every notification email
+ *   scope 'saved_search:<id>'   - emails for one saved search
+ *   scope 'saved_search_digest:<daily|weekly>' - that digest, i.e. email for
+ *                                 every saved search on that frequency
+ */
+
+import crypto from 'crypto';
+
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5173';
+const API_URL = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+export class UnsubscribeTokenError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'UnsubscribeTokenError';
+  }
+}
+
+function getSecret() {
+  const secret = process.env.EMAIL_UNSUBSCRIBE_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('EMAIL_UNSUBSCRIBE_SECRET is required in production');
+  }
+  return 'dev-unsubscribe-secret';
+}
+
+function sign(body) {
+  return crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+}
+
+export function issueUnsubscribeToken(userId, scope = 'all') {
+  const body = Buffer.from(JSON.stringify({ u: userId, s: scope })).toString('base64url');
+  return `${body}.${sign(body)}`;
+}
+
+/**
+ * @returns {{ userId: string, scope: string }}
+ * @throws {UnsubscribeTokenError}
+ */
+export function verifyUnsubscribeToken(token) {
+  const [body, signature] = String(token || '').trim().split('.');
+  if (!body || !signature) throw new UnsubscribeTokenError('Malformed unsubscribe link');
+
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new UnsubscribeTokenError('Unsubscribe link is invalid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    throw new UnsubscribeTokenError('Malformed unsubscribe link');
+  }
+  if (!payload?.u || !payload?.s) throw new UnsubscribeTokenError('Malformed unsubscribe link');
+
+  return { userId: payload.u, scope: payload.s };
+}
+
+/**
+ * Page link for the email body and one-click URL for List-Unsubscribe
+ */
+export function unsubscribeLinks(userId, scope = 'all') {
+  const token = encodeURIComponent(issueUnsubscribeToken(userId, scope));
+  return {
+    page: `${SITE_URL}/unsubscribe?token=${token}`,
+    oneClick: `${API_URL}/api/email/unsubscribe?token=${token}`
+  };
+}
+
+/**
+ * Turn off the emails a token covers
+ * @returns {Promise<{ scope: string, description: string }>}
+ */
+export async function applyUnsubscribe(supabase, { userId, scope }) {
+  if (scope === 'all') {
+    const { error } = await supabase
+      .from('user_notification_preferences')
+      .upsert({ user_id: userId, email_notifications_enabled: false, updated_at: new Date().toISOString() }, { onConflict: 'user_id' });
+    if (error) throw error;
+    return { scope, description: 'You will no longer receive notification emails from SaveBucks.' };
+  }
+
+  const savedSearch = /^saved_search:(\d+)$/.exec(scope);
+  if (savedSearch) {
+    const { data, error } = await supabase
+      .from('saved_searches')
+      .update({ email_notifications: false, updated_at: new Date().toISOString() })
+      .eq('id', savedSearch[1])
+      .eq('user_id', userId)
+      .select('name')
+      .maybeSingle();
+    if (error) throw error;
+    return {
+      scope,
+      description: data
+        ? `You will no longer receive emails for your saved search "${data.name}".`
+        : 'That saved search no longer exists, so it will not send you email.'
+    };
+  }
+
+  const digest = /^saved_search_digest:(daily|weekly)$/.exec(scope);
+  if (digest) {
+    const { error } = await supabase
+      .from('saved_searches')
+      .update({ email_notifications: false, updated_at: new Date().toISOString() })
+      .eq('user_id', userId)
+      .eq('alert_frequency', digest[1]);
+    if (error) throw error;
+    return { scope, description: `You will no longer receive the ${digest[1]} saved search digest email.` };
+  }
+
+  throw new UnsubscribeTokenError('Unsubscribe link is invalid');
+}
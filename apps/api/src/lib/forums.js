@@ -0,0 +1,98 @@
+/**
+ * Forum helpers shared by the /api/forums and /api/threads routes
+ */
+
+import { hotScore } from '@savebucks/shared';
+
+export const THREAD_SELECT = `
+  id, forum_id, author_id, title, body, tags, is_nsfw, status,
+  is_pinned, is_locked, score, ups, downs, reply_count, view_count,
+  last_activity_at, created_at, updated_at,
+  forum:forums!forum_threads_forum_id_fkey(id, slug, name),
+  author:profiles!forum_threads_author_id_fkey(id, handle, avatar_url)
+`;
+
+export const POST_SELECT = `
+  id, thread_id, parent_id, author_id, body, created_at, updated_at,
+  author:profiles!forum_posts_author_id_fkey(id, handle, avatar_url)
+`;
+
+export const THREAD_SORTS = ['new', 'top', 'hot'];
+
+const TIME_WINDOWS = {
+  today: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+  month: 30 * 24 * 60 * 60 * 1000,
+};
+
+/**
+ * Returns the ISO cutoff for a time filter ('today', 'week', 'month'), or null for all time
+ */
+export function timeFilterCutoff(timeFilter) {
+  const windowMs = TIME_WINDOWS[timeFilter];
+  return windowMs ? new Date(Date.now() - windowMs).toISOString() : null;
+}
+
+/**
+ * Strip characters that have meaning inside a PostgREST or() filter
+ */
+export function sanitizeSearchTerm(term) {
+  return String(term || '').replace(/[,()%*\\]/g, ' ').trim().slice(0, 100);
+}
+
+/**
+ * Sort threads by hot score, keeping pinned threads on top
+ */
+export function sortThreadsByHot(threads) {
+  const now = Math.floor(Date.now() / 1000);
+  const withScore = threads.map(t => ({
+    thread: t,
+    hot: hotScore(t.ups || 0, t.downs || 0, Math.floor(new Date(t.last_activity_at).getTime() / 1000), now),
+  }));
+  withScore.sort((a, b) => {
+    if (a.thread.is_pinned !== b.thread.is_pinned) return a.thread.is_pinned ? -1 : 1;
+    return b.hot - a.hot;
+  });
+  return withScore.map(w => w.thread);
+}
+
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(
+    tags
+      .filter(t => typeof t === 'string')
+      .map(t => t.trim().toLowerCase())
+      .filter(Boolean)
+      .map(t => t.slice(0, 30))
+  )].slice(0, 5);
+}
+
+/**
+ * Queue in-app notifications for everyone subscribed to a thread's replies
+ */
+export async function notifyThreadSubscribers(supabase, thread, post) {
+  const { data: subscribers, error } = await supabase
+    .from('forum_thread_subscriptions')
+    .select('user_id')
+    .eq('thread_id', thread.id)
+    .eq('notify_replies', true)
+    .neq('user_id', post.author_id);
+
+  if (error || !subscribers?.length) return 0;
+
+  const rows = subscribers.map(s => ({
+    user_id: s.user_id,
+    notification_type: 'in_app',
+    priority: 2,
+    title: `New reply in "${thread.title.slice(0, 80)}"`,
+    message: post.body.slice(0, 200),
+    action_url: `/forums/${thread.forum?.slug || 'general'}/thread/${thread.id}`,
+  }));
+
+  const { error: insertError } = await supabase.from('notification_queue').insert(rows);
+  if (insertError) {
+    console.error('Failed to queue thread reply notifications:', insertError);
+    return 0;
+  }
+  return rows.length;
+}
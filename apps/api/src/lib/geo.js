@@ -0,0 +1,83 @@
+/**
+ * Geo query parsing
+ *
+ * Nearby endpoints take either a point (?lat=&lng=&radius= in miles) or a
+ * map viewport (?bbox=minLng,minLat,maxLng,maxLat, the GeoJSON order). With
+ * a bbox, distances are measured from lat/lng when given, otherwise from the
+ * middle of the box, and the radius only applies if passed explicitly.
+ *
+ * The search itself runs in nearby_restaurants() / nearby_deals() from
+ * 081_geo_nearby.sql.
+ */
+
+export const DEFAULT_RADIUS_MILES = 10;
+export const MAX_RADIUS_MILES = 100;
+
+function validLat(value) {
+  return Number.isFinite(value) && value >= -90 && value <= 90;
+}
+
+function validLng(value) {
+  return Number.isFinite(value) && value >= -180 && value <= 180;
+}
+
+/**
+ * Returns { error } or { lat, lng, radiusMiles, bbox } where bbox is
+ * { minLat, minLng, maxLat, maxLng } or null and radiusMiles may be null
+ * for a bbox-only search
+ */
+export function parseGeoQuery(query) {
+  const { lat, lng, radius, bbox } = query;
+  let box = null;
+
+  if (bbox) {
+    const parts = String(bbox).split(',').map(parseFloat);
+    const [minLng, minLat, maxLng, maxLat] = parts;
+    if (parts.length !== 4 || ![minLat, maxLat].every(validLat) || ![minLng, maxLng].every(validLng)) {
+      return { error: 'bbox must be minLng,minLat,maxLng,maxLat' };
+    }
+    if (minLat > maxLat || minLng > maxLng) {
+      return { error: 'bbox minimums must not exceed its maximums' };
+    }
+    box = { minLat, minLng, maxLat, maxLng };
+  } else if (!lat || !lng) {
+    return { error: 'Latitude and longitude are required' };
+  }
+
+  let latitude = box ? (box.minLat + box.maxLat) / 2 : null;
+  let longitude = box ? (box.minLng + box.maxLng) / 2 : null;
+
+  if (lat && lng) {
+    latitude = parseFloat(lat);
+    longitude = parseFloat(lng);
+    if (!validLat(latitude) || !validLng(longitude)) {
+      return { error: 'Invalid coordinates' };
+    }
+  }
+
+  let radiusMiles = null;
+  if (radius !== undefined || !box) {
+    radiusMiles = radius === undefined ? DEFAULT_RADIUS_MILES : parseFloat(radius);
+    if (!Number.isFinite(radiusMiles) || radiusMiles <= 0) {
+      return { error: 'radius must be a positive number of miles' };
+    }
+    radiusMiles = Math.min(radiusMiles, MAX_RADIUS_MILES);
+  }
+
+  return { lat: latitude, lng: longitude, radiusMiles, bbox: box };
+}
+
+/**
+ * nearby_* RPC arguments shared by both endpoints
+ */
+export function geoRpcParams({ lat, lng, radiusMiles, bbox }) {
+  return {
+    p_lat: lat,
+    p_lng: lng,
+    p_radius_miles: radiusMiles,
+    p_min_lat: bbox?.minLat ?? null,
+    p_min_lng: bbox?.minLng ?? null,
+    p_max_lat: bbox?.maxLat ?? null,
+    p_max_lng: bbox?.maxLng ?? null
+  };
+}
@@ -0,0 +1,33 @@
+/**
+ * Merchant Access
+ *
+ * Which companies a user may act for: the merchant portal, and at the
+ * counter (verify and redeem claims, see redemption history). A user manages
+ * the companies they own (companies.owner_id, set when an admin approves
+ * their business claim); admins manage all.
+ */
+
+import { getUserPermissions } from './permissions.js';
+
+/**
+ * @returns {Promise<number[]|null>} company ids, or null for "all companies"
+ */
+export async function getManagedCompanyIds(supabase, userId) {
+  if (!userId) return [];
+
+  const perms = await getUserPermissions(supabase, userId);
+  if (perms.is_admin) return null;
+
+  const { data, error } = await supabase
+    .from('companies')
+    .select('id')
+    .eq('owner_id', userId);
+
+  if (error) throw error;
+  return (data || []).map(c => c.id);
+}
+
+export function canManageCompany(managedIds, companyId) {
+  if (managedIds === null) return true;
+  return companyId != null && managedIds.includes(companyId);
+}
@@ -0,0 +1,208 @@
+/**
+ * Moderation helpers: bans, warnings with escalation, and the moderation log.
+ *
+ * Every moderation action is written to audit_log so it can be queried from
+ * GET /api/admin/moderation-log alongside the deal-update audit trigger.
+ */
+
+const HOUR = 60 * 60 * 1000;
+
+export const BAN_DURATIONS = {
+  '1h': HOUR,
+  '1d': 24 * HOUR,
+  '7d': 7 * 24 * HOUR,
+  '30d': 30 * 24 * HOUR,
+  permanent: null,
+};
+
+// Warnings inside this window count towards escalation
+export const WARNING_WINDOW_DAYS = Number(process.env.MOD_WARNING_WINDOW_DAYS || 90);
+
+// Highest matching step wins: the 3rd warning in the window bans for a day, etc.
+export const WARNING_ESCALATION = [
+  { warnings: 3, duration: '1d' },
+  { warnings: 5, duration: '7d' },
+  { warnings: 7, duration: 'permanent' },
+];
+
+// Moderation targets -> audit_log.table_name
+export const TARGET_TABLES = {
+  deal: 'deals',
+  coupon: 'coupons',
+  thread: 'forum_threads',
+  post: 'forum_posts',
+  comment: 'comments',
+  message: 'messages',
+  user: 'profiles',
+};
+
+/**
+ * Insert one row into audit_log
+ */
+export async function logModerationAction(supabase, { actorId, action, targetType, targetId, details = {} }) {
+  const { error } = await supabase.from('audit_log').insert({
+    actor_id: actorId || null,
+    action,
+    table_name: TARGET_TABLES[targetType] || targetType,
+    row_id: String(targetId),
+    diff: details,
+  });
+  if (error) {
+    console.error('Failed to write moderation log:', error);
+  }
+}
+
+/**
+ * Current ban state for a profile row; bans past banned_until no longer count
+ */
+export function activeBan(profile) {
+  if (!profile?.is_banned) return null;
+  if (profile.banned_until && new Date(profile.banned_until) <= new Date()) return null;
+  return {
+    reason: profile.ban_reason || null,
+    banned_until: profile.banned_until || null,
+    permanent: !profile.banned_until,
+  };
+}
+
+async function notifyUser(supabase, userId, title, message) {
+  await supabase.from('notification_queue').insert({
+    user_id: userId,
+    notification_type: 'in_app',
+    priority: 4,
+    title,
+    message: message.slice(0, 500),
+  });
+}
+
+/**
+ * Ban a user for one of BAN_DURATIONS. Replaces any ban already in force.
+ */
+export async function banUser(supabase, { userId, actorId, reason, duration, source = 'manual' }) {
+  const ms = BAN_DURATIONS[duration];
+  const expiresAt = ms ? new Date(Date.now() + ms).toISOString() : null;
+
+  const { data: ban, error } = await supabase
+    .from('user_bans')
+    .insert({ user_id: userId, banned_by: actorId, reason, duration, expires_at: expiresAt, source })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const { error: profileError } = await supabase
+    .from('profiles')
+    .update({ is_banned: true, banned_until: expiresAt, ban_reason: reason })
+    .eq('id', userId);
+  if (profileError) throw profileError;
+
+  await logModerationAction(supabase, {
+    actorId,
+    action: 'ban',
+    targetType: 'user',
+    targetId: userId,
+    details: { reason, duration, expires_at: expiresAt, source, ban_id: ban.id },
+  });
+
+  await notifyUser(
+    supabase,
+    userId,
+    duration === 'permanent' ? 'Your account has been suspended' : `Your account is suspended for ${duration}`,
+    `Reason: ${reason}`
+  );
+
+  return ban;
+}
+
+/**
+ * Lift the user's current ban (if any)
+ */
+export async function liftBan(supabase, { userId, actorId, reason }) {
+  const now = new Date().toISOString();
+
+  const { error } = await supabase
+    .from('profiles')
+    .update({ is_banned: false, banned_until: null, ban_reason: null })
+    .eq('id', userId);
+  if (error) throw error;
+
+  await supabase
+    .from('user_bans')
+    .update({ lifted_at: now, lifted_by: actorId, lift_reason: reason || null })
+    .eq('user_id', userId)
+    .is('lifted_at', null)
+    .or(`expires_at.is.null,expires_at.gt.${now}`);
+
+  await logModerationAction(supabase, {
+    actorId,
+    action: 'unban',
+    targetType: 'user',
+    targetId: userId,
+    details: { reason: reason || null },
+  });
+}
+
+/**
+ * Record a warning and auto-ban if it crosses an escalation threshold
+ *
+ * @returns {Promise<{warning: object, recentWarnings: number, escalation: object|null}>}
+ */
+export async function issueWarning(supabase, { userId, actorId, reason, targetType = null, targetId = null }) {
+  const { data: warning, error } = await supabase
+    .from('user_warnings')
+    .insert({
+      user_id: userId,
+      issued_by: actorId,
+      reason,
+      target_type: targetType,
+      target_id: targetId != null ? String(targetId) : null,
+    })
+    .select()
+    .single();
+  if (error) throw error;
+
+  const since = new Date(Date.now() - WARNING_WINDOW_DAYS * 24 * HOUR).toISOString();
+  const { count } = await supabase
+    .from('user_warnings')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .gte('created_at', since);
+  const recentWarnings = count || 1;
+
+  const { data: profile } = await supabase
+    .from('profiles')
+    .select('warning_count')
+    .eq('id', userId)
+    .single();
+  await supabase
+    .from('profiles')
+    .update({ warning_count: (profile?.warning_count || 0) + 1 })
+    .eq('id', userId);
+
+  await logModerationAction(supabase, {
+    actorId,
+    action: 'warn',
+    targetType: 'user',
+    targetId: userId,
+    details: { reason, warning_id: warning.id, recent_warnings: recentWarnings, target_type: targetType, target_id: targetId },
+  });
+
+  await notifyUser(supabase, userId, 'You received a warning from the moderators', `Reason: ${reason}`);
+
+  // Escalate only when this warning lands exactly on a threshold, so a
+  // moderator lifting an escalated ban isn't overridden by the next warning
+  const step = WARNING_ESCALATION.find(s => s.warnings === recentWarnings);
+  let escalation = null;
+  if (step) {
+    const ban = await banUser(supabase, {
+      userId,
+      actorId,
+      reason: `Automatic suspension after ${recentWarnings} warnings in ${WARNING_WINDOW_DAYS} days (latest: ${reason})`,
+      duration: step.duration,
+      source: 'escalation',
+    });
+    await supabase.from('user_warnings').update({ escalated_ban_id: ban.id }).eq('id', warning.id);
+    escalation = { duration: step.duration, expires_at: ban.expires_at, ban_id: ban.id };
+  }
+
+  return { warning, recentWarnings, escalation };
+}
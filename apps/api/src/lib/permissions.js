@@ -0,0 +1,127 @@
+/**
+ * Permission model
+ *
+ * A user's permissions come from profiles.role plus any active rows in
+ * user_role_grants. Category moderators hold their permissions only for the
+ * categories they were granted; everything else is site-wide.
+ */
+
+import { activeBan } from './moderation.js';
+
+export const PERMISSIONS = {
+  MODERATE_CONTENT: 'moderate:content', // review/edit/remove deals and coupons
+  MODERATE_USERS: 'moderate:users', // warn and ban users
+  MODERATE_FORUMS: 'moderate:forums', // pin, lock, move and delete threads
+  VIEW_MODERATION_LOG: 'view:moderation_log',
+  AUTO_APPROVE: 'submit:auto_approve', // submissions skip the pending queue
+  MANAGE_BUSINESS: 'manage:business', // merchant portal for companies the user owns
+};
+
+export const ROLE_PERMISSIONS = {
+  admin: ['*'],
+  moderator: [
+    PERMISSIONS.MODERATE_CONTENT,
+    PERMISSIONS.MODERATE_USERS,
+    PERMISSIONS.MODERATE_FORUMS,
+    PERMISSIONS.VIEW_MODERATION_LOG,
+  ],
+  category_moderator: [PERMISSIONS.MODERATE_CONTENT],
+  trusted_submitter: [PERMISSIONS.AUTO_APPROVE],
+  merchant: [PERMISSIONS.MANAGE_BUSINESS],
+};
+
+// Values allowed in profiles.role ('mod' is accepted from older clients)
+export const PROFILE_ROLES = ['user', 'moderator', 'admin'];
+
+// Roles that can be granted on top of profiles.role
+export const GRANTABLE_ROLES = ['moderator', 'category_moderator', 'trusted_submitter', 'merchant'];
+
+export function normalizeProfileRole(role) {
+  if (role === 'mod') return 'moderator';
+  return PROFILE_ROLES.includes(role) ? role : null;
+}
+
+const NO_PERMISSIONS = {
+  role: null,
+  is_admin: false,
+  can_moderate: false,
+  is_trusted_submitter: false,
+  is_merchant: false,
+  permissions: [],
+  scoped: {},
+  category_ids: [],
+  grants: [],
+};
+
+/**
+ * Resolve everything a user is allowed to do.
+ * Shadow-banned and banned users hold no permissions.
+ */
+export async function getUserPermissions(supabase, userId) {
+  if (!userId) return { ...NO_PERMISSIONS };
+
+  const { data: profile, error } = await supabase
+    .from('profiles')
+    .select('id, role, shadow_banned, is_banned, banned_until')
+    .eq('id', userId)
+    .single();
+  if (error || !profile) return { ...NO_PERMISSIONS };
+
+  if (profile.shadow_banned || activeBan(profile)) {
+    return { ...NO_PERMISSIONS, role: profile.role };
+  }
+
+  const { data: grants } = await supabase
+    .from('user_role_grants')
+    .select('id, role, category_id, expires_at, created_at, categories(id, name, slug)')
+    .eq('user_id', userId)
+    .or(`expires_at.is.null,expires_at.gt.${new Date().toISOString()}`);
+
+  const permissions = new Set(ROLE_PERMISSIONS[normalizeProfileRole(profile.role)] || []);
+  const scoped = {};
+
+  for (const grant of grants || []) {
+    for (const permission of ROLE_PERMISSIONS[grant.role] || []) {
+      if (grant.category_id == null) {
+        permissions.add(permission);
+      } else {
+        (scoped[permission] ||= []).push(Number(grant.category_id));
+      }
+    }
+  }
+
+  const all = [...permissions];
+  const isAdmin = all.includes('*');
+  const has = (permission) => isAdmin || permissions.has(permission);
+
+  return {
+    role: profile.role,
+    is_admin: isAdmin,
+    can_moderate: has(PERMISSIONS.MODERATE_CONTENT) || has(PERMISSIONS.MODERATE_FORUMS),
+    is_trusted_submitter: has(PERMISSIONS.AUTO_APPROVE),
+    is_merchant: has(PERMISSIONS.MANAGE_BUSINESS),
+    permissions: all,
+    scoped,
+    category_ids: [...new Set(Object.values(scoped).flat())],
+    grants: grants || [],
+  };
+}
+
+/**
+ * Does the resolved permission set include `permission`?
+ * Pass categoryId to also accept a grant scoped to that category.
+ */
+export function hasPermission(perms, permission, { categoryId } = {}) {
+  if (!perms) return false;
+  if (perms.permissions.includes('*') || perms.permissions.includes(permission)) return true;
+  if (categoryId == null) return false;
+  return (perms.scoped[permission] || []).includes(Number(categoryId));
+}
+
+/**
+ * Category ids the user holds `permission` for, or null when it is site-wide
+ */
+export function permissionCategories(perms, permission) {
+  if (hasPermission(perms, permission)) return null;
+  return perms?.scoped[permission] || [];
+}
@@ -0,0 +1,290 @@
+/**
+ * Price Alert Service
+ *
+ * Evaluates users' per-deal price/stock alerts and delivers the ones that fire.
+ *
+ * There is no database trigger on deals (073 dropped it), so every code path
+ * that changes a deal's price or stock_status must record it here:
+ * - API writers (admin and merchant deal edits) call handleDealPriceChange()
+ * - The worker (ingestion, link checker) calls priceTracker.handlePriceChange()
+ *
+ * Either way the alert row is marked triggered first; deliverTriggeredAlerts()
+ * then sends the push/in-app notifications. The API runs it inline after its
+ * own changes and on an interval (startPriceAlertDelivery) for alerts the
+ * worker triggers; admins can also run it from the admin endpoint.
+ */
+
+import { isPriceAlertMet } from '@savebucks/shared';
+import { makeAdminClient } from './supa.js';
+import pushService from './pushService.js';
+
+const supabase = makeAdminClient();
+
+export const ALERT_TYPES = ['price_drop', 'price_rise', 'back_in_stock', 'low_stock'];
+export const NOTIFICATION_METHODS = ['browser', 'email', 'both'];
+
+const ALERT_COPY = {
+    price_drop: (deal) => ({ title: 'Price Drop Alert!', message: `${deal.title} is now $${deal.price}` }),
+    price_rise: (deal) => ({ title: 'Price Change Alert', message: `${deal.title} went up to $${deal.price}` }),
+    back_in_stock: (deal) => ({ title: 'Back in Stock!', message: `${deal.title} is available again` }),
+    low_stock: (deal) => ({ title: 'Selling Out Soon', message: `${deal.title} is running low on stock` })
+};
+
+/**
+ * Append a price history point for a deal
+ *
+ * @param {object} deal - Deal row after the change (id, price, original_price, stock_status)
+ * @param {object} [meta] - source, source_url, notes, created_by
+ */
+export async function recordPricePoint(deal, meta = {}) {
+    const price = deal.price ?? null;
+    const originalPrice = deal.original_price ?? null;
+    const hasDiscount = price != null && originalPrice > 0;
+
+    const { error } = await supabase
+        .from('deal_price_history')
+        .insert({
+            deal_id: deal.id,
+            price,
+            original_price: originalPrice,
+            discount_amount: hasDiscount ? Number((originalPrice - price).toFixed(2)) : null,
+            discount_percentage: hasDiscount ? Math.round((originalPrice - price) / originalPrice * 100) : null,
+            stock_status: deal.stock_status || 'unknown',
+            source: meta.source || 'manual',
+            source_url: meta.source_url || null,
+            notes: meta.notes || null,
+            created_by: meta.created_by || null,
+            verified: meta.source === 'manual'
+        });
+
+    if (error) {
+        console.error('Error recording price point:', error);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Mark every active alert on a deal whose condition now holds as triggered
+ *
+ * @returns {Promise<number>} Number of alerts triggered
+ */
+export async function triggerAlertsForDeal(deal) {
+    const { data: alerts, error } = await supabase
+        .from('price_alerts')
+        .select('id, alert_type, target_price')
+        .eq('deal_id', deal.id)
+        .eq('is_active', true)
+        .is('triggered_at', null);
+
+    if (error) {
+        console.error('Error fetching price alerts:', error);
+        return 0;
+    }
+
+    const met = (alerts || []).filter(alert => isPriceAlertMet(alert, deal));
+    if (met.length === 0) return 0;
+
+    const now = new Date().toISOString();
+    const { error: updateError } = await supabase
+        .from('price_alerts')
+        .update({
+            triggered_at: now,
+            triggered_price: deal.price ?? null,
+            is_active: false,
+            updated_at: now
+        })
+        .in('id', met.map(alert => alert.id))
+        .is('triggered_at', null);
+
+    if (updateError) {
+        console.error('Error triggering price alerts:', updateError);
+        return 0;
+    }
+    return met.length;
+}
+
+/**
+ * Send notifications for alerts that have fired but not been delivered yet
+ *
+ * @param {number} limit - Max alerts to deliver in one pass
+ * @returns {Promise<{processed: number, notifications: number}>}
+ */
+export async function deliverTriggeredAlerts(limit = 200) {
+    const { data: alerts, error } = await supabase
+        .from('price_alerts')
+        .select(`
+      id, user_id, deal_id, alert_type, target_price, triggered_price, notification_method,
+      deal:deals(id, title, price, image_url, stock_status)
+    `)
+        .not('triggered_at', 'is', null)
+        .eq('notification_sent', false)
+        .order('triggered_at', { ascending: true })
+        .limit(limit);
+
+    if (error) {
+        console.error('Error fetching triggered price alerts:', error);
+        return { processed: 0, notifications: 0, error: error.message };
+    }
+
+    if (!alerts || alerts.length === 0) {
+        return { processed: 0, notifications: 0 };
+    }
+
+    let notifications = 0;
+
+    for (const alert of alerts) {
+        // Claim the alert first so an overlapping pass (inline delivery, the
+        // interval, another API instance) can't send it twice. It stays
+        // handled even when the user opted out, so it isn't retried forever.
+        const { data: claimed } = await supabase
+            .from('price_alerts')
+            .update({ notification_sent: true, notified_at: new Date().toISOString() })
+            .eq('id', alert.id)
+            .eq('notification_sent', false)
+            .select('id');
+        if (!claimed?.length) continue;
+
+        try {
+            if (alert.deal && await deliverAlert(alert)) {
+                notifications++;
+            }
+        } catch (err) {
+            console.error(`Error delivering price alert ${alert.id}:`, err);
+        }
+    }
+
+    console.log(`✅ Delivered ${notifications} of ${alerts.length} triggered price alerts`);
+    return { processed: alerts.length, notifications };
+}
+
+async function deliverAlert(alert) {
+    const { data: prefs } = await supabase
+        .from('user_notification_preferences')
+        .select('push_notifications_enabled, email_notifications_enabled, price_drop_alerts')
+        .eq('user_id', alert.user_id)
+        .maybeSingle();
+
+    if (prefs && prefs.price_drop_alerts === false) {
+        return false;
+    }
+
+    // Report the price that tripped the alert, not whatever it is by now
+    const deal = { ...alert.deal, price: alert.triggered_price ?? alert.deal.price };
+    const copy = ALERT_COPY[alert.alert_type]?.(deal) || ALERT_COPY.price_drop(deal);
+    const method = alert.notification_method || 'browser';
+
+    if (method !== 'email' && (!prefs || prefs.push_notifications_enabled !== false)) {
+        if (alert.alert_type === 'price_drop') {
+            await pushService.sendPriceDropNotification(alert.user_id, { ...deal, price: `$${deal.price}` });
+        } else {
+            await pushService.sendPushToUser(alert.user_id, {
+                title: copy.title,
+                body: copy.message,
+                icon: deal.image_url || '/icon-192.png',
+                url: `/deal/${deal.id}`,
+                type: alert.alert_type,
+                deal_id: deal.id,
+                tag: `${alert.alert_type}-${deal.id}`
+            });
+        }
+    }
+
+    const rows = [{
+        user_id: alert.user_id,
+        deal_id: deal.id,
+        notification_type: 'in_app',
+        priority: 3,
+        title: copy.title,
+        message: copy.message,
+        action_url: `/deal/${deal.id}`,
+        image_url: deal.image_url || null
+    }];
+
+    if (method !== 'browser' && (!prefs || prefs.email_notifications_enabled !== false)) {
+        rows.push({ ...rows[0], notification_type: 'email', template_data: { ActionLabel: 'View deal' } });
+    }
+
+    const { error } = await supabase.from('notification_queue').insert(rows);
+    if (error) {
+        console.error('Error queueing price alert notification:', error);
+    }
+
+    return true;
+}
+
+let timer = null;
+
+/**
+ * Deliver triggered alerts every PRICE_ALERT_DELIVERY_INTERVAL_SECONDS
+ * (default 300), including the ones the ingestion worker triggers
+ */
+export function startPriceAlertDelivery() {
+    if (timer) return;
+
+    const intervalMs = (Number(process.env.PRICE_ALERT_DELIVERY_INTERVAL_SECONDS) || 300) * 1000;
+    let running = false;
+
+    timer = setInterval(async () => {
+        if (running) return;
+        running = true;
+        try {
+            await deliverTriggeredAlerts();
+        } catch (error) {
+            console.error('Price alert delivery failed:', error.message);
+        } finally {
+            running = false;
+        }
+    }, intervalMs);
+    timer.unref();
+}
+
+/**
+ * Whether an edit changed anything price history and alerts care about
+ *
+ * @param {object} previous - Row before the edit (price, original_price, stock_status)
+ * @param {object} deal - Row after the edit
+ */
+export function priceOrStockChanged(previous, deal) {
+    if (!previous || !deal) return false;
+    return Number(previous.price) !== Number(deal.price) ||
+        Number(previous.original_price) !== Number(deal.original_price) ||
+        (previous.stock_status ?? null) !== (deal.stock_status ?? null);
+}
+
+/**
+ * Record a deal's new price/stock, then trigger and deliver its alerts.
+ * Used whenever the API itself changes a deal (admin and merchant edits).
+ */
+export async function handleDealPriceChange(deal, meta = {}) {
+    // Seed the series with the replaced price if this is the first tracked change
+    if (meta.previous_price != null) {
+        const { count } = await supabase
+            .from('deal_price_history')
+            .select('id', { count: 'exact', head: true })
+            .eq('deal_id', deal.id);
+
+        if (count === 0) {
+            await recordPricePoint({ ...deal, price: meta.previous_price }, {
+                ...meta,
+                notes: 'Price before first tracked change'
+            });
+        }
+    }
+
+    await recordPricePoint(deal, meta);
+    const triggered = await triggerAlertsForDeal(deal);
+    if (triggered > 0) {
+        await deliverTriggeredAlerts();
+    }
+    return { triggered };
+}
+
+export default {
+    recordPricePoint,
+    triggerAlertsForDeal,
+    deliverTriggeredAlerts,
+    startPriceAlertDelivery,
+    priceOrStockChanged,
+    handleDealPriceChange
+};
@@ -0,0 +1,99 @@
+/**
+ * Redemption Tokens
+ *
+ * Short-lived, HMAC-signed tokens a customer shows (as a QR code) to redeem a
+ * claimed deal in store. Format: base64url(JSON payload) + '.' + base64url(sig)
+ *
+ * Payload: { c: claim id, d: deal id, n: nonce, e: expiry (unix seconds) }
+ *
+ * The signature proves the token came from us and hasn't expired; the nonce
+ * must still match deal_claims.token_nonce, so issuing a new token revokes
+ * the previous one. Single use is enforced by redeem_deal_claim().
+ */
+
+import crypto from 'crypto';
+
+export const TOKEN_TTL_SECONDS = Number(process.env.REDEMPTION_TOKEN_TTL) || 10 * 60;
+
+export class RedemptionTokenError extends Error {
+  constructor(code, message) {
+    super(message);
+    this.name = 'RedemptionTokenError';
+    this.code = code;
+  }
+}
+
+function getSecret() {
+  const secret = process.env.REDEMPTION_TOKEN_SECRET;
+  if (secret) return secret;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('REDEMPTION_TOKEN_SECRET is required in production');
+  }
+  return 'dev-redemption-secret';
+}
+
+function sign(body) {
+  return crypto.createHmac('sha256', getSecret()).update(body).digest('base64url');
+}
+
+/**
+ * Create a token for a claim
+ * @returns {{ token: string, nonce: string, expires_at: string }}
+ */
+export function issueRedemptionToken(claim, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const nonce = crypto.randomBytes(9).toString('base64url');
+  const exp = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const body = Buffer.from(JSON.stringify({
+    c: claim.id,
+    d: claim.deal_id,
+    n: nonce,
+    e: exp
+  })).toString('base64url');
+
+  return {
+    token: `${body}.${sign(body)}`,
+    nonce,
+    expires_at: new Date(exp * 1000).toISOString()
+  };
+}
+
+/**
+ * Check signature and expiry
+ * @returns {{ claimId: string, dealId: number, nonce: string, expiresAt: Date }}
+ * @throws {RedemptionTokenError}
+ */
+export function verifyRedemptionToken(token) {
+  const [body, signature] = String(token || '').trim().split('.');
+  if (!body || !signature) {
+    throw new RedemptionTokenError('malformed', 'Malformed redemption token');
+  }
+
+  const expected = Buffer.from(sign(body));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new RedemptionTokenError('bad_signature', 'Redemption token signature is invalid');
+  }
+
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(body, 'base64url').toString('utf8'));
+  } catch {
+    throw new RedemptionTokenError('malformed', 'Malformed redemption token');
+  }
+
+  if (!payload.c || !payload.n || !Number.isFinite(payload.e)) {
+    throw new RedemptionTokenError('malformed', 'Malformed redemption token');
+  }
+
+  // Worded without "expired": the web client reads that as a lapsed login session
+  if (payload.e * 1000 <= Date.now()) {
+    throw new RedemptionTokenError('timed_out', 'Redemption code timed out; ask the customer to refresh it');
+  }
+
+  return {
+    claimId: payload.c,
+    dealId: payload.d,
+    nonce: payload.n,
+    expiresAt: new Date(payload.e * 1000)
+  };
+}
@@ -1,117 +1,219 @@
 /**
  * Saved Search Alert Service
  * 
- * Monitors new deals and matches them against users' saved searches.
- * Sends push/email notifications when matches are found.
+ * Matches newly approved deals against users' saved searches.
+ * Every match is recorded once in saved_search_matches. Searches with
+ * 'immediate' frequency get push, in-app and email notifications (delivered
+ * by lib/email/dispatcher.js) right away; daily and weekly matches stay
+ * pending until the worker's digest job (apps/worker/src/jobs/digests) sends
+ * them. A deal the user was already notified about is not sent again.
  * 
- * This can be run:
- * - As a cron job (recommended: every 15-30 minutes)
- * - After each new deal is approved
- * - Manually via admin endpoint
+ * Matching is driven by deal_approval_events, which a trigger on deals writes
+ * whenever a deal becomes approved (admin review, worker auto-approval, ...).
+ * Events are worked through in order:
+ * - after an admin approval (runSavedSearchMatching)
+ * - on an interval in the API process (startSavedSearchMatcher), which picks
+ *   up approvals made outside the API
+ * - manually via the admin endpoint
+ * Candidate searches come from the saved_search_terms index (see
+ * 085_saved_search_matching.sql) instead of scanning every search.
  */
 
 import { makeAdminClient } from './supa.js';
+import { log } from './logger.js';
 import pushService from './pushService.js';
+import { siteUrl } from './email/index.js';
 
 const supabase = makeAdminClient();
 
+export const MAX_EVENT_ATTEMPTS = 3;
+// Checked searches are recorded in batches of this many rows
+const MATCH_BATCH = 200;
+
+const DEAL_FIELDS = `
+    id, title, description, price, original_price, discount_percentage,
+    merchant, category_id, image_url, status, companies(name)
+`;
+
 /**
- * Check new deals against all saved searches and notify users
- * 
- * @param {number} minutesAgo - How far back to look for new deals (default: 30)
- * @returns {Promise<{processed: number, matches: number, notifications: number}>}
+ * Words of a keyword search or deal text
+ * Keep in step with saved_search_text_terms() in 085_saved_search_matching.sql
  */
-export async function processNewDealAlerts(minutesAgo = 30) {
-    console.log(`🔍 Processing saved search alerts (last ${minutesAgo} minutes)`);
+function textTerms(text) {
+    return new Set(String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 2));
+}
 
-    const startTime = new Date();
-    startTime.setMinutes(startTime.getMinutes() - minutesAgo);
+/**
+ * 'https://www.BestBuy.com', 'bestbuy.com' and 'Best Buy' all become 'bestbuy'
+ * Keep in step with saved_search_merchant_key() in 085_saved_search_matching.sql
+ */
+function merchantKey(value) {
+    const key = String(value || '')
+        .toLowerCase()
+        .replace(/^(https?:\/\/)?(www\.)?|\.(com|net|org|co|io|us|ca|co\.uk)(\/.*)?$/g, '')
+        .replace(/[^a-z0-9]/g, '');
+    return key || null;
+}
 
-    try {
-        // Get recently approved deals
-        const { data: newDeals, error: dealsError } = await supabase
-            .from('deals')
-            .select(`
-        id, title, description, price, original_price, discount_percentage,
-        merchant, category_id, image_url, created_at
-      `)
-            .eq('status', 'approved')
-            .gte('created_at', startTime.toISOString())
-            .order('created_at', { ascending: false });
-
-        if (dealsError) {
-            console.error('Error fetching new deals:', dealsError);
-            return { processed: 0, matches: 0, notifications: 0, error: dealsError.message };
-        }
+async function finishEvent(event, fields) {
+    const { error } = await supabase.from('deal_approval_events').update(fields).eq('id', event.id);
+    if (error) console.error(`Could not update approval event ${event.id}:`, error.message);
 
-        if (!newDeals || newDeals.length === 0) {
-            console.log('📭 No new deals to process');
-            return { processed: 0, matches: 0, notifications: 0 };
-        }
+    // A processed event is never retried, so its checked searches can go
+    if (fields.processed_at) {
+        await supabase.from('saved_search_event_matches').delete().eq('event_id', event.id);
+    }
+}
 
-        console.log(`📦 Found ${newDeals.length} new deals to check`);
+/**
+ * Match one approval event's deal against its candidate searches
+ */
+async function matchDealEvent(event) {
+    const result = { candidates: 0, matches: 0, notifications: 0 };
+
+    const { data: deal, error } = await supabase
+        .from('deals')
+        .select(DEAL_FIELDS)
+        .eq('id', event.deal_id)
+        .maybeSingle();
+
+    if (error) throw error;
+    // Rejected or deleted again before we got to it
+    if (!deal || deal.status !== 'approved') return result;
+
+    const { data: candidates, error: candidateError } = await supabase
+        .rpc('saved_search_candidates', { p_deal_id: deal.id, p_event_id: event.id });
+
+    if (candidateError) throw candidateError;
+    if (!candidates?.length) return result;
+    result.candidates = candidates.length;
+
+    const userMatches = {};
+    for (const search of candidates) {
+        if (!matchesSavedSearch(deal, search)) continue;
+        result.matches++;
+        if (!userMatches[search.user_id]) {
+            userMatches[search.user_id] = [];
+        }
+        userMatches[search.user_id].push({ deal, search });
+    }
 
-        // Get all active saved searches with alerts enabled
-        const { data: savedSearches, error: searchError } = await supabase
-            .from('saved_searches')
-            .select('*')
-            .eq('alert_enabled', true);
+    for (const [userId, matches] of Object.entries(userMatches)) {
+        result.notifications += await sendSearchAlertNotifications(userId, matches);
+    }
 
-        if (searchError) {
-            console.error('Error fetching saved searches:', searchError);
-            return { processed: newDeals.length, matches: 0, notifications: 0, error: searchError.message };
-        }
+    // Every candidate has now seen this event, matched or not; a retry of
+    // the event skips them
+    const rows = candidates.map(search => ({ event_id: event.id, saved_search_id: search.id }));
+    for (let i = 0; i < rows.length; i += MATCH_BATCH) {
+        const { error: matchError } = await supabase
+            .from('saved_search_event_matches')
+            .upsert(rows.slice(i, i + MATCH_BATCH), { onConflict: 'event_id,saved_search_id', ignoreDuplicates: true });
 
-        if (!savedSearches || savedSearches.length === 0) {
-            console.log('📭 No active saved searches with alerts');
-            return { processed: newDeals.length, matches: 0, notifications: 0 };
-        }
+        if (matchError) throw matchError;
+    }
 
-        console.log(`🔎 Checking against ${savedSearches.length} saved searches`);
+    return result;
+}
 
-        let totalMatches = 0;
-        let totalNotifications = 0;
+/**
+ * Work through pending deal approval events, oldest first
+ * 
+ * An event that commits late (a lower id than events already handled) is
+ * still pending, so it is picked up by the next run. An event that fails is
+ * retried on later runs and given up after MAX_EVENT_ATTEMPTS.
+ * 
+ * @param {object} [options]
+ * @param {number} [options.limit] - Most events to handle in this run
+ * @returns {Promise<{processed: number, failed: number, candidates: number, matches: number, notifications: number}>}
+ */
+export async function processDealApprovalEvents({ limit = 100 } = {}) {
+    const totals = { processed: 0, failed: 0, candidates: 0, matches: 0, notifications: 0 };
+
+    const { data: events, error } = await supabase
+        .from('deal_approval_events')
+        .select('id, deal_id, attempts')
+        .is('processed_at', null)
+        .order('id', { ascending: true })
+        .limit(limit);
+
+    if (error) throw error;
+
+    for (const event of events || []) {
+        // Take the event; losing this race means another API process is on the queue
+        const { data: claimed } = await supabase
+            .from('deal_approval_events')
+            .update({ attempts: event.attempts + 1 })
+            .eq('id', event.id)
+            .eq('attempts', event.attempts)
+            .is('processed_at', null)
+            .select('id');
+        if (!claimed?.length) break;
 
-        // Group searches by user to batch notifications
-        const userMatches = {};
+        try {
+            const result = await matchDealEvent(event);
+            await finishEvent(event, { processed_at: new Date().toISOString(), error_message: null });
 
-        // Process each deal against each saved search
-        for (const deal of newDeals) {
-            for (const search of savedSearches) {
-                if (matchesSavedSearch(deal, search)) {
-                    totalMatches++;
+            totals.processed++;
+            totals.candidates += result.candidates;
+            totals.matches += result.matches;
+            totals.notifications += result.notifications;
+        } catch (error) {
+            console.error(`Saved search matching failed for deal ${event.deal_id}:`, error);
 
-                    if (!userMatches[search.user_id]) {
-                        userMatches[search.user_id] = [];
-                    }
-                    userMatches[search.user_id].push({
-                        deal,
-                        search
-                    });
-                }
+            if (event.attempts + 1 >= MAX_EVENT_ATTEMPTS) {
+                await finishEvent(event, { processed_at: new Date().toISOString(), error_message: error.message });
+                totals.failed++;
+                continue;
             }
-        }
 
-        // Send notifications to each user (batched by user)
-        for (const [userId, matches] of Object.entries(userMatches)) {
-            const notificationsSent = await sendSearchAlertNotifications(userId, matches);
-            totalNotifications += notificationsSent;
+            await finishEvent(event, { error_message: error.message });
         }
+    }
 
-        console.log(`✅ Processed ${newDeals.length} deals, ${totalMatches} matches, ${totalNotifications} notifications`);
+    return totals;
+}
 
-        return {
-            processed: newDeals.length,
-            matches: totalMatches,
-            notifications: totalNotifications
-        };
+let running = false;
+let runAgain = false;
 
+/**
+ * Process pending approval events now. Never rejects, so callers can fire and
+ * forget; a call during a run queues one more run after it.
+ */
+export async function runSavedSearchMatching() {
+    if (running) {
+        runAgain = true;
+        return;
+    }
+
+    running = true;
+    try {
+        do {
+            runAgain = false;
+            const totals = await processDealApprovalEvents();
+            if (totals.processed || totals.failed) log('Saved search matching:', totals);
+        } while (runAgain);
     } catch (error) {
-        console.error('Error processing deal alerts:', error);
-        return { processed: 0, matches: 0, notifications: 0, error: error.message };
+        console.error('Saved search matching failed:', error.message);
+    } finally {
+        running = false;
     }
 }
 
+let timer = null;
+
+/**
+ * Poll for approval events every SAVED_SEARCH_MATCH_INTERVAL_SECONDS (default 30)
+ */
+export function startSavedSearchMatcher() {
+    if (timer) return;
+
+    const intervalMs = (Number(process.env.SAVED_SEARCH_MATCH_INTERVAL_SECONDS) || 30) * 1000;
+    timer = setInterval(runSavedSearchMatching, intervalMs);
+    timer.unref();
+}
+
 /**
  * Check if a deal matches a saved search
  */
@@ -119,22 +221,17 @@ function matchesSavedSearch(deal, search) {
     const { search_type, query_text, merchant_domain, category_id, filters = {} } = search;
 
     switch (search_type) {
-        case 'keyword':
-            // Match by keyword in title or description
-            if (query_text) {
-                const keywords = query_text.toLowerCase().split(/\s+/);
-                const searchText = `${deal.title} ${deal.description || ''}`.toLowerCase();
-                return keywords.some(kw => searchText.includes(kw));
-            }
-            return false;
+        case 'keyword': {
+            // Match any whole word of the query in title or description
+            const dealWords = textTerms(`${deal.title} ${deal.description || ''}`);
+            return [...textTerms(query_text)].some(word => dealWords.has(word));
+        }
 
-        case 'merchant':
-            // Match by merchant
-            if (merchant_domain) {
-                const dealMerchant = (deal.merchant || '').toLowerCase();
-                return dealMerchant.includes(merchant_domain.toLowerCase());
-            }
-            return false;
+        case 'merchant': {
+            // Match by merchant name or the deal's company
+            const key = merchantKey(merchant_domain);
+            return Boolean(key) && [deal.merchant, deal.companies?.name].some(name => merchantKey(name) === key);
+        }
 
         case 'category':
             // Match by category
@@ -160,133 +257,229 @@ function matchesSavedSearch(deal, search) {
             }
             return false;
 
+        case 'advanced': {
+            // Price range and/or minimum discount, all given filters must hold
+            const { min_price, max_price, min_discount } = filters || {};
+            if (!min_price && !max_price && !min_discount) return false;
+            const price = deal.price || 0;
+            if (min_price && price < min_price) return false;
+            if (max_price && price > max_price) return false;
+            if (min_discount && (deal.discount_percentage || 0) < min_discount) return false;
+            return true;
+        }
+
         default:
             return false;
     }
 }
 
+/**
+ * Price line for a deal in an alert email
+ */
+function dealPriceText(deal) {
+    const parts = [];
+    if (deal.price != null) parts.push(deal.price === 0 ? 'Free' : `$${deal.price}`);
+    if (deal.discount_percentage) parts.push(`${Math.round(deal.discount_percentage)}% off`);
+    return parts.join(' · ');
+}
+
+/**
+ * Queue one alert email per saved search; the email dispatcher sends it
+ */
+async function queueSearchAlertEmail(userId, search, deals) {
+    const { error } = await supabase
+        .from('notification_queue')
+        .insert({
+            user_id: userId,
+            notification_type: 'email',
+            priority: 3,
+            title: `New deals for "${search.name || 'Saved Search'}"`,
+            message: deals.map(deal => deal.title).join('\n'),
+            action_url: '/saved-searches',
+            saved_search_id: search.id,
+            deal_id: deals[0].id,
+            template: 'saved-search-alert',
+            template_data: {
+                SearchName: search.name || 'Saved Search',
+                ManageURL: siteUrl('/saved-searches'),
+                Deals: deals.map(deal => ({
+                    Title: deal.title,
+                    URL: siteUrl(`/deal/${deal.id}`),
+                    PriceText: dealPriceText(deal),
+                    Merchant: deal.merchant || null
+                })),
+                unsubscribe_scope: `saved_search:${search.id}`
+            },
+            status: 'pending'
+        });
+
+    if (error) throw error;
+}
+
+/**
+ * Record matches, returning only those not recorded before
+ * (saved_search_matches is unique per search and deal)
+ */
+async function recordMatches(userId, matches) {
+    const { data, error } = await supabase
+        .from('saved_search_matches')
+        .upsert(matches.map(({ deal, search }) => ({
+            saved_search_id: search.id,
+            user_id: userId,
+            deal_id: deal.id
+        })), { onConflict: 'saved_search_id,deal_id', ignoreDuplicates: true })
+        .select('id, saved_search_id, deal_id');
+
+    if (error) throw error;
+
+    const inserted = new Map((data || []).map(row => [`${row.saved_search_id}:${row.deal_id}`, row.id]));
+    return matches
+        .filter(({ deal, search }) => inserted.has(`${search.id}:${deal.id}`))
+        .map(match => ({ ...match, matchId: inserted.get(`${match.search.id}:${match.deal.id}`) }));
+}
+
+async function closeMatches(matchIds, status) {
+    if (matchIds.length === 0) return;
+
+    const { error } = await supabase
+        .from('saved_search_matches')
+        .update({ status, notified_at: status === 'notified' ? new Date().toISOString() : null })
+        .in('id', matchIds);
+
+    if (error) console.error(`Error marking saved search matches ${status}:`, error);
+}
+
+/**
+ * Deal ids from `dealIds` the user has already been notified about
+ */
+async function alreadyNotifiedDeals(userId, dealIds) {
+    const { data, error } = await supabase
+        .from('saved_search_matches')
+        .select('deal_id')
+        .eq('user_id', userId)
+        .eq('status', 'notified')
+        .in('deal_id', dealIds);
+
+    if (error) throw error;
+    return new Set((data || []).map(row => row.deal_id));
+}
+
 /**
  * Send notifications for matched deals
  * 
+ * Only immediate searches notify here. Push and in-app go out per deal, once
+ * per deal even when it matches several searches; searches with email on get
+ * one email listing their matches. Daily/weekly matches are left pending for
+ * the digest.
+ * 
  * @param {string} userId - User ID to notify
  * @param {Array} matches - Array of {deal, search} objects
- * @returns {Promise<number>} Number of notifications sent
+ * @returns {Promise<number>} Number of notifications sent or queued
  */
 async function sendSearchAlertNotifications(userId, matches) {
     let sent = 0;
 
-    // Limit to 5 notifications per batch to avoid spam
-    const limitedMatches = matches.slice(0, 5);
+    const fresh = await recordMatches(userId, matches);
+    if (fresh.length === 0) return 0;
 
-    for (const { deal, search } of limitedMatches) {
-        try {
-            // Check user's notification preferences
-            const { data: prefs } = await supabase
-                .from('user_notification_preferences')
-                .select('push_notifications_enabled, new_deal_alerts')
-                .eq('user_id', userId)
-                .single();
-
-            // Skip if user has disabled notifications
-            if (prefs && (!prefs.push_notifications_enabled || !prefs.new_deal_alerts)) {
-                continue;
-            }
+    // Check user's notification preferences (no row = defaults, all on)
+    const { data: prefs } = await supabase
+        .from('user_notification_preferences')
+        .select('push_notifications_enabled, email_notifications_enabled, in_app_notifications_enabled, new_deal_alerts')
+        .eq('user_id', userId)
+        .maybeSingle();
 
-            // Send push notification
-            const result = await pushService.sendPushToUser(userId, {
-                title: `🔔 Match: ${search.name || 'Saved Search'}`,
-                body: deal.title,
-                icon: deal.image_url || '/icon-192.png',
-                url: `/deal/${deal.id}`,
-                type: 'saved_search_match',
-                deal_id: deal.id,
-                tag: `search-match-${deal.id}`
-            });
-
-            if (result.success && result.sent > 0) {
-                sent++;
-            }
+    if (prefs && !prefs.new_deal_alerts) {
+        await closeMatches(fresh.map(match => match.matchId), 'dropped');
+        return 0;
+    }
 
-            // Also queue in-app notification
-            await supabase
-                .from('notification_queue')
-                .insert({
-                    user_id: userId,
-                    notification_type: 'saved_search_match',
-                    title: `Match for "${search.name || 'Saved Search'}"`,
-                    message: deal.title,
-                    action_url: `/deal/${deal.id}`,
-                    image_url: deal.image_url,
-                    deal_id: deal.id,
-                    saved_search_id: search.id,
-                    status: 'pending',
-                    priority: 'normal'
-                });
+    const immediate = fresh.filter(({ search }) => (search.alert_frequency || 'immediate') === 'immediate');
+    if (immediate.length === 0) return 0;
 
-        } catch (error) {
-            console.error(`Error sending notification to user ${userId}:`, error);
-        }
-    }
+    const notified = await alreadyNotifiedDeals(userId, [...new Set(immediate.map(match => match.deal.id))]);
+    const notifiedIds = [];
+    const droppedIds = [];
+    const pushedDeals = new Set();
+    const emailBySearch = new Map();
 
-    return sent;
-}
+    for (const match of immediate) {
+        const { deal, search } = match;
 
-/**
- * Process alerts for a specific deal (called when deal is approved)
- */
-export async function processAlertsForDeal(dealId) {
-    try {
-        // Get the deal
-        const { data: deal, error } = await supabase
-            .from('deals')
-            .select('*')
-            .eq('id', dealId)
-            .single();
-
-        if (error || !deal) {
-            console.error('Deal not found:', dealId);
-            return { matches: 0, notifications: 0 };
+        // Limit to 5 deals per batch to avoid spam
+        if (notified.has(deal.id) || (!pushedDeals.has(deal.id) && pushedDeals.size >= 5)) {
+            droppedIds.push(match.matchId);
+            continue;
         }
 
-        // Get all active saved searches
-        const { data: savedSearches } = await supabase
-            .from('saved_searches')
-            .select('*')
-            .eq('alert_enabled', true);
+        try {
+            if (!pushedDeals.has(deal.id)) {
+                pushedDeals.add(deal.id);
+
+                if (prefs?.push_notifications_enabled !== false && search.push_notifications !== false) {
+                    const result = await pushService.sendPushToUser(userId, {
+                        title: `🔔 Match: ${search.name || 'Saved Search'}`,
+                        body: deal.title,
+                        icon: deal.image_url || '/icon-192.png',
+                        url: `/deal/${deal.id}`,
+                        type: 'saved_search_match',
+                        deal_id: deal.id,
+                        tag: `search-match-${deal.id}`
+                    });
 
-        if (!savedSearches || savedSearches.length === 0) {
-            return { matches: 0, notifications: 0 };
-        }
+                    if (result.success && result.sent > 0) {
+                        sent++;
+                    }
+                }
 
-        const userMatches = {};
+                if (prefs?.in_app_notifications_enabled !== false && search.in_app_notifications !== false) {
+                    await supabase
+                        .from('notification_queue')
+                        .insert({
+                            user_id: userId,
+                            notification_type: 'in_app',
+                            title: `Match for "${search.name || 'Saved Search'}"`,
+                            message: deal.title,
+                            action_url: `/deal/${deal.id}`,
+                            image_url: deal.image_url,
+                            deal_id: deal.id,
+                            saved_search_id: search.id,
+                            status: 'pending',
+                            priority: 2
+                        });
+                }
+            }
 
-        for (const search of savedSearches) {
-            if (matchesSavedSearch(deal, search)) {
-                if (!userMatches[search.user_id]) {
-                    userMatches[search.user_id] = [];
+            if (prefs?.email_notifications_enabled !== false && search.email_notifications !== false) {
+                if (!emailBySearch.has(search.id)) {
+                    emailBySearch.set(search.id, { search, deals: [] });
                 }
-                userMatches[search.user_id].push({ deal, search });
+                emailBySearch.get(search.id).deals.push(deal);
             }
+
+            notifiedIds.push(match.matchId);
+        } catch (error) {
+            console.error(`Error sending notification to user ${userId}:`, error);
         }
+    }
 
-        let totalNotifications = 0;
-        for (const [userId, matches] of Object.entries(userMatches)) {
-            const sent = await sendSearchAlertNotifications(userId, matches);
-            totalNotifications += sent;
+    for (const { search, deals } of emailBySearch.values()) {
+        try {
+            await queueSearchAlertEmail(userId, search, deals);
+            sent++;
+        } catch (error) {
+            console.error(`Error queueing alert email for user ${userId}:`, error);
         }
+    }
 
-        return {
-            matches: Object.keys(userMatches).length,
-            notifications: totalNotifications
-        };
+    await closeMatches(notifiedIds, 'notified');
+    await closeMatches(droppedIds, 'dropped');
 
-    } catch (error) {
-        console.error('Error processing alerts for deal:', error);
-        return { matches: 0, notifications: 0, error: error.message };
-    }
+    return sent;
 }
 
 export default {
-    processNewDealAlerts,
-    processAlertsForDeal
+    processDealApprovalEvents,
+    runSavedSearchMatching,
+    startSavedSearchMatcher
 };
@@ -0,0 +1,232 @@
+/**
+ * Store reputation: aggregates community signals per merchant/company into a
+ * 0-100 trust score.
+ *
+ * Signals:
+ *   - review ratings on the store's deals (deal_reviews)
+ *   - deal votes (votes)
+ *   - how often the store's deals end up expired
+ *   - coupon success rate (coupon_usage, falling back to coupons.success_rate)
+ *   - deal volume, as a confidence term
+ *
+ * A store is looked up by company slug, company id or free-text merchant name.
+ */
+
+// Weights for each signal; signals without data are dropped and the rest re-normalised
+export const TRUST_WEIGHTS = {
+  reviews: 0.3,
+  votes: 0.25,
+  freshness: 0.2,
+  coupons: 0.15,
+  volume: 0.1,
+};
+
+// Vote ratio is smoothed towards 50% until a store has enough votes to speak for itself
+const VOTE_PRIOR = 10;
+
+const MAX_DEALS = 2000;
+const IN_CHUNK = 200;
+
+// .in() filters go in the query string, so split large id lists
+async function selectIn(supabase, table, columns, column, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += IN_CHUNK) {
+    const { data, error } = await supabase
+      .from(table)
+      .select(columns)
+      .in(column, ids.slice(i, i + IN_CHUNK));
+    if (error) throw error;
+    rows.push(...(data || []));
+  }
+  return rows;
+}
+
+/**
+ * Find the company behind a store key, if any
+ * @returns {Promise<{company: object|null, merchant: string}>}
+ */
+export async function resolveStore(supabase, key) {
+  const value = String(key || '').trim();
+  if (!value) return { company: null, merchant: '' };
+
+  const fields = `
+    id, name, slug, logo_url, website_url, is_verified, created_at,
+    rating, total_reviews, return_policy, certifications
+  `;
+
+  let { data: company } = await supabase
+    .from('companies')
+    .select(fields)
+    .eq('slug', value.toLowerCase())
+    .maybeSingle();
+
+  if (!company && /^\d+$/.test(value)) {
+    ({ data: company } = await supabase.from('companies').select(fields).eq('id', Number(value)).maybeSingle());
+  }
+
+  if (!company) {
+    ({ data: company } = await supabase
+      .from('companies')
+      .select(fields)
+      .ilike('name', value)
+      .limit(1)
+      .maybeSingle());
+  }
+
+  return { company: company || null, merchant: company?.name || value };
+}
+
+function round(n, digits = 1) {
+  const f = 10 ** digits;
+  return Math.round(n * f) / f;
+}
+
+/**
+ * Weighted trust score from whichever components have data
+ */
+export function trustScore(components, { verified = false } = {}) {
+  let total = 0;
+  let weight = 0;
+  for (const [name, value] of Object.entries(components)) {
+    if (value == null) continue;
+    total += value * TRUST_WEIGHTS[name];
+    weight += TRUST_WEIGHTS[name];
+  }
+  if (weight === 0) return null;
+
+  const score = total / weight + (verified ? 5 : 0);
+  return Math.round(Math.min(100, Math.max(0, score)));
+}
+
+/**
+ * Aggregate every reputation signal for a store
+ * @returns {Promise<object|null>} null when the store has no company and no deals
+ */
+export async function getStoreReputation(supabase, key) {
+  const { company, merchant } = await resolveStore(supabase, key);
+  if (!merchant) return null;
+
+  let dealQuery = supabase
+    .from('deals')
+    .select('id, status, expires_at, created_at')
+    .in('status', ['approved', 'expired'])
+    .order('created_at', { ascending: false })
+    .limit(MAX_DEALS);
+  dealQuery = company
+    ? dealQuery.or(`company_id.eq.${company.id},merchant.ilike."${merchant.replace(/["\\]/g, '')}"`)
+    : dealQuery.ilike('merchant', merchant);
+
+  const { data: deals, error: dealsError } = await dealQuery;
+  if (dealsError) throw dealsError;
+
+  if (!company && (!deals || deals.length === 0)) return null;
+
+  const dealIds = (deals || []).map(d => d.id);
+  const now = Date.now();
+
+  // Votes
+  const votes = dealIds.length ? await selectIn(supabase, 'votes', 'value', 'deal_id', dealIds) : [];
+  const ups = votes.filter(v => v.value === 1).length;
+  const downs = votes.filter(v => v.value === -1).length;
+
+  // Reviews
+  const reviews = dealIds.length
+    ? await selectIn(supabase, 'deal_reviews', 'rating, created_at', 'deal_id', dealIds)
+    : [];
+  const reviewAvg = reviews.length ? reviews.reduce((sum, r) => sum + r.rating, 0) / reviews.length : null;
+
+  // Latest reviews, taken from the store's most recent deals
+  let recentReviews = [];
+  if (dealIds.length && reviews.length) {
+    const { data } = await supabase
+      .from('deal_reviews')
+      .select('id, title, content, rating, created_at, profiles!deal_reviews_user_id_fkey(handle)')
+      .in('deal_id', dealIds.slice(0, IN_CHUNK))
+      .order('created_at', { ascending: false })
+      .limit(5);
+    recentReviews = (data || []).map(r => ({
+      id: r.id,
+      rating: r.rating,
+      title: r.title,
+      comment: r.content,
+      author: r.profiles?.handle || 'Anonymous',
+      date: r.created_at,
+    }));
+  }
+
+  // Expired-deal rate: explicitly expired, or past expires_at
+  const expiredDeals = (deals || []).filter(d =>
+    d.status === 'expired' || (d.expires_at && new Date(d.expires_at).getTime() < now)
+  ).length;
+  const expiredRate = deals?.length ? expiredDeals / deals.length : null;
+
+  // Coupon success rate
+  let coupons = [];
+  if (company) {
+    const { data } = await supabase
+      .from('coupons')
+      .select('id, status, success_rate, used_count')
+      .eq('company_id', company.id)
+      .in('status', ['approved', 'expired']);
+    coupons = data || [];
+  }
+
+  let couponAttempts = 0;
+  let couponSuccesses = 0;
+  if (coupons.length) {
+    const usage = await selectIn(supabase, 'coupon_usage', 'was_successful', 'coupon_id', coupons.map(c => c.id));
+    couponAttempts = usage.length;
+    couponSuccesses = usage.filter(u => u.was_successful).length;
+
+    // Older coupons only carry the denormalised rate
+    if (couponAttempts === 0) {
+      for (const c of coupons) {
+        const used = c.used_count || 0;
+        couponAttempts += used;
+        couponSuccesses += used * (Number(c.success_rate) || 0) / 100;
+      }
+    }
+  }
+  const couponSuccessRate = couponAttempts ? couponSuccesses / couponAttempts : null;
+
+  const rating = reviewAvg ?? (Number(company?.rating) || null);
+  const components = {
+    reviews: rating != null ? (rating / 5) * 100 : null,
+    votes: ups + downs > 0 ? ((ups + VOTE_PRIOR / 2) / (ups + downs + VOTE_PRIOR)) * 100 : null,
+    freshness: expiredRate != null ? (1 - expiredRate) * 100 : null,
+    coupons: couponSuccessRate != null ? couponSuccessRate * 100 : null,
+    volume: deals?.length ? Math.min(1, Math.log10(deals.length + 1) / 2) * 100 : null,
+  };
+
+  const firstDeal = deals?.length ? deals[deals.length - 1].created_at : null;
+
+  return {
+    merchant,
+    company: company
+      ? {
+        id: company.id,
+        name: company.name,
+        slug: company.slug,
+        logo_url: company.logo_url,
+        website_url: company.website_url,
+        is_verified: Boolean(company.is_verified),
+      }
+      : null,
+    rating: rating != null ? round(rating) : null,
+    reviewCount: reviews.length || company?.total_reviews || 0,
+    trustScore: trustScore(components, { verified: company?.is_verified }),
+    trustBreakdown: Object.fromEntries(
+      Object.entries(components).map(([name, value]) => [name, value == null ? null : Math.round(value)])
+    ),
+    dealCount: deals?.length || 0,
+    activeDealCount: (deals?.length || 0) - expiredDeals,
+    expiredDealRate: expiredRate != null ? round(expiredRate * 100) : null,
+    votes: { ups, downs },
+    couponCount: coupons.length,
+    couponSuccessRate: couponSuccessRate != null ? round(couponSuccessRate * 100) : null,
+    returnPolicy: company?.return_policy || null,
+    certifications: company?.certifications || [],
+    recentReviews,
+    memberSince: company?.created_at || firstDeal,
+  };
+}
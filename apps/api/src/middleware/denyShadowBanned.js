@@ -1,13 +1,20 @@
 import { makeAdminClient } from '../lib/supa.js';
+import { activeBan } from '../lib/moderation.js';
 const supa = makeAdminClient();
 
 export async function denyShadowBanned(req, res, next) {
   try {
     const id = req.user?.id;
     if (!id) return res.status(401).json({ error: 'auth required' });
-    const { data, error } = await supa.from('profiles').select('shadow_banned').eq('id', id).single();
+    const { data, error } = await supa
+      .from('profiles')
+      .select('shadow_banned, is_banned, banned_until, ban_reason')
+      .eq('id', id)
+      .single();
     if (error) throw error;
     if (data?.shadow_banned) return res.status(403).json({ error: 'restricted' });
+    const ban = activeBan(data);
+    if (ban) return res.status(403).json({ error: 'banned', ...ban });
     next();
   } catch (e) {
     res.status(500).json({ error: e.message });
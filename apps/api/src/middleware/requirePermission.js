@@ -0,0 +1,43 @@
+import { makeAdminClient } from '../lib/supa.js';
+import { getUserPermissions, hasPermission } from '../lib/permissions.js';
+
+const supa = makeAdminClient();
+
+/**
+ * Allow the request when the user holds any of the listed permissions.
+ *
+ * Site-wide permissions are required by default. Pass `{ scoped: true }` as
+ * the last argument to also let category-scoped holders through; the handler
+ * must then check the item's category with hasPermission(req.permissions, ...).
+ *
+ *   r.post('/users/:id/ban', requirePermission('moderate:users'), ...)
+ *   r.post('/deals/:id/review', requirePermission('moderate:content', { scoped: true }), ...)
+ */
+export function requirePermission(...args) {
+  const options = typeof args[args.length - 1] === 'object' ? args.pop() : {};
+  const required = args;
+
+  return async function permissionCheck(req, res, next) {
+    try {
+      if (!req.user?.id) {
+        return res.status(401).json({ error: 'auth required' });
+      }
+
+      const perms = await getUserPermissions(supa, req.user.id);
+      const allowed = required.some(permission =>
+        hasPermission(perms, permission) ||
+        (options.scoped && (perms.scoped[permission] || []).length > 0)
+      );
+
+      if (!allowed) {
+        return res.status(403).json({ error: 'insufficient permissions', required });
+      }
+
+      req.permissions = perms;
+      req.admin = { id: req.user.id, role: perms.is_admin ? 'admin' : perms.role };
+      next();
+    } catch (e) {
+      res.status(500).json({ error: e.message });
+    }
+  };
+}
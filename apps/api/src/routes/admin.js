@@ -1,6 +1,25 @@
 ﻿import { Router } from 'express';
 import { makeAdminClient } from '../lib/supa.js';
 import { requireAdmin } from '../middleware/requireAdmin.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import priceAlerts from '../lib/priceAlerts.js';
+import { runSavedSearchMatching } from '../lib/savedSearchAlerts.js';
+import {
+  BAN_DURATIONS,
+  TARGET_TABLES,
+  activeBan,
+  banUser,
+  issueWarning,
+  liftBan,
+  logModerationAction
+} from '../lib/moderation.js';
+import {
+  GRANTABLE_ROLES,
+  PERMISSIONS,
+  hasPermission,
+  normalizeProfileRole,
+  permissionCategories
+} from '../lib/permissions.js';
 import multer from 'multer';
 import { randomUUID } from 'crypto';
 
@@ -27,6 +46,31 @@ function bearer(req) {
   return h.startsWith('Bearer ') ? h.slice(7) : null;
 }
 
+// Deal/coupon review is open to moderators, including category moderators
+const requireContentModerator = requirePermission(PERMISSIONS.MODERATE_CONTENT, { scoped: true });
+
+// link_status values set by the link check worker when it finds a problem
+const LINK_FLAGGED_STATUSES = ['dead', 'out_of_stock'];
+
+// Category moderators may only act on items in the categories they were granted
+async function ensureCategoryAccess(req, res, table, id) {
+  const { data: item, error } = await supaAdmin
+    .from(table)
+    .select('id, category_id')
+    .eq('id', id)
+    .single();
+
+  if (error || !item) {
+    res.status(404).json({ error: 'Not found' });
+    return false;
+  }
+  if (!hasPermission(req.permissions, PERMISSIONS.MODERATE_CONTENT, { categoryId: item.category_id })) {
+    res.status(403).json({ error: 'This item is outside the categories you moderate' });
+    return false;
+  }
+  return true;
+}
+
 
 
 // Dashboard Analytics
@@ -267,9 +311,9 @@ r.get('/users', requireAdmin, async (req, res) => {
 r.put('/users/:id/role', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { role } = req.body;
+    const role = normalizeProfileRole(req.body?.role);
 
-    if (!['user', 'mod', 'admin'].includes(role)) {
+    if (!role) {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
@@ -292,9 +336,9 @@ r.put('/users/:id/role', requireAdmin, async (req, res) => {
 });
 
 // Get deals with status filter (pending by default) + basic search
-r.get('/deals', requireAdmin, async (req, res) => {
+r.get('/deals', requireContentModerator, async (req, res) => {
   try {
-    const { page = 1, limit = 20, status = 'pending', search = '' } = req.query;
+    const { page = 1, limit = 20, status = 'pending', search = '', link_status } = req.query;
     const offset = (page - 1) * limit;
 
     let query = supaAdmin
@@ -313,6 +357,11 @@ r.get('/deals', requireAdmin, async (req, res) => {
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
+    const categoryIds = permissionCategories(req.permissions, PERMISSIONS.MODERATE_CONTENT);
+    if (categoryIds) {
+      query = query.in('category_id', categoryIds);
+    }
+
     if (search) {
       // Search by title, description, or merchant
       query = query.or(
@@ -320,6 +369,13 @@ r.get('/deals', requireAdmin, async (req, res) => {
       );
     }
 
+    // 'flagged' = any problem found by the link check worker
+    if (link_status === 'flagged') {
+      query = query.in('link_status', LINK_FLAGGED_STATUSES);
+    } else if (link_status) {
+      query = query.eq('link_status', link_status);
+    }
+
     const { data: deals, error } = await query;
 
     if (error) {
@@ -334,12 +390,12 @@ r.get('/deals', requireAdmin, async (req, res) => {
 });
 
 // Get pending coupons for approval
-r.get('/coupons/pending', requireAdmin, async (req, res) => {
+r.get('/coupons/pending', requireContentModerator, async (req, res) => {
   try {
     const { page = 1, limit = 20 } = req.query;
     const offset = (page - 1) * limit;
 
-    const { data: coupons, error } = await supaAdmin
+    let query = supaAdmin
       .from('coupons')
       .select(`
         *,
@@ -355,6 +411,13 @@ r.get('/coupons/pending', requireAdmin, async (req, res) => {
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1);
 
+    const categoryIds = permissionCategories(req.permissions, PERMISSIONS.MODERATE_CONTENT);
+    if (categoryIds) {
+      query = query.in('category_id', categoryIds);
+    }
+
+    const { data: coupons, error } = await query;
+
     if (error) {
       return res.status(400).json({ error: error.message });
     }
@@ -461,9 +524,10 @@ function calculateKarmaPoints(submissionType, submissionData) {
 }
 
 // Review deal (approve/reject with single endpoint)
-r.post('/deals/:id/review', requireAdmin, async (req, res) => {
+r.post('/deals/:id/review', requireContentModerator, async (req, res) => {
   try {
     const { id } = req.params;
+    if (!(await ensureCategoryAccess(req, res, 'deals', id))) return;
     const { action, rejection_reason } = req.body;
 
     if (!action) {
@@ -539,6 +603,9 @@ r.post('/deals/:id/review', requireAdmin, async (req, res) => {
       }
     }
 
+    // The approval queued a deal_approval_event; match it against saved searches now
+    if (action === 'approve') runSavedSearchMatching();
+
     res.json({
       success: true,
       deal,
@@ -551,9 +618,10 @@ r.post('/deals/:id/review', requireAdmin, async (req, res) => {
 });
 
 // Approve deal (alias)
-r.post('/deals/:id/approve', requireAdmin, async (req, res) => {
+r.post('/deals/:id/approve', requireContentModerator, async (req, res) => {
   try {
     const { id } = req.params;
+    if (!(await ensureCategoryAccess(req, res, 'deals', id))) return;
 
     // First get the deal data to calculate karma
     const { data: existingDeal, error: fetchError } = await supaAdmin
@@ -608,6 +676,8 @@ r.post('/deals/:id/approve', requireAdmin, async (req, res) => {
       console.log(`Awarded ${karmaPoints} karma points to user ${deal.submitter_id} for detailed deal submission`);
     }
 
+    runSavedSearchMatching();
+
     res.json({ success: true, deal, karma_points: calculateKarmaPoints('deal', existingDeal) });
   } catch (error) {
     console.error('Error reviewing deal:', error);
@@ -616,9 +686,10 @@ r.post('/deals/:id/approve', requireAdmin, async (req, res) => {
 });
 
 // Reject deal (alias)
-r.post('/deals/:id/reject', requireAdmin, async (req, res) => {
+r.post('/deals/:id/reject', requireContentModerator, async (req, res) => {
   try {
     const { id } = req.params;
+    if (!(await ensureCategoryAccess(req, res, 'deals', id))) return;
     const { reason } = req.body || {};
     if (!reason) return res.status(400).json({ error: 'Rejection reason is required' });
 
@@ -651,9 +722,10 @@ r.post('/deals/:id/reject', requireAdmin, async (req, res) => {
 });
 
 // Approve/Reject Coupon
-r.post('/coupons/:id/review', requireAdmin, async (req, res) => {
+r.post('/coupons/:id/review', requireContentModerator, async (req, res) => {
   try {
     const { id } = req.params;
+    if (!(await ensureCategoryAccess(req, res, 'coupons', id))) return;
     const { action, rejection_reason } = req.body;
 
     if (!['approve', 'reject'].includes(action)) {
@@ -1124,9 +1196,9 @@ r.get('/users', requireAdmin, async (req, res) => {
 r.post('/users/:id/role', requireAdmin, async (req, res) => {
   try {
     const { id } = req.params;
-    const { role } = req.body;
+    const role = normalizeProfileRole(req.body?.role);
 
-    if (!['user', 'mod', 'admin'].includes(role)) {
+    if (!role) {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
@@ -1203,6 +1275,76 @@ r.post('/deals/:id/feature', requireAdmin, async (req, res) => {
   }
 });
 
+// Resolve a link check flag: 'dismiss' clears it (restoring the deal if the
+// check expired it), 'expire' takes the deal down with the flag's reason
+r.post('/deals/:id/link-check', requireContentModerator, async (req, res) => {
+  try {
+    const { id } = req.params;
+    if (!(await ensureCategoryAccess(req, res, 'deals', id))) return;
+    const { action, stop_checking = false, reason } = req.body || {};
+
+    if (!['dismiss', 'expire'].includes(action)) {
+      return res.status(400).json({ error: "action must be 'dismiss' or 'expire'" });
+    }
+
+    const { data: existing, error: fetchError } = await supaAdmin
+      .from('deals')
+      .select('id, status, stock_status, link_status, link_issue')
+      .eq('id', id)
+      .single();
+
+    if (fetchError || !existing) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const now = new Date().toISOString();
+    let updateData;
+    let restored = false;
+
+    if (action === 'dismiss') {
+      updateData = {
+        link_status: 'ok',
+        link_issue: null,
+        link_failures: 0,
+        link_checked_at: now,
+        link_check_disabled: Boolean(stop_checking)
+      };
+      if (existing.stock_status === 'out_of_stock') {
+        updateData.stock_status = 'in_stock';
+      }
+      // Only undo expiries the link check caused, not end dates passing
+      if (existing.status === 'expired' && LINK_FLAGGED_STATUSES.includes(existing.link_status)) {
+        Object.assign(updateData, { status: 'approved', expired_reason: null, updated_at: now });
+        restored = true;
+      }
+    } else {
+      updateData = {
+        status: 'expired',
+        expired_reason: reason || existing.link_issue || 'Expired by a moderator',
+        updated_at: now
+      };
+    }
+
+    const { data: deal, error } = await supaAdmin
+      .from('deals')
+      .update(updateData)
+      .eq('id', id)
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (restored) runSavedSearchMatching();
+
+    res.json({ success: true, deal, restored });
+  } catch (error) {
+    console.error('Error resolving link check:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Update deal (Admin only)
 r.put('/deals/:id', requireAdmin, async (req, res) => {
   try {
@@ -1250,6 +1392,16 @@ r.put('/deals/:id', requireAdmin, async (req, res) => {
     if (coupon_type !== undefined) updateData.coupon_type = coupon_type;
     if (status !== undefined) updateData.status = status;
 
+    let previous = null;
+    if (updateData.price !== undefined || updateData.original_price !== undefined) {
+      const { data } = await supaAdmin
+        .from('deals')
+        .select('price, original_price, stock_status')
+        .eq('id', id)
+        .single();
+      previous = data;
+    }
+
     const { data: deal, error } = await supaAdmin
       .from('deals')
       .update(updateData)
@@ -1261,6 +1413,15 @@ r.put('/deals/:id', requireAdmin, async (req, res) => {
       return res.status(400).json({ error: error.message });
     }
 
+    if (priceAlerts.priceOrStockChanged(previous, deal)) {
+      await priceAlerts.handleDealPriceChange(deal, {
+        source: 'manual',
+        previous_price: previous.price,
+        created_by: req.user?.id,
+        notes: 'Edited by admin'
+      });
+    }
+
     res.json({ success: true, deal });
   } catch (error) {
     console.error('Error updating deal:', error);
@@ -1723,6 +1884,22 @@ r.get('/price-tracking/alerts', requireAdmin, async (req, res) => {
   }
 });
 
+r.post('/price-tracking/process-alerts', requireAdmin, async (req, res) => {
+  try {
+    const { limit = 200 } = req.body || {};
+    const result = await priceAlerts.deliverTriggeredAlerts(Math.min(Number(limit) || 200, 1000));
+
+    res.json({
+      success: true,
+      message: `Delivered ${result.notifications} of ${result.processed} triggered price alerts`,
+      ...result
+    });
+  } catch (error) {
+    console.error('Price alert processing error:', error);
+    res.status(500).json({ error: 'Failed to process price alerts' });
+  }
+});
+
 // Saved Searches Management
 r.get('/saved-searches/stats', requireAdmin, async (req, res) => {
   try {
@@ -1837,6 +2014,270 @@ r.get('/system/health', requireAdmin, async (req, res) => {
   }
 });
 
+// Ingestion sources - the worker polls ingestion_sources, so edits here take
+// effect on its next sync without a deploy
+const INGESTION_SOURCE_TYPES = ['rss', 'api', 'scraper', 'json'];
+const INGESTION_SOURCE_KEY = /^[a-z0-9_]{3,50}$/;
+const INGESTION_FETCHER = /^\.\/[A-Za-z0-9_]+\.js$/;
+const CRON_FIELD = /^[\d*/,\-A-Za-z?#]+$/;
+
+const isPositiveInt = (value) => Number.isInteger(value) && value > 0;
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// Check an ingestion source body; `partial` skips fields that weren't sent.
+// Returns { fields, error } with fields mapped to ingestion_sources columns.
+function validateIngestionSource(body, { partial = false } = {}) {
+  const fields = {};
+  const has = (name) => body[name] !== undefined;
+
+  if (!partial) {
+    if (!INGESTION_SOURCE_KEY.test(body.key || '')) {
+      return { error: 'key must be 3-50 lowercase letters, digits or underscores' };
+    }
+    fields.key = body.key;
+  }
+
+  if (!partial || has('type')) {
+    if (!INGESTION_SOURCE_TYPES.includes(body.type)) {
+      return { error: `type must be one of: ${INGESTION_SOURCE_TYPES.join(', ')}` };
+    }
+    fields.type = body.type;
+  }
+
+  if (!partial || has('schedule')) {
+    const parts = String(body.schedule || '').trim().split(/\s+/);
+    if (parts.length < 5 || parts.length > 6 || !parts.every(part => CRON_FIELD.test(part))) {
+      return { error: 'schedule must be a 5 or 6 field cron pattern' };
+    }
+    fields.schedule = parts.join(' ');
+  }
+
+  if (has('enabled')) {
+    if (typeof body.enabled !== 'boolean') return { error: 'enabled must be true or false' };
+    fields.enabled = body.enabled;
+  }
+
+  if (has('priority')) {
+    if (!Number.isInteger(body.priority) || body.priority < 1 || body.priority > 5) {
+      return { error: 'priority must be an integer from 1 to 5' };
+    }
+    fields.priority = body.priority;
+  }
+
+  if (has('entity')) {
+    if (body.entity !== null && !['deal', 'coupon'].includes(body.entity)) {
+      return { error: 'entity must be deal, coupon or null' };
+    }
+    fields.entity = body.entity;
+  }
+
+  if (has('rate_limit')) {
+    const limit = body.rate_limit;
+    if (limit !== null && !(isPlainObject(limit) && isPositiveInt(limit.requests) && isPositiveInt(limit.window))) {
+      return { error: 'rate_limit must be { requests, window } with positive integers, or null' };
+    }
+    fields.rate_limit = limit;
+  }
+
+  if (has('daily_cap')) {
+    if (body.daily_cap !== null && !isPositiveInt(body.daily_cap)) {
+      return { error: 'daily_cap must be a positive integer or null' };
+    }
+    fields.daily_cap = body.daily_cap;
+  }
+
+  if (!partial || has('config')) {
+    const config = body.config === undefined ? {} : body.config;
+    if (!isPlainObject(config)) return { error: 'config must be an object' };
+    fields.config = config;
+  }
+
+  if (has('fetcher')) {
+    if (body.fetcher !== null && !INGESTION_FETCHER.test(body.fetcher)) {
+      return { error: 'fetcher must look like ./moduleName.js' };
+    }
+    fields.fetcher = body.fetcher;
+  }
+
+  if (has('notes')) {
+    fields.notes = body.notes ? String(body.notes).slice(0, 1000) : null;
+  }
+
+  return { fields };
+}
+
+r.get('/ingestion/sources', requireAdmin, async (req, res) => {
+  try {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
+
+    const [
+      { data: sources, error },
+      { data: runs },
+      { data: errors }
+    ] = await Promise.all([
+      supaAdmin.from('ingestion_sources')
+        .select('*')
+        .order('priority', { ascending: true })
+        .order('key', { ascending: true }),
+      supaAdmin.from('ingestion_runs')
+        .select('id, source, status, started_at, completed_at, duration_ms, items_fetched, items_created, items_updated, items_skipped, items_failed, error_message')
+        .gte('started_at', since)
+        .order('started_at', { ascending: false })
+        .limit(1000),
+      supaAdmin.from('ingestion_errors')
+        .select('source')
+        .gte('created_at', since)
+        .limit(5000)
+    ]);
+
+    if (error) return res.status(400).json({ error: error.message });
+
+    const lastRuns = {};
+    for (const run of runs || []) {
+      if (!lastRuns[run.source]) lastRuns[run.source] = run;
+    }
+
+    const errorCounts = {};
+    for (const { source } of errors || []) {
+      errorCounts[source] = (errorCounts[source] || 0) + 1;
+    }
+
+    res.json((sources || []).map(source => ({
+      ...source,
+      last_run: lastRuns[source.key] || null,
+      errors_24h: errorCounts[source.key] || 0
+    })));
+  } catch (error) {
+    console.error('Ingestion sources fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion sources' });
+  }
+});
+
+r.post('/ingestion/sources', requireAdmin, async (req, res) => {
+  try {
+    const { fields, error: validationError } = validateIngestionSource(req.body || {});
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    if (fields.type === 'api' && !fields.fetcher) {
+      return res.status(400).json({ error: 'api sources need a fetcher' });
+    }
+
+    const { data: source, error } = await supaAdmin
+      .from('ingestion_sources')
+      .insert({
+        ...fields,
+        created_by: req.admin.id,
+        updated_by: req.admin.id
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return res.status(409).json({ error: `Source ${fields.key} already exists` });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json(source);
+  } catch (error) {
+    console.error('Ingestion source create error:', error);
+    res.status(500).json({ error: 'Failed to create ingestion source' });
+  }
+});
+
+r.patch('/ingestion/sources/:key', requireAdmin, async (req, res) => {
+  try {
+    const { fields, error: validationError } = validateIngestionSource(req.body || {}, { partial: true });
+    if (validationError) return res.status(400).json({ error: validationError });
+
+    if (Object.keys(fields).length === 0) {
+      return res.status(400).json({ error: 'No changes provided' });
+    }
+
+    const { data: source, error } = await supaAdmin
+      .from('ingestion_sources')
+      .update({
+        ...fields,
+        updated_by: req.admin.id,
+        updated_at: new Date().toISOString()
+      })
+      .eq('key', req.params.key)
+      .select()
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ error: error.message });
+    if (!source) return res.status(404).json({ error: 'Source not found' });
+
+    res.json(source);
+  } catch (error) {
+    console.error('Ingestion source update error:', error);
+    res.status(500).json({ error: 'Failed to update ingestion source' });
+  }
+});
+
+// Ask the worker to run a source now, enabled or not
+r.post('/ingestion/sources/:key/run', requireAdmin, async (req, res) => {
+  try {
+    const { data: source, error } = await supaAdmin
+      .from('ingestion_sources')
+      .update({ run_requested_at: new Date().toISOString() })
+      .eq('key', req.params.key)
+      .select('key, run_requested_at')
+      .maybeSingle();
+
+    if (error) return res.status(400).json({ error: error.message });
+    if (!source) return res.status(404).json({ error: 'Source not found' });
+
+    res.json(source);
+  } catch (error) {
+    console.error('Ingestion source run error:', error);
+    res.status(500).json({ error: 'Failed to request ingestion run' });
+  }
+});
+
+r.get('/ingestion/runs', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    let query = supaAdmin
+      .from('ingestion_runs')
+      .select('*')
+      .order('started_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.source) query = query.eq('source', req.query.source);
+
+    const { data: runs, error } = await query;
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json(runs || []);
+  } catch (error) {
+    console.error('Ingestion runs fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion runs' });
+  }
+});
+
+r.get('/ingestion/errors', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    let query = supaAdmin
+      .from('ingestion_errors')
+      .select('id, source, error_type, error_message, context, resolved, created_at')
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (req.query.source) query = query.eq('source', req.query.source);
+
+    const { data: errors, error } = await query;
+    if (error) return res.status(400).json({ error: error.message });
+
+    res.json(errors || []);
+  } catch (error) {
+    console.error('Ingestion errors fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch ingestion errors' });
+  }
+});
+
 // Admin: list reports with deal info
 r.get('/reports', requireAdmin, async (_req, res) => {
   try {
@@ -1872,47 +2313,53 @@ r.delete('/reports/:id', requireAdmin, async (req, res) => {
 
 
 
-// Delete Deal (Admin only)
-r.delete('/deals/:id', requireAdmin, async (req, res) => {
-  try {
-    const { id } = req.params;
-
-    // First, delete associated images from storage
-    const { data: images } = await supaAdmin
-      .from('images')
-      .select('storage_path')
-      .eq('entity_type', 'deal')
-      .eq('entity_id', id);
-
-    if (images && images.length > 0) {
-      const pathsToDelete = images.map(img => img.storage_path);
-      await supaAdmin.storage
-        .from('images')
-        .remove(pathsToDelete);
-    }
-
-    // Delete associated records (tags, votes, etc.)
-    await supaAdmin
-      .from('deal_tags')
-      .delete()
-      .eq('deal_id', id);
+// Remove a deal or coupon along with its stored images, tags and votes
+async function deleteWithAssets(entityType, id) {
+  const table = entityType === 'deal' ? 'deals' : 'coupons';
 
-    await supaAdmin
-      .from('deal_votes')
-      .delete()
-      .eq('deal_id', id);
+  const { data: images } = await supaAdmin
+    .from('images')
+    .select('storage_path')
+    .eq('entity_type', entityType)
+    .eq('entity_id', id);
 
-    await supaAdmin
+  if (images && images.length > 0) {
+    const pathsToDelete = images.map(img => img.storage_path);
+    await supaAdmin.storage
       .from('images')
-      .delete()
-      .eq('entity_type', 'deal')
-      .eq('entity_id', id);
+      .remove(pathsToDelete);
+  }
 
-    // Finally, delete the deal
-    const { error } = await supaAdmin
-      .from('deals')
-      .delete()
-      .eq('id', id);
+  // Delete associated records (tags, votes, etc.)
+  await supaAdmin
+    .from(`${entityType}_tags`)
+    .delete()
+    .eq(`${entityType}_id`, id);
+
+  await supaAdmin
+    .from(`${entityType}_votes`)
+    .delete()
+    .eq(`${entityType}_id`, id);
+
+  await supaAdmin
+    .from('images')
+    .delete()
+    .eq('entity_type', entityType)
+    .eq('entity_id', id);
+
+  // Finally, delete the row itself
+  const { error } = await supaAdmin
+    .from(table)
+    .delete()
+    .eq('id', id);
+
+  return { error };
+}
+
+// Delete Deal (Admin only)
+r.delete('/deals/:id', requireAdmin, async (req, res) => {
+  try {
+    const { error } = await deleteWithAssets('deal', req.params.id);
 
     if (error) {
       return res.status(400).json({ error: error.message });
@@ -1928,44 +2375,7 @@ r.delete('/deals/:id', requireAdmin, async (req, res) => {
 // Delete Coupon (Admin only)
 r.delete('/coupons/:id', requireAdmin, async (req, res) => {
   try {
-    const { id } = req.params;
-
-    // First, delete associated images from storage
-    const { data: images } = await supaAdmin
-      .from('images')
-      .select('storage_path')
-      .eq('entity_type', 'coupon')
-      .eq('entity_id', id);
-
-    if (images && images.length > 0) {
-      const pathsToDelete = images.map(img => img.storage_path);
-      await supaAdmin.storage
-        .from('images')
-        .remove(pathsToDelete);
-    }
-
-    // Delete associated records (tags, votes, etc.)
-    await supaAdmin
-      .from('coupon_tags')
-      .delete()
-      .eq('coupon_id', id);
-
-    await supaAdmin
-      .from('coupon_votes')
-      .delete()
-      .eq('coupon_id', id);
-
-    await supaAdmin
-      .from('images')
-      .delete()
-      .eq('entity_type', 'coupon')
-      .eq('entity_id', id);
-
-    // Finally, delete the coupon
-    const { error } = await supaAdmin
-      .from('coupons')
-      .delete()
-      .eq('id', id);
+    const { error } = await deleteWithAssets('coupon', req.params.id);
 
     if (error) {
       return res.status(400).json({ error: error.message });
@@ -2295,4 +2705,511 @@ r.delete('/companies/:id', requireAdmin, async (req, res) => {
   }
 });
 
-export default r;
\ No newline at end of file
+// ===== Moderation Toolkit =====
+
+// Moderators can use the user-facing moderation tools; admins can do everything
+const requireModerator = requirePermission(PERMISSIONS.MODERATE_USERS);
+
+// Anyone holding a moderation permission, category moderators included
+const requireAnyModerator = requirePermission(
+  PERMISSIONS.MODERATE_USERS,
+  PERMISSIONS.MODERATE_FORUMS,
+  PERMISSIONS.MODERATE_CONTENT,
+  { scoped: true }
+);
+
+// Load the profile a moderator is acting on and refuse to act on staff
+async function loadModerationTarget(req, res) {
+  const { id } = req.params;
+  if (id === req.admin.id) {
+    res.status(400).json({ error: 'You cannot moderate your own account' });
+    return null;
+  }
+
+  const { data: target, error } = await supaAdmin
+    .from('profiles')
+    .select('id, handle, role, is_banned, banned_until, ban_reason, warning_count')
+    .eq('id', id)
+    .single();
+
+  if (error || !target) {
+    res.status(404).json({ error: 'User not found' });
+    return null;
+  }
+
+  if (target.role === 'admin' || (target.role === 'moderator' && req.admin.role !== 'admin')) {
+    res.status(403).json({ error: 'Staff accounts can only be moderated by an admin' });
+    return null;
+  }
+
+  return target;
+}
+
+// Ban a user: { reason, duration: '1h' | '1d' | '7d' | '30d' | 'permanent' }
+r.post('/users/:id/ban', requireModerator, async (req, res) => {
+  try {
+    const { reason, duration = '7d' } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A ban reason is required' });
+    }
+    if (!(duration in BAN_DURATIONS)) {
+      return res.status(400).json({ error: `Invalid duration. Use one of: ${Object.keys(BAN_DURATIONS).join(', ')}` });
+    }
+    if (duration === 'permanent' && req.admin.role !== 'admin') {
+      return res.status(403).json({ error: 'Only admins can issue permanent bans' });
+    }
+
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    const ban = await banUser(supaAdmin, {
+      userId: target.id,
+      actorId: req.admin.id,
+      reason: String(reason).trim(),
+      duration
+    });
+
+    res.json({ success: true, ban });
+  } catch (error) {
+    console.error('Error banning user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Lift a ban early
+r.delete('/users/:id/ban', requireModerator, async (req, res) => {
+  try {
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    if (!activeBan(target)) {
+      return res.status(400).json({ error: 'User is not currently banned' });
+    }
+
+    await liftBan(supaAdmin, {
+      userId: target.id,
+      actorId: req.admin.id,
+      reason: req.body?.reason
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error lifting ban:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Warn a user; repeated warnings escalate to automatic bans
+r.post('/users/:id/warn', requireModerator, async (req, res) => {
+  try {
+    const { reason, target_type = null, target_id = null } = req.body || {};
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({ error: 'A warning reason is required' });
+    }
+
+    const target = await loadModerationTarget(req, res);
+    if (!target) return;
+
+    const result = await issueWarning(supaAdmin, {
+      userId: target.id,
+      actorId: req.admin.id,
+      reason: String(reason).trim(),
+      targetType: target_type,
+      targetId: target_id
+    });
+
+    res.json({
+      success: true,
+      warning: result.warning,
+      recent_warnings: result.recentWarnings,
+      escalation: result.escalation
+    });
+  } catch (error) {
+    console.error('Error warning user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// A user's ban state plus ban and warning history
+r.get('/users/:id/moderation', requireModerator, async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const [{ data: profile, error }, { data: bans }, { data: warnings }] = await Promise.all([
+      supaAdmin
+        .from('profiles')
+        .select('id, handle, role, is_banned, banned_until, ban_reason, warning_count, shadow_banned')
+        .eq('id', id)
+        .single(),
+      supaAdmin
+        .from('user_bans')
+        .select('*')
+        .eq('user_id', id)
+        .order('created_at', { ascending: false })
+        .limit(50),
+      supaAdmin
+        .from('user_warnings')
+        .select('*')
+        .eq('user_id', id)
+        .order('created_at', { ascending: false })
+        .limit(50)
+    ]);
+
+    if (error || !profile) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      user: profile,
+      active_ban: activeBan(profile),
+      bans: bans || [],
+      warnings: warnings || []
+    });
+  } catch (error) {
+    console.error('Error fetching user moderation history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+const BULK_ACTIONS = ['approve', 'reject', 'delete'];
+const BULK_MAX_ITEMS = 100;
+
+// Award submission karma the same way single approvals do
+async function awardSubmissionKarma(type, row) {
+  if (!row?.submitter_id) return 0;
+  const karmaPoints = calculateKarmaPoints(type, row);
+
+  const { data: currentProfile } = await supaAdmin
+    .from('profiles')
+    .select('karma')
+    .eq('id', row.submitter_id)
+    .single();
+
+  if (currentProfile) {
+    await supaAdmin
+      .from('profiles')
+      .update({ karma: (currentProfile.karma || 0) + karmaPoints })
+      .eq('id', row.submitter_id);
+  }
+  return karmaPoints;
+}
+
+/**
+ * Bulk approve/reject/delete deals and coupons.
+ * Body: { action, items: [{ type: 'deal' | 'coupon', id }], reason }
+ * `postIds` (deal ids) is accepted for older clients.
+ */
+r.post('/bulk-moderate', requireAdmin, async (req, res) => {
+  try {
+    const { action, reason = null, postIds = [] } = req.body || {};
+    const items = [
+      ...(Array.isArray(req.body?.items) ? req.body.items : []),
+      ...(Array.isArray(postIds) ? postIds.map(id => ({ type: 'deal', id })) : [])
+    ];
+
+    if (!BULK_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Invalid action. Use one of: ${BULK_ACTIONS.join(', ')}` });
+    }
+    if (items.length === 0) {
+      return res.status(400).json({ error: 'No items to moderate' });
+    }
+    if (items.length > BULK_MAX_ITEMS) {
+      return res.status(400).json({ error: `At most ${BULK_MAX_ITEMS} items per request` });
+    }
+    if (action === 'reject' && !reason) {
+      return res.status(400).json({ error: 'Rejection reason is required' });
+    }
+    if (items.some(item => !['deal', 'coupon'].includes(item?.type) || !item.id)) {
+      return res.status(400).json({ error: 'Each item needs a type of "deal" or "coupon" and an id' });
+    }
+
+    const results = [];
+
+    for (const { type, id } of items) {
+      const table = TARGET_TABLES[type];
+      try {
+        if (action === 'delete') {
+          const { error } = await deleteWithAssets(type, id);
+          if (error) throw error;
+        } else {
+          const updateData = {
+            status: action === 'approve' ? 'approved' : 'rejected',
+            approved_at: new Date().toISOString()
+          };
+          if (action === 'reject') updateData.rejection_reason = reason;
+
+          const { data: row, error } = await supaAdmin
+            .from(table)
+            .update(updateData)
+            .eq('id', id)
+            .select('*')
+            .single();
+          if (error) throw error;
+
+          if (action === 'approve') {
+            await awardSubmissionKarma(type, row);
+          }
+        }
+
+        await logModerationAction(supaAdmin, {
+          actorId: req.admin.id,
+          action: `bulk_${action}`,
+          targetType: type,
+          targetId: id,
+          details: { reason }
+        });
+
+        results.push({ type, id, success: true });
+      } catch (err) {
+        results.push({ type, id, success: false, error: err.message });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+    if (action === 'approve' && results.some(result => result.success && result.type === 'deal')) {
+      runSavedSearchMatching();
+    }
+
+    res.json({
+      success: succeeded > 0,
+      action,
+      processed: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('Error in bulk moderation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Record a moderation action taken elsewhere (forum pin/lock/move, etc.)
+ * Body: { action, status, target_type, target_id, reason, thread_id }
+ */
+r.post('/moderation-log', requireAnyModerator, async (req, res) => {
+  try {
+    const { action, status = null, target_type, target_id, reason = null, ...extra } = req.body || {};
+
+    if (!action || !target_type || target_id === undefined || target_id === null) {
+      return res.status(400).json({ error: 'action, target_type and target_id are required' });
+    }
+
+    await logModerationAction(supaAdmin, {
+      actorId: req.admin.id,
+      action: String(action).slice(0, 64),
+      targetType: target_type,
+      targetId: target_id,
+      details: { status, reason, ...extra }
+    });
+
+    res.status(201).json({ success: true });
+  } catch (error) {
+    console.error('Error logging moderation action:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Query the moderation log
+ * ?actor_id, ?action, ?target_type, ?target_id, ?since, ?until, ?page, ?limit
+ */
+r.get('/moderation-log', requirePermission(PERMISSIONS.VIEW_MODERATION_LOG), async (req, res) => {
+  try {
+    const { actor_id, action, target_type, target_id, since, until } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const offset = (page - 1) * limit;
+
+    for (const [name, value] of [['since', since], ['until', until]]) {
+      if (value && isNaN(new Date(value))) {
+        return res.status(400).json({ error: `${name} must be a valid date` });
+      }
+    }
+
+    let query = supaAdmin
+      .from('audit_log')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (actor_id) query = query.eq('actor_id', actor_id);
+    if (action) query = query.eq('action', action);
+    if (target_type) query = query.eq('table_name', TARGET_TABLES[target_type] || target_type);
+    if (target_id) query = query.eq('row_id', String(target_id));
+    if (since) query = query.gte('created_at', new Date(since).toISOString());
+    if (until) query = query.lte('created_at', new Date(until).toISOString());
+
+    const { data: entries, count, error } = await query;
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // audit_log has no FK to profiles, so resolve actor handles separately
+    const actorIds = [...new Set((entries || []).map(e => e.actor_id).filter(Boolean))];
+    let actors = {};
+    if (actorIds.length > 0) {
+      const { data: profiles } = await supaAdmin
+        .from('profiles')
+        .select('id, handle, avatar_url')
+        .in('id', actorIds);
+      actors = Object.fromEntries((profiles || []).map(p => [p.id, p]));
+    }
+
+    res.json({
+      entries: (entries || []).map(entry => ({ ...entry, actor: actors[entry.actor_id] || null })),
+      total: count || 0,
+      page,
+      limit
+    });
+  } catch (error) {
+    console.error('Error fetching moderation log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// ===== Scoped Roles =====
+
+const ROLE_GRANT_SELECT = `
+  id, user_id, role, category_id, note, expires_at, created_at, granted_by,
+  categories(id, name, slug),
+  granter:profiles!granted_by(handle)
+`;
+
+// List a user's role grants (expired ones included, flagged)
+r.get('/users/:id/roles', requireAdmin, async (req, res) => {
+  try {
+    const { data: grants, error } = await supaAdmin
+      .from('user_role_grants')
+      .select(ROLE_GRANT_SELECT)
+      .eq('user_id', req.params.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const now = new Date();
+    res.json((grants || []).map(grant => ({
+      ...grant,
+      expired: Boolean(grant.expires_at && new Date(grant.expires_at) <= now)
+    })));
+  } catch (error) {
+    console.error('Error fetching role grants:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Grant a scoped role: { role, category_id?, expires_at?, note? }
+r.post('/users/:id/roles', requireAdmin, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { role, category_id = null, expires_at = null, note = null } = req.body || {};
+
+    if (!GRANTABLE_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${GRANTABLE_ROLES.join(', ')}` });
+    }
+
+    const categoryId = category_id != null && category_id !== '' ? Number(category_id) : null;
+    if (role === 'category_moderator' && !Number.isInteger(categoryId)) {
+      return res.status(400).json({ error: 'category_id is required for category_moderator' });
+    }
+    if (role !== 'category_moderator' && categoryId != null) {
+      return res.status(400).json({ error: 'category_id only applies to category_moderator' });
+    }
+    if (expires_at && (isNaN(new Date(expires_at)) || new Date(expires_at) <= new Date())) {
+      return res.status(400).json({ error: 'expires_at must be a future date' });
+    }
+
+    const { data: target } = await supaAdmin
+      .from('profiles')
+      .select('id')
+      .eq('id', id)
+      .single();
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    // Re-granting an existing role just refreshes its expiry and note
+    let existingQuery = supaAdmin
+      .from('user_role_grants')
+      .select('id')
+      .eq('user_id', id)
+      .eq('role', role);
+    existingQuery = categoryId == null
+      ? existingQuery.is('category_id', null)
+      : existingQuery.eq('category_id', categoryId);
+    const { data: existing } = await existingQuery.maybeSingle();
+
+    const values = {
+      user_id: id,
+      role,
+      category_id: categoryId,
+      expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+      note: note ? String(note).slice(0, 500) : null,
+      granted_by: req.admin.id
+    };
+
+    const { data: grant, error } = existing
+      ? await supaAdmin.from('user_role_grants').update(values).eq('id', existing.id).select(ROLE_GRANT_SELECT).single()
+      : await supaAdmin.from('user_role_grants').insert(values).select(ROLE_GRANT_SELECT).single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await logModerationAction(supaAdmin, {
+      actorId: req.admin.id,
+      action: 'grant_role',
+      targetType: 'user',
+      targetId: id,
+      details: { role, category_id: categoryId, expires_at: values.expires_at, grant_id: grant.id }
+    });
+
+    res.status(existing ? 200 : 201).json({ success: true, grant });
+  } catch (error) {
+    console.error('Error granting role:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a scoped role
+r.delete('/users/:id/roles/:grantId', requireAdmin, async (req, res) => {
+  try {
+    const { id, grantId } = req.params;
+
+    const { data: grant, error } = await supaAdmin
+      .from('user_role_grants')
+      .delete()
+      .eq('id', grantId)
+      .eq('user_id', id)
+      .select('id, role, category_id')
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (!grant) {
+      return res.status(404).json({ error: 'Grant not found' });
+    }
+
+    await logModerationAction(supaAdmin, {
+      actorId: req.admin.id,
+      action: 'revoke_role',
+      targetType: 'user',
+      targetId: id,
+      details: { role: grant.role, category_id: grant.category_id, grant_id: grant.id }
+    });
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error revoking role:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default r;
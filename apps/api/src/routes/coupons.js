@@ -2,6 +2,8 @@ import express from 'express'
 import { makeAdminClient } from '../lib/supa.js'
 import { makeUserClientFromToken } from '../lib/supaUser.js'
 import { createSafeUserClient } from '../lib/authUtils.js'
+import { denyShadowBanned } from '../middleware/denyShadowBanned.js'
+import { getUserPermissions, hasPermission, PERMISSIONS } from '../lib/permissions.js'
 import multer from 'multer'
 import path from 'path'
 
@@ -259,7 +261,7 @@ router.get('/:id', async (req, res) => {
 })
 
 // Create new coupon
-router.post('/', requireAuth, async (req, res) => {
+router.post('/', requireAuth, denyShadowBanned, async (req, res) => {
   try {
     if (!req.user || !req.user.id) {
       return res.status(401).json({ error: 'Authentication required' });
@@ -291,6 +293,10 @@ router.post('/', requireAuth, async (req, res) => {
       })
     }
 
+    // Trusted submitters skip the review queue
+    const perms = await getUserPermissions(supabase, req.user.id)
+    const autoApprove = hasPermission(perms, PERMISSIONS.AUTO_APPROVE)
+
     // Build the insert object with only the core required fields
     const insertData = {
       title: title.trim(),
@@ -306,7 +312,8 @@ router.post('/', requireAuth, async (req, res) => {
       starts_at: starts_at || null,
       expires_at: expires_at || null,
       is_exclusive: Boolean(is_exclusive),
-      status: 'pending',
+      status: autoApprove ? 'approved' : 'pending',
+      approved_at: autoApprove ? new Date().toISOString() : null,
       submitter_id: req.user.id
     }
 
@@ -547,7 +554,7 @@ router.post('/:id/use', async (req, res) => {
 })
 
 // Add comment to coupon
-router.post('/:id/comments', requireAuth, async (req, res) => {
+router.post('/:id/comments', requireAuth, denyShadowBanned, async (req, res) => {
   try {
     const token = bearer(req)
     if (!token) return res.status(401).json({ error: 'Authentication required' })
@@ -0,0 +1,190 @@
+/**
+ * Deal Alert API Routes
+ *
+ * Per-deal price and stock alerts ("tell me when this drops below $X").
+ * Listing alerts for a single deal lives at GET /api/deals/:id/alerts.
+ */
+
+import express from 'express';
+import { makeAdminClient } from '../lib/supa.js';
+import { isPriceAlertMet } from '@savebucks/shared';
+import { ALERT_TYPES, NOTIFICATION_METHODS } from '../lib/priceAlerts.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+const MAX_ACTIVE_ALERTS = Number(process.env.MAX_ACTIVE_PRICE_ALERTS || 100);
+
+// Why an alert whose condition already holds is refused
+const ALREADY_MET_ERRORS = {
+  price_drop: 'Target price must be lower than the current price',
+  price_rise: 'Target price must be higher than the current price',
+  back_in_stock: 'This deal is already in stock',
+  low_stock: 'This deal is already low on stock'
+};
+
+// Helper: Check authentication
+const requireAuth = (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+/**
+ * GET /api/deal-alerts
+ * All of the caller's alerts, newest first
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    let query = supabase
+      .from('price_alerts')
+      .select(`
+        *,
+        deal:deals(id, title, price, image_url, merchant, status, stock_status)
+      `)
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (req.query.active === 'true') {
+      query = query.eq('is_active', true);
+    }
+
+    const { data, error } = await query;
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching deal alerts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/deal-alerts
+ * Create (or re-arm) an alert. One alert per user, deal and alert type.
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const body = req.body || {};
+    const dealId = Number(body.deal_id ?? body.dealId);
+    const alertType = body.alert_type ?? body.alertType ?? 'price_drop';
+    const notificationMethod = body.notification_method ?? body.notificationMethod ?? 'browser';
+    const rawTarget = body.target_price ?? body.targetPrice;
+
+    if (!Number.isInteger(dealId) || dealId <= 0) {
+      return res.status(400).json({ error: 'A valid deal_id is required' });
+    }
+
+    if (!ALERT_TYPES.includes(alertType)) {
+      return res.status(400).json({ error: `alert_type must be one of: ${ALERT_TYPES.join(', ')}` });
+    }
+
+    if (!NOTIFICATION_METHODS.includes(notificationMethod)) {
+      return res.status(400).json({ error: `notification_method must be one of: ${NOTIFICATION_METHODS.join(', ')}` });
+    }
+
+    const { data: deal, error: dealError } = await supabase
+      .from('deals')
+      .select('id, title, price, stock_status, status')
+      .eq('id', dealId)
+      .single();
+
+    if (dealError || !deal) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    if (['expired', 'deleted', 'rejected'].includes(deal.status)) {
+      return res.status(400).json({ error: 'Alerts can only be set on live deals' });
+    }
+
+    // Stock alerts don't need a target; store the current price for reference
+    let targetPrice = rawTarget === undefined || rawTarget === null || rawTarget === ''
+      ? null
+      : Number(rawTarget);
+
+    if (alertType === 'price_drop' || alertType === 'price_rise') {
+      if (!Number.isFinite(targetPrice) || targetPrice < 0) {
+        return res.status(400).json({ error: 'A valid target_price is required for price alerts' });
+      }
+    } else {
+      targetPrice = Number(deal.price) || 0;
+    }
+
+    // Refuse alerts that would fire immediately; stock alerts only fire on
+    // a change into the watched state
+    if (isPriceAlertMet({ alert_type: alertType, target_price: targetPrice }, deal)) {
+      return res.status(400).json({ error: ALREADY_MET_ERRORS[alertType] });
+    }
+
+    const { count } = await supabase
+      .from('price_alerts')
+      .select('id', { count: 'exact', head: true })
+      .eq('user_id', req.user.id)
+      .eq('is_active', true);
+
+    if ((count || 0) >= MAX_ACTIVE_ALERTS) {
+      return res.status(400).json({ error: `You can have at most ${MAX_ACTIVE_ALERTS} active alerts` });
+    }
+
+    const { data: alert, error } = await supabase
+      .from('price_alerts')
+      .upsert({
+        user_id: req.user.id,
+        deal_id: dealId,
+        alert_type: alertType,
+        target_price: targetPrice,
+        notification_method: notificationMethod,
+        is_active: true,
+        triggered_at: null,
+        triggered_price: null,
+        notification_sent: false,
+        notified_at: null,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,deal_id,alert_type' })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json(alert);
+  } catch (error) {
+    console.error('Error creating deal alert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/deal-alerts/:id
+ * Remove one of the caller's alerts
+ */
+router.delete('/:id', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('price_alerts')
+      .delete()
+      .eq('id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select('id');
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (!data || data.length === 0) {
+      return res.status(404).json({ error: 'Alert not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting deal alert:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
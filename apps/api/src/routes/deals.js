@@ -4,6 +4,9 @@ import { makeAdminClient } from '../lib/supa.js';
 import { getSupabaseAdmin } from '../lib/db.js';
 import { makeUserClientFromToken } from '../lib/supaUser.js';
 import { createSafeUserClient } from '../lib/authUtils.js';
+import { denyShadowBanned } from '../middleware/denyShadowBanned.js';
+import { issueRedemptionToken } from '../lib/redemptionTokens.js';
+import { parseGeoQuery, geoRpcParams } from '../lib/geo.js';
 import multer from 'multer';
 import path from 'path';
 
@@ -414,8 +417,8 @@ r.get('/', async (req, res) => {
   }
 });
 
-/** Deal detail (includes comments + vote agg) */
-r.get('/:id', async (req, res) => {
+/** Deal detail (includes comments + vote agg). Numeric only so /nearby, /saved, /claimed etc. reach their handlers */
+r.get('/:id(\\d+)', async (req, res) => {
   try {
     const id = Number(req.params.id);
     const { data: d, error: dErr } = await supaAdmin
@@ -425,7 +428,8 @@ r.get('/:id', async (req, res) => {
         created_at, status, category_id, deal_type, is_featured, view_count, click_count, 
         valid_until, original_price, discount_value, discount_text, promo_code, redemption_type, 
         redemption_instructions, company_id, submitter_id, city, state, latitude, longitude,
-        companies(id, name, slug, logo_url, website_url, is_verified, description, phone, address, city, state)
+        stock_status, link_status, link_issue, expired_reason,
+        companies(id, name, slug, logo_url, website_url, is_verified, is_restaurant, description, phone, address, city, state)
       `)
       .eq('id', id)
       .single();
@@ -498,6 +502,9 @@ r.get('/:id', async (req, res) => {
       submitter: d.profiles, // Include submitter information
       submitter_id: d.submitter_id, // Include submitter ID
       tags,
+      status: d.status, stock_status: d.stock_status,
+      // Set by the link check worker; shown as a warning on the deal page
+      link_status: d.link_status, link_issue: d.link_issue, expired_reason: d.expired_reason,
       userVote // Include user's current vote
     });
   } catch (e) {
@@ -506,7 +513,7 @@ r.get('/:id', async (req, res) => {
 });
 
 /** Create deal (JWT required; RLS + trigger sets submitter_id) */
-r.post('/', async (req, res) => {
+r.post('/', denyShadowBanned, async (req, res) => {
   try {
     if (!req.user || !req.user.id) {
       return res.status(401).json({ error: 'Authentication required' });
@@ -853,7 +860,7 @@ r.post('/:id/vote', async (req, res) => {
 });
 
 /** Comment (JWT required; RLS enforces deal approved) */
-r.post('/:id/comment', async (req, res) => {
+r.post('/:id/comment', denyShadowBanned, async (req, res) => {
   try {
     if (!req.user || !req.user.id) {
       return res.status(401).json({ error: 'Authentication required' });
@@ -1072,104 +1079,47 @@ r.post('/:id/click', async (req, res) => {
 // RESTAURANT DEALS ENDPOINTS
 // =============================================
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  return R * c;
-}
-
 /**
  * Get deals near a location
  * GET /api/deals/nearby
+ *
+ * ?lat=&lng=&radius= (miles) or ?bbox=minLng,minLat,maxLng,maxLat, see
+ * lib/geo.js. Featured deals come first, then nearest.
  */
 r.get('/nearby', async (req, res) => {
   try {
     const { 
-      lat, 
-      lng, 
-      radius = 10, 
       limit = 20, 
       offset = 0,
       category,
       cuisine
     } = req.query;
 
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
-    }
-
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const radiusMiles = parseFloat(radius);
-
-    // Build query for deals with restaurant info
-    let query = supaAdmin
-      .from('deals')
-      .select(`
-        *,
-        company:companies!company_id (
-          id, name, slug, logo_url, 
-          latitude, longitude, city, state,
-          cuisine_types, price_range, avg_rating,
-          address, phone, website
-        ),
-        category:categories!category_id (id, name, slug, icon)
-      `)
-      .eq('status', 'approved')
-      .or('expires_at.is.null,expires_at.gt.now()');
-
-    if (category) {
-      query = query.eq('category.slug', category);
+    const geo = parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ error: geo.error });
     }
 
-    const { data: deals, error } = await query
-      .order('is_featured', { ascending: false })
-      .order('created_at', { ascending: false });
+    const { data: rows, error } = await supaAdmin.rpc('nearby_deals', {
+      ...geoRpcParams(geo),
+      p_category: category || null,
+      p_cuisine: cuisine || null,
+      p_limit: parseInt(limit) || 20,
+      p_offset: parseInt(offset) || 0
+    });
 
     if (error) throw error;
 
-    // Filter and sort by distance
-    const dealsWithDistance = (deals || [])
-      .map(deal => {
-        const dealLat = deal.latitude || deal.company?.latitude;
-        const dealLng = deal.longitude || deal.company?.longitude;
-        
-        if (!dealLat || !dealLng) return null;
-
-        const distance = calculateDistance(latitude, longitude, dealLat, dealLng);
-        
-        if (distance > radiusMiles) return null;
-
-        // Filter by cuisine if specified
-        if (cuisine && deal.company?.cuisine_types) {
-          if (!deal.company.cuisine_types.includes(cuisine)) return null;
-        }
-
-        return {
-          ...deal,
-          distance_miles: Math.round(distance * 10) / 10
-        };
-      })
-      .filter(Boolean)
-      .sort((a, b) => {
-        // Featured first, then by distance
-        if (a.is_featured !== b.is_featured) return b.is_featured ? 1 : -1;
-        return a.distance_miles - b.distance_miles;
-      })
-      .slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+    const dealsWithDistance = (rows || []).map(row => ({
+      ...row.deal,
+      distance_miles: Math.round(row.distance_miles * 10) / 10
+    }));
 
     res.json({
       success: true,
       data: dealsWithDistance,
       count: dealsWithDistance.length,
-      location: { lat: latitude, lng: longitude, radius: radiusMiles }
+      location: { lat: geo.lat, lng: geo.lng, radius: geo.radiusMiles, bbox: geo.bbox }
     });
   } catch (error) {
     console.error('Get nearby deals error:', error);
@@ -1177,9 +1127,34 @@ r.get('/nearby', async (req, res) => {
   }
 });
 
+/**
+ * Issue a fresh redemption token for a claim. Storing the nonce revokes any
+ * token issued before it.
+ */
+async function issueClaimToken(claim, deal) {
+  const issued = issueRedemptionToken(claim);
+
+  const { error } = await supaAdmin
+    .from('deal_claims')
+    .update({ token_nonce: issued.nonce, token_issued_at: new Date().toISOString() })
+    .eq('id', claim.id);
+
+  if (error) throw error;
+
+  return {
+    token: issued.token,
+    expires_at: issued.expires_at,
+    redemption_type: deal.redemption_type || 'show_screen'
+  };
+}
+
 /**
  * Claim a deal
  * POST /api/deals/:id/claim
+ *
+ * Returns a short-lived redemption token to show in store (as a QR code).
+ * Claiming reserves the deal; current_redemptions only moves when the
+ * restaurant redeems the token (POST /api/redemptions/redeem).
  */
 r.post('/:id/claim', async (req, res) => {
   try {
@@ -1200,7 +1175,7 @@ r.post('/:id/claim', async (req, res) => {
     // Check if deal exists and is active
     const { data: deal, error: dealError } = await supaAdmin
       .from('deals')
-      .select('id, title, promo_code, max_redemptions, current_redemptions, expires_at')
+      .select('id, title, promo_code, redemption_type, max_redemptions, current_redemptions, expires_at')
       .eq('id', id)
       .eq('status', 'approved')
       .single();
@@ -1214,50 +1189,51 @@ r.post('/:id/claim', async (req, res) => {
       return res.status(400).json({ error: 'Deal has expired' });
     }
 
-    // Check if max redemptions reached
-    if (deal.max_redemptions && deal.current_redemptions >= deal.max_redemptions) {
-      return res.status(400).json({ error: 'Deal is no longer available' });
-    }
-
-    // Check if already claimed
+    // Already claimed: hand back a fresh token (even if the deal has since sold out)
     const { data: existingClaim } = await supaAdmin
       .from('deal_claims')
-      .select('id')
+      .select('id, deal_id, redeemed_at')
       .eq('deal_id', id)
       .eq('user_id', user.id)
-      .single();
+      .maybeSingle();
 
     if (existingClaim) {
       return res.json({ 
         success: true, 
         already_claimed: true,
+        claim_id: existingClaim.id,
         promo_code: deal.promo_code,
-        message: 'You have already claimed this deal'
+        redeemed_at: existingClaim.redeemed_at,
+        redemption: existingClaim.redeemed_at ? null : await issueClaimToken(existingClaim, deal),
+        message: existingClaim.redeemed_at ? 'You have already redeemed this deal' : 'You have already claimed this deal'
       });
     }
 
+    // Check if max redemptions reached
+    if (deal.max_redemptions && deal.current_redemptions >= deal.max_redemptions) {
+      return res.status(400).json({ error: 'Deal is no longer available' });
+    }
+
     // Insert claim
-    const { error: claimError } = await supaAdmin
+    const { data: claim, error: claimError } = await supaAdmin
       .from('deal_claims')
       .insert({
         deal_id: parseInt(id),
         user_id: user.id
-      });
+      })
+      .select('id, deal_id')
+      .single();
 
     if (claimError) throw claimError;
 
     // Update deal stats
-    await supaAdmin
-      .from('deals')
-      .update({ 
-        claim_count: (deal.current_redemptions || 0) + 1,
-        current_redemptions: (deal.current_redemptions || 0) + 1
-      })
-      .eq('id', id);
+    await supaAdmin.rpc('increment_deal_claim_count', { p_deal_id: parseInt(id) });
 
     res.json({ 
       success: true, 
+      claim_id: claim.id,
       promo_code: deal.promo_code,
+      redemption: await issueClaimToken(claim, deal),
       message: 'Deal claimed successfully!'
     });
   } catch (error) {
@@ -1266,6 +1242,185 @@ r.post('/:id/claim', async (req, res) => {
   }
 });
 
+/**
+ * Get a fresh redemption token for an existing claim
+ * POST /api/deals/:id/claim/token
+ */
+r.post('/:id/claim/token', async (req, res) => {
+  try {
+    const { id } = req.params;
+    const token = bearer(req);
+
+    if (!token) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const userClient = makeUserClientFromToken(token);
+    const { data: { user }, error: authError } = await userClient.auth.getUser();
+
+    if (authError || !user) {
+      return res.status(401).json({ error: 'Invalid token' });
+    }
+
+    const { data: claim } = await supaAdmin
+      .from('deal_claims')
+      .select('id, deal_id, redeemed_at, deal:deals (redemption_type, status, expires_at)')
+      .eq('deal_id', id)
+      .eq('user_id', user.id)
+      .maybeSingle();
+
+    if (!claim) {
+      return res.status(404).json({ error: 'You have not claimed this deal' });
+    }
+
+    if (claim.redeemed_at) {
+      return res.status(409).json({ error: 'This deal has already been redeemed', redeemed_at: claim.redeemed_at });
+    }
+
+    if (claim.deal?.status !== 'approved' || (claim.deal.expires_at && new Date(claim.deal.expires_at) < new Date())) {
+      return res.status(410).json({ error: 'This deal is no longer active' });
+    }
+
+    res.json({
+      success: true,
+      claim_id: claim.id,
+      redemption: await issueClaimToken(claim, claim.deal)
+    });
+  } catch (error) {
+    console.error('Issue redemption token error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Get the current user's price/stock alerts on a deal
+ * GET /api/deals/:id/alerts
+ */
+r.get('/:id/alerts', async (req, res) => {
+  try {
+    if (!req.user || !req.user.id) {
+      return res.status(401).json({ error: 'Authentication required' });
+    }
+
+    const { data, error } = await supaAdmin
+      .from('price_alerts')
+      .select('*')
+      .eq('deal_id', Number(req.params.id))
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Get deal alerts error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Min/max/avg over a list of numeric prices
+function priceStats(prices) {
+  if (prices.length === 0) {
+    return { min: null, max: null, avg: null };
+  }
+  const sum = prices.reduce((acc, p) => acc + p, 0);
+  return {
+    min: Math.min(...prices),
+    max: Math.max(...prices),
+    avg: Number((sum / prices.length).toFixed(2)),
+  };
+}
+
+/**
+ * Get a deal's price history as a time series
+ * GET /api/deals/:id/price-history?days=90
+ */
+r.get('/:id/price-history', async (req, res) => {
+  try {
+    const id = Number(req.params.id);
+    const days = Math.min(Math.max(parseInt(req.query.days) || 90, 1), 730);
+
+    const { data: deal, error: dealError } = await supaAdmin
+      .from('deals')
+      .select('id, price, original_price, stock_status, created_at, price_trend')
+      .eq('id', id)
+      .single();
+
+    if (dealError || !deal) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    const { data: rows, error } = await supaAdmin
+      .from('deal_price_history')
+      .select('price, original_price, stock_status, source, currency, created_at')
+      .eq('deal_id', id)
+      .not('price', 'is', null)
+      .order('created_at', { ascending: true })
+      .limit(2000);
+
+    if (error) {
+      if (error.code === '42P01') {
+        return res.json({ deal_id: id, points: [], sources: {}, stats: priceStats([]), is_all_time_low: false });
+      }
+      return res.status(400).json({ error: error.message });
+    }
+
+    let history = (rows || []).map(row => ({
+      date: row.created_at,
+      price: Number(row.price),
+      original_price: row.original_price != null ? Number(row.original_price) : null,
+      stock_status: row.stock_status,
+      source: row.source || 'manual',
+    }));
+
+    // Deals that never changed price still get a single point
+    if (history.length === 0 && deal.price != null) {
+      history = [{
+        date: deal.created_at,
+        price: Number(deal.price),
+        original_price: deal.original_price != null ? Number(deal.original_price) : null,
+        stock_status: deal.stock_status,
+        source: 'listing',
+      }];
+    }
+
+    const since = Date.now() - days * 24 * 60 * 60 * 1000;
+    const points = history.filter(p => new Date(p.date).getTime() >= since);
+
+    const sources = {};
+    for (const p of points) {
+      (sources[p.source] ||= []).push({ date: p.date, price: p.price });
+    }
+
+    const allTime = priceStats(history.map(p => p.price));
+    const currentPrice = deal.price != null ? Number(deal.price) : null;
+
+    res.json({
+      deal_id: id,
+      currency: rows?.[0]?.currency || 'USD',
+      current_price: currentPrice,
+      price_trend: deal.price_trend || 'stable',
+      days,
+      points,
+      sources,
+      stats: {
+        ...priceStats(points.map(p => p.price)),
+        count: points.length,
+        all_time_low: allTime.min,
+        all_time_high: allTime.max,
+        first_seen: history[0]?.date || deal.created_at,
+        last_changed: history[history.length - 1]?.date || null,
+      },
+      is_all_time_low: currentPrice != null && allTime.min != null && currentPrice <= allTime.min && history.length > 1,
+    });
+  } catch (error) {
+    console.error('Get price history error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 /**
  * Save/unsave a deal (bookmark)
  * POST /api/deals/:id/save
@@ -1421,6 +1576,7 @@ r.get('/claimed', async (req, res) => {
       success: true,
       data: claimedDeals?.map(c => ({ 
         ...c.deal, 
+        claim_id: c.id,
         claimed_at: c.claimed_at,
         redeemed_at: c.redeemed_at
       })) || []
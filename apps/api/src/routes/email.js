@@ -0,0 +1,202 @@
+/**
+ * Email API Routes
+ *
+ * Unsubscribe links, the mail provider's bounce/complaint webhook, and admin
+ * tools for the suppression list and queue. Sending lives in lib/email.
+ */
+
+import express from 'express';
+import crypto from 'crypto';
+import { makeAdminClient } from '../lib/supa.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+import { recordEmailEvent, suppressEmail, normalizeEmail, EMAIL_EVENT_TYPES } from '../lib/email/index.js';
+import { dispatchQueuedEmails } from '../lib/email/dispatcher.js';
+import { verifyUnsubscribeToken, applyUnsubscribe, UnsubscribeTokenError } from '../lib/email/unsubscribe.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+const SITE_URL = process.env.SITE_URL || 'http://localhost:5173';
+
+// Provider vocab for bounce severity
+const HARD_BOUNCE_TYPES = ['hard', 'permanent'];
+
+/**
+ * Map one webhook event onto email_events.event_type
+ * Accepts { email, type: 'bounce'|'complaint', bounce_type, message_id, reason }
+ * or our own type names.
+ */
+function normalizeEvent(event) {
+  const email = normalizeEmail(event?.email);
+  if (!email || !email.includes('@')) return null;
+
+  let type = String(event.type || '').toLowerCase();
+  if (type === 'bounce') {
+    type = HARD_BOUNCE_TYPES.includes(String(event.bounce_type || '').toLowerCase()) ? 'hard_bounce' : 'soft_bounce';
+  }
+  if (!EMAIL_EVENT_TYPES.includes(type)) return null;
+
+  return {
+    email,
+    type,
+    messageId: event.message_id || null,
+    details: { reason: event.reason || null, bounce_type: event.bounce_type || null }
+  };
+}
+
+function webhookAuthorized(req) {
+  const secret = process.env.EMAIL_WEBHOOK_SECRET;
+  if (!secret) return false;
+  const expected = Buffer.from(secret);
+  const given = Buffer.from(String(req.get('x-email-webhook-secret') || ''));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+/**
+ * GET /api/email/unsubscribe?token=
+ * Links in older clients land here; send them to the confirmation page
+ */
+router.get('/unsubscribe', (req, res) => {
+  res.redirect(302, `${SITE_URL}/unsubscribe?token=${encodeURIComponent(req.query.token || '')}`);
+});
+
+/**
+ * POST /api/email/unsubscribe
+ * Token in the body (our page) or query string (List-Unsubscribe one-click)
+ */
+router.post('/unsubscribe', async (req, res) => {
+  try {
+    const token = req.body?.token || req.query.token;
+    const result = await applyUnsubscribe(supabase, verifyUnsubscribeToken(token));
+    res.json({ success: true, scope: result.scope, message: result.description });
+  } catch (error) {
+    if (error instanceof UnsubscribeTokenError) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/email/webhooks/bounce
+ * Bounce and complaint notifications from the mail provider, authenticated
+ * with the X-Email-Webhook-Secret header. Body is one event or { events: [] }.
+ */
+router.post('/webhooks/bounce', async (req, res) => {
+  if (!webhookAuthorized(req)) {
+    return res.status(401).json({ error: 'Invalid webhook secret' });
+  }
+
+  try {
+    const events = Array.isArray(req.body?.events) ? req.body.events : [req.body];
+    let recorded = 0;
+    let suppressed = 0;
+
+    for (const raw of events) {
+      const event = normalizeEvent(raw);
+      if (!event) continue;
+      const result = await recordEmailEvent(event);
+      recorded++;
+      if (result.suppressed) suppressed++;
+    }
+
+    res.json({ success: true, recorded, suppressed, ignored: events.length - recorded });
+  } catch (error) {
+    console.error('Email webhook error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/email/admin/suppressions?search=&page=&limit=
+ */
+router.get('/admin/suppressions', requireAdmin, async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const from = (page - 1) * limit;
+
+    let query = supabase
+      .from('email_suppressions')
+      .select('*', { count: 'exact' })
+      .order('created_at', { ascending: false })
+      .range(from, from + limit - 1);
+
+    if (req.query.search) {
+      query = query.ilike('email', `%${normalizeEmail(req.query.search)}%`);
+    }
+
+    const { data, count, error } = await query;
+    if (error) throw error;
+
+    res.json({ success: true, data: data || [], total: count || 0, page, limit });
+  } catch (error) {
+    console.error('List suppressions error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/email/admin/suppressions
+ * Manually stop mail to an address
+ */
+router.post('/admin/suppressions', requireAdmin, async (req, res) => {
+  try {
+    const email = normalizeEmail(req.body?.email);
+    if (!email.includes('@')) {
+      return res.status(400).json({ error: 'A valid email is required' });
+    }
+
+    await suppressEmail(email, 'manual', {
+      details: req.body?.note ? { note: String(req.body.note).slice(0, 500) } : null,
+      createdBy: req.admin.id
+    });
+
+    res.status(201).json({ success: true, email });
+  } catch (error) {
+    console.error('Add suppression error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/email/admin/suppressions/:email
+ * Allow mail to an address again (e.g. after the user fixed their mailbox)
+ */
+router.delete('/admin/suppressions/:email', requireAdmin, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('email_suppressions')
+      .delete()
+      .eq('email', normalizeEmail(req.params.email))
+      .select('email');
+    if (error) throw error;
+
+    if (!data?.length) {
+      return res.status(404).json({ error: 'Address is not suppressed' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Remove suppression error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/email/admin/dispatch
+ * Deliver due queued emails now instead of waiting for the next poll
+ */
+router.post('/admin/dispatch', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.body?.limit) || 50, 500);
+    const result = await dispatchQueuedEmails({ limit });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Email dispatch error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,16 +1,168 @@
 import { Router } from 'express';
 import { makeAdminClient } from '../lib/supa.js';
+import { getScheduleStatus, timezoneForCompany, DEFAULT_TIMEZONE } from '../lib/dealSchedule.js';
 
 const router = Router();
 const supa = makeAdminClient();
 
-// Get unified feed data with pagination and filtering (Deals + Coupons)
+const MAX_LIMIT = 100;
+
+const DEAL_SELECT = `
+  id,
+  title,
+  description,
+  sale_price,
+  original_price,
+  discount_value,
+  merchant,
+  category_id,
+  image_url,
+  featured_image,
+  submitter_id,
+  status,
+  created_at,
+  updated_at,
+  valid_until,
+  deal_images,
+  city,
+  state,
+  latitude,
+  longitude,
+  starts_at,
+  valid_days,
+  valid_hours,
+  companies (
+    id,
+    name,
+    slug,
+    logo_url,
+    is_verified,
+    is_restaurant,
+    state,
+    country,
+    timezone
+  )
+`;
+
+const COUPON_SELECT = `
+  id,
+  title,
+  description,
+  coupon_code,
+  discount_value,
+  category_id,
+  submitter_id,
+  status,
+  created_at,
+  updated_at,
+  expires_at,
+  companies (
+    id,
+    name,
+    slug,
+    logo_url,
+    is_verified
+  )
+`;
+
+// Filters that imply their own ordering; anything else falls back to ?sort
+const FILTER_ORDER = {
+  '50-off': 'discount',
+  'flash-sale': 'discount',
+  trending: 'score',
+  hot: 'score',
+  'ending-soon': 'expiring',
+  'near-you': 'distance',
+};
+
+const SORT_ORDER = {
+  newest: 'newest',
+  popular: 'score',
+  top: 'score',
+  discount: 'discount',
+  'ending-soon': 'expiring',
+};
+
+function getDistanceKm(lat1, lon1, lat2, lon2) {
+  const R = 6371; // Earth's radius in km
+  const dLat = (lat2 - lat1) * Math.PI / 180;
+  const dLon = (lon2 - lon1) * Math.PI / 180;
+  const a =
+    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+    Math.sin(dLon / 2) * Math.sin(dLon / 2);
+  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+  return R * c;
+}
+
+// Cursors are opaque to clients: base64url JSON of the last item's keyset
+// position plus the ordering it belongs to
+function encodeCursor(order, row) {
+  return Buffer.from(JSON.stringify({
+    o: order,
+    k: row.sort_key,
+    t: row.item_type,
+    i: row.item_id
+  })).toString('base64url');
+}
+
+function decodeCursor(cursor, order) {
+  const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  if (parsed?.o !== order || typeof parsed.k !== 'number' || !['deal', 'coupon'].includes(parsed.t) || !Number.isInteger(parsed.i)) {
+    throw new Error('cursor does not match this feed');
+  }
+  return parsed;
+}
+
+// Votes, comments and view/click counts for one page of deals
+async function fetchEngagementData(dealIds) {
+  const engagementData = new Map();
+  const entry = (dealId) => {
+    const key = `deal-${dealId}`;
+    if (!engagementData.has(key)) {
+      engagementData.set(key, { ups: 0, downs: 0, comments_count: 0, views_count: 0, saves_count: 0 });
+    }
+    return engagementData.get(key);
+  };
+
+  if (dealIds.length === 0) return engagementData;
+
+  try {
+    const [{ data: dealVotes }, { data: dealComments }, { data: dealStats }] = await Promise.all([
+      supa.from('votes').select('deal_id, value').in('deal_id', dealIds),
+      supa.from('comments').select('deal_id').in('deal_id', dealIds),
+      supa.from('deals').select('id, views_count, clicks_count').in('id', dealIds)
+    ]);
+
+    (dealVotes || []).forEach(vote => {
+      const data = entry(vote.deal_id);
+      if (vote.value === 1) data.ups++;
+      if (vote.value === -1) data.downs++;
+    });
+
+    (dealComments || []).forEach(comment => {
+      entry(comment.deal_id).comments_count++;
+    });
+
+    (dealStats || []).forEach(deal => {
+      const data = entry(deal.id);
+      data.views_count = deal.views_count || 0;
+      data.saves_count = deal.clicks_count || 0; // Using clicks as saves for now
+    });
+  } catch (error) {
+    console.error('Error fetching engagement data:', error);
+  }
+
+  return engagementData;
+}
+
+// Get unified feed data with keyset pagination and filtering (Deals + Coupons)
 // Pattern: Instagram/Facebook unified content feed
 router.get('/', async (req, res) => {
   try {
-    const { 
-      cursor = 0, 
-      limit = 12, 
+    const {
+      cursor,
+      limit = 12,
       filter = 'all',
       category,
       sort = 'newest',
@@ -26,77 +178,55 @@ router.get('/', async (req, res) => {
     } catch (e) {
       console.warn('Failed to parse location:', location);
     }
+    const hasLocation = Number.isFinite(Number(userLocation?.lat)) && Number.isFinite(Number(userLocation?.lng));
+
+    const limitNum = Math.min(Math.max(parseInt(limit) || 12, 1), MAX_LIMIT);
+
+    let order = FILTER_ORDER[filter] || SORT_ORDER[sort] || 'newest';
+    if (order === 'distance' && !hasLocation) order = 'newest';
+
+    let position = null;
+    if (cursor) {
+      try {
+        position = decodeCursor(cursor, order);
+      } catch (e) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+    }
+
+    // One extra row tells us whether there is another page
+    const { data: rows, error: pageError } = await supa.rpc('get_feed_page', {
+      p_filter: filter,
+      p_order: order,
+      p_category: category || null,
+      p_lat: hasLocation ? Number(userLocation.lat) : null,
+      p_lng: hasLocation ? Number(userLocation.lng) : null,
+      p_cursor_key: position?.k ?? null,
+      p_cursor_type: position?.t ?? null,
+      p_cursor_id: position?.i ?? null,
+      p_limit: limitNum + 1,
+      p_default_timezone: DEFAULT_TIMEZONE
+    });
+
+    if (pageError) {
+      console.error('Feed page query error:', pageError);
+      return res.status(500).json({ error: 'Internal server error', message: pageError.message });
+    }
+
+    const pageRows = (rows || []).slice(0, limitNum);
+    const hasMore = (rows || []).length > limitNum;
 
-    // No hard limit - support infinite scrolling with large batches
-    const limitNum = parseInt(limit) || 20;
-    const cursorNum = parseInt(cursor) || 0;
+    const dealIds = pageRows.filter(r => r.item_type === 'deal').map(r => r.item_id);
+    const couponIds = pageRows.filter(r => r.item_type === 'coupon').map(r => r.item_id);
 
-    // Fetch both deals and coupons in parallel - NO LIMIT to get everything
+    // Hydrate only the rows on this page
     const [dealsResult, couponsResult] = await Promise.all([
-      // Fetch ALL deals with images
-      supa
-        .from('deals')
-        .select(`
-          id,
-          title,
-          description,
-          sale_price,
-          original_price,
-          discount_value,
-          merchant,
-          category_id,
-          image_url,
-          featured_image,
-          submitter_id,
-          status,
-          created_at,
-          updated_at,
-          valid_until,
-          deal_images,
-          city,
-          state,
-          latitude,
-          longitude,
-          companies (
-            id,
-            name,
-            slug,
-            logo_url,
-            is_verified
-          )
-        `)
-        .eq('status', 'approved')
-        .order('created_at', { ascending: false })
-        .then(({ data, error }) => ({ data, error }))
-        .catch(err => ({ error: err, data: [] })),
-
-      // Fetch ALL coupons
-      supa
-        .from('coupons')
-        .select(`
-          id,
-          title,
-          description,
-          coupon_code,
-          discount_value,
-          category_id,
-          submitter_id,
-          status,
-          created_at,
-          updated_at,
-          expires_at,
-          companies (
-            id,
-            name,
-            slug,
-            logo_url,
-            is_verified
-          )
-        `)
-        .eq('status', 'approved')
-        .order('created_at', { ascending: false })
-        .then(({ data, error }) => ({ data, error }))
-        .catch(err => ({ error: err, data: [] }))
+      dealIds.length
+        ? supa.from('deals').select(DEAL_SELECT).in('id', dealIds)
+        : Promise.resolve({ data: [] }),
+      couponIds.length
+        ? supa.from('coupons').select(COUPON_SELECT).in('id', couponIds)
+        : Promise.resolve({ data: [] })
     ]);
 
     if (dealsResult.error) {
@@ -123,98 +253,21 @@ router.get('/', async (req, res) => {
         .from('profiles')
         .select('id, handle, display_name, avatar_url, karma')
         .in('id', Array.from(submitterIds));
-      
+
       if (profiles) {
         profiles.forEach(p => profilesMap.set(p.id, p));
       }
     }
 
-    // Fetch real engagement data from database
-    const fetchEngagementData = async (dealIds, couponIds) => {
-      const engagementData = new Map();
-      
-      try {
-        // Get votes for deals
-        if (dealIds.length > 0) {
-          const { data: dealVotes } = await supa
-            .from('votes')
-            .select('deal_id, value')
-            .in('deal_id', dealIds);
-          
-          if (dealVotes) {
-            dealVotes.forEach(vote => {
-              const key = `deal-${vote.deal_id}`;
-              if (!engagementData.has(key)) {
-                engagementData.set(key, { ups: 0, downs: 0, comments_count: 0, views_count: 0, saves_count: 0 });
-              }
-              const data = engagementData.get(key);
-              if (vote.value === 1) data.ups++;
-              if (vote.value === -1) data.downs++;
-            });
-          }
-        }
-        
-        // Get comments count for deals
-        if (dealIds.length > 0) {
-          const { data: dealComments } = await supa
-            .from('comments')
-            .select('deal_id')
-            .in('deal_id', dealIds);
-          
-          if (dealComments) {
-            const commentCounts = dealComments.reduce((acc, comment) => {
-              acc[comment.deal_id] = (acc[comment.deal_id] || 0) + 1;
-              return acc;
-            }, {});
-            
-            Object.entries(commentCounts).forEach(([dealId, count]) => {
-              const key = `deal-${dealId}`;
-              if (!engagementData.has(key)) {
-                engagementData.set(key, { ups: 0, downs: 0, comments_count: 0, views_count: 0, saves_count: 0 });
-              }
-              engagementData.get(key).comments_count = count;
-            });
-          }
-        }
-        
-        // Get views and clicks from deals table
-        if (dealIds.length > 0) {
-          const { data: dealStats } = await supa
-            .from('deals')
-            .select('id, views_count, clicks_count')
-            .in('id', dealIds);
-          
-          if (dealStats) {
-            dealStats.forEach(deal => {
-              const key = `deal-${deal.id}`;
-              if (!engagementData.has(key)) {
-                engagementData.set(key, { ups: 0, downs: 0, comments_count: 0, views_count: 0, saves_count: 0 });
-              }
-              const data = engagementData.get(key);
-              data.views_count = deal.views_count || 0;
-              data.saves_count = deal.clicks_count || 0; // Using clicks as saves for now
-            });
-          }
-        }
-        
-      } catch (error) {
-        console.error('Error fetching engagement data:', error);
-      }
-      
-      return engagementData;
-    };
-
-    // Fetch real engagement data
-    const dealIds = deals.map(d => d.id);
-    const couponIds = coupons.map(c => c.id);
-    const engagementData = await fetchEngagementData(dealIds, couponIds);
+    const engagementData = await fetchEngagementData(deals.map(d => d.id));
+    const now = new Date();
+    const emptyEngagement = { ups: 0, downs: 0, comments_count: 0, views_count: 0, saves_count: 0 };
 
     // Transform deals for the feed
-    const transformedDeals = deals.map(deal => {
-      const key = `deal-${deal.id}`;
-      const engagement = engagementData.get(key) || { ups: 0, downs: 0, comments_count: 0, views_count: 0, saves_count: 0 };
+    const transformDeal = (deal) => {
+      const engagement = engagementData.get(`deal-${deal.id}`) || emptyEngagement;
       const profile = profilesMap.get(deal.submitter_id);
-      
+
       return {
         id: deal.id,
         content_id: `deal-${deal.id}`,
@@ -248,16 +301,18 @@ router.get('/', async (req, res) => {
         downs: engagement.downs,
         comments_count: engagement.comments_count,
         views_count: engagement.views_count,
-        saves_count: engagement.saves_count
+        saves_count: engagement.saves_count,
+        // Restaurant deals say whether their recurring schedule is open right now
+        ...(deal.companies?.is_restaurant || deal.valid_days || deal.valid_hours
+          ? getScheduleStatus({ ...deal, expires_at: deal.valid_until }, timezoneForCompany(deal.companies), now)
+          : {})
       };
-    });
+    };
 
     // Transform coupons for the feed
-    const transformedCoupons = coupons.map(coupon => {
-      const key = `coupon-${coupon.id}`;
-      const engagement = engagementData.get(key) || { ups: 0, downs: 0, comments_count: 0, views_count: 0, saves_count: 0 };
+    const transformCoupon = (coupon) => {
       const profile = profilesMap.get(coupon.submitter_id);
-      
+
       return {
         id: coupon.id,
         content_id: `coupon-${coupon.id}`,
@@ -276,201 +331,49 @@ router.get('/', async (req, res) => {
         companies: coupon.companies,
         profiles: profile,
         submitter: profile,
-        // Real engagement metrics from database
-        ups: engagement.ups,
-        downs: engagement.downs,
-        comments_count: engagement.comments_count,
-        views_count: engagement.views_count,
-        saves_count: engagement.saves_count
+        ...emptyEngagement
       };
-    });
-
-    // Merge and sort by created_at (most recent first)
-    const allItems = [...transformedDeals, ...transformedCoupons]
-      .sort((a, b) => new Date(b.created_at) - new Date(a.created_at))
-      .slice(cursorNum, cursorNum + limitNum);
-
-    // Apply filters after merging
-    let filteredItems = allItems;
-
-    // Price-based filters
-    if (filter === 'under-10') {
-      filteredItems = allItems.filter(item => item.price && item.price < 10);
-    } else if (filter === 'under-25') {
-      filteredItems = allItems.filter(item => item.price && item.price < 25);
-    } else if (filter === 'under-50') {
-      filteredItems = allItems.filter(item => item.price && item.price < 50);
-    }
-    // Discount-based filters
-    else if (filter === '50-off') {
-      filteredItems = allItems
-        .filter(item => item.discount_percentage >= 50)
-        .sort((a, b) => b.discount_percentage - a.discount_percentage);
-    }
-    // Time-based filters
-    else if (filter === 'trending') {
-      const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-      filteredItems = allItems
-        .filter(item => new Date(item.created_at) >= sevenDaysAgo)
-        .sort((a, b) => (b.ups - b.downs) - (a.ups - a.downs));
-    } else if (filter === 'hot') {
-      // Hot deals: High engagement in last 24 hours
-      const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      filteredItems = allItems
-        .filter(item => new Date(item.created_at) >= oneDayAgo && (item.ups - item.downs) > 5)
-        .sort((a, b) => (b.ups - b.downs) - (a.ups - a.downs));
-    } else if (filter === 'ending-soon') {
-      const threeDaysFromNow = new Date(Date.now() + 3 * 24 * 60 * 60 * 1000);
-      filteredItems = allItems
-        .filter(item => item.expires_at && new Date(item.expires_at) <= threeDaysFromNow)
-        .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
-    } else if (filter === 'new-arrivals') {
-      const threeDaysAgo = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
-      filteredItems = allItems.filter(item => new Date(item.created_at) >= threeDaysAgo);
-    }
-    // Special filters
-    else if (filter === 'freebies') {
-      filteredItems = allItems.filter(item => item.price === 0 || item.price === null);
-    } else if (filter === 'flash-sale') {
-      // Flash sales: High discount + ending soon
-      const twoDaysFromNow = new Date(Date.now() + 2 * 24 * 60 * 60 * 1000);
-      filteredItems = allItems
-        .filter(item => 
-          item.discount_percentage >= 40 && 
-          item.expires_at && 
-          new Date(item.expires_at) <= twoDaysFromNow
-        )
-        .sort((a, b) => b.discount_percentage - a.discount_percentage);
-    } else if (filter === 'free-shipping') {
-      filteredItems = allItems.filter(item => 
-        item.title?.toLowerCase().includes('free shipping') || 
-        item.description?.toLowerCase().includes('free shipping')
-      );
-    } else if (filter === 'near-you' && userLocation?.lat && userLocation?.lng) {
-      // Near You filter: show deals within ~30 miles (50km) of user's location
-      const RADIUS_KM = 50; // ~31 miles
-      
-      // Helper function to calculate distance between two points (Haversine formula)
-      const getDistanceKm = (lat1, lon1, lat2, lon2) => {
-        const R = 6371; // Earth's radius in km
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = 
-          Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-          Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-          Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
-      };
-
-      filteredItems = allItems
-        .filter(item => {
-          // Only include deals with location data
-          if (!item.latitude || !item.longitude) return false;
-          const distance = getDistanceKm(
-            userLocation.lat, 
-            userLocation.lng, 
-            item.latitude, 
-            item.longitude
-          );
-          item.distanceKm = distance; // Add distance for sorting
-          return distance <= RADIUS_KM;
-        })
-        .sort((a, b) => (a.distanceKm || 0) - (b.distanceKm || 0)); // Sort by distance
-    }
-
-    // Apply category filter
-    if (category) {
-      filteredItems = filteredItems.filter(item => {
-        const itemCategory = item.category?.toString() || '';
-        const itemTitle = item.title?.toLowerCase() || '';
-        const itemDescription = item.description?.toLowerCase() || '';
-        const categoryLower = category.toLowerCase();
-        
-        // Check if category_id matches or if title/description contains category name
-        return itemCategory === category || 
-               itemTitle.includes(categoryLower) || 
-               itemDescription.includes(categoryLower);
-      });
-    }
+    };
 
-    // Calculate distance for ALL items if user location is provided
-    if (userLocation?.lat && userLocation?.lng && filter !== 'near-you') {
-      const getDistanceKm = (lat1, lon1, lat2, lon2) => {
-        const R = 6371;
-        const dLat = (lat2 - lat1) * Math.PI / 180;
-        const dLon = (lon2 - lon1) * Math.PI / 180;
-        const a = 
-          Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-          Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-          Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        return R * c;
-      };
+    const dealsById = new Map(deals.map(d => [d.id, transformDeal(d)]));
+    const couponsById = new Map(coupons.map(c => [c.id, transformCoupon(c)]));
 
-      filteredItems = filteredItems.map(item => {
-        if (item.latitude && item.longitude) {
-          item.distanceKm = getDistanceKm(
-            userLocation.lat,
-            userLocation.lng,
-            item.latitude,
-            item.longitude
-          );
+    // Keep the database order; rows deleted since the page query simply drop out
+    const items = pageRows
+      .map(row => {
+        const item = row.item_type === 'deal' ? dealsById.get(row.item_id) : couponsById.get(row.item_id);
+        if (!item) return null;
+        if (row.distance_km != null) {
+          item.distanceKm = row.distance_km;
+        } else if (hasLocation && item.latitude && item.longitude) {
+          item.distanceKm = getDistanceKm(Number(userLocation.lat), Number(userLocation.lng), item.latitude, item.longitude);
         }
         return item;
-      });
-    }
+      })
+      .filter(Boolean);
 
-    // Get next cursor
-    const nextCursor = filteredItems.length === limitNum 
-      ? cursorNum + limitNum 
-      : null;
-
-    // Debug logging with sample data
-    console.log('[Feed API] Request:', { 
-      filter, 
-      category, 
-      totalItems: allItems.length, 
-      filteredCount: filteredItems.length 
-    });
+    const nextCursor = hasMore ? encodeCursor(order, pageRows[pageRows.length - 1]) : null;
 
-    // Log sample item to verify data structure
-    if (filteredItems.length > 0) {
-      const sampleItem = filteredItems[0];
-      console.log('[Feed API] Sample item data:', {
-        id: sampleItem.id,
-        type: sampleItem.type,
-        title: sampleItem.title,
-        company: sampleItem.company?.name,
-        submitter: sampleItem.submitter?.handle,
-        ups: sampleItem.ups,
-        downs: sampleItem.downs,
-        comments_count: sampleItem.comments_count,
-        views_count: sampleItem.views_count,
-        saves_count: sampleItem.saves_count,
-        votes: (sampleItem.ups || 0) - (sampleItem.downs || 0)
-      });
-      
-      // Log engagement data source
-      console.log('[Feed API] Engagement data source:', {
-        totalDeals: deals.length,
-        totalCoupons: coupons.length,
-        engagementDataSize: engagementData.size,
-        sampleEngagement: engagementData.get(`deal-${sampleItem.id}`) || engagementData.get(`coupon-${sampleItem.id}`)
-      });
-    }
+    console.log('[Feed API] Request:', {
+      filter,
+      category,
+      order,
+      pageSize: items.length,
+      hasMore
+    });
 
     res.json({
-      data: filteredItems,
-      items: filteredItems, // Support both formats
+      data: items,
+      items, // Support both formats
       nextCursor,
-      hasMore: nextCursor !== null,
+      hasMore,
       meta: {
-        total: filteredItems.length,
-        deals_count: transformedDeals.length,
-        coupons_count: transformedCoupons.length,
+        total: items.length,
+        deals_count: dealIds.length,
+        coupons_count: couponIds.length,
         filter,
-        category
+        category,
+        order
       }
     });
 
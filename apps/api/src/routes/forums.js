@@ -0,0 +1,216 @@
+/**
+ * Forum API Routes
+ *
+ * Lists forums and the threads inside them. Thread-level actions
+ * (posts, votes, moderation, subscriptions) live in routes/threads.js.
+ */
+
+import express from 'express';
+import { makeAdminClient } from '../lib/supa.js';
+import { denyShadowBanned } from '../middleware/denyShadowBanned.js';
+import { makeLimiter, userOrIp } from '../lib/limiter.js';
+import {
+  THREAD_SELECT,
+  THREAD_SORTS,
+  timeFilterCutoff,
+  sanitizeSearchTerm,
+  sortThreadsByHot,
+  normalizeTags,
+} from '../lib/forums.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+// Helper: Check authentication
+const requireAuth = (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+/**
+ * GET /api/forums
+ * List active forums with thread/post counts
+ */
+router.get('/', async (_req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('forums')
+      .select('id, slug, name, description, tags, image_url, thread_count, post_count, last_activity_at')
+      .eq('is_active', true)
+      .order('sort_order', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching forums:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/forums/:slug
+ * Get a single forum
+ */
+router.get('/:slug', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('forums')
+      .select('id, slug, name, description, tags, image_url, thread_count, post_count, last_activity_at')
+      .eq('slug', req.params.slug)
+      .eq('is_active', true)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ error: 'Forum not found' });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error fetching forum:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/forums/:slug/threads
+ * List threads in a forum
+ * Query: sort (new|top|hot), tag, search, time (today|week|month|all), limit, offset
+ */
+router.get('/:slug/threads', async (req, res) => {
+  try {
+    const sort = THREAD_SORTS.includes(req.query.sort) ? req.query.sort : 'new';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { data: forum, error: forumError } = await supabase
+      .from('forums')
+      .select('id')
+      .eq('slug', req.params.slug)
+      .single();
+
+    if (forumError || !forum) {
+      return res.status(404).json({ error: 'Forum not found' });
+    }
+
+    let query = supabase
+      .from('forum_threads')
+      .select(THREAD_SELECT)
+      .eq('forum_id', forum.id)
+      .neq('status', 'deleted');
+
+    if (req.query.tag) {
+      query = query.contains('tags', [String(req.query.tag).toLowerCase()]);
+    }
+
+    const search = sanitizeSearchTerm(req.query.search);
+    if (search) {
+      query = query.or(`title.ilike.%${search}%,body.ilike.%${search}%`);
+    }
+
+    const cutoff = timeFilterCutoff(req.query.time);
+    if (cutoff) {
+      query = query.gte('created_at', cutoff);
+    }
+
+    query = query.order('is_pinned', { ascending: false });
+
+    if (sort === 'hot') {
+      // Rank the most recently active threads by hot score
+      const { data, error } = await query
+        .order('last_activity_at', { ascending: false })
+        .limit(500);
+      if (error) return res.status(400).json({ error: error.message });
+      return res.json(sortThreadsByHot(data || []).slice(offset, offset + limit));
+    }
+
+    query = sort === 'top'
+      ? query.order('score', { ascending: false }).order('created_at', { ascending: false })
+      : query.order('created_at', { ascending: false });
+
+    const { data, error } = await query.range(offset, offset + limit - 1);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching forum threads:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/forums/:slug/threads
+ * Start a new thread
+ */
+router.post('/:slug/threads', requireAuth, denyShadowBanned, async (req, res) => {
+  try {
+    const take = makeLimiter({
+      key: () => `forum-thread:${userOrIp(req)}`,
+      limit: Number(process.env.RL_FORUM_THREADS_PER_HOUR || 10),
+      windowSec: 3600,
+      prefix: 'forum:thread',
+    });
+    const rl = await take();
+    if (!rl.success) {
+      return res.status(429).json({ error: 'You are posting too quickly. Please try again later.' });
+    }
+
+    const title = String(req.body?.title || '').trim();
+    const body = String(req.body?.body || '').trim();
+
+    if (title.length < 5 || title.length > 200) {
+      return res.status(400).json({ error: 'Title must be between 5 and 200 characters' });
+    }
+    if (body.length < 10 || body.length > 20000) {
+      return res.status(400).json({ error: 'Body must be between 10 and 20000 characters' });
+    }
+
+    const { data: forum, error: forumError } = await supabase
+      .from('forums')
+      .select('id')
+      .eq('slug', req.params.slug)
+      .eq('is_active', true)
+      .single();
+
+    if (forumError || !forum) {
+      return res.status(404).json({ error: 'Forum not found' });
+    }
+
+    const { data: thread, error } = await supabase
+      .from('forum_threads')
+      .insert({
+        forum_id: forum.id,
+        author_id: req.user.id,
+        title,
+        body,
+        tags: normalizeTags(req.body.tags),
+        is_nsfw: !!req.body.nsfw,
+      })
+      .select(THREAD_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Authors follow their own threads by default
+    await supabase
+      .from('forum_thread_subscriptions')
+      .upsert({ thread_id: thread.id, user_id: req.user.id }, { onConflict: 'thread_id,user_id' });
+
+    res.status(201).json(thread);
+  } catch (error) {
+    console.error('Error creating thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,838 @@
+/**
+ * Merchant API Routes
+ *
+ * Business owners claim their company (domain email or document, reviewed by
+ * an admin), then run it from the merchant portal: edit the profile, post
+ * deals and see how those deals perform. Admin review of claims lives under
+ * /admin here as well.
+ */
+
+import express from 'express';
+import multer from 'multer';
+import path from 'path';
+import { makeAdminClient } from '../lib/supa.js';
+import { requireAdmin } from '../middleware/requireAdmin.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { getManagedCompanyIds, canManageCompany } from '../lib/merchantAccess.js';
+import { isValidTimezone, scheduleError, openingHoursError } from '../lib/dealSchedule.js';
+import priceAlerts from '../lib/priceAlerts.js';
+import {
+  CLAIM_METHODS,
+  OPEN_CLAIM_STATUSES,
+  MAX_EMAIL_CODE_ATTEMPTS,
+  EMAIL_CODE_RESEND_SECONDS,
+  companyDomain,
+  emailMatchesCompany,
+  emailCodeMatches,
+  emailCodeTimedOut,
+  sendEmailCode,
+  getCompanyStats
+} from '../lib/businessClaims.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+const DOCUMENT_BUCKET = 'business-documents';
+const DOCUMENT_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+const LOGO_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+const PRICE_RANGES = ['$', '$$', '$$$', '$$$$'];
+const REDEMPTION_TYPES = ['code', 'show_screen', 'print', 'link', 'in_store'];
+
+// Profile fields a merchant may change; name, address and location stay with admins
+const EDITABLE_COMPANY_FIELDS = [
+  'description', 'phone', 'email', 'website', 'logo_url', 'cover_image_url', 'menu_url',
+  'cuisine_types', 'price_range', 'restaurant_hours', 'photos', 'timezone'
+];
+
+const COMPANY_FIELDS = 'id, name, slug, description, logo_url, cover_image_url, website, website_url, phone, email, address, city, state, zip_code, country, cuisine_types, price_range, restaurant_hours, photos, menu_url, timezone, is_restaurant, is_verified, is_claimed, claimed_at, owner_id';
+
+const MERCHANT_DEAL_FIELDS = 'id, title, description, image_url, price, original_price, discount_percentage, promo_code, redemption_type, redemption_instructions, max_redemptions, current_redemptions, claim_count, view_count, click_count, starts_at, expires_at, valid_days, valid_hours, status, created_at';
+
+const upload = (types) => multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 },
+  fileFilter: (req, file, cb) => {
+    if (types.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error(`Invalid file type. Allowed: ${types.join(', ')}`));
+    }
+  }
+});
+
+// Multer errors become 400s instead of falling through to the error handler
+const acceptFile = (types, field) => (req, res, next) => {
+  upload(types).single(field)(req, res, (err) => {
+    if (err) return res.status(400).json({ error: err.message });
+    next();
+  });
+};
+
+// Helper: Check authentication
+const requireAuth = (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+const requireMerchant = requirePermission(PERMISSIONS.MANAGE_BUSINESS);
+
+/**
+ * Load :companyId if the caller manages it (req.company)
+ */
+async function loadManagedCompany(req, res, next) {
+  try {
+    const companyId = parseInt(req.params.companyId);
+    const managed = await getManagedCompanyIds(supabase, req.user.id);
+    if (!companyId || !canManageCompany(managed, companyId)) {
+      return res.status(403).json({ error: 'You do not manage this business' });
+    }
+
+    const { data: company, error } = await supabase
+      .from('companies')
+      .select(COMPANY_FIELDS)
+      .eq('id', companyId)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!company) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+
+    req.company = company;
+    next();
+  } catch (error) {
+    console.error('Error loading merchant company:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+}
+
+async function loadOwnClaim(req, res) {
+  const { data: claim, error } = await supabase
+    .from('business_claims')
+    .select('*, company:companies (id, name, slug)')
+    .eq('id', req.params.id)
+    .eq('user_id', req.user.id)
+    .maybeSingle();
+
+  if (error) throw error;
+  if (!claim) {
+    res.status(404).json({ error: 'Claim not found' });
+    return null;
+  }
+  return claim;
+}
+
+// Never send code hashes or storage paths to the browser
+function publicClaim(claim) {
+  const result = { ...claim, has_document: Boolean(claim.document_path) };
+  delete result.email_code_hash;
+  delete result.document_path;
+  return result;
+}
+
+// sendEmailCode() came back with 'suppressed' or 'disabled'
+function codeNotSentMessage(status, email) {
+  return status === 'suppressed'
+    ? `We can't send email to ${email} because earlier messages bounced. Use a different address or upload a document instead.`
+    : 'We could not send the code right now. Please request a new one in a few minutes.';
+}
+
+const toNumber = (value, parse = parseFloat) => (value === '' || value == null ? null : parse(value));
+
+// =============================================
+// BUSINESS CLAIMS
+// =============================================
+
+/**
+ * GET /api/merchant/claims
+ * The caller's business claims, newest first
+ */
+router.get('/claims', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('business_claims')
+      .select('*, company:companies (id, name, slug, logo_url)')
+      .eq('user_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) throw error;
+
+    res.json({ data: (data || []).map(publicClaim) });
+  } catch (error) {
+    console.error('Error fetching business claims:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/merchant/claims
+ * Start a claim. JSON for method=domain_email (a code is mailed to
+ * business_email), multipart with a `document` file for method=document.
+ */
+router.post('/claims', requireAuth, acceptFile(DOCUMENT_TYPES, 'document'), async (req, res) => {
+  try {
+    const { company_id, method, contact_name, contact_phone, job_title, business_email } = req.body || {};
+    const companyId = parseInt(company_id);
+
+    if (!companyId) {
+      return res.status(400).json({ error: 'company_id is required' });
+    }
+    if (!CLAIM_METHODS.includes(method)) {
+      return res.status(400).json({ error: `method must be one of: ${CLAIM_METHODS.join(', ')}` });
+    }
+    if (!contact_name?.trim()) {
+      return res.status(400).json({ error: 'contact_name is required' });
+    }
+
+    const { data: company } = await supabase
+      .from('companies')
+      .select('id, name, website, website_url, owner_id')
+      .eq('id', companyId)
+      .maybeSingle();
+
+    if (!company) {
+      return res.status(404).json({ error: 'Business not found' });
+    }
+    if (company.owner_id === req.user.id) {
+      return res.status(409).json({ error: 'You already manage this business' });
+    }
+    if (company.owner_id) {
+      return res.status(409).json({ error: 'This business has already been claimed. Contact support if you believe this is wrong.' });
+    }
+
+    const { data: openClaim } = await supabase
+      .from('business_claims')
+      .select('id')
+      .eq('company_id', companyId)
+      .eq('user_id', req.user.id)
+      .in('status', OPEN_CLAIM_STATUSES)
+      .maybeSingle();
+
+    if (openClaim) {
+      return res.status(409).json({ error: 'You already have an open claim for this business', claim_id: openClaim.id });
+    }
+
+    const row = {
+      company_id: companyId,
+      user_id: req.user.id,
+      method,
+      contact_name: contact_name.trim(),
+      contact_phone: contact_phone?.trim() || null,
+      job_title: job_title?.trim() || null
+    };
+
+    if (method === 'domain_email') {
+      if (!companyDomain(company)) {
+        return res.status(400).json({ error: 'This business has no website on file; upload a document instead' });
+      }
+      if (!emailMatchesCompany(business_email, company)) {
+        return res.status(400).json({ error: `Use an email address at ${companyDomain(company)}` });
+      }
+      row.business_email = business_email.trim().toLowerCase();
+      row.status = 'pending_email';
+    } else {
+      if (!req.file) {
+        return res.status(400).json({ error: 'Upload a business license, utility bill or similar document' });
+      }
+
+      const documentPath = `${companyId}/${req.user.id}-${Date.now()}${path.extname(req.file.originalname)}`;
+      const { error: uploadError } = await supabase.storage
+        .from(DOCUMENT_BUCKET)
+        .upload(documentPath, req.file.buffer, { contentType: req.file.mimetype, upsert: false });
+
+      if (uploadError) {
+        console.error('Claim document upload error:', uploadError);
+        return res.status(500).json({ error: 'Failed to upload document' });
+      }
+
+      row.document_path = documentPath;
+      row.status = 'pending_review';
+    }
+
+    const { data: claim, error } = await supabase
+      .from('business_claims')
+      .insert(row)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    let message = 'Thanks! Our team will review your document shortly.';
+    if (method === 'domain_email') {
+      const sent = await sendEmailCode(supabase, claim, company);
+      message = sent === 'sent'
+        ? `We sent a 6-digit code to ${claim.business_email}`
+        : codeNotSentMessage(sent, claim.business_email);
+    }
+
+    res.status(201).json({ claim: publicClaim(claim), message });
+  } catch (error) {
+    console.error('Error creating business claim:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/merchant/claims/:id/verify-email
+ * Confirm the emailed code; the claim then joins the review queue
+ */
+router.post('/claims/:id/verify-email', requireAuth, async (req, res) => {
+  try {
+    const claim = await loadOwnClaim(req, res);
+    if (!claim) return;
+
+    if (claim.status !== 'pending_email') {
+      return res.status(409).json({ error: 'This claim is not waiting for an email code' });
+    }
+    if (claim.email_code_attempts >= MAX_EMAIL_CODE_ATTEMPTS) {
+      return res.status(429).json({ error: 'Too many attempts; request a new code' });
+    }
+    if (emailCodeTimedOut(claim)) {
+      return res.status(400).json({ error: 'This code has timed out; request a new one' });
+    }
+
+    if (!emailCodeMatches(claim, req.body?.code)) {
+      await supabase
+        .from('business_claims')
+        .update({ email_code_attempts: claim.email_code_attempts + 1 })
+        .eq('id', claim.id);
+
+      return res.status(400).json({
+        error: 'Incorrect code',
+        attempts_left: Math.max(0, MAX_EMAIL_CODE_ATTEMPTS - claim.email_code_attempts - 1)
+      });
+    }
+
+    const { data: updated, error } = await supabase
+      .from('business_claims')
+      .update({
+        status: 'pending_review',
+        email_verified_at: new Date().toISOString(),
+        email_code_hash: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', claim.id)
+      .select('*')
+      .single();
+
+    if (error) throw error;
+
+    res.json({ claim: publicClaim(updated), message: 'Email confirmed. Our team will review your claim shortly.' });
+  } catch (error) {
+    console.error('Error verifying business email:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/merchant/claims/:id/resend-code
+ */
+router.post('/claims/:id/resend-code', requireAuth, async (req, res) => {
+  try {
+    const claim = await loadOwnClaim(req, res);
+    if (!claim) return;
+
+    if (claim.status !== 'pending_email') {
+      return res.status(409).json({ error: 'This claim is not waiting for an email code' });
+    }
+
+    const sinceLast = (Date.now() - new Date(claim.email_code_sent_at || 0)) / 1000;
+    if (sinceLast < EMAIL_CODE_RESEND_SECONDS) {
+      return res.status(429).json({
+        error: 'Please wait before requesting another code',
+        retry_after: Math.ceil(EMAIL_CODE_RESEND_SECONDS - sinceLast)
+      });
+    }
+
+    const sent = await sendEmailCode(supabase, claim, claim.company);
+    if (sent !== 'sent') {
+      return res.status(sent === 'suppressed' ? 422 : 503).json({
+        error: codeNotSentMessage(sent, claim.business_email)
+      });
+    }
+
+    res.json({ success: true, message: `We sent a new code to ${claim.business_email}` });
+  } catch (error) {
+    console.error('Error resending business email code:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/merchant/claims/:id/cancel
+ */
+router.post('/claims/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    const claim = await loadOwnClaim(req, res);
+    if (!claim) return;
+
+    if (!OPEN_CLAIM_STATUSES.includes(claim.status)) {
+      return res.status(409).json({ error: 'Only open claims can be cancelled' });
+    }
+
+    await supabase
+      .from('business_claims')
+      .update({ status: 'cancelled', email_code_hash: null, updated_at: new Date().toISOString() })
+      .eq('id', claim.id);
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error cancelling business claim:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// =============================================
+// MERCHANT PORTAL
+// =============================================
+
+/**
+ * GET /api/merchant/companies
+ * Businesses the caller owns
+ */
+router.get('/companies', requireMerchant, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('companies')
+      .select(COMPANY_FIELDS)
+      .eq('owner_id', req.user.id)
+      .order('name');
+
+    if (error) throw error;
+
+    res.json({ data: data || [] });
+  } catch (error) {
+    console.error('Error fetching merchant companies:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/merchant/companies/:companyId
+ */
+router.get('/companies/:companyId', requireMerchant, loadManagedCompany, (req, res) => {
+  res.json(req.company);
+});
+
+/**
+ * PUT /api/merchant/companies/:companyId
+ * Update hours, cuisine, logo and other profile fields
+ */
+router.put('/companies/:companyId', requireMerchant, loadManagedCompany, async (req, res) => {
+  try {
+    const updates = {};
+    for (const field of EDITABLE_COMPANY_FIELDS) {
+      if (req.body?.[field] !== undefined) updates[field] = req.body[field];
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: `Nothing to update. Editable fields: ${EDITABLE_COMPANY_FIELDS.join(', ')}` });
+    }
+
+    if (updates.cuisine_types != null) {
+      if (!Array.isArray(updates.cuisine_types) || updates.cuisine_types.length > 10) {
+        return res.status(400).json({ error: 'cuisine_types must be a list of up to 10 cuisines' });
+      }
+      updates.cuisine_types = [...new Set(updates.cuisine_types.map(c => String(c).trim().toLowerCase()).filter(Boolean))];
+    }
+    if (updates.price_range != null && !PRICE_RANGES.includes(updates.price_range)) {
+      return res.status(400).json({ error: `price_range must be one of: ${PRICE_RANGES.join(', ')}` });
+    }
+    if (updates.timezone != null && !isValidTimezone(updates.timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const hoursError = openingHoursError(updates.restaurant_hours);
+    if (hoursError) {
+      return res.status(400).json({ error: hoursError });
+    }
+
+    const { data, error } = await supabase
+      .from('companies')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('id', req.company.id)
+      .select(COMPANY_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating merchant company:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/merchant/companies/:companyId/logo
+ * Multipart upload (field `logo`)
+ */
+router.post('/companies/:companyId/logo', requireMerchant, loadManagedCompany, acceptFile(LOGO_TYPES, 'logo'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No logo file uploaded' });
+    }
+
+    const filePath = `companies/${req.company.id}-${Date.now()}${path.extname(req.file.originalname)}`;
+    const { error: uploadError } = await supabase.storage
+      .from('images')
+      .upload(filePath, req.file.buffer, { contentType: req.file.mimetype, upsert: false });
+
+    if (uploadError) {
+      console.error('Logo upload error:', uploadError);
+      return res.status(500).json({ error: 'Failed to upload logo' });
+    }
+
+    const { data: { publicUrl } } = supabase.storage.from('images').getPublicUrl(filePath);
+
+    const { error } = await supabase
+      .from('companies')
+      .update({ logo_url: publicUrl, updated_at: new Date().toISOString() })
+      .eq('id', req.company.id);
+
+    if (error) throw error;
+
+    // Old logo is removed only once the new one is in place
+    const oldFileName = req.company.logo_url?.includes('/companies/') && req.company.logo_url.split('/').pop();
+    if (oldFileName) {
+      await supabase.storage.from('images').remove([`companies/${oldFileName}`]).catch(() => {});
+    }
+
+    res.json({ success: true, logo_url: publicUrl });
+  } catch (error) {
+    console.error('Error uploading merchant logo:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/merchant/companies/:companyId/deals
+ */
+router.get('/companies/:companyId/deals', requireMerchant, loadManagedCompany, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('deals')
+      .select(MERCHANT_DEAL_FIELDS)
+      .eq('company_id', req.company.id)
+      .order('created_at', { ascending: false })
+      .limit(200);
+
+    if (error) throw error;
+
+    res.json({ data: data || [] });
+  } catch (error) {
+    console.error('Error fetching merchant deals:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * Validate and normalise deal fields from a merchant. `partial` skips the
+ * required-field checks for updates.
+ * @returns {{ error?: string, row?: object }}
+ */
+function merchantDealRow(body = {}, { partial = false } = {}) {
+  const row = {};
+  const has = (field) => body[field] !== undefined;
+
+  if (!partial || has('title')) {
+    if (!body.title?.trim()) return { error: 'title is required' };
+    row.title = body.title.trim();
+  }
+  if (has('description')) row.description = body.description?.trim() || null;
+  if (has('image_url')) row.image_url = body.image_url?.trim() || null;
+  if (has('price')) row.price = toNumber(body.price);
+  if (has('original_price')) row.original_price = toNumber(body.original_price);
+  if (has('discount_percentage')) row.discount_percentage = toNumber(body.discount_percentage);
+  if (has('promo_code')) row.promo_code = body.promo_code?.trim() || null;
+  if (has('redemption_instructions')) row.redemption_instructions = body.redemption_instructions?.trim() || null;
+  if (has('max_redemptions')) row.max_redemptions = toNumber(body.max_redemptions, parseInt);
+  if (has('starts_at')) row.starts_at = body.starts_at || null;
+  if (has('expires_at')) row.expires_at = body.expires_at || null;
+  if (has('valid_days')) row.valid_days = body.valid_days?.length ? body.valid_days.map(d => String(d).toLowerCase()) : null;
+  if (has('valid_hours')) row.valid_hours = body.valid_hours || null;
+
+  if (has('redemption_type') || !partial) {
+    const type = body.redemption_type || 'show_screen';
+    if (!REDEMPTION_TYPES.includes(type)) {
+      return { error: `redemption_type must be one of: ${REDEMPTION_TYPES.join(', ')}` };
+    }
+    row.redemption_type = type;
+  }
+
+  const scheduleProblem = scheduleError(row);
+  if (scheduleProblem) return { error: scheduleProblem };
+
+  if (row.starts_at && row.expires_at && new Date(row.expires_at) <= new Date(row.starts_at)) {
+    return { error: 'expires_at must be after starts_at' };
+  }
+
+  return { row };
+}
+
+/**
+ * POST /api/merchant/companies/:companyId/deals
+ * Post a deal as the business. Verified owners publish directly.
+ */
+router.post('/companies/:companyId/deals', requireMerchant, loadManagedCompany, async (req, res) => {
+  try {
+    const { error: invalid, row } = merchantDealRow(req.body);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const { data, error } = await supabase
+      .from('deals')
+      .insert({
+        ...row,
+        company_id: req.company.id,
+        merchant: req.company.name,
+        deal_url: req.company.website_url || req.company.website || null,
+        city: req.company.city,
+        state: req.company.state,
+        deal_type: 'deal',
+        status: 'approved',
+        approved_at: new Date().toISOString(),
+        submitter_id: req.user.id
+      })
+      .select(MERCHANT_DEAL_FIELDS)
+      .single();
+
+    if (error) throw error;
+
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('Error creating merchant deal:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/merchant/companies/:companyId/deals/:dealId
+ * Edit one of the business's deals; set expires_at to now to end it early
+ */
+router.put('/companies/:companyId/deals/:dealId', requireMerchant, loadManagedCompany, async (req, res) => {
+  try {
+    const { error: invalid, row } = merchantDealRow(req.body, { partial: true });
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+    if (Object.keys(row).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const dealId = parseInt(req.params.dealId);
+    let previous = null;
+    if (row.price !== undefined || row.original_price !== undefined) {
+      const { data: current } = await supabase
+        .from('deals')
+        .select('price, original_price, stock_status')
+        .eq('id', dealId)
+        .eq('company_id', req.company.id)
+        .maybeSingle();
+      previous = current;
+    }
+
+    const { data, error } = await supabase
+      .from('deals')
+      .update({ ...row, updated_at: new Date().toISOString() })
+      .eq('id', dealId)
+      .eq('company_id', req.company.id)
+      .select(MERCHANT_DEAL_FIELDS)
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      return res.status(404).json({ error: 'Deal not found' });
+    }
+
+    // Merchants can't set stock, so alerts see the stock the deal already had
+    const deal = { ...data, stock_status: previous?.stock_status };
+    if (priceAlerts.priceOrStockChanged(previous, deal)) {
+      await priceAlerts.handleDealPriceChange(deal, {
+        source: 'merchant',
+        previous_price: previous.price,
+        created_by: req.user.id,
+        notes: 'Edited by merchant'
+      });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating merchant deal:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/merchant/companies/:companyId/stats?days=30
+ * Views, clicks, claims and redemptions, in total and per day
+ */
+router.get('/companies/:companyId/stats', requireMerchant, loadManagedCompany, async (req, res) => {
+  try {
+    const stats = await getCompanyStats(supabase, req.company.id, req.query.days);
+    res.json({ company_id: req.company.id, ...stats });
+  } catch (error) {
+    console.error('Error fetching merchant stats:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// =============================================
+// ADMIN REVIEW
+// =============================================
+
+/**
+ * GET /api/merchant/admin/claims?status=pending_review
+ * Review queue, oldest first. Documents come back as short-lived signed URLs.
+ */
+router.get('/admin/claims', requireAdmin, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending_review';
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { data, count, error } = await supabase
+      .from('business_claims')
+      .select('*, company:companies (id, name, slug, website, website_url, city, state, owner_id)', { count: 'exact' })
+      .eq('status', status)
+      .order('created_at', { ascending: status === 'pending_review' || status === 'pending_email' })
+      .range(offset, offset + limit - 1);
+
+    if (error) throw error;
+
+    // Fetch profiles manually
+    const userIds = [...new Set((data || []).map(c => c.user_id))];
+    const handles = new Map();
+    if (userIds.length) {
+      const { data: profiles } = await supabase.from('profiles').select('id, handle, created_at').in('id', userIds);
+      (profiles || []).forEach(p => handles.set(p.id, p));
+    }
+
+    const claims = await Promise.all((data || []).map(async (claim) => {
+      let documentUrl = null;
+      if (claim.document_path) {
+        const { data: signed } = await supabase.storage.from(DOCUMENT_BUCKET).createSignedUrl(claim.document_path, 600);
+        documentUrl = signed?.signedUrl || null;
+      }
+      return {
+        ...publicClaim(claim),
+        document_url: documentUrl,
+        email_domain_matches: claim.business_email ? emailMatchesCompany(claim.business_email, claim.company) : null,
+        claimant: handles.get(claim.user_id) || null
+      };
+    }));
+
+    res.json({ data: claims, total: count || 0 });
+  } catch (error) {
+    console.error('Error fetching business claim queue:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+async function notifyClaimant(claim, title, message, actionUrl) {
+  const { error } = await supabase.from('notification_queue').insert({
+    user_id: claim.user_id,
+    notification_type: 'in_app',
+    priority: 3,
+    title,
+    message,
+    action_url: actionUrl
+  });
+  if (error) console.error('Error queueing business claim notification:', error);
+}
+
+/**
+ * POST /api/merchant/admin/claims/:id/approve
+ */
+router.post('/admin/claims/:id/approve', requireAdmin, async (req, res) => {
+  try {
+    const claimId = parseInt(req.params.id);
+    const { data: status, error } = await supabase.rpc('approve_business_claim', {
+      p_claim_id: claimId,
+      p_reviewer: req.user.id,
+      p_note: req.body?.note || null
+    });
+
+    if (error) throw error;
+
+    if (status === 'not_found') {
+      return res.status(404).json({ error: 'Claim not found' });
+    }
+    if (status === 'not_pending') {
+      return res.status(409).json({ error: 'Only claims awaiting review can be approved' });
+    }
+    if (status === 'already_owned') {
+      return res.status(409).json({ error: 'This business already has an owner' });
+    }
+
+    const { data: claim } = await supabase
+      .from('business_claims')
+      .select('id, user_id, company:companies (name)')
+      .eq('id', claimId)
+      .single();
+
+    await notifyClaimant(
+      claim,
+      'Your business claim was approved',
+      `You can now manage ${claim.company?.name || 'your business'} from the merchant portal.`,
+      '/merchant'
+    );
+
+    res.json({ success: true, status });
+  } catch (error) {
+    console.error('Error approving business claim:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/merchant/admin/claims/:id/reject
+ * Body: { note } shown to the claimant
+ */
+router.post('/admin/claims/:id/reject', requireAdmin, async (req, res) => {
+  try {
+    const note = req.body?.note?.trim();
+    if (!note) {
+      return res.status(400).json({ error: 'A note explaining the rejection is required' });
+    }
+
+    const { data: claim, error } = await supabase
+      .from('business_claims')
+      .update({
+        status: 'rejected',
+        reviewed_by: req.user.id,
+        reviewed_at: new Date().toISOString(),
+        review_note: note,
+        email_code_hash: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', parseInt(req.params.id))
+      .in('status', OPEN_CLAIM_STATUSES)
+      .select('id, user_id, company:companies (name)')
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!claim) {
+      return res.status(409).json({ error: 'Claim not found or already reviewed' });
+    }
+
+    await notifyClaimant(
+      claim,
+      'Your business claim was not approved',
+      `Your claim for ${claim.company?.name || 'this business'} was not approved: ${note}`,
+      '/merchant/claim'
+    );
+
+    res.json({ success: true, status: 'rejected' });
+  } catch (error) {
+    console.error('Error rejecting business claim:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,478 @@
+/**
+ * Direct Messaging API Routes
+ *
+ * Private one-to-one conversations, read receipts, unread counts and blocking.
+ */
+
+import express from 'express';
+import { makeAdminClient } from '../lib/supa.js';
+import { denyShadowBanned } from '../middleware/denyShadowBanned.js';
+import { makeLimiter } from '../lib/limiter.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+const MAX_MESSAGE_LENGTH = 1000;
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper: Check authentication
+const requireAuth = (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+// Per-user send limits: a short burst cap plus a daily cap
+async function checkSendLimits(userId) {
+  const burst = await makeLimiter({
+    key: () => `dm:${userId}`,
+    limit: Number(process.env.RL_MESSAGES_PER_MIN || 10),
+    windowSec: 60,
+    prefix: 'dm:burst',
+  })();
+  if (!burst.success) return burst;
+
+  return makeLimiter({
+    key: () => `dm:${userId}`,
+    limit: Number(process.env.RL_MESSAGES_PER_DAY || 200),
+    windowSec: 24 * 60 * 60,
+    prefix: 'dm:day',
+  })();
+}
+
+async function isBlockedEitherWay(userA, userB) {
+  const { data } = await supabase
+    .from('user_blocks')
+    .select('blocker_id')
+    .or(`and(blocker_id.eq.${userA},blocked_id.eq.${userB}),and(blocker_id.eq.${userB},blocked_id.eq.${userA})`)
+    .limit(1);
+  return (data || []).length > 0;
+}
+
+// Load the caller's participant row, or null if they aren't in the conversation
+async function getParticipation(conversationId, userId) {
+  const { data } = await supabase
+    .from('conversation_participants')
+    .select('conversation_id, user_id, last_read_at, unread_count, is_archived')
+    .eq('conversation_id', conversationId)
+    .eq('user_id', userId)
+    .maybeSingle();
+  return data;
+}
+
+async function getOtherParticipant(conversationId, userId) {
+  const { data } = await supabase
+    .from('conversation_participants')
+    .select('user_id, last_read_at, user:profiles!conversation_participants_user_id_fkey(id, handle, display_name, avatar_url)')
+    .eq('conversation_id', conversationId)
+    .neq('user_id', userId)
+    .maybeSingle();
+  return data;
+}
+
+function validateBody(content) {
+  const body = String(content || '').trim();
+  if (!body) return { error: 'Message cannot be empty' };
+  if (body.length > MAX_MESSAGE_LENGTH) {
+    return { error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  }
+  return { body };
+}
+
+async function insertMessage(conversationId, senderId, body) {
+  return supabase
+    .from('messages')
+    .insert({ conversation_id: conversationId, sender_id: senderId, body })
+    .select('id, conversation_id, sender_id, body, created_at')
+    .single();
+}
+
+/**
+ * GET /api/messages
+ * List the caller's conversations, most recent first
+ * Query: archived=true to list archived conversations
+ */
+router.get('/', requireAuth, async (req, res) => {
+  try {
+    const archived = req.query.archived === 'true';
+
+    const { data: rows, error } = await supabase
+      .from('conversation_participants')
+      .select(`
+        unread_count, last_read_at, is_archived,
+        conversation:conversations(id, subject, last_message_at, last_message_preview, last_sender_id, created_at)
+      `)
+      .eq('user_id', req.user.id)
+      .eq('is_archived', archived);
+
+    if (error) {
+      if (error.code === '42P01') return res.json([]);
+      return res.status(400).json({ error: error.message });
+    }
+
+    const conversations = (rows || []).filter(r => r.conversation?.last_message_at);
+    const ids = conversations.map(r => r.conversation.id);
+
+    let others = [];
+    if (ids.length) {
+      const { data } = await supabase
+        .from('conversation_participants')
+        .select('conversation_id, last_read_at, user:profiles!conversation_participants_user_id_fkey(id, handle, display_name, avatar_url)')
+        .in('conversation_id', ids)
+        .neq('user_id', req.user.id);
+      others = data || [];
+    }
+    const otherByConversation = new Map(others.map(o => [o.conversation_id, o]));
+
+    const result = conversations
+      .map(r => {
+        const other = otherByConversation.get(r.conversation.id);
+        return {
+          ...r.conversation,
+          unread_count: r.unread_count,
+          last_read_at: r.last_read_at,
+          is_archived: r.is_archived,
+          other_user: other?.user || null,
+          // Read receipt for the last message when the caller sent it
+          last_message_read: r.conversation.last_sender_id === req.user.id
+            && !!other?.last_read_at
+            && new Date(other.last_read_at) >= new Date(r.conversation.last_message_at),
+        };
+      })
+      .sort((a, b) => new Date(b.last_message_at) - new Date(a.last_message_at));
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error fetching conversations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/messages/unread-count
+ * Total unread messages across conversations
+ */
+router.get('/unread-count', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_participants')
+      .select('unread_count')
+      .eq('user_id', req.user.id)
+      .gt('unread_count', 0);
+
+    if (error) {
+      if (error.code === '42P01') return res.json({ unread: 0, conversations: 0 });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({
+      unread: (data || []).reduce((sum, r) => sum + r.unread_count, 0),
+      conversations: (data || []).length,
+    });
+  } catch (error) {
+    console.error('Error fetching unread count:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/messages
+ * Send a message to a user, starting the conversation if needed
+ * Body: { to: userId | handle, subject?, content }
+ */
+router.post('/', requireAuth, denyShadowBanned, async (req, res) => {
+  try {
+    const { to, subject } = req.body || {};
+    const { body, error: bodyError } = validateBody(req.body?.content);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+    if (!to) {
+      return res.status(400).json({ error: 'Recipient is required' });
+    }
+
+    const { data: recipient } = await supabase
+      .from('profiles')
+      .select('id, handle')
+      .eq(UUID_RE.test(String(to)) ? 'id' : 'handle', String(to))
+      .maybeSingle();
+
+    if (!recipient) {
+      return res.status(404).json({ error: 'Recipient not found' });
+    }
+    if (recipient.id === req.user.id) {
+      return res.status(400).json({ error: "You can't message yourself" });
+    }
+
+    const limit = await checkSendLimits(req.user.id);
+    if (!limit.success) {
+      return res.status(429).json({
+        error: 'You are sending messages too quickly',
+        retryAfter: Math.ceil((limit.reset - Date.now()) / 1000),
+      });
+    }
+
+    if (await isBlockedEitherWay(req.user.id, recipient.id)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
+    const { data: conversationId, error: convError } = await supabase.rpc('get_or_create_conversation', {
+      user_a: req.user.id,
+      user_b: recipient.id,
+      subject_param: subject ? String(subject).trim().slice(0, 120) : null,
+    });
+
+    if (convError) {
+      return res.status(400).json({ error: convError.message });
+    }
+
+    const { data: message, error } = await insertMessage(conversationId, req.user.id, body);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json({ conversation_id: conversationId, message });
+  } catch (error) {
+    console.error('Error sending message:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/messages/conversations/:id
+ * Messages in a conversation, newest page first (returned oldest → newest)
+ * Query: before (message id) for older pages, limit
+ */
+router.get('/conversations/:id', requireAuth, async (req, res) => {
+  try {
+    const conversationId = Number(req.params.id);
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const participation = await getParticipation(conversationId, req.user.id);
+    if (!participation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    let query = supabase
+      .from('messages')
+      .select('id, conversation_id, sender_id, body, created_at')
+      .eq('conversation_id', conversationId)
+      .is('deleted_at', null)
+      .order('id', { ascending: false })
+      .limit(limit);
+
+    if (req.query.before) {
+      query = query.lt('id', Number(req.query.before));
+    }
+
+    const [{ data: messages, error }, { data: conversation }, other] = await Promise.all([
+      query,
+      supabase
+        .from('conversations')
+        .select('id, subject, created_at, last_message_at')
+        .eq('id', conversationId)
+        .single(),
+      getOtherParticipant(conversationId, req.user.id),
+    ]);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const otherReadAt = other?.last_read_at ? new Date(other.last_read_at) : null;
+    const ordered = (messages || []).reverse().map(m => ({
+      ...m,
+      is_mine: m.sender_id === req.user.id,
+      read: m.sender_id === req.user.id
+        ? !!otherReadAt && otherReadAt >= new Date(m.created_at)
+        : true,
+    }));
+
+    res.json({
+      conversation,
+      other_user: other?.user || null,
+      unread_count: participation.unread_count,
+      messages: ordered,
+      has_more: (messages || []).length === limit,
+    });
+  } catch (error) {
+    console.error('Error fetching conversation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/messages/conversations/:id/messages
+ * Reply in an existing conversation
+ */
+router.post('/conversations/:id/messages', requireAuth, denyShadowBanned, async (req, res) => {
+  try {
+    const conversationId = Number(req.params.id);
+    const { body, error: bodyError } = validateBody(req.body?.content);
+    if (bodyError) {
+      return res.status(400).json({ error: bodyError });
+    }
+
+    const participation = await getParticipation(conversationId, req.user.id);
+    if (!participation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const limit = await checkSendLimits(req.user.id);
+    if (!limit.success) {
+      return res.status(429).json({
+        error: 'You are sending messages too quickly',
+        retryAfter: Math.ceil((limit.reset - Date.now()) / 1000),
+      });
+    }
+
+    const other = await getOtherParticipant(conversationId, req.user.id);
+    if (other && await isBlockedEitherWay(req.user.id, other.user_id)) {
+      return res.status(403).json({ error: 'You cannot message this user' });
+    }
+
+    const { data: message, error } = await insertMessage(conversationId, req.user.id, body);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json({ ...message, is_mine: true, read: false });
+  } catch (error) {
+    console.error('Error replying to conversation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/messages/conversations/:id/read
+ * Mark a conversation as read (updates the read receipt seen by the other user)
+ */
+router.post('/conversations/:id/read', requireAuth, async (req, res) => {
+  try {
+    const conversationId = Number(req.params.id);
+
+    const participation = await getParticipation(conversationId, req.user.id);
+    if (!participation) {
+      return res.status(404).json({ error: 'Conversation not found' });
+    }
+
+    const { data: readAt, error } = await supabase.rpc('mark_conversation_read', {
+      conversation_id_param: conversationId,
+      user_id_param: req.user.id,
+    });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, last_read_at: readAt });
+  } catch (error) {
+    console.error('Error marking conversation read:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/messages/conversations/:id
+ * Archive a conversation for the caller; a new message un-archives it
+ */
+router.delete('/conversations/:id', requireAuth, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('conversation_participants')
+      .update({ is_archived: true, unread_count: 0, last_read_at: new Date().toISOString() })
+      .eq('conversation_id', Number(req.params.id))
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error archiving conversation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// =============================================
+// Blocking
+// =============================================
+
+/**
+ * GET /api/messages/blocks
+ * Users the caller has blocked
+ */
+router.get('/blocks', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('user_blocks')
+      .select('blocked_id, created_at, user:profiles!user_blocks_blocked_id_fkey(id, handle, display_name, avatar_url)')
+      .eq('blocker_id', req.user.id)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching blocked users:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/messages/blocks/:userId
+ * Block a user from messaging the caller
+ */
+router.post('/blocks/:userId', requireAuth, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!UUID_RE.test(userId)) {
+      return res.status(400).json({ error: 'Invalid user id' });
+    }
+    if (userId === req.user.id) {
+      return res.status(400).json({ error: "You can't block yourself" });
+    }
+
+    const { error } = await supabase
+      .from('user_blocks')
+      .upsert({ blocker_id: req.user.id, blocked_id: userId }, { onConflict: 'blocker_id,blocked_id' });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, blocked: true });
+  } catch (error) {
+    console.error('Error blocking user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/messages/blocks/:userId
+ * Unblock a user
+ */
+router.delete('/blocks/:userId', requireAuth, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('user_blocks')
+      .delete()
+      .eq('blocker_id', req.user.id)
+      .eq('blocked_id', req.params.userId);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true, blocked: false });
+  } catch (error) {
+    console.error('Error unblocking user:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
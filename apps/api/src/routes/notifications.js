@@ -60,6 +60,7 @@ router.get('/', requireAuth, async (req, res) => {
         saved_search:saved_searches(id, name)
       `)
       .eq('user_id', req.user.id)
+      .neq('notification_type', 'email') // email copies are delivered by the dispatcher, not shown in the app
       .order('created_at', { ascending: false })
       .range(offset, offset + parseInt(limit) - 1)
 
@@ -171,6 +172,7 @@ router.put('/:id/read', requireAuth, async (req, res) => {
       })
       .eq('id', id)
       .eq('user_id', req.user.id)
+      .neq('notification_type', 'email')
       .select()
       .single()
 
@@ -206,6 +208,7 @@ router.post('/mark-read', requireAuth, async (req, res) => {
       })
       .in('id', notification_ids)
       .eq('user_id', req.user.id)
+      .neq('notification_type', 'email')
       .select()
 
     if (error) {
@@ -0,0 +1,258 @@
+/**
+ * Redemption API Routes
+ *
+ * Merchant side of in-store redemption. Customers get a signed token for a
+ * claimed deal (POST /api/deals/:id/claim, POST /api/deals/:id/claim/token)
+ * and show it as a QR code; staff of the deal's restaurant verify it here and
+ * redeem it once.
+ */
+
+import express from 'express';
+import { makeAdminClient } from '../lib/supa.js';
+import { verifyRedemptionToken, RedemptionTokenError } from '../lib/redemptionTokens.js';
+import { getManagedCompanyIds, canManageCompany } from '../lib/merchantAccess.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+// HTTP status for each redeem_deal_claim() outcome
+const REDEEM_STATUS = {
+  redeemed: 200,
+  not_found: 404,
+  already_redeemed: 409,
+  token_superseded: 409,
+  sold_out: 409,
+  deal_unavailable: 410
+};
+
+const REDEEM_MESSAGES = {
+  redeemed: 'Deal redeemed',
+  not_found: 'Claim not found',
+  already_redeemed: 'This claim has already been redeemed',
+  token_superseded: 'A newer code was issued for this claim; ask the customer to refresh it',
+  sold_out: 'This deal has reached its redemption limit',
+  deal_unavailable: 'This deal is no longer active'
+};
+
+// Helper: Check authentication
+const requireAuth = (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+/**
+ * Verify a token and load its claim, checking the caller manages the deal's
+ * restaurant. Sends the error response itself and returns null on failure.
+ */
+async function loadClaimForToken(req, res) {
+  let token;
+  try {
+    token = verifyRedemptionToken(req.body?.token);
+  } catch (error) {
+    if (error instanceof RedemptionTokenError) {
+      res.status(400).json({ error: error.message, code: error.code });
+      return null;
+    }
+    throw error;
+  }
+
+  const { data: claim, error } = await supabase
+    .from('deal_claims')
+    .select(`
+      id,
+      deal_id,
+      user_id,
+      claimed_at,
+      redeemed_at,
+      token_nonce,
+      deal:deals (id, title, company_id, redemption_type, promo_code, max_redemptions, current_redemptions, expires_at, status)
+    `)
+    .eq('id', token.claimId)
+    .maybeSingle();
+
+  if (error) throw error;
+
+  if (!claim || claim.deal_id !== token.dealId) {
+    res.status(404).json({ error: REDEEM_MESSAGES.not_found, code: 'not_found' });
+    return null;
+  }
+
+  const managed = await getManagedCompanyIds(supabase, req.user.id);
+  if (!canManageCompany(managed, claim.deal?.company_id)) {
+    res.status(403).json({ error: 'You cannot redeem deals for this restaurant' });
+    return null;
+  }
+
+  // Staff see who they're serving
+  const { data: customer } = await supabase
+    .from('profiles')
+    .select('handle, avatar_url')
+    .eq('id', claim.user_id)
+    .maybeSingle();
+
+  return { token, claim: { ...claim, customer } };
+}
+
+function claimSummary(claim) {
+  return {
+    claim_id: claim.id,
+    claimed_at: claim.claimed_at,
+    redeemed_at: claim.redeemed_at,
+    customer: claim.customer ? { handle: claim.customer.handle, avatar_url: claim.customer.avatar_url } : null,
+    deal: claim.deal
+      ? {
+        id: claim.deal.id,
+        title: claim.deal.title,
+        redemption_type: claim.deal.redemption_type,
+        promo_code: claim.deal.promo_code,
+        max_redemptions: claim.deal.max_redemptions,
+        current_redemptions: claim.deal.current_redemptions
+      }
+      : null
+  };
+}
+
+/**
+ * POST /api/redemptions/verify
+ * Check a scanned token without redeeming it
+ */
+router.post('/verify', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadClaimForToken(req, res);
+    if (!loaded) return;
+    const { token, claim } = loaded;
+
+    let status = 'ready';
+    if (claim.redeemed_at) status = 'already_redeemed';
+    else if (claim.token_nonce !== token.nonce) status = 'token_superseded';
+    else if (claim.deal?.status !== 'approved' || (claim.deal.expires_at && new Date(claim.deal.expires_at) <= new Date())) status = 'deal_unavailable';
+    else if (claim.deal.max_redemptions && (claim.deal.current_redemptions || 0) >= claim.deal.max_redemptions) status = 'sold_out';
+
+    res.json({
+      valid: status === 'ready',
+      status,
+      message: REDEEM_MESSAGES[status] || 'Ready to redeem',
+      token_expires_at: token.expiresAt.toISOString(),
+      ...claimSummary(claim)
+    });
+  } catch (error) {
+    console.error('Error verifying redemption token:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/redemptions/redeem
+ * Redeem a scanned token. Each claim redeems once; concurrent scans of the
+ * same code get already_redeemed.
+ */
+router.post('/redeem', requireAuth, async (req, res) => {
+  try {
+    const loaded = await loadClaimForToken(req, res);
+    if (!loaded) return;
+    const { token, claim } = loaded;
+
+    const { data, error } = await supabase.rpc('redeem_deal_claim', {
+      p_claim_id: claim.id,
+      p_nonce: token.nonce,
+      p_redeemed_by: req.user.id
+    });
+
+    if (error) throw error;
+
+    const result = Array.isArray(data) ? data[0] : data;
+    const status = result?.status || 'not_found';
+
+    res.status(REDEEM_STATUS[status] || 400).json({
+      success: status === 'redeemed',
+      status,
+      message: REDEEM_MESSAGES[status],
+      ...claimSummary(claim),
+      redeemed_at: result?.redeemed_at || claim.redeemed_at,
+      current_redemptions: result?.current_redemptions ?? claim.deal?.current_redemptions
+    });
+  } catch (error) {
+    console.error('Error redeeming claim:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/redemptions/history
+ * Redeemed claims for the restaurants the caller manages, newest first.
+ * Filters: company_id, deal_id, limit, offset
+ */
+router.get('/history', requireAuth, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+    const companyId = req.query.company_id ? parseInt(req.query.company_id) : null;
+    const dealId = req.query.deal_id ? parseInt(req.query.deal_id) : null;
+
+    const managed = await getManagedCompanyIds(supabase, req.user.id);
+    if (companyId && !canManageCompany(managed, companyId)) {
+      return res.status(403).json({ error: 'You cannot view redemptions for this restaurant' });
+    }
+
+    const companyIds = companyId ? [companyId] : managed;
+    if (companyIds !== null && companyIds.length === 0) {
+      return res.json({ data: [], total: 0, companies: [] });
+    }
+
+    let query = supabase
+      .from('deal_claims')
+      .select(`
+        id,
+        claimed_at,
+        redeemed_at,
+        user_id,
+        redeemed_by,
+        deal:deals!inner (id, title, company_id, redemption_type)
+      `, { count: 'exact' })
+      .not('redeemed_at', 'is', null)
+      .order('redeemed_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+
+    if (companyIds) query = query.in('deal.company_id', companyIds);
+    if (dealId) query = query.eq('deal_id', dealId);
+
+    const { data, count, error } = await query;
+    if (error) throw error;
+
+    // Fetch profiles manually
+    const profileIds = [...new Set((data || []).flatMap(row => [row.user_id, row.redeemed_by]).filter(Boolean))];
+    const handles = new Map();
+    if (profileIds.length) {
+      const { data: profiles } = await supabase.from('profiles').select('id, handle').in('id', profileIds);
+      (profiles || []).forEach(p => handles.set(p.id, p.handle));
+    }
+
+    let companies = [];
+    if (companyIds === null || companyIds.length) {
+      let companyQuery = supabase.from('companies').select('id, name, slug').order('name');
+      companyQuery = companyIds ? companyQuery.in('id', companyIds) : companyQuery.eq('is_restaurant', true).limit(200);
+      const { data: companyRows } = await companyQuery;
+      companies = companyRows || [];
+    }
+
+    res.json({
+      data: (data || []).map(row => ({
+        claim_id: row.id,
+        claimed_at: row.claimed_at,
+        redeemed_at: row.redeemed_at,
+        deal: row.deal,
+        customer: handles.get(row.user_id) || null,
+        redeemed_by: handles.get(row.redeemed_by) || null
+      })),
+      total: count || 0,
+      companies
+    });
+  } catch (error) {
+    console.error('Error fetching redemption history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -2,90 +2,107 @@ import { Router } from 'express';
 import { makeAdminClient } from '../lib/supa.js';
 import { log } from '../lib/logger.js';
 import { makeAuth } from '../middleware/auth.js';
+import {
+  withSchedule,
+  compareBySchedule,
+  matchesScheduleFilter,
+  timezoneForCompany,
+  isValidTimezone,
+  SCHEDULE_FILTERS,
+  DEFAULT_TIMEZONE
+} from '../lib/dealSchedule.js';
+import { parseGeoQuery, geoRpcParams } from '../lib/geo.js';
 
 const r = Router();
 const supaAdmin = makeAdminClient();
 
+// Keep in step with the deal columns nearby_restaurants() returns (081_geo_nearby.sql)
+const RESTAURANT_DEAL_FIELDS = 'id, title, description, url, price, original_price, discount_percentage, discount_amount, coupon_code, expires_at, starts_at, valid_days, valid_hours, is_featured, is_exclusive, created_at';
+
+// Deals shown per restaurant card on /nearby
+const DEALS_PER_RESTAURANT = 3;
+// Upper bound on /nearby results, and the candidate pool for ?when= / ?sort=active
+const MAX_NEARBY_RESTAURANTS = 200;
+
+// /map grid: cells per tile side (4 = 64px clusters) and the zoom where clustering stops
+const MAP_CELLS_PER_TILE = 4;
+const MAP_CLUSTER_MAX_ZOOM = 16;
+const DEALS_PER_PIN = 3;
+// Pins per response; a viewport with more keeps its biggest clusters
+const MAP_MAX_PINS = 500;
+
 /**
  * Get restaurants near user's location
  * GET /api/restaurants/nearby
+ *
+ * ?lat=&lng=&radius= (miles) or ?bbox=minLng,minLat,maxLng,maxLat; results
+ * are nearest first, see lib/geo.js.
+ * ?when=active_now|starting_soon|later_today|today keeps only restaurants
+ * with a deal in that state (in the restaurant's local time).
+ * ?sort=active puts restaurants with a deal running now first.
  */
 r.get('/nearby', async (req, res) => {
   try {
-    const { lat, lng, radius = 10, limit = 20 } = req.query;
+    const { limit = 20, when, sort = 'distance' } = req.query;
 
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
+    const geo = parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ error: geo.error });
     }
 
-    const latitude = parseFloat(lat);
-    const longitude = parseFloat(lng);
-    const radiusMiles = parseFloat(radius);
-    const limitCount = parseInt(limit);
-
-    if (isNaN(latitude) || isNaN(longitude)) {
-      return res.status(400).json({ error: 'Invalid coordinates' });
+    if (when && !SCHEDULE_FILTERS[when]) {
+      return res.status(400).json({ error: `when must be one of: ${Object.keys(SCHEDULE_FILTERS).join(', ')}` });
     }
 
-    // Get all restaurants first
-    const { data: allRestaurants, error: fetchError } = await supaAdmin
-      .from('companies')
-      .select('*')
-      .eq('is_restaurant', true)
-      .eq('status', 'approved');
-
-    if (fetchError) throw fetchError;
-
-    // Get deals and coupons for each restaurant
-    const restaurantsWithOffers = await Promise.all(
-      allRestaurants.map(async (restaurant) => {
-        // Get deals
-        const { data: deals } = await supaAdmin
-          .from('deals')
-          .select('id, title, description, url, price, original_price, discount_percentage, discount_amount, coupon_code, expires_at, starts_at, is_featured, is_exclusive, created_at')
-          .eq('company_id', restaurant.id)
-          .eq('status', 'approved')
-          .order('created_at', { ascending: false })
-          .limit(3);
-
-        // Get coupons
-        const { data: coupons } = await supaAdmin
-          .from('coupons')
-          .select('id, title, description, code, discount_percentage, discount_amount, expires_at, is_featured, created_at')
-          .eq('company_id', restaurant.id)
-          .eq('status', 'approved')
-          .order('created_at', { ascending: false })
-          .limit(3);
+    const limitCount = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_NEARBY_RESTAURANTS);
+    // Schedule state is only known after the rows come back, so filtering or
+    // ranking by it needs a wider pool of the nearest restaurants
+    const scheduleAware = Boolean(when) || sort === 'active';
+
+    const { data: rows, error } = await supaAdmin.rpc('nearby_restaurants', {
+      ...geoRpcParams(geo),
+      p_limit: scheduleAware ? MAX_NEARBY_RESTAURANTS : limitCount,
+      p_deals_per_restaurant: 20,
+      p_coupons_per_restaurant: 3
+    });
+
+    if (error) throw error;
+
+    const now = new Date();
+
+    const restaurants = (rows || [])
+      .map(row => {
+        // Recurring deals are ranked by where their schedule stands right now
+        const timezone = timezoneForCompany(row.restaurant);
+        const scheduledDeals = (row.deals || [])
+          .map(deal => withSchedule(deal, timezone, now))
+          .filter(deal => matchesScheduleFilter(deal, when))
+          .sort(compareBySchedule);
 
         return {
-          ...restaurant,
-          deals: deals || [],
-          coupons: coupons || []
+          ...row.restaurant,
+          timezone,
+          active_deal_count: scheduledDeals.filter(deal => deal.active_now).length,
+          matching_deal_count: scheduledDeals.length,
+          deals: scheduledDeals.slice(0, DEALS_PER_RESTAURANT),
+          coupons: row.coupons || [],
+          distance_miles: row.distance_miles
         };
       })
-    );
-
-    // Calculate distance for each restaurant
-    const restaurantsWithDistance = restaurantsWithOffers
-      .filter(restaurant => restaurant.latitude && restaurant.longitude)
-      .map(restaurant => {
-        const distance = calculateDistance(
-          latitude, longitude,
-          restaurant.latitude, restaurant.longitude
-        );
-        return {
-          ...restaurant,
-          distance_miles: distance
-        };
+      .filter(restaurant => !when || restaurant.matching_deal_count > 0)
+      .sort((a, b) => {
+        if (sort === 'active') {
+          const byActive = (b.active_deal_count > 0) - (a.active_deal_count > 0);
+          if (byActive !== 0) return byActive;
+        }
+        return a.distance_miles - b.distance_miles;
       })
-      .filter(restaurant => restaurant.distance_miles <= radiusMiles)
-      .sort((a, b) => a.distance_miles - b.distance_miles)
       .slice(0, limitCount);
 
     res.json({
       success: true,
-      data: restaurantsWithDistance,
-      count: restaurantsWithDistance.length
+      data: restaurants,
+      count: restaurants.length
     });
   } catch (error) {
     log('Get nearby restaurants error:', error);
@@ -93,41 +110,127 @@ r.get('/nearby', async (req, res) => {
   }
 });
 
-// Helper function to calculate distance between two points
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 3959; // Earth's radius in miles
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a = 
-    Math.sin(dLat/2) * Math.sin(dLat/2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) * 
-    Math.sin(dLon/2) * Math.sin(dLon/2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1-a));
-  const distance = R * c;
-  return distance;
-}
+/**
+ * Clustered restaurant pins for a map viewport
+ * GET /api/restaurants/map?bbox=minLng,minLat,maxLng,maxLat&zoom=12
+ *
+ * Restaurants are grouped on a grid over the map tiles at this zoom (see
+ * 082_restaurant_map.sql); from MAP_CLUSTER_MAX_ZOOM in, every restaurant is
+ * its own pin. Each pin has its count, centroid, bounds (to zoom into a
+ * cluster), top deal and a few deal summaries. ?active=true keeps only
+ * restaurants with a deal running now.
+ */
+r.get('/map', async (req, res) => {
+  try {
+    const { zoom, active } = req.query;
+
+    const geo = parseGeoQuery({ bbox: req.query.bbox });
+    if (geo.error || !geo.bbox) {
+      return res.status(400).json({ error: geo.error || 'bbox is required' });
+    }
+
+    const zoomLevel = parseInt(zoom);
+    if (!Number.isInteger(zoomLevel) || zoomLevel < 0 || zoomLevel > 22) {
+      return res.status(400).json({ error: 'zoom must be a whole number from 0 to 22' });
+    }
+
+    const clustered = zoomLevel < MAP_CLUSTER_MAX_ZOOM;
+
+    const { data: rows, error } = await supaAdmin.rpc('restaurant_map_pins', {
+      p_min_lat: geo.bbox.minLat,
+      p_min_lng: geo.bbox.minLng,
+      p_max_lat: geo.bbox.maxLat,
+      p_max_lng: geo.bbox.maxLng,
+      p_zoom: zoomLevel,
+      p_cells_per_tile: MAP_CELLS_PER_TILE,
+      p_cluster: clustered,
+      p_active_only: active === 'true',
+      p_deals_per_pin: DEALS_PER_PIN,
+      p_default_timezone: DEFAULT_TIMEZONE,
+      p_max_pins: MAP_MAX_PINS
+    });
+
+    if (error) throw error;
+
+    const pins = (rows || []).map(row => ({
+      id: row.pin_key,
+      type: row.restaurant_count === 1 ? 'restaurant' : 'cluster',
+      count: row.restaurant_count,
+      latitude: row.latitude,
+      longitude: row.longitude,
+      bounds: row.bounds,
+      restaurant: row.restaurant,
+      deal_count: row.deal_count,
+      active_deal_count: row.active_deal_count,
+      top_deal: row.deals?.[0] || null,
+      deals: row.deals || []
+    }));
+
+    res.json({
+      success: true,
+      data: pins,
+      count: pins.length,
+      restaurant_count: pins.reduce((total, pin) => total + pin.count, 0),
+      zoom: zoomLevel,
+      clustered
+    });
+  } catch (error) {
+    log('Get restaurant map error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 /**
  * Get deals for a specific restaurant
  * GET /api/restaurants/:id/deals
+ *
+ * Deals come back with their schedule state (active_now, schedule_status,
+ * starts_in_minutes, ends_in_minutes) in the restaurant's timezone, sorted
+ * active first. ?when= filters as on /nearby; ?sort=newest keeps post order.
  */
 r.get('/:id/deals', async (req, res) => {
   try {
     const { id } = req.params;
-    const { limit = 10 } = req.query;
+    const { limit = 10, when, sort } = req.query;
 
     if (!id) {
       return res.status(400).json({ error: 'Restaurant ID is required' });
     }
 
-    const { data: deals, error } = await supaAdmin.rpc('get_restaurant_deals', {
-      restaurant_id: id,
-      limit_count: parseInt(limit)
-    });
+    if (when && !SCHEDULE_FILTERS[when]) {
+      return res.status(400).json({ error: `when must be one of: ${Object.keys(SCHEDULE_FILTERS).join(', ')}` });
+    }
+
+    const { data: restaurant } = await supaAdmin
+      .from('companies')
+      .select('id, state, country, timezone')
+      .eq('id', id)
+      .maybeSingle();
+
+    if (!restaurant) {
+      return res.status(404).json({ error: 'Restaurant not found' });
+    }
+
+    const now = new Date();
+    const timezone = timezoneForCompany(restaurant);
+
+    const { data: deals, error } = await supaAdmin
+      .from('deals')
+      .select(RESTAURANT_DEAL_FIELDS)
+      .eq('company_id', id)
+      .eq('status', 'approved')
+      .or(`expires_at.is.null,expires_at.gt.${now.toISOString()}`)
+      .order('created_at', { ascending: false })
+      .limit(100);
 
     if (error) throw error;
 
-    res.json(deals || []);
+    let result = (deals || [])
+      .map(deal => withSchedule(deal, timezone, now))
+      .filter(deal => matchesScheduleFilter(deal, when));
+    if (sort !== 'newest') result.sort(compareBySchedule);
+
+    res.json(result.slice(0, parseInt(limit) || 10));
   } catch (error) {
     log('Get restaurant deals error:', error);
     res.status(500).json({ error: 'Internal server error' });
@@ -248,7 +351,8 @@ r.post('/', makeAuth(), async (req, res) => {
       longitude,
       cuisine_type,
       price_range,
-      restaurant_hours
+      restaurant_hours,
+      timezone
     } = req.body;
 
     if (!name || !slug) {
@@ -259,6 +363,10 @@ r.post('/', makeAuth(), async (req, res) => {
       return res.status(400).json({ error: 'Location data is required for restaurants' });
     }
 
+    if (timezone && !isValidTimezone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
     // Check if slug already exists
     const { data: existingCompany } = await supaAdmin
       .from('companies')
@@ -289,6 +397,7 @@ r.post('/', makeAuth(), async (req, res) => {
         cuisine_type,
         price_range,
         restaurant_hours,
+        timezone: timezone || timezoneForCompany({ state, country }),
         is_restaurant: true,
         created_by: req.user.id
       })
@@ -316,7 +425,7 @@ r.put('/:id', makeAuth(), async (req, res) => {
     // Check if restaurant exists
     const { data: existingRestaurant, error: checkError } = await supaAdmin
       .from('companies')
-      .select('id, name, created_by, is_restaurant')
+      .select('id, name, created_by, owner_id, is_restaurant')
       .eq('id', id)
       .eq('is_restaurant', true)
       .single();
@@ -325,16 +434,25 @@ r.put('/:id', makeAuth(), async (req, res) => {
       return res.status(404).json({ error: 'Restaurant not found' });
     }
 
-    // Check permissions
-    if (existingRestaurant.created_by !== req.user.id && req.user.role !== 'admin') {
+    // Check permissions: the verified owner once claimed, the creator until then
+    const editor = existingRestaurant.owner_id || existingRestaurant.created_by;
+    if (editor !== req.user.id && req.user.role !== 'admin') {
       return res.status(403).json({ error: 'Permission denied' });
     }
 
-    // Remove fields that shouldn't be updated
+    // Remove fields that shouldn't be updated; ownership changes go through business claims
     delete updateData.id;
     delete updateData.created_at;
     delete updateData.created_by;
     delete updateData.is_restaurant;
+    delete updateData.owner_id;
+    delete updateData.is_claimed;
+    delete updateData.claimed_at;
+    delete updateData.is_verified;
+
+    if (updateData.timezone && !isValidTimezone(updateData.timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
 
     const { data: restaurant, error } = await supaAdmin
       .from('companies')
@@ -308,6 +308,7 @@ router.get('/notifications', requireAuth, async (req, res) => {
         saved_search:saved_searches(id, name)
       `)
       .eq('user_id', req.user.id)
+      .neq('notification_type', 'email')
       .order('created_at', { ascending: false })
       .range(offset, offset + limit - 1)
 
@@ -341,6 +342,7 @@ router.put('/notifications/:id/read', requireAuth, async (req, res) => {
       })
       .eq('id', id)
       .eq('user_id', req.user.id)
+      .neq('notification_type', 'email')
       .select()
       .single()
 
@@ -376,6 +378,7 @@ router.post('/notifications/mark-read', requireAuth, async (req, res) => {
       })
       .in('id', notification_ids)
       .eq('user_id', req.user.id)
+      .neq('notification_type', 'email')
       .select()
 
     if (error) {
@@ -510,17 +513,28 @@ router.get('/admin/saved-searches/list', requireAuth, requireAdmin, async (req,
   }
 })
 
-// Admin: Trigger saved search alert processing
+// Admin: Work through pending deal approval events now
+// Pass deal_id to queue a deal for matching again (e.g. after editing it)
 router.post('/admin/process-alerts', requireAuth, requireAdmin, async (req, res) => {
   try {
-    const { minutes = 30 } = req.body
+    const { deal_id, limit = 100 } = req.body || {}
+
+    if (deal_id) {
+      const { error } = await supabase
+        .from('deal_approval_events')
+        .insert({ deal_id })
+
+      if (error) {
+        return res.status(400).json({ error: error.message })
+      }
+    }
 
     console.log('🔔 Admin triggered saved search alert processing')
-    const result = await savedSearchAlerts.processNewDealAlerts(minutes)
+    const result = await savedSearchAlerts.processDealApprovalEvents({ limit: Math.min(Number(limit) || 100, 1000) })
 
     res.json({
       success: true,
-      message: `Processed ${result.processed} deals, found ${result.matches} matches, sent ${result.notifications} notifications`,
+      message: `Processed ${result.processed} approved deals, found ${result.matches} matches, sent ${result.notifications} notifications`,
       ...result
     })
   } catch (error) {
@@ -4,37 +4,79 @@ import { makeAdminClient } from '../lib/supa.js';
 const r = Router();
 const supa = makeAdminClient();
 const SITE = process.env.SITE_URL || 'http://localhost:5173';
+// Child sitemaps are served by this API, so they must be listed under its own host
+const API_SITE = process.env.API_URL || `http://localhost:${process.env.PORT || 4000}`;
+
+// The sitemap protocol allows up to 50,000 URLs per file
+const PAGE_SIZE = Math.min(Number(process.env.SITEMAP_PAGE_SIZE) || 10000, 50000);
+const CACHE_HEADER = 'public, max-age=600, s-maxage=600';
+// PostgREST caps each response (1000 rows on Supabase), so pages are read in batches
+const BATCH = 1000;
 
 function xmlEscape(s) {
   return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;');
 }
 
-r.get('/sitemap.xml', async (_req, res) => {
-  try {
-    const urls = [
-      { loc: `${SITE}/`, priority: '0.8', changefreq: 'hourly' },
-      { loc: `${SITE}/new`, priority: '0.5', changefreq: 'hourly' },
-      { loc: `${SITE}/trending`, priority: '0.6', changefreq: 'hourly' },
-      { loc: `${SITE}/privacy`, priority: '0.2', changefreq: 'yearly' },
-      { loc: `${SITE}/terms`, priority: '0.2', changefreq: 'yearly' },
-      { loc: `${SITE}/disclosure`, priority: '0.4', changefreq: 'yearly' },
-      { loc: `${SITE}/contact`, priority: '0.3', changefreq: 'yearly' },
-    ];
-
-    const { data, error } = await supa
-      .from('deals')
-      .select('id, approved_at, updated_at')
-      .eq('status','approved')
-      .order('approved_at', { ascending: false })
-      .limit(5000);
-    if (error) throw error;
-
-    for (const d of data || []) {
-      const lastmod = (d.updated_at || d.approved_at) ? new Date(d.updated_at || d.approved_at).toISOString() : undefined;
-      urls.push({ loc: `${SITE}/deal/${d.id}`, priority: '0.7', changefreq: 'daily', lastmod });
-    }
+function isoDate(...values) {
+  const v = values.find(Boolean);
+  return v ? new Date(v).toISOString() : undefined;
+}
 
-    const body = `<?xml version="1.0" encoding="UTF-8"?>
+const STATIC_URLS = [
+  { loc: `${SITE}/`, priority: '0.8', changefreq: 'hourly' },
+  { loc: `${SITE}/new`, priority: '0.5', changefreq: 'hourly' },
+  { loc: `${SITE}/trending`, priority: '0.6', changefreq: 'hourly' },
+  { loc: `${SITE}/coupons`, priority: '0.6', changefreq: 'hourly' },
+  { loc: `${SITE}/categories`, priority: '0.5', changefreq: 'daily' },
+  { loc: `${SITE}/companies`, priority: '0.5', changefreq: 'daily' },
+  { loc: `${SITE}/forums`, priority: '0.4', changefreq: 'daily' },
+  { loc: `${SITE}/about`, priority: '0.3', changefreq: 'yearly' },
+  { loc: `${SITE}/privacy`, priority: '0.2', changefreq: 'yearly' },
+  { loc: `${SITE}/terms`, priority: '0.2', changefreq: 'yearly' },
+  { loc: `${SITE}/disclosure`, priority: '0.4', changefreq: 'yearly' },
+  { loc: `${SITE}/contact`, priority: '0.3', changefreq: 'yearly' },
+];
+
+// Companies the public company page will show (see GET /api/companies/:slug/full)
+const publicCompanies = q => q.eq('is_active', true).eq('status', 'approved').eq('is_verified', true);
+
+// One child sitemap family per content type. `filter` narrows the query to
+// public rows; `url` maps a row to its page on the web app.
+const SOURCES = {
+  deals: {
+    table: 'deals',
+    select: 'id, approved_at, updated_at, created_at',
+    filter: q => q.eq('status', 'approved'),
+    url: d => ({ loc: `${SITE}/deal/${d.id}`, lastmod: isoDate(d.updated_at, d.approved_at, d.created_at), priority: '0.7', changefreq: 'daily' }),
+  },
+  companies: {
+    table: 'companies',
+    select: 'id, slug, updated_at, created_at',
+    filter: q => publicCompanies(q).or('is_restaurant.is.null,is_restaurant.eq.false'),
+    url: c => ({ loc: `${SITE}/company/${encodeURIComponent(c.slug)}`, lastmod: isoDate(c.updated_at, c.created_at), priority: '0.6', changefreq: 'weekly' }),
+  },
+  restaurants: {
+    table: 'companies',
+    select: 'id, slug, updated_at, created_at',
+    filter: q => publicCompanies(q).eq('is_restaurant', true),
+    url: c => ({ loc: `${SITE}/company/${encodeURIComponent(c.slug)}`, lastmod: isoDate(c.updated_at, c.created_at), priority: '0.6', changefreq: 'weekly' }),
+  },
+  categories: {
+    table: 'categories',
+    select: 'id, slug, updated_at, created_at',
+    filter: q => q.eq('is_active', true),
+    url: c => ({ loc: `${SITE}/category/${encodeURIComponent(c.slug)}`, lastmod: isoDate(c.updated_at, c.created_at), priority: '0.5', changefreq: 'daily' }),
+  },
+  users: {
+    table: 'profiles',
+    select: 'id, handle, updated_at, created_at',
+    filter: q => q.not('handle', 'is', null).not('shadow_banned', 'is', true).not('is_banned', 'is', true),
+    url: p => ({ loc: `${SITE}/u/${encodeURIComponent(p.handle)}`, lastmod: isoDate(p.updated_at, p.created_at), priority: '0.3', changefreq: 'weekly' }),
+  },
+};
+
+function urlset(urls) {
+  return `<?xml version="1.0" encoding="UTF-8"?>
 <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
 ${urls.map(u => `  <url>
     <loc>${xmlEscape(u.loc)}</loc>
@@ -43,11 +85,111 @@ ${urls.map(u => `  <url>
     <priority>${u.priority}</priority>
   </url>`).join('\n')}
 </urlset>`;
+}
+
+function sendXml(res, body) {
+  res.setHeader('Content-Type','application/xml; charset=utf-8');
+  res.setHeader('Cache-Control', CACHE_HEADER);
+  res.send(body);
+}
+
+// Newest lastmod among a source's rows with ids in [fromId, toId)
+async function rangeLastmod(source, fromId, toId) {
+  let query = source
+    .filter(supa.from(source.table).select(source.select))
+    .gte('id', fromId);
+  if (toId != null) query = query.lt('id', toId);
+
+  const { data, error } = await query
+    .order('updated_at', { ascending: false, nullsFirst: false })
+    .limit(1);
+  if (error) throw error;
+
+  return data?.[0] ? source.url(data[0]).lastmod : undefined;
+}
+
+// Lastmod of each child page of one source. Child pages are id-ordered, so a
+// page holds the ids from its first row up to the next page's first row.
+async function describeSource(source) {
+  const { count, error } = await source
+    .filter(supa.from(source.table).select('id', { count: 'exact', head: true }));
+  if (error) throw error;
+
+  const firstIds = [];
+  for (let start = 0; start < (count || 0); start += PAGE_SIZE) {
+    const { data, error: idError } = await source
+      .filter(supa.from(source.table).select('id'))
+      .order('id', { ascending: true })
+      .range(start, start);
+    if (idError) throw idError;
+    if (!data?.length) break;
+    firstIds.push(data[0].id);
+  }
+
+  const lastmods = [];
+  for (let i = 0; i < firstIds.length; i++) {
+    lastmods.push(await rangeLastmod(source, firstIds[i], firstIds[i + 1]));
+  }
+  return lastmods;
+}
+
+// Sitemap index: static pages plus every page of every content type
+r.get('/sitemap.xml', async (_req, res) => {
+  try {
+    const entries = [{ loc: `${API_SITE}/sitemap-static.xml` }];
+
+    for (const [type, source] of Object.entries(SOURCES)) {
+      try {
+        const lastmods = await describeSource(source);
+        lastmods.forEach((lastmod, i) => {
+          entries.push({ loc: `${API_SITE}/sitemap-${type}-${i + 1}.xml`, lastmod });
+        });
+      } catch (e) {
+        // A missing table shouldn't take the whole index down
+        console.error(`sitemap: skipping ${type}:`, e.message);
+      }
+    }
+
+    sendXml(res, `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries.map(e => `  <sitemap>
+    <loc>${xmlEscape(e.loc)}</loc>
+    ${e.lastmod ? `<lastmod>${e.lastmod}</lastmod>` : '' }
+  </sitemap>`).join('\n')}
+</sitemapindex>`);
+  } catch (e) {
+    console.error('sitemap: index failed:', e.message);
+    res.status(500).send('sitemap error');
+  }
+});
+
+r.get('/sitemap-static.xml', (_req, res) => {
+  sendXml(res, urlset(STATIC_URLS));
+});
+
+// Child sitemap: /sitemap-<type>-<page>.xml, pages start at 1
+r.get(/^\/sitemap-([a-z]+)-(\d+)\.xml$/, async (req, res) => {
+  try {
+    const source = SOURCES[req.params[0]];
+    const page = Number(req.params[1]);
+    if (!source || page < 1) return res.status(404).send('sitemap not found');
+
+    const start = (page - 1) * PAGE_SIZE;
+    const rows = [];
+    for (let from = start; from < start + PAGE_SIZE; from += BATCH) {
+      const { data, error } = await source
+        .filter(supa.from(source.table).select(source.select))
+        .order('id', { ascending: true })
+        .range(from, Math.min(from + BATCH, start + PAGE_SIZE) - 1);
+      if (error) throw error;
+      rows.push(...(data || []));
+      if (!data || data.length < BATCH) break;
+    }
+    if (!rows.length) return res.status(404).send('sitemap not found');
 
-    res.setHeader('Content-Type','application/xml; charset=utf-8');
-    res.setHeader('Cache-Control','public, max-age=600, s-maxage=600');
-    res.send(body);
+    sendXml(res, urlset(rows.map(source.url)));
   } catch (e) {
+    console.error(`sitemap: ${req.params[0]} page ${req.params[1]} failed:`, e.message);
     res.status(500).send('sitemap error');
   }
 });
@@ -0,0 +1,88 @@
+/**
+ * Store API Routes
+ *
+ * Store profiles and reputation. A store is addressed by company slug,
+ * company id or merchant name, so deals without a linked company still
+ * get a profile.
+ */
+
+import express from 'express';
+import { makeAdminClient } from '../lib/supa.js';
+import { getStoreReputation } from '../lib/storeReputation.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+const CACHE_HEADER = 'public, max-age=300, s-maxage=600';
+
+/**
+ * GET /api/stores/:merchant/rating
+ * Rating, trust score and the signals behind it
+ */
+router.get('/:merchant/rating', async (req, res) => {
+  try {
+    const reputation = await getStoreReputation(supabase, req.params.merchant);
+    if (!reputation) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    res.setHeader('Cache-Control', CACHE_HEADER);
+    res.json(reputation);
+  } catch (error) {
+    console.error('Error computing store rating:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/stores/:merchant
+ * Store profile: reputation plus the store's latest live deals and coupons
+ */
+router.get('/:merchant', async (req, res) => {
+  try {
+    const reputation = await getStoreReputation(supabase, req.params.merchant);
+    if (!reputation) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const nowIso = new Date().toISOString();
+    const company = reputation.company;
+
+    let dealQuery = supabase
+      .from('deals')
+      .select('id, title, price, original_price, image_url, merchant, created_at, expires_at')
+      .eq('status', 'approved')
+      .or(`expires_at.is.null,expires_at.gt.${nowIso}`)
+      .order('created_at', { ascending: false })
+      .limit(10);
+    dealQuery = company
+      ? dealQuery.eq('company_id', company.id)
+      : dealQuery.ilike('merchant', reputation.merchant);
+
+    const [{ data: deals }, { data: coupons }] = await Promise.all([
+      dealQuery,
+      company
+        ? supabase
+          .from('coupons')
+          .select('id, title, coupon_code, coupon_type, discount_value, success_rate, expires_at')
+          .eq('company_id', company.id)
+          .eq('status', 'approved')
+          .or(`expires_at.is.null,expires_at.gt.${nowIso}`)
+          .order('created_at', { ascending: false })
+          .limit(10)
+        : Promise.resolve({ data: [] })
+    ]);
+
+    res.setHeader('Cache-Control', CACHE_HEADER);
+    res.json({
+      ...reputation,
+      deals: deals || [],
+      coupons: coupons || []
+    });
+  } catch (error) {
+    console.error('Error fetching store profile:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,486 @@
+/**
+ * Forum Thread API Routes
+ *
+ * Thread detail, replies, votes, moderation and reply subscriptions.
+ */
+
+import express from 'express';
+import { makeAdminClient } from '../lib/supa.js';
+import { denyShadowBanned } from '../middleware/denyShadowBanned.js';
+import { requirePermission } from '../middleware/requirePermission.js';
+import { PERMISSIONS } from '../lib/permissions.js';
+import { makeLimiter, userOrIp } from '../lib/limiter.js';
+import { THREAD_SELECT, POST_SELECT, notifyThreadSubscribers } from '../lib/forums.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+// Helper: Check authentication
+const requireAuth = (req, res, next) => {
+  if (!req.user?.id) {
+    return res.status(401).json({ error: 'Authentication required' });
+  }
+  next();
+};
+
+const requireModerator = requirePermission(PERMISSIONS.MODERATE_FORUMS);
+
+async function loadThread(id) {
+  const { data, error } = await supabase
+    .from('forum_threads')
+    .select(THREAD_SELECT)
+    .eq('id', id)
+    .neq('status', 'deleted')
+    .single();
+  if (error) return null;
+  return data;
+}
+
+/**
+ * GET /api/threads/latest
+ * Most recently active threads across all forums
+ */
+router.get('/latest', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+
+    const { data, error } = await supabase
+      .from('forum_threads')
+      .select(THREAD_SELECT)
+      .neq('status', 'deleted')
+      .order('last_activity_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching latest threads:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/threads/:id
+ * Thread with its replies and the caller's vote
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const thread = await loadThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const [{ data: posts }, { data: vote }] = await Promise.all([
+      supabase
+        .from('forum_posts')
+        .select(POST_SELECT)
+        .eq('thread_id', thread.id)
+        .eq('is_deleted', false)
+        .order('created_at', { ascending: true }),
+      req.user?.id
+        ? supabase
+          .from('forum_thread_votes')
+          .select('value')
+          .eq('thread_id', thread.id)
+          .eq('user_id', req.user.id)
+          .maybeSingle()
+        : Promise.resolve({ data: null }),
+    ]);
+
+    // Fire and forget - a failed view count shouldn't fail the request
+    supabase.rpc('increment_thread_views', { thread_id_param: thread.id }).then(() => { }, () => { });
+
+    res.json({
+      ...thread,
+      user_vote: vote?.value || 0,
+      posts: posts || [],
+    });
+  } catch (error) {
+    console.error('Error fetching thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/threads/:id/vote
+ * Body: { value: 1 | -1 | 0 } - 0 (or null) removes the vote
+ */
+router.post('/:id/vote', requireAuth, async (req, res) => {
+  try {
+    const value = req.body?.value ?? 0;
+    if (![1, -1, 0].includes(value)) {
+      return res.status(400).json({ error: 'value must be 1, -1 or 0' });
+    }
+
+    const thread = await loadThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { error } = value === 0
+      ? await supabase
+        .from('forum_thread_votes')
+        .delete()
+        .eq('thread_id', thread.id)
+        .eq('user_id', req.user.id)
+      : await supabase
+        .from('forum_thread_votes')
+        .upsert({ thread_id: thread.id, user_id: req.user.id, value }, { onConflict: 'thread_id,user_id' });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const updated = await loadThread(thread.id);
+    res.json({ ...updated, user_vote: value });
+  } catch (error) {
+    console.error('Error voting on thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * GET /api/threads/:id/posts
+ * Replies in chronological order
+ */
+router.get('/:id/posts', async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('forum_posts')
+      .select(POST_SELECT)
+      .eq('thread_id', req.params.id)
+      .eq('is_deleted', false)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || []);
+  } catch (error) {
+    console.error('Error fetching thread posts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/threads/:id/posts
+ * Reply to a thread. Body: { body, parent_id? }
+ */
+router.post('/:id/posts', requireAuth, denyShadowBanned, async (req, res) => {
+  try {
+    const take = makeLimiter({
+      key: () => `forum-post:${userOrIp(req)}`,
+      limit: 1,
+      windowSec: Number(process.env.RL_COMMENTS_COOLDOWN_SEC || 10),
+      prefix: 'forum:post',
+    });
+    const rl = await take();
+    if (!rl.success) {
+      return res.status(429).json({ error: 'Please wait a few seconds before replying again' });
+    }
+
+    const body = String(req.body?.body || '').trim();
+    if (!body || body.length > 10000) {
+      return res.status(400).json({ error: 'Reply must be between 1 and 10000 characters' });
+    }
+
+    const thread = await loadThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+    if (thread.is_locked) {
+      return res.status(403).json({ error: 'Thread is locked' });
+    }
+
+    const parentId = req.body.parent_id ? Number(req.body.parent_id) : null;
+    if (parentId) {
+      const { data: parent } = await supabase
+        .from('forum_posts')
+        .select('id')
+        .eq('id', parentId)
+        .eq('thread_id', thread.id)
+        .maybeSingle();
+      if (!parent) {
+        return res.status(400).json({ error: 'Parent post not found in this thread' });
+      }
+    }
+
+    const { data: post, error } = await supabase
+      .from('forum_posts')
+      .insert({
+        thread_id: thread.id,
+        parent_id: parentId,
+        author_id: req.user.id,
+        body,
+      })
+      .select(POST_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    await notifyThreadSubscribers(supabase, thread, post);
+
+    res.status(201).json(post);
+  } catch (error) {
+    console.error('Error creating post:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/threads/:id/pin
+ * Toggle pinned state (moderators)
+ */
+router.post('/:id/pin', requireModerator, async (req, res) => {
+  try {
+    const thread = await loadThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('forum_threads')
+      .update({ is_pinned: !thread.is_pinned, updated_at: new Date().toISOString() })
+      .eq('id', thread.id)
+      .select(THREAD_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error pinning thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/threads/:id/lock
+ * Toggle locked state (moderators)
+ */
+router.post('/:id/lock', requireModerator, async (req, res) => {
+  try {
+    const thread = await loadThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const locked = !thread.is_locked;
+    const { data, error } = await supabase
+      .from('forum_threads')
+      .update({
+        is_locked: locked,
+        status: locked ? 'locked' : 'active',
+        updated_at: new Date().toISOString(),
+      })
+      .eq('id', thread.id)
+      .select(THREAD_SELECT)
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error locking thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/threads/:id/move
+ * Move a thread to another forum (moderators). Body: { forum_id }
+ */
+router.post('/:id/move', requireModerator, async (req, res) => {
+  try {
+    const forumId = Number(req.body?.forum_id);
+    if (!forumId) {
+      return res.status(400).json({ error: 'forum_id is required' });
+    }
+
+    const { data: forum } = await supabase
+      .from('forums')
+      .select('id')
+      .eq('id', forumId)
+      .maybeSingle();
+    if (!forum) {
+      return res.status(404).json({ error: 'Forum not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('forum_threads')
+      .update({ forum_id: forum.id, updated_at: new Date().toISOString() })
+      .eq('id', req.params.id)
+      .neq('status', 'deleted')
+      .select(THREAD_SELECT)
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ error: 'Thread not found' });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error moving thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/threads/:id
+ * Soft-delete a thread (moderators)
+ */
+router.delete('/:id', requireModerator, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('forum_threads')
+      .update({ status: 'deleted', updated_at: new Date().toISOString() })
+      .eq('id', req.params.id);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// =============================================
+// Thread subscriptions
+// =============================================
+
+const SUBSCRIPTION_FIELDS = ['notify_replies', 'notify_mentions', 'email_notifications'];
+
+function pickSubscriptionOptions(body = {}) {
+  const options = {};
+  for (const field of SUBSCRIPTION_FIELDS) {
+    if (typeof body[field] === 'boolean') options[field] = body[field];
+  }
+  return options;
+}
+
+/**
+ * GET /api/threads/:id/subscription
+ * The caller's subscription, or null
+ */
+router.get('/:id/subscription', requireAuth, async (req, res) => {
+  try {
+    const { data, error } = await supabase
+      .from('forum_thread_subscriptions')
+      .select('id, thread_id, notify_replies, notify_mentions, email_notifications, created_at, updated_at')
+      .eq('thread_id', req.params.id)
+      .eq('user_id', req.user.id)
+      .maybeSingle();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data || null);
+  } catch (error) {
+    console.error('Error fetching thread subscription:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * POST /api/threads/:id/subscription
+ * Subscribe to a thread
+ */
+router.post('/:id/subscription', requireAuth, async (req, res) => {
+  try {
+    const thread = await loadThread(req.params.id);
+    if (!thread) {
+      return res.status(404).json({ error: 'Thread not found' });
+    }
+
+    const { data, error } = await supabase
+      .from('forum_thread_subscriptions')
+      .upsert({
+        thread_id: thread.id,
+        user_id: req.user.id,
+        ...pickSubscriptionOptions(req.body),
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'thread_id,user_id' })
+      .select()
+      .single();
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.status(201).json(data);
+  } catch (error) {
+    console.error('Error subscribing to thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * PUT /api/threads/:id/subscription
+ * Update notification options on an existing subscription
+ */
+router.put('/:id/subscription', requireAuth, async (req, res) => {
+  try {
+    const updates = pickSubscriptionOptions(req.body);
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({ error: 'No subscription options provided' });
+    }
+
+    const { data, error } = await supabase
+      .from('forum_thread_subscriptions')
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq('thread_id', req.params.id)
+      .eq('user_id', req.user.id)
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === 'PGRST116') return res.status(404).json({ error: 'Not subscribed to this thread' });
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(data);
+  } catch (error) {
+    console.error('Error updating thread subscription:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+/**
+ * DELETE /api/threads/:id/subscription
+ * Unsubscribe from a thread
+ */
+router.delete('/:id/subscription', requireAuth, async (req, res) => {
+  try {
+    const { error } = await supabase
+      .from('forum_thread_subscriptions')
+      .delete()
+      .eq('thread_id', req.params.id)
+      .eq('user_id', req.user.id);
+
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error unsubscribing from thread:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
@@ -0,0 +1,39 @@
+/**
+ * Current User API Routes
+ *
+ * Endpoints about the signed-in caller (as opposed to /api/users/:handle).
+ */
+
+import express from 'express';
+import { makeAdminClient } from '../lib/supa.js';
+import { getUserPermissions } from '../lib/permissions.js';
+
+const router = express.Router();
+const supabase = makeAdminClient();
+
+/**
+ * GET /api/user/permissions
+ * What the caller may do; anonymous callers get an empty permission set
+ */
+router.get('/permissions', async (req, res) => {
+  try {
+    const perms = await getUserPermissions(supabase, req.user?.id);
+
+    res.json({
+      role: perms.role,
+      is_admin: perms.is_admin,
+      can_moderate: perms.can_moderate,
+      is_trusted_submitter: perms.is_trusted_submitter,
+      is_merchant: perms.is_merchant,
+      permissions: perms.permissions,
+      scoped_permissions: perms.scoped,
+      moderated_category_ids: perms.category_ids,
+      grants: perms.grants,
+    });
+  } catch (error) {
+    console.error('Error resolving permissions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+export default router;
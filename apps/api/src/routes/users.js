@@ -941,6 +941,42 @@ router.get('/:handle/saved', requireAuth, async (req, res) => {
   }
 })
 
+// Get user's forum thread subscriptions (own subscriptions only)
+router.get('/:userId/subscriptions', requireAuth, async (req, res) => {
+  try {
+    const { userId } = req.params
+
+    if (userId !== req.user.id) {
+      return res.status(403).json({ error: 'Unauthorized' })
+    }
+
+    const { data, error } = await supabase
+      .from('forum_thread_subscriptions')
+      .select(`
+        id, thread_id, notify_replies, notify_mentions, email_notifications, created_at,
+        thread:forum_threads(id, title, status, forum:forums(slug, name))
+      `)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+
+    if (error) throw error
+
+    const subscriptions = (data || [])
+      .filter(sub => sub.thread && sub.thread.status !== 'deleted')
+      .map(({ thread, ...sub }) => ({
+        ...sub,
+        thread_title: thread.title,
+        forum_slug: thread.forum?.slug || null,
+        forum_name: thread.forum?.name || null
+      }))
+
+    res.json(subscriptions)
+  } catch (error) {
+    console.error('Get thread subscriptions error:', error)
+    res.status(500).json({ error: 'Internal server error' })
+  }
+})
+
 // Get user's achievements
 router.get('/:handle/achievements', async (req, res) => {
   try {
@@ -180,6 +180,20 @@ export default function EnhancedPendingItem({
                       {formatPrice(item.original_price)}
                     </span>
                   )}
+                  {/* Claimed price checked against the merchant page at ingestion */}
+                  {item.price_check === 'verified' && (
+                    <span className="px-1.5 py-0.5 rounded text-xs font-medium bg-green-100 text-green-800">
+                      Price verified
+                    </span>
+                  )}
+                  {item.price_check === 'mismatch' && (
+                    <span
+                      className="px-1.5 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800 border border-red-200"
+                      title="The merchant page showed a higher price than the feed claimed"
+                    >
+                      Store shows {formatPrice(item.page_price)}
+                    </span>
+                  )}
                 </div>
               )}
 
@@ -4,6 +4,7 @@ import { useToast } from '../ui/Toast'
 import { api } from '../../lib/api'
 import { formatPrice, dateAgo } from '../../lib/format'
 import { clsx } from 'clsx'
+import { useAuth } from '../../hooks/useAuth'
 
 export function DealAlerts({ dealId, currentPrice }) {
   const [showCreateForm, setShowCreateForm] = useState(false)
@@ -15,12 +16,13 @@ export function DealAlerts({ dealId, currentPrice }) {
   
   const queryClient = useQueryClient()
   const toast = useToast()
+  const { user } = useAuth()
 
   // Fetch existing alerts
   const { data: alerts = [], isLoading } = useQuery({
     queryKey: ['deal-alerts', dealId],
     queryFn: () => api.getDealAlerts(dealId),
-    enabled: !!dealId && !!localStorage.getItem('demo_user'),
+    enabled: !!dealId && !!user,
   })
 
   // Create alert mutation
@@ -32,7 +34,7 @@ export function DealAlerts({ dealId, currentPrice }) {
       setShowCreateForm(false)
       resetForm()
     },
-    onError: () => toast.error('Failed to create alert')
+    onError: (error) => toast.error(error.message || 'Failed to create alert')
   })
 
   // Delete alert mutation
@@ -54,12 +56,12 @@ export function DealAlerts({ dealId, currentPrice }) {
   }
 
   const handleCreateAlert = () => {
-    if (!localStorage.getItem('demo_user')) {
+    if (!user) {
       toast.error('Please sign in to create price alerts')
       return
     }
     
-    if (alertData.targetPrice >= currentPrice) {
+    if (alertData.alertType === 'price_drop' && alertData.targetPrice >= currentPrice) {
       toast.error('Target price must be lower than current price')
       return
     }
@@ -70,8 +72,8 @@ export function DealAlerts({ dealId, currentPrice }) {
   const alertTypes = [
     { value: 'price_drop', label: 'Price Drop', description: 'Alert when price falls below target' },
     { value: 'back_in_stock', label: 'Back in Stock', description: 'Alert when deal becomes available again' },
-    { value: 'deal_expires', label: 'Expiration Warning', description: 'Alert before deal expires' },
-    { value: 'any_change', label: 'Any Change', description: 'Alert on any deal updates' },
+    { value: 'price_rise', label: 'Price Rise', description: 'Alert when price climbs above target' },
+    { value: 'low_stock', label: 'Low Stock', description: 'Alert when the deal is about to sell out' },
   ]
 
   const notificationMethods = [
@@ -104,22 +106,27 @@ export function DealAlerts({ dealId, currentPrice }) {
                   <div className="flex items-center space-x-2 mb-1">
                     <span className={clsx(
                       'w-2 h-2 rounded-full',
-                      alert.isActive ? 'bg-green-500' : 'bg-gray-400'
+                      alert.is_active ? 'bg-green-500' : 'bg-gray-400'
                     )}></span>
                     <span className="font-medium text-gray-900">
-                      {alertTypes.find(t => t.value === alert.type)?.label || alert.type}
+                      {alertTypes.find(t => t.value === alert.alert_type)?.label || alert.alert_type}
                     </span>
                   </div>
                   
                   <div className="text-sm text-gray-600">
-                    {alert.type === 'price_drop' && `Target: ${formatPrice(alert.targetPrice)}`}
-                    {alert.type === 'back_in_stock' && 'Waiting for availability'}
-                    {alert.type === 'deal_expires' && 'Expiration reminder'}
-                    {alert.type === 'any_change' && 'Any updates'}
+                    {alert.triggered_at
+                      ? `Triggered ${dateAgo(alert.triggered_at)}${alert.triggered_price != null ? ` at ${formatPrice(alert.triggered_price)}` : ''}`
+                      : (
+                        <>
+                          {(alert.alert_type === 'price_drop' || alert.alert_type === 'price_rise') && `Target: ${formatPrice(alert.target_price)}`}
+                          {alert.alert_type === 'back_in_stock' && 'Waiting for availability'}
+                          {alert.alert_type === 'low_stock' && 'Watching stock levels'}
+                        </>
+                      )}
                   </div>
                   
                   <div className="text-xs text-gray-500 mt-1">
-                    Created {dateAgo(alert.createdAt)} • {alert.notificationMethod}
+                    Created {dateAgo(alert.created_at)} • {alert.notification_method}
                   </div>
                 </div>
                 
@@ -198,7 +205,7 @@ export function DealAlerts({ dealId, currentPrice }) {
             </div>
 
             {/* Target Price (for price drop alerts) */}
-            {alertData.alertType === 'price_drop' && (
+            {(alertData.alertType === 'price_drop' || alertData.alertType === 'price_rise') && (
               <div>
                 <label className="block text-sm font-medium text-gray-900 mb-2">
                   Target Price
@@ -211,7 +218,7 @@ export function DealAlerts({ dealId, currentPrice }) {
                     type="number"
                     step="0.01"
                     min="0"
-                    max={currentPrice - 0.01}
+                    max={alertData.alertType === 'price_drop' ? currentPrice - 0.01 : undefined}
                     value={alertData.targetPrice}
                     onChange={(e) => setAlertData(prev => ({ ...prev, targetPrice: parseFloat(e.target.value) || 0 }))}
                     className="input pl-7"
@@ -1,17 +1,30 @@
 import React, { useState } from 'react'
+import { useQuery } from '@tanstack/react-query'
+import { api } from '../../lib/api'
 import { formatPrice } from '../../lib/format'
 
-export function PriceHistory({ history = [], currentPrice }) {
+// Pass `dealId` to load the series from the API, or `history` ([{ date, price }]) directly
+export function PriceHistory({ dealId, history: historyProp, currentPrice }) {
   const [showHistory, setShowHistory] = useState(false)
-  
-  if (!history.length) return null
-  
-  const lowestPrice = Math.min(...history.map(h => h.price))
-  const isLowestPrice = currentPrice === lowestPrice
-  
-  const priceChange = history.length > 1 ? 
-    ((currentPrice - history[history.length - 2].price) / history[history.length - 2].price * 100) : 0
-  
+
+  const { data } = useQuery({
+    queryKey: ['deal-price-history', dealId],
+    queryFn: () => api.getDealPriceHistory(dealId),
+    enabled: !!dealId && !historyProp,
+    staleTime: 5 * 60 * 1000,
+  })
+
+  const history = historyProp || data?.points || []
+  if (history.length < 2) return null
+
+  const price = currentPrice ?? data?.current_price ?? history[history.length - 1].price
+  const lowestPrice = data?.stats?.all_time_low ?? Math.min(...history.map(h => h.price))
+  const highestPrice = data?.stats?.max ?? Math.max(...history.map(h => h.price))
+  const isLowestPrice = data ? data.is_all_time_low : price <= lowestPrice
+
+  const previous = history[history.length - 2].price
+  const priceChange = previous ? ((price - previous) / previous * 100) : 0
+
   return (
     <div className="relative">
       <button
@@ -29,7 +42,7 @@ export function PriceHistory({ history = [], currentPrice }) {
           </span>
         )}
       </button>
-      
+
       {showHistory && (
         <div className="absolute top-full left-0 mt-2 w-64 bg-white border border-gray-200 rounded-lg shadow-lg z-20 p-3">
           <h4 className="font-medium text-gray-900 mb-2 text-sm">Price History</h4>
@@ -38,6 +51,7 @@ export function PriceHistory({ history = [], currentPrice }) {
               <div key={index} className="flex justify-between items-center text-sm">
                 <span className="text-gray-600">
                   {new Date(entry.date).toLocaleDateString()}
+                  {entry.source && <span className="ml-1 text-xs text-gray-400">{entry.source}</span>}
                 </span>
                 <span className={`font-medium ${
                   entry.price === lowestPrice ? 'text-green-600' : 'text-gray-900'
@@ -48,8 +62,11 @@ export function PriceHistory({ history = [], currentPrice }) {
               </div>
             ))}
           </div>
-          <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-500">
-            Lowest: {formatPrice(lowestPrice)}
+          <div className="mt-2 pt-2 border-t border-gray-200 text-xs text-gray-500 space-y-0.5">
+            <div>Lowest: {formatPrice(lowestPrice)} · Highest: {formatPrice(highestPrice)}</div>
+            {data?.stats?.avg != null && (
+              <div>Average ({data.days} days): {formatPrice(data.stats.avg)}</div>
+            )}
           </div>
         </div>
       )}
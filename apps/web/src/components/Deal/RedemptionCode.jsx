@@ -0,0 +1,104 @@
+import React, { useEffect, useState } from 'react'
+import { QRCodeSVG } from 'qrcode.react'
+import { RefreshCw, Printer, Copy, CheckCircle2 } from 'lucide-react'
+import { api } from '../../lib/api'
+import { toast } from '../../lib/toast'
+
+/**
+ * In-store redemption code for a claimed deal. The token is short-lived, so
+ * the code counts down and can be refreshed; staff scan the QR (or paste the
+ * code) on the merchant redemption page.
+ */
+export default function RedemptionCode({ dealId, redemption, promoCode, onChange }) {
+  const [current, setCurrent] = useState(redemption)
+  const [secondsLeft, setSecondsLeft] = useState(0)
+  const [refreshing, setRefreshing] = useState(false)
+
+  useEffect(() => {
+    setCurrent(redemption)
+  }, [redemption])
+
+  useEffect(() => {
+    if (!current?.expires_at) return undefined
+    const tick = () => {
+      setSecondsLeft(Math.max(0, Math.round((new Date(current.expires_at) - Date.now()) / 1000)))
+    }
+    tick()
+    const timer = setInterval(tick, 1000)
+    return () => clearInterval(timer)
+  }, [current?.expires_at])
+
+  const refresh = async () => {
+    setRefreshing(true)
+    try {
+      const result = await api.refreshRedemptionToken(dealId)
+      setCurrent(result.redemption)
+      onChange?.(result.redemption)
+    } catch {
+      toast.error('Could not refresh your code')
+    } finally {
+      setRefreshing(false)
+    }
+  }
+
+  const copyCode = () => {
+    navigator.clipboard.writeText(current.token)
+    toast.success('Code copied')
+  }
+
+  if (!current?.token) return null
+
+  const timedOut = secondsLeft === 0
+  const minutes = Math.floor(secondsLeft / 60)
+  const seconds = String(secondsLeft % 60).padStart(2, '0')
+
+  return (
+    <div className="rounded-2xl border border-emerald-200 bg-emerald-50/60 p-5 text-center print:border-0">
+      <p className="text-sm font-bold text-emerald-800 mb-3 flex items-center justify-center gap-1.5">
+        <CheckCircle2 className="w-4 h-4" />
+        Show this code at the counter
+      </p>
+
+      <div className={`inline-block bg-white p-3 rounded-xl shadow-sm ${timedOut ? 'opacity-30' : ''}`}>
+        <QRCodeSVG value={current.token} size={180} level="M" />
+      </div>
+
+      {promoCode && (
+        <p className="mt-3 text-xs text-slate-600">
+          Promo code: <span className="font-mono font-bold text-slate-900">{promoCode}</span>
+        </p>
+      )}
+
+      <p className={`mt-3 text-sm font-medium ${timedOut ? 'text-red-600' : 'text-slate-600'}`}>
+        {timedOut ? 'This code has timed out' : `Valid for ${minutes}:${seconds}`}
+      </p>
+
+      <div className="mt-4 flex items-center justify-center gap-2 print:hidden">
+        <button
+          onClick={refresh}
+          disabled={refreshing}
+          className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700 disabled:opacity-50"
+        >
+          <RefreshCw className={`w-4 h-4 ${refreshing ? 'animate-spin' : ''}`} />
+          New code
+        </button>
+        <button
+          onClick={copyCode}
+          className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-white border border-slate-200 text-slate-700 text-sm font-semibold hover:bg-slate-50"
+        >
+          <Copy className="w-4 h-4" />
+          Copy
+        </button>
+        {current.redemption_type === 'print' && (
+          <button
+            onClick={() => window.print()}
+            className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-white border border-slate-200 text-slate-700 text-sm font-semibold hover:bg-slate-50"
+          >
+            <Printer className="w-4 h-4" />
+            Print
+          </button>
+        )}
+      </div>
+    </div>
+  )
+}
@@ -21,7 +21,8 @@ import {
   Navigation,
   Loader2,
   Search,
-  ChevronDown
+  ChevronDown,
+  Timer
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
 import { Separator } from '../ui/Separator';
@@ -41,6 +42,7 @@ const POPULAR_CITIES = [
 const FILTERS = [
   { id: 'all', label: 'All Deals', icon: Sparkles, color: 'from-amber-500 to-orange-500' },
   { id: 'near-you', label: 'Near You', icon: MapPin, color: 'from-sky-500 to-blue-500' },
+  { id: 'active-now', label: 'Active Now', icon: Timer, color: 'from-lime-500 to-green-500' },
   { id: 'trending', label: 'Trending', icon: Flame, color: 'from-rose-500 to-red-500' },
   { id: '50-off', label: '50%+ Off', icon: Percent, color: 'from-pink-500 to-rose-500' },
   { id: 'under-20', label: 'Under $20', icon: DollarSign, color: 'from-emerald-500 to-green-500' },
@@ -202,6 +202,7 @@ export function InfiniteFeed({ filter = 'all', category = null, location = null
     if (filter === 'new-arrivals') return 'New Arrivals';
     if (filter === 'freebies') return 'Free Stuff';
     if (filter === 'flash-sale') return 'Flash Sales';
+    if (filter === 'active-now') return 'Active Now';
     return filter;
   };
 
@@ -21,6 +21,18 @@ import { useLocation } from '../../context/LocationContext'
 import { api } from '../../lib/api'
 import { Link } from 'react-router-dom'
 
+// Recurring deals come back with their schedule state in the restaurant's local time
+const scheduleLabel = (deal) => {
+  if (deal.active_now) {
+    return deal.ends_in_minutes != null && deal.ends_in_minutes <= 60
+      ? `Active now · ends in ${deal.ends_in_minutes} min`
+      : 'Active now'
+  }
+  if (deal.schedule_status === 'starting_soon') return `Starts in ${deal.starts_in_minutes} min`
+  if (deal.schedule_status === 'later_today') return 'Later today'
+  return null
+}
+
 const RestaurantSection = () => {
   const { location } = useLocation()
   const [showAll, setShowAll] = useState(false)
@@ -136,9 +148,15 @@ const RestaurantSection = () => {
               Discover great food deals at restaurants in {location.address.display}
             </p>
           </div>
-          <div className="flex items-center gap-2 text-sm text-gray-600">
-            <MapPin className="w-4 h-4" />
-            <span>{restaurants.length} restaurants found</span>
+          <div className="flex items-center gap-4 text-sm text-gray-600">
+            <span className="flex items-center gap-2">
+              <MapPin className="w-4 h-4" />
+              {restaurants.length} restaurants found
+            </span>
+            <Link to="/map" className="flex items-center gap-1 font-medium text-primary-600 hover:text-primary-700">
+              <Navigation className="w-4 h-4" />
+              Map view
+            </Link>
           </div>
         </div>
 
@@ -233,6 +251,11 @@ const RestaurantSection = () => {
                                   {deal.discount_percentage}% off
                                 </p>
                               )}
+                              {scheduleLabel(deal) && (
+                                <p className={`text-xs font-medium ${deal.active_now ? 'text-green-700' : 'text-amber-600'}`}>
+                                  {scheduleLabel(deal)}
+                                </p>
+                              )}
                             </div>
                             {deal.coupon_code && (
                               <span className="px-2 py-1 bg-green-600 text-white text-xs rounded font-mono">
@@ -1,6 +1,7 @@
 import React, { useState } from 'react'
 import { useMutation, useQueryClient } from '@tanstack/react-query'
 import { api } from '../../lib/api'
+import { useAuth } from '../../hooks/useAuth'
 import { useToast } from '../ui/Toast'
 import { clsx } from 'clsx'
 
@@ -18,7 +19,8 @@ export function MessageButton({
 
   const toast = useToast()
   const queryClient = useQueryClient()
-  const currentUserId = localStorage.getItem('demo_user') // Mock auth
+  const { user } = useAuth()
+  const currentUserId = user?.id
 
   const sendMessageMutation = useMutation({
     mutationFn: (messageData) => api.sendMessage(messageData),
@@ -153,6 +155,7 @@ export function MessageButton({
                     onChange={(e) => setMessage(e.target.value)}
                     placeholder="Type your message here..."
                     rows={6}
+                    maxLength={1000}
                     required
                     className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent resize-none"
                   />
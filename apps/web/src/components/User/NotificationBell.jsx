@@ -10,7 +10,8 @@ import {
   XMarkIcon,
   EyeIcon,
   ClockIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  EnvelopeIcon
 } from '@heroicons/react/24/outline'
 import { clsx } from 'clsx'
 
@@ -29,6 +30,15 @@ const NotificationBell = () => {
     refetchInterval: 30000 // Refetch every 30 seconds
   })
 
+  // Fetch unread direct message count
+  const { data: messageCounts } = useQuery({
+    queryKey: ['messages-unread'],
+    queryFn: () => api.getUnreadMessageCount(),
+    enabled: !!user && !!user.id,
+    refetchInterval: 30000
+  })
+  const unreadMessages = messageCounts?.unread || 0
+
   // Mark notification as read mutation
   const markAsReadMutation = useMutation({
     mutationFn: (notificationIds) => apiRequest('/api/notifications/mark-read', { method: 'POST', body: { notification_ids: notificationIds } }),
@@ -123,10 +133,10 @@ const NotificationBell = () => {
       >
         <BellIcon className="h-4 w-4 sm:h-5 sm:w-5 flex-shrink-0" />
 
-        {/* Unread Badge */}
-        {unreadCount > 0 && (
+        {/* Unread Badge (notifications + direct messages) */}
+        {unreadCount + unreadMessages > 0 && (
           <span className="absolute -top-0.5 -right-0.5 sm:-top-1 sm:-right-1 h-3.5 w-3.5 sm:h-4 sm:w-4 bg-red-500 text-white text-[9px] sm:text-[10px] rounded-full flex items-center justify-center font-medium">
-            {unreadCount > 99 ? '99+' : unreadCount}
+            {unreadCount + unreadMessages > 99 ? '99+' : unreadCount + unreadMessages}
           </span>
         )}
       </button>
@@ -155,6 +165,25 @@ const NotificationBell = () => {
             </div>
           </div>
 
+          {/* Direct Messages */}
+          <Link
+            to="/messages"
+            onClick={() => setIsOpen(false)}
+            className="flex items-center justify-between px-4 py-3 border-b border-gray-200 hover:bg-gray-50 transition-colors"
+          >
+            <div className="flex items-center space-x-2 text-sm text-gray-700">
+              <EnvelopeIcon className="h-4 w-4 text-blue-500" />
+              <span className="font-medium">Messages</span>
+            </div>
+            {unreadMessages > 0 ? (
+              <span className="px-2 py-0.5 bg-blue-600 text-white text-xs rounded-full font-medium">
+                {unreadMessages > 99 ? '99+' : unreadMessages} unread
+              </span>
+            ) : (
+              <span className="text-xs text-gray-400">No unread messages</span>
+            )}
+          </Link>
+
           {/* Notifications List */}
           <div className="max-h-96 overflow-y-auto">
             {isLoading ? (
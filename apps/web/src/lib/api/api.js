@@ -122,6 +122,19 @@ export async function apiRequest(endpoint, options = {}, retryCount = 0) {
   }
 }
 
+/**
+ * ApiError keeps the raw response body as its message; pull the JSON body
+ * back out ({ error, message, ... }) so pages can show the server's wording
+ */
+export function apiErrorBody(error) {
+  try {
+    const body = JSON.parse(error.message)
+    return { ...body, message: body.message || body.error }
+  } catch {
+    return { message: error?.message || 'Something went wrong' }
+  }
+}
+
 export async function apiAuth(endpoint, options = {}) {
   return apiRequest(endpoint, {
     ...options,
@@ -666,6 +679,18 @@ export const api = {
     body: { role },
   }),
 
+  // Scoped roles: moderator, category_moderator (needs category_id), trusted_submitter
+  getUserRoleGrants: (userId) => apiRequest(`/api/admin/users/${userId}/roles`),
+
+  grantUserRole: (userId, grant) => apiRequest(`/api/admin/users/${userId}/roles`, {
+    method: 'POST',
+    body: grant,
+  }),
+
+  revokeUserRole: (userId, grantId) => apiRequest(`/api/admin/users/${userId}/roles/${grantId}`, {
+    method: 'DELETE',
+  }),
+
   getAdminAnalytics: (period = '30') => {
     const params = new URLSearchParams({ period })
     return apiRequest(`/api/admin/analytics?${params}`)
@@ -858,11 +883,108 @@ export const api = {
     method: 'DELETE',
   }),
 
+  getDealPriceHistory: (dealId, days = 90) => apiRequest(`/api/deals/${dealId}/price-history?days=${days}`),
+
   // Store ratings
   getStoreRating: async (merchant) => {
     return await apiRequest(`/api/stores/${encodeURIComponent(merchant)}/rating`)
   },
 
+  getStoreProfile: (merchant) => apiRequest(`/api/stores/${encodeURIComponent(merchant)}`),
+
+  // In-store redemption
+  claimDeal: (dealId) => apiRequest(`/api/deals/${dealId}/claim`, { method: 'POST' }),
+
+  refreshRedemptionToken: (dealId) => apiRequest(`/api/deals/${dealId}/claim/token`, { method: 'POST' }),
+
+  getClaimedDeals: () => apiRequest('/api/deals/claimed'),
+
+  verifyRedemption: (token) => apiRequest('/api/redemptions/verify', {
+    method: 'POST',
+    body: { token },
+  }),
+
+  redeemRedemption: (token) => apiRequest('/api/redemptions/redeem', {
+    method: 'POST',
+    body: { token },
+  }),
+
+  getRedemptionHistory: (params = {}) => {
+    const searchParams = new URLSearchParams()
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        searchParams.append(key, value)
+      }
+    })
+    return apiRequest(`/api/redemptions/history?${searchParams}`)
+  },
+
+  // Business claims and merchant portal
+  getMyBusinessClaims: () => apiRequest('/api/merchant/claims'),
+
+  // Pass FormData (with a `document` file) for document claims
+  createBusinessClaim: (claim) => apiRequest('/api/merchant/claims', {
+    method: 'POST',
+    body: claim,
+  }),
+
+  verifyBusinessEmail: (claimId, code) => apiRequest(`/api/merchant/claims/${claimId}/verify-email`, {
+    method: 'POST',
+    body: { code },
+  }),
+
+  resendBusinessEmailCode: (claimId) => apiRequest(`/api/merchant/claims/${claimId}/resend-code`, { method: 'POST' }),
+
+  cancelBusinessClaim: (claimId) => apiRequest(`/api/merchant/claims/${claimId}/cancel`, { method: 'POST' }),
+
+  getMerchantCompanies: () => apiRequest('/api/merchant/companies'),
+
+  updateMerchantCompany: (companyId, updates) => apiRequest(`/api/merchant/companies/${companyId}`, {
+    method: 'PUT',
+    body: updates,
+  }),
+
+  uploadMerchantLogo: (companyId, file) => {
+    const formData = new FormData()
+    formData.append('logo', file)
+    return apiRequest(`/api/merchant/companies/${companyId}/logo`, {
+      method: 'POST',
+      body: formData,
+    })
+  },
+
+  getMerchantDeals: (companyId) => apiRequest(`/api/merchant/companies/${companyId}/deals`),
+
+  createMerchantDeal: (companyId, deal) => apiRequest(`/api/merchant/companies/${companyId}/deals`, {
+    method: 'POST',
+    body: deal,
+  }),
+
+  updateMerchantDeal: (companyId, dealId, updates) => apiRequest(`/api/merchant/companies/${companyId}/deals/${dealId}`, {
+    method: 'PUT',
+    body: updates,
+  }),
+
+  getMerchantStats: (companyId, days = 30) => apiRequest(`/api/merchant/companies/${companyId}/stats?days=${days}`),
+
+  getBusinessClaimQueue: (status = 'pending_review') => apiRequest(`/api/merchant/admin/claims?status=${status}`),
+
+  approveBusinessClaim: (claimId, note) => apiRequest(`/api/merchant/admin/claims/${claimId}/approve`, {
+    method: 'POST',
+    body: { note },
+  }),
+
+  rejectBusinessClaim: (claimId, note) => apiRequest(`/api/merchant/admin/claims/${claimId}/reject`, {
+    method: 'POST',
+    body: { note },
+  }),
+
+  // Email unsubscribe links (token comes from the email, no sign-in needed)
+  unsubscribeEmail: (token) => apiRequest('/api/email/unsubscribe', {
+    method: 'POST',
+    body: { token },
+  }),
+
   // Deal reviews
   submitDealReview: (dealId, reviewData) => {
     const normalizedDealId = String(dealId)
@@ -1030,6 +1152,40 @@ export const api = {
     })
   },
 
+  // Direct messages
+  getConversations: (archived = false) => apiRequest(`/api/messages?archived=${archived}`),
+
+  getConversation: (conversationId, before = null) => {
+    const params = new URLSearchParams()
+    if (before) params.append('before', before)
+    return apiRequest(`/api/messages/conversations/${conversationId}?${params}`)
+  },
+
+  replyToConversation: (conversationId, content) => apiRequest(`/api/messages/conversations/${conversationId}/messages`, {
+    method: 'POST',
+    body: { content },
+  }),
+
+  markConversationRead: (conversationId) => apiRequest(`/api/messages/conversations/${conversationId}/read`, {
+    method: 'POST',
+  }),
+
+  archiveConversation: (conversationId) => apiRequest(`/api/messages/conversations/${conversationId}`, {
+    method: 'DELETE',
+  }),
+
+  getUnreadMessageCount: () => apiRequest('/api/messages/unread-count'),
+
+  getBlockedUsers: () => apiRequest('/api/messages/blocks'),
+
+  blockUser: (userId) => apiRequest(`/api/messages/blocks/${userId}`, {
+    method: 'POST',
+  }),
+
+  unblockUser: (userId) => apiRequest(`/api/messages/blocks/${userId}`, {
+    method: 'DELETE',
+  }),
+
   updateUserPreferences: (preferences) => apiRequest('/api/user/preferences', {
     method: 'PUT',
     body: preferences,
@@ -1095,6 +1251,18 @@ export const api = {
     })
   },
 
+  unbanUser: (userId, reason) => apiRequest(`/api/admin/users/${userId}/ban`, {
+    method: 'DELETE',
+    body: { reason }
+  }),
+
+  getUserModeration: (userId) => apiRequest(`/api/admin/users/${userId}/moderation`),
+
+  getModerationLog: (filters = {}) => {
+    const params = new URLSearchParams(filters)
+    return apiRequest(`/api/admin/moderation-log?${params}`)
+  },
+
   getForums: async () => {
     return await apiRequest('/api/forums')
   },
@@ -1128,10 +1296,11 @@ export const api = {
   },
 
   // Admin - advanced list with search/pagination
-  listAdminDeals: ({ status = 'approved', search = '', page = 1, limit = 20 } = {}) => {
+  listAdminDeals: ({ status = 'approved', search = '', page = 1, limit = 20, linkStatus = '' } = {}) => {
     const sp = new URLSearchParams()
     if (status) sp.append('status', status)
     if (search) sp.append('search', search)
+    if (linkStatus) sp.append('link_status', linkStatus)
     if (page) sp.append('page', page.toString())
     if (limit) sp.append('limit', limit.toString())
     return apiAuth(`/api/admin/deals?${sp.toString()}`)
@@ -1160,6 +1329,41 @@ export const api = {
     method: 'POST',
   }),
 
+  // action: 'dismiss' (clear the flag, restoring a deal the check expired) or 'expire'
+  resolveDealLinkCheck: (id, { action, stopChecking = false } = {}) => apiAuth(`/api/admin/deals/${id}/link-check`, {
+    method: 'POST',
+    body: { action, stop_checking: stopChecking },
+  }),
+
+  // Admin - ingestion sources
+  getIngestionSources: () => apiAuth('/api/admin/ingestion/sources'),
+
+  createIngestionSource: (source) => apiAuth('/api/admin/ingestion/sources', {
+    method: 'POST',
+    body: source,
+  }),
+
+  updateIngestionSource: (key, updates) => apiAuth(`/api/admin/ingestion/sources/${key}`, {
+    method: 'PATCH',
+    body: updates,
+  }),
+
+  runIngestionSource: (key) => apiAuth(`/api/admin/ingestion/sources/${key}/run`, {
+    method: 'POST',
+  }),
+
+  getIngestionRuns: ({ source = '', limit = 50 } = {}) => {
+    const sp = new URLSearchParams({ limit: limit.toString() })
+    if (source) sp.append('source', source)
+    return apiAuth(`/api/admin/ingestion/runs?${sp.toString()}`)
+  },
+
+  getIngestionErrors: ({ source = '', limit = 50 } = {}) => {
+    const sp = new URLSearchParams({ limit: limit.toString() })
+    if (source) sp.append('source', source)
+    return apiAuth(`/api/admin/ingestion/errors?${sp.toString()}`)
+  },
+
   // Admin - update entities
   updateDealAdmin: (id, updates) => apiAuth(`/api/admin/deals/${id}`, {
     method: 'PUT',
@@ -1185,6 +1389,11 @@ export const api = {
     body: { action, postIds },
   }),
 
+  bulkModerate: (action, items, reason) => apiRequest('/api/admin/bulk-moderate', {
+    method: 'POST',
+    body: { action, items, reason },
+  }),
+
   // ===== TRACKING & ANALYTICS APIs =====
 
   // Deal tracking
@@ -1351,6 +1560,13 @@ export const api = {
       return apiRequest(`/api/restaurants/nearby?${searchParams}`)
     },
 
+    // bbox is [minLng, minLat, maxLng, maxLat]
+    getMap: ({ bbox, zoom, active }) => {
+      const searchParams = new URLSearchParams({ bbox: bbox.join(','), zoom })
+      if (active) searchParams.append('active', 'true')
+      return apiRequest(`/api/restaurants/map?${searchParams}`)
+    },
+
     getDeals: (restaurantId, params = {}) => {
       const searchParams = new URLSearchParams(params)
       return apiRequest(`/api/restaurants/${restaurantId}/deals?${searchParams}`)
@@ -268,7 +268,7 @@ class AuthService {
   }
   
   isModerator() {
-    return this.hasRole('mod') || this.isAdmin()
+    return this.hasRole('moderator') || this.hasRole('mod') || this.isAdmin()
   }
   
   // Helper method to decode JWT tokens
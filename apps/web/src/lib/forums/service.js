@@ -1,57 +1,159 @@
 import { mockForumService } from './mockService'
+import { apiRequest } from '../api/api'
 
 // Service adapter - switches between mock and real API based on environment
 const useMockForums = import.meta.env.VITE_MOCK_FORUMS !== 'false'
 
-// Real API service (placeholder for future implementation)
+// Map API rows onto the shape the forum pages were built against (see mockService)
+function toForum(forum) {
+  if (!forum) return null
+  return {
+    id: forum.id,
+    slug: forum.slug,
+    name: forum.name,
+    description: forum.description,
+    tags: forum.tags || [],
+    image: forum.image_url || undefined,
+    threadCount: forum.thread_count || 0,
+    postCount: forum.post_count || 0,
+    lastActivity: forum.last_activity_at,
+  }
+}
+
+function toPost(post) {
+  return {
+    id: post.id,
+    threadId: post.thread_id,
+    parent_id: post.parent_id,
+    body: post.body,
+    author: post.author?.handle || null,
+    author_id: post.author_id,
+    author_avatar: post.author?.avatar_url || null,
+    created_at: post.created_at,
+  }
+}
+
+function toThread(thread) {
+  if (!thread) return null
+  return {
+    id: thread.id,
+    forumSlug: thread.forum?.slug,
+    forumName: thread.forum?.name,
+    title: thread.title,
+    body: thread.body,
+    tags: thread.tags || [],
+    author: thread.author?.handle || null,
+    author_id: thread.author_id,
+    created_at: thread.created_at,
+    votes: thread.score || 0,
+    userVote: thread.user_vote || 0,
+    views: thread.view_count || 0,
+    pinned: !!thread.is_pinned,
+    locked: !!thread.is_locked,
+    nsfw: !!thread.is_nsfw,
+    status: thread.status,
+    postCount: thread.reply_count || 0,
+    lastActivity: thread.last_activity_at,
+    ...(thread.posts ? { posts: thread.posts.map(toPost) } : {}),
+  }
+}
+
 const realForumService = {
-  // TODO: Implement real API calls when backend is ready
   async getForums() {
-    throw new Error('Real forum API not implemented yet')
+    const forums = await apiRequest('/api/forums')
+    return forums.map(toForum)
   },
-  
+
   async getForum(slug) {
-    throw new Error('Real forum API not implemented yet')
+    try {
+      return toForum(await apiRequest(`/api/forums/${encodeURIComponent(slug)}`))
+    } catch (error) {
+      if (error.status === 404) return null
+      throw error
+    }
   },
-  
-  async getThreads(forumSlug, options) {
-    throw new Error('Real forum API not implemented yet')
+
+  async getThreads(forumSlug, { sort = 'new', tag = null, search = null, timeFilter = 'all' } = {}) {
+    const params = new URLSearchParams({ sort })
+    if (tag) params.set('tag', tag)
+    if (search) params.set('search', search)
+    if (timeFilter && timeFilter !== 'all') params.set('time', timeFilter)
+    const threads = await apiRequest(`/api/forums/${encodeURIComponent(forumSlug)}/threads?${params}`)
+    return threads.map(toThread)
   },
-  
+
   async getThread(threadId) {
-    throw new Error('Real forum API not implemented yet')
+    try {
+      return toThread(await apiRequest(`/api/threads/${threadId}`))
+    } catch (error) {
+      if (error.status === 404) return null
+      throw error
+    }
   },
-  
+
   async createThread(forumSlug, threadData) {
-    throw new Error('Real forum API not implemented yet')
+    const thread = await apiRequest(`/api/forums/${encodeURIComponent(forumSlug)}/threads`, {
+      method: 'POST',
+      body: {
+        title: threadData.title,
+        body: threadData.body,
+        tags: threadData.tags || [],
+        nsfw: !!threadData.nsfw,
+      },
+    })
+    return toThread(thread)
   },
-  
+
   async voteThread(threadId, value) {
-    throw new Error('Real forum API not implemented yet')
+    const thread = await apiRequest(`/api/threads/${threadId}/vote`, {
+      method: 'POST',
+      body: { value },
+    })
+    return toThread(thread)
   },
-  
+
   async getPosts(threadId) {
-    throw new Error('Real forum API not implemented yet')
+    const posts = await apiRequest(`/api/threads/${threadId}/posts`)
+    return posts.map(toPost)
   },
-  
+
   async createPost(threadId, postData) {
-    throw new Error('Real forum API not implemented yet')
+    const post = await apiRequest(`/api/threads/${threadId}/posts`, {
+      method: 'POST',
+      body: { body: postData.body, parent_id: postData.parent_id || null },
+    })
+    return toPost(post)
   },
-  
+
   async pinThread(threadId) {
-    throw new Error('Real forum API not implemented yet')
+    return toThread(await apiRequest(`/api/threads/${threadId}/pin`, { method: 'POST' }))
   },
-  
-  async lockThread(threadId) {
-    throw new Error('Real forum API not implemented yet')
+
+  async lockThread(threadId, reason) {
+    return toThread(await apiRequest(`/api/threads/${threadId}/lock`, {
+      method: 'POST',
+      body: { reason },
+    }))
   },
-  
-  async deleteThread(threadId) {
-    throw new Error('Real forum API not implemented yet')
+
+  async moveThread(threadId, forumId, reason) {
+    return toThread(await apiRequest(`/api/threads/${threadId}/move`, {
+      method: 'POST',
+      body: { forum_id: forumId, reason },
+    }))
+  },
+
+  async deleteThread(threadId, reason) {
+    await apiRequest(`/api/threads/${threadId}`, {
+      method: 'DELETE',
+      body: { reason },
+    })
+    return true
   },
-  
-  async getLatestThreads(limit) {
-    throw new Error('Real forum API not implemented yet')
+
+  async getLatestThreads(limit = 5) {
+    const threads = await apiRequest(`/api/threads/latest?limit=${limit}`)
+    return threads.map(toThread)
   },
 }
 
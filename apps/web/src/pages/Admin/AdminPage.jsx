@@ -14,18 +14,22 @@ import AutoTaggingManagement from './AutoTaggingManagement'
 import ApprovedItems from './ApprovedItems'
 import SavedSearchesManagement from './SavedSearchesManagement'
 import SystemHealth from './SystemHealth'
+import BusinessClaims from './BusinessClaims'
+import IngestionSources from './IngestionSources'
 import {
   ChartBarIcon,
   ClipboardDocumentCheckIcon,
   UsersIcon,
   ChartPieIcon,
   BuildingOfficeIcon,
+  BuildingStorefrontIcon,
   Cog6ToothIcon,
   TrophyIcon,
   TagIcon,
   CurrencyDollarIcon,
   MagnifyingGlassIcon,
-  HeartIcon
+  HeartIcon,
+  CloudArrowDownIcon
 } from '@heroicons/react/24/outline'
 
 const AdminPage = () => {
@@ -94,6 +98,12 @@ const AdminPage = () => {
       icon: BuildingOfficeIcon,
       component: CompanyManagement
     },
+    {
+      id: 'business-claims',
+      name: 'Business Claims',
+      icon: BuildingStorefrontIcon,
+      component: BusinessClaims
+    },
     {
       id: 'analytics',
       name: 'Analytics',
@@ -118,6 +128,12 @@ const AdminPage = () => {
       icon: MagnifyingGlassIcon,
       component: SavedSearchesManagement
     },
+    {
+      id: 'ingestion',
+      name: 'Ingestion Sources',
+      icon: CloudArrowDownIcon,
+      component: IngestionSources
+    },
     {
       id: 'system-health',
       name: 'System Health',
@@ -12,9 +12,25 @@ import {
   TagIcon,
   TrashIcon,
   EyeIcon,
-  ClipboardDocumentListIcon
+  ClipboardDocumentListIcon,
+  ExclamationTriangleIcon,
+  ArrowUturnLeftIcon,
+  NoSymbolIcon
 } from '@heroicons/react/24/outline'
 
+// Problems the link check worker found on a deal's store page
+const LINK_ISSUE_LABELS = {
+  dead: 'Dead link',
+  out_of_stock: 'Out of stock'
+}
+
+// '' = every approved deal; the others narrow to deals the link check flagged
+const LINK_FILTERS = [
+  { value: '', label: 'All approved' },
+  { value: 'flagged', label: 'Link issues' },
+  { value: 'expired', label: 'Expired by link check' }
+]
+
 const SearchBar = ({ value, onChange, placeholder }) => {
   return (
     <div className="relative">
@@ -29,8 +45,10 @@ const SearchBar = ({ value, onChange, placeholder }) => {
   )
 }
 
-const ItemRow = ({ item, type, onEdit, onDelete, onView }) => {
+const ItemRow = ({ item, type, onEdit, onDelete, onView, onLinkAction }) => {
   const currentImage = item.featured_image || item.deal_images?.[0] || item.coupon_images?.[0] || item.image_url
+  const linkIssue = type === 'deals' ? LINK_ISSUE_LABELS[item.link_status] : null
+  const expired = item.status === 'expired'
 
   return (
     <div className="bg-white border border-secondary-200 rounded-lg p-4 hover:shadow-md transition-shadow">
@@ -54,10 +72,26 @@ const ItemRow = ({ item, type, onEdit, onDelete, onView }) => {
         <div className="flex-1 min-w-0">
           <div className="flex items-center gap-2 mb-1">
             <h3 className="font-semibold text-secondary-900 truncate">{item.title}</h3>
-            <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700 inline-flex items-center gap-1">
-              <CheckCircleIcon className="w-3 h-3" /> Approved
-            </span>
+            {expired ? (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-secondary-100 text-secondary-700">Expired</span>
+            ) : (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-green-100 text-green-700 inline-flex items-center gap-1">
+                <CheckCircleIcon className="w-3 h-3" /> Approved
+              </span>
+            )}
+            {linkIssue && (
+              <span className="px-2 py-0.5 text-xs rounded-full bg-amber-100 text-amber-800 inline-flex items-center gap-1">
+                <ExclamationTriangleIcon className="w-3 h-3" /> {linkIssue}
+              </span>
+            )}
           </div>
+          {linkIssue && (
+            <div className="text-xs text-amber-800 mb-2">
+              {item.link_issue}
+              {item.link_checked_at && ` • checked ${new Date(item.link_checked_at).toLocaleString()}`}
+              {item.link_failures > 1 && ` • seen ${item.link_failures} times in a row`}
+            </div>
+          )}
           <div className="text-xs text-secondary-600 mb-2">
             {type === 'deals' ? (item.merchant || item.companies?.name) : item.companies?.name} • {new Date(item.created_at).toLocaleDateString()}
           </div>
@@ -105,6 +139,25 @@ const ItemRow = ({ item, type, onEdit, onDelete, onView }) => {
           )}
         </div>
         <div className="flex-shrink-0 flex gap-2">
+          {linkIssue && (
+            <>
+              <button
+                onClick={() => onLinkAction('dismiss')}
+                title={expired ? 'Put the deal back live and clear the flag' : 'The link is fine; clear the flag'}
+                className="inline-flex items-center gap-1 px-3 py-2 text-sm border border-green-300 rounded-lg hover:bg-green-50 text-green-700"
+              >
+                <ArrowUturnLeftIcon className="w-4 h-4" /> {expired ? 'Restore' : 'Dismiss'}
+              </button>
+              {!expired && (
+                <button
+                  onClick={() => onLinkAction('expire')}
+                  className="inline-flex items-center gap-1 px-3 py-2 text-sm border border-amber-300 rounded-lg hover:bg-amber-50 text-amber-800"
+                >
+                  <NoSymbolIcon className="w-4 h-4" /> Expire
+                </button>
+              )}
+            </>
+          )}
           <button
             onClick={onView}
             className="inline-flex items-center gap-1 px-3 py-2 text-sm border border-secondary-300 rounded-lg hover:bg-secondary-50 text-secondary-700"
@@ -132,6 +185,7 @@ const ItemRow = ({ item, type, onEdit, onDelete, onView }) => {
 const ApprovedItems = () => {
   const [activeTab, setActiveTab] = useState('deals')
   const [search, setSearch] = useState('')
+  const [linkFilter, setLinkFilter] = useState('')
   const [page, setPage] = useState(1)
   const [showEditModal, setShowEditModal] = useState(false)
   const [itemToEdit, setItemToEdit] = useState(null)
@@ -142,8 +196,14 @@ const ApprovedItems = () => {
 
   // Fetch approved deals
   const { data: approvedDeals, isLoading: dealsLoading } = useQuery({
-    queryKey: ['admin', 'approved', 'deals', search, page],
-    queryFn: () => api.listAdminDeals({ status: 'approved', search, page, limit: 20 }),
+    queryKey: ['admin', 'approved', 'deals', search, linkFilter, page],
+    queryFn: () => api.listAdminDeals({
+      status: linkFilter === 'expired' ? 'expired' : 'approved',
+      linkStatus: linkFilter ? 'flagged' : '',
+      search,
+      page,
+      limit: 20
+    }),
     enabled: activeTab === 'deals'
   })
 
@@ -184,6 +244,18 @@ const ApprovedItems = () => {
     }
   })
 
+  const linkCheckMutation = useMutation({
+    mutationFn: ({ dealId, action }) => api.resolveDealLinkCheck(dealId, { action }),
+    onSuccess: (result, { action }) => {
+      queryClient.invalidateQueries({ queryKey: ['admin', 'approved', 'deals'] })
+      if (action === 'expire') toast.success('Deal expired')
+      else toast.success(result?.restored ? 'Deal restored' : 'Link flag dismissed')
+    },
+    onError: (error) => {
+      toast.error(error.message || 'Failed to update deal')
+    }
+  })
+
   const handleEdit = (item) => {
     setItemToEdit(item)
     setShowEditModal(true)
@@ -252,6 +324,17 @@ const ApprovedItems = () => {
             Coupons
           </button>
         </div>
+        {activeTab === 'deals' && (
+          <select
+            value={linkFilter}
+            onChange={(e) => { setLinkFilter(e.target.value); setPage(1) }}
+            className="px-3 py-2 border border-secondary-300 rounded-lg text-sm text-secondary-700 focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          >
+            {LINK_FILTERS.map(({ value, label }) => (
+              <option key={value} value={value}>{label}</option>
+            ))}
+          </select>
+        )}
         <div className="flex-1">
           <SearchBar
             value={search}
@@ -277,6 +360,7 @@ const ApprovedItems = () => {
               onEdit={() => handleEdit(item)}
               onDelete={() => handleDelete(item)}
               onView={() => handleView(item)}
+              onLinkAction={(action) => linkCheckMutation.mutate({ dealId: item.id, action })}
             />
           ))}
         </div>
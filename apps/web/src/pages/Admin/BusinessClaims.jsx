@@ -0,0 +1,169 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { api, apiErrorBody } from '../../lib/api'
+import { toast } from '../../lib/toast'
+import { Skeleton } from '../../components/ui/Skeleton'
+import { dateAgo } from '../../lib/format'
+import {
+  BuildingStorefrontIcon,
+  EnvelopeIcon,
+  DocumentTextIcon,
+  CheckIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+
+const STATUSES = [
+  { id: 'pending_review', name: 'Awaiting review' },
+  { id: 'pending_email', name: 'Awaiting email code' },
+  { id: 'approved', name: 'Approved' },
+  { id: 'rejected', name: 'Rejected' }
+]
+
+const ClaimRow = ({ claim }) => {
+  const queryClient = useQueryClient()
+  const [note, setNote] = useState('')
+  const refresh = () => queryClient.invalidateQueries(['admin', 'business-claims'])
+
+  const approveMutation = useMutation({
+    mutationFn: () => api.approveBusinessClaim(claim.id, note || null),
+    onSuccess: () => {
+      toast.success(`${claim.company?.name} now belongs to @${claim.claimant?.handle}`)
+      refresh()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const rejectMutation = useMutation({
+    mutationFn: () => api.rejectBusinessClaim(claim.id, note),
+    onSuccess: () => {
+      toast.success('Claim rejected')
+      refresh()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const reviewable = claim.status === 'pending_review'
+
+  return (
+    <div className="bg-white rounded-lg border border-gray-200 p-4">
+      <div className="flex flex-wrap items-start justify-between gap-4">
+        <div>
+          <p className="font-semibold text-gray-900 flex items-center gap-2">
+            <BuildingStorefrontIcon className="w-5 h-5 text-gray-400" />
+            {claim.company?.name}
+            <span className="text-xs font-normal text-gray-500">
+              {[claim.company?.city, claim.company?.state].filter(Boolean).join(', ')}
+            </span>
+          </p>
+          <p className="mt-1 text-sm text-gray-600">
+            @{claim.claimant?.handle || 'unknown'} · {claim.contact_name}
+            {claim.job_title && `, ${claim.job_title}`}
+            {claim.contact_phone && ` · ${claim.contact_phone}`}
+          </p>
+          <p className="text-xs text-gray-400">Submitted {dateAgo(claim.created_at)}</p>
+        </div>
+
+        <div className="text-sm">
+          {claim.method === 'domain_email' ? (
+            <p className="flex items-center gap-1.5 text-gray-700">
+              <EnvelopeIcon className="w-4 h-4" />
+              {claim.business_email}
+              {claim.email_verified_at
+                ? <span className="text-green-700 font-medium">verified</span>
+                : <span className="text-yellow-700 font-medium">not verified</span>}
+              {claim.email_domain_matches === false && <span className="text-red-600 font-medium">domain mismatch</span>}
+            </p>
+          ) : claim.document_url ? (
+            <a href={claim.document_url} target="_blank" rel="noopener noreferrer" className="flex items-center gap-1.5 text-blue-600 hover:underline">
+              <DocumentTextIcon className="w-4 h-4" />
+              View document
+            </a>
+          ) : (
+            <p className="text-gray-500">Document unavailable</p>
+          )}
+          {(claim.company?.website_url || claim.company?.website) && (
+            <p className="text-xs text-gray-500 mt-1">Website: {claim.company.website_url || claim.company.website}</p>
+          )}
+        </div>
+      </div>
+
+      {claim.review_note && !reviewable && (
+        <p className="mt-3 text-sm text-gray-600">Note: {claim.review_note}</p>
+      )}
+
+      {reviewable && (
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <input
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note (required to reject, shown to the claimant)"
+            className="flex-1 min-w-[16rem] rounded-lg border border-gray-300 px-3 py-2 text-sm"
+          />
+          <button
+            onClick={() => approveMutation.mutate()}
+            disabled={approveMutation.isPending || rejectMutation.isPending}
+            className="inline-flex items-center gap-1 px-3 py-2 rounded-lg bg-green-600 text-white text-sm font-medium hover:bg-green-700 disabled:opacity-50"
+          >
+            <CheckIcon className="w-4 h-4" />
+            Approve
+          </button>
+          <button
+            onClick={() => rejectMutation.mutate()}
+            disabled={!note.trim() || approveMutation.isPending || rejectMutation.isPending}
+            className="inline-flex items-center gap-1 px-3 py-2 rounded-lg bg-red-600 text-white text-sm font-medium hover:bg-red-700 disabled:opacity-50"
+          >
+            <XMarkIcon className="w-4 h-4" />
+            Reject
+          </button>
+        </div>
+      )}
+    </div>
+  )
+}
+
+const BusinessClaims = () => {
+  const [status, setStatus] = useState('pending_review')
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['admin', 'business-claims', status],
+    queryFn: () => api.getBusinessClaimQueue(status)
+  })
+
+  const claims = data?.data || []
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h2 className="text-xl font-semibold text-gray-900">Business Claims</h2>
+        <p className="text-sm text-gray-600">Approving a claim makes the claimant the business owner and grants the merchant role.</p>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {STATUSES.map(s => (
+          <button
+            key={s.id}
+            onClick={() => setStatus(s.id)}
+            className={`px-3 py-1.5 rounded-lg text-sm font-medium ${status === s.id ? 'bg-blue-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            {s.name}
+            {status === s.id && data && ` (${data.total})`}
+          </button>
+        ))}
+      </div>
+
+      {isLoading ? (
+        <div className="space-y-3">
+          {[...Array(3)].map((_, i) => <Skeleton key={i} className="h-28 w-full" />)}
+        </div>
+      ) : claims.length === 0 ? (
+        <p className="text-sm text-gray-500 text-center py-12">No claims here</p>
+      ) : (
+        <div className="space-y-3">
+          {claims.map(claim => <ClaimRow key={claim.id} claim={claim} />)}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default BusinessClaims
@@ -0,0 +1,445 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { api, apiErrorBody } from '../../lib/api'
+import { toast } from '../../lib/toast'
+import { Skeleton } from '../../components/ui/Skeleton'
+import { dateAgo } from '../../lib/format'
+import {
+  PlayIcon,
+  PencilIcon,
+  PlusIcon,
+  ExclamationTriangleIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline'
+
+const SOURCE_TYPES = ['rss', 'api', 'scraper', 'json']
+
+const CIRCUIT_STYLES = {
+  CLOSED: 'bg-green-100 text-green-800',
+  HALF_OPEN: 'bg-yellow-100 text-yellow-800',
+  OPEN: 'bg-red-100 text-red-800'
+}
+
+const RUN_STYLES = {
+  completed: 'text-green-700',
+  partial: 'text-yellow-700',
+  failed: 'text-red-700',
+  running: 'text-blue-700'
+}
+
+const emptyForm = {
+  key: '',
+  type: 'rss',
+  entity: '',
+  enabled: false,
+  priority: 3,
+  schedule: '*/30 * * * *',
+  requests: '',
+  window: '',
+  daily_cap: '',
+  fetcher: '',
+  notes: '',
+  config: '{}'
+}
+
+const toForm = (source) => ({
+  ...emptyForm,
+  ...source,
+  entity: source.entity || '',
+  requests: source.rate_limit?.requests ?? '',
+  window: source.rate_limit?.window ?? '',
+  daily_cap: source.daily_cap ?? '',
+  fetcher: source.fetcher || '',
+  notes: source.notes || '',
+  config: JSON.stringify(source.config || {}, null, 2)
+})
+
+// Form state back to the API's column names; throws on bad config JSON
+const fromForm = (form) => ({
+  type: form.type,
+  entity: form.entity || null,
+  enabled: form.enabled,
+  priority: Number(form.priority),
+  schedule: form.schedule,
+  rate_limit: form.requests && form.window
+    ? { requests: Number(form.requests), window: Number(form.window) }
+    : null,
+  daily_cap: form.daily_cap ? Number(form.daily_cap) : null,
+  fetcher: form.fetcher || null,
+  notes: form.notes || null,
+  config: JSON.parse(form.config || '{}')
+})
+
+const inputClass = 'w-full border border-secondary-300 rounded-md px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+const SourceForm = ({ source, onClose }) => {
+  const queryClient = useQueryClient()
+  const [form, setForm] = useState(source ? toForm(source) : emptyForm)
+  const set = (field) => (e) => setForm({
+    ...form,
+    [field]: e.target.type === 'checkbox' ? e.target.checked : e.target.value
+  })
+
+  const saveMutation = useMutation({
+    mutationFn: (body) => source
+      ? api.updateIngestionSource(source.key, body)
+      : api.createIngestionSource({ ...body, key: form.key }),
+    onSuccess: () => {
+      toast.success(source ? `${source.key} updated` : `${form.key} created`)
+      queryClient.invalidateQueries(['admin', 'ingestion', 'sources'])
+      onClose()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    let body
+    try {
+      body = fromForm(form)
+    } catch {
+      toast.error('Config is not valid JSON')
+      return
+    }
+    saveMutation.mutate(body)
+  }
+
+  return (
+    <form onSubmit={handleSubmit} className="bg-white rounded-lg shadow p-6 space-y-4">
+      <div className="flex items-center justify-between">
+        <h3 className="text-lg font-medium text-secondary-900">
+          {source ? `Edit ${source.key}` : 'New source'}
+        </h3>
+        <button type="button" onClick={onClose} className="text-secondary-400 hover:text-secondary-600">
+          <XMarkIcon className="w-5 h-5" />
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <label className="text-sm text-secondary-700">
+          Key
+          <input className={inputClass} value={form.key} onChange={set('key')} disabled={!!source} placeholder="example_rss" required />
+        </label>
+        <label className="text-sm text-secondary-700">
+          Type
+          <select className={inputClass} value={form.type} onChange={set('type')}>
+            {SOURCE_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+          </select>
+        </label>
+        <label className="text-sm text-secondary-700">
+          Creates
+          <select className={inputClass} value={form.entity} onChange={set('entity')}>
+            <option value="">Decided from key</option>
+            <option value="deal">Deals</option>
+            <option value="coupon">Coupons</option>
+          </select>
+        </label>
+        <label className="text-sm text-secondary-700">
+          Schedule (cron)
+          <input className={inputClass} value={form.schedule} onChange={set('schedule')} required />
+        </label>
+        <label className="text-sm text-secondary-700">
+          Priority (1 = highest)
+          <input type="number" min="1" max="5" className={inputClass} value={form.priority} onChange={set('priority')} />
+        </label>
+        <label className="text-sm text-secondary-700">
+          Daily cap
+          <input type="number" min="1" className={inputClass} value={form.daily_cap} onChange={set('daily_cap')} placeholder="Worker default" />
+        </label>
+        <label className="text-sm text-secondary-700">
+          Rate limit: requests
+          <input type="number" min="1" className={inputClass} value={form.requests} onChange={set('requests')} />
+        </label>
+        <label className="text-sm text-secondary-700">
+          Rate limit: window (ms)
+          <input type="number" min="1" className={inputClass} value={form.window} onChange={set('window')} />
+        </label>
+        <label className="text-sm text-secondary-700">
+          Fetcher (api sources)
+          <input className={inputClass} value={form.fetcher} onChange={set('fetcher')} placeholder="./cjAffiliate.js" />
+        </label>
+      </div>
+
+      <label className="block text-sm text-secondary-700">
+        Config (JSON; use {'"env:INGEST_SECRET_NAME"'} for credentials)
+        <textarea className={`${inputClass} font-mono`} rows={10} value={form.config} onChange={set('config')} />
+      </label>
+
+      <label className="block text-sm text-secondary-700">
+        Notes
+        <input className={inputClass} value={form.notes} onChange={set('notes')} />
+      </label>
+
+      <div className="flex items-center justify-between">
+        <label className="flex items-center gap-2 text-sm text-secondary-700">
+          <input type="checkbox" checked={form.enabled} onChange={set('enabled')} />
+          Enabled
+        </label>
+        <button
+          type="submit"
+          disabled={saveMutation.isPending}
+          className="px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-md hover:bg-primary-700 disabled:opacity-50"
+        >
+          {saveMutation.isPending ? 'Saving...' : 'Save'}
+        </button>
+      </div>
+    </form>
+  )
+}
+
+const SourceRow = ({ source, selected, onSelect, onEdit }) => {
+  const queryClient = useQueryClient()
+  const refresh = () => queryClient.invalidateQueries(['admin', 'ingestion', 'sources'])
+  const status = source.runtime_status || {}
+  const circuit = status.circuit?.state
+  const cap = status.dailyCap
+  const run = source.last_run
+
+  const toggleMutation = useMutation({
+    mutationFn: () => api.updateIngestionSource(source.key, { enabled: !source.enabled }),
+    onSuccess: () => {
+      toast.success(`${source.key} ${source.enabled ? 'disabled' : 'enabled'}`)
+      refresh()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const runMutation = useMutation({
+    mutationFn: () => api.runIngestionSource(source.key),
+    onSuccess: () => {
+      toast.success(`${source.key} will run on the worker's next sync`)
+      refresh()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  return (
+    <tr className={selected ? 'bg-primary-50' : undefined}>
+      <td className="px-4 py-3 align-top">
+        <button onClick={onSelect} className="font-medium text-secondary-900 hover:text-primary-600">
+          {source.key}
+        </button>
+        <p className="text-xs text-secondary-500">{source.type} · {source.schedule}</p>
+        {source.notes && <p className="text-xs text-secondary-400 max-w-xs">{source.notes}</p>}
+        {status.problems?.length > 0 && (
+          <p className="mt-1 flex items-start gap-1 text-xs text-red-600 max-w-xs">
+            <ExclamationTriangleIcon className="w-4 h-4 flex-shrink-0" />
+            {status.problems.join('; ')}
+          </p>
+        )}
+      </td>
+      <td className="px-4 py-3 align-top">
+        <button
+          onClick={() => toggleMutation.mutate()}
+          disabled={toggleMutation.isPending}
+          className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${source.enabled ? 'bg-green-100 text-green-800' : 'bg-secondary-100 text-secondary-600'}`}
+        >
+          {source.enabled ? 'Enabled' : 'Disabled'}
+        </button>
+      </td>
+      <td className="px-4 py-3 align-top text-sm text-secondary-700">
+        {status.health ? `${status.health.healthScore}%` : '—'}
+        {status.health && (
+          <p className="text-xs text-secondary-400">
+            {status.health.successes} ok / {status.health.failures} failed
+          </p>
+        )}
+      </td>
+      <td className="px-4 py-3 align-top">
+        {circuit ? (
+          <span className={`inline-flex px-2.5 py-0.5 rounded-full text-xs font-medium ${CIRCUIT_STYLES[circuit] || 'bg-secondary-100 text-secondary-600'}`}>
+            {circuit.replace('_', ' ').toLowerCase()}
+          </span>
+        ) : '—'}
+      </td>
+      <td className="px-4 py-3 align-top text-sm text-secondary-700">
+        {cap ? `${cap.current} / ${cap.cap}` : '—'}
+      </td>
+      <td className="px-4 py-3 align-top text-sm">
+        {run ? (
+          <>
+            <span className={RUN_STYLES[run.status] || 'text-secondary-700'}>{run.status}</span>
+            <span className="text-secondary-400"> · {dateAgo(run.started_at)}</span>
+            <p className="text-xs text-secondary-500">
+              {run.items_fetched} fetched, {run.items_created} created
+            </p>
+          </>
+        ) : <span className="text-secondary-400">No runs in 24h</span>}
+      </td>
+      <td className="px-4 py-3 align-top text-sm">
+        <span className={source.errors_24h > 0 ? 'text-red-600 font-medium' : 'text-secondary-500'}>
+          {source.errors_24h}
+        </span>
+      </td>
+      <td className="px-4 py-3 align-top">
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => runMutation.mutate()}
+            disabled={runMutation.isPending || !!source.run_requested_at}
+            title={source.run_requested_at ? 'Run requested' : 'Run now'}
+            className="p-1.5 rounded text-secondary-500 hover:text-primary-600 hover:bg-primary-50 disabled:opacity-40"
+          >
+            <PlayIcon className="w-5 h-5" />
+          </button>
+          <button
+            onClick={onEdit}
+            title="Edit"
+            className="p-1.5 rounded text-secondary-500 hover:text-primary-600 hover:bg-primary-50"
+          >
+            <PencilIcon className="w-5 h-5" />
+          </button>
+        </div>
+      </td>
+    </tr>
+  )
+}
+
+const IngestionSources = () => {
+  const [editing, setEditing] = useState(null) // source, 'new' or null
+  const [selectedSource, setSelectedSource] = useState('')
+
+  const { data: sources, isLoading, error } = useQuery({
+    queryKey: ['admin', 'ingestion', 'sources'],
+    queryFn: api.getIngestionSources,
+    refetchInterval: 30000
+  })
+
+  const { data: runs } = useQuery({
+    queryKey: ['admin', 'ingestion', 'runs', selectedSource],
+    queryFn: () => api.getIngestionRuns({ source: selectedSource, limit: 25 }),
+    refetchInterval: 30000
+  })
+
+  const { data: errors } = useQuery({
+    queryKey: ['admin', 'ingestion', 'errors', selectedSource],
+    queryFn: () => api.getIngestionErrors({ source: selectedSource, limit: 25 }),
+    refetchInterval: 30000
+  })
+
+  // The worker writes runtime_status on every sync, so an old timestamp means
+  // it isn't running (or can't reach the database)
+  const lastReport = (sources || [])
+    .map(source => source.runtime_updated_at)
+    .filter(Boolean)
+    .sort()
+    .pop()
+
+  if (isLoading) {
+    return (
+      <div className="space-y-6">
+        <Skeleton className="h-8 w-48" />
+        <Skeleton className="h-64" />
+      </div>
+    )
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-2xl font-bold text-secondary-900">Ingestion Sources</h1>
+          <p className="text-secondary-600 mt-1">
+            {lastReport ? `Worker last reported ${dateAgo(lastReport)}` : 'No status from the ingestion worker yet'}
+          </p>
+        </div>
+        <button
+          onClick={() => setEditing('new')}
+          className="flex items-center gap-2 px-4 py-2 bg-primary-600 text-white text-sm font-medium rounded-md hover:bg-primary-700"
+        >
+          <PlusIcon className="w-5 h-5" />
+          New source
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-50 border border-red-200 rounded-lg p-4 text-sm text-red-700">
+          {apiErrorBody(error).message}
+        </div>
+      )}
+
+      {editing && (
+        <SourceForm
+          key={editing === 'new' ? 'new' : editing.key}
+          source={editing === 'new' ? null : editing}
+          onClose={() => setEditing(null)}
+        />
+      )}
+
+      <div className="bg-white rounded-lg shadow overflow-x-auto">
+        <table className="min-w-full divide-y divide-secondary-200">
+          <thead className="bg-secondary-50">
+            <tr>
+              {['Source', 'Status', 'Health', 'Circuit', 'Daily cap', 'Last run', 'Errors (24h)', ''].map(heading => (
+                <th key={heading} className="px-4 py-3 text-left text-xs font-medium text-secondary-500 uppercase tracking-wider">
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-secondary-200">
+            {(sources || []).map(source => (
+              <SourceRow
+                key={source.key}
+                source={source}
+                selected={selectedSource === source.key}
+                onSelect={() => setSelectedSource(selectedSource === source.key ? '' : source.key)}
+                onEdit={() => setEditing(source)}
+              />
+            ))}
+          </tbody>
+        </table>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="text-lg font-medium text-secondary-900 mb-4">
+            Recent runs{selectedSource && ` · ${selectedSource}`}
+          </h3>
+          {runs?.length ? (
+            <ul className="divide-y divide-secondary-100">
+              {runs.map(run => (
+                <li key={run.id} className="py-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="font-medium text-secondary-900">{run.source}</span>
+                    <span className={RUN_STYLES[run.status] || 'text-secondary-700'}>{run.status}</span>
+                  </div>
+                  <p className="text-xs text-secondary-500">
+                    {dateAgo(run.started_at)}
+                    {run.duration_ms != null && ` · ${(run.duration_ms / 1000).toFixed(1)}s`}
+                    {` · ${run.items_fetched} fetched, ${run.items_created} created, ${run.items_updated} updated, ${run.items_failed} failed`}
+                  </p>
+                  {run.error_message && <p className="text-xs text-red-600">{run.error_message}</p>}
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-secondary-500">No runs yet</p>
+          )}
+        </div>
+
+        <div className="bg-white rounded-lg shadow p-6">
+          <h3 className="text-lg font-medium text-secondary-900 mb-4">
+            Recent errors{selectedSource && ` · ${selectedSource}`}
+          </h3>
+          {errors?.length ? (
+            <ul className="divide-y divide-secondary-100">
+              {errors.map(item => (
+                <li key={item.id} className="py-2 text-sm">
+                  <div className="flex justify-between">
+                    <span className="font-medium text-secondary-900">{item.source}</span>
+                    <span className="text-xs text-secondary-500">{item.error_type} · {dateAgo(item.created_at)}</span>
+                  </div>
+                  <p className="text-xs text-red-600 break-words">{item.error_message}</p>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-secondary-500">No errors</p>
+          )}
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default IngestionSources
@@ -8,15 +8,194 @@ import {
   ShieldCheckIcon,
   CogIcon,
   ChevronLeftIcon,
-  ChevronRightIcon
+  ChevronRightIcon,
+  KeyIcon,
+  TrashIcon,
+  XMarkIcon
 } from '@heroicons/react/24/outline'
 
+const GRANTABLE_ROLES = [
+  { value: 'moderator', label: 'Moderator', description: 'Site-wide content, forum and user moderation' },
+  { value: 'category_moderator', label: 'Category moderator', description: 'Reviews deals and coupons in one category' },
+  { value: 'trusted_submitter', label: 'Trusted submitter', description: 'Submissions skip the review queue' },
+  { value: 'merchant', label: 'Merchant', description: 'Merchant portal for businesses they own (usually granted by approving a business claim)' }
+]
+
+const grantLabel = (grant) => {
+  const role = GRANTABLE_ROLES.find(r => r.value === grant.role)?.label || grant.role
+  return grant.categories ? `${role}: ${grant.categories.name}` : role
+}
+
+const RoleGrantsModal = ({ user, onClose }) => {
+  const [role, setRole] = useState('category_moderator')
+  const [categoryId, setCategoryId] = useState('')
+  const [expiresAt, setExpiresAt] = useState('')
+  const [note, setNote] = useState('')
+
+  const queryClient = useQueryClient()
+
+  const { data: grants = [], isLoading } = useQuery({
+    queryKey: ['admin', 'user-roles', user.id],
+    queryFn: () => api.getUserRoleGrants(user.id)
+  })
+
+  const { data: categories = [] } = useQuery({
+    queryKey: ['categories'],
+    queryFn: () => api.getCategories()
+  })
+
+  const grantMutation = useMutation({
+    mutationFn: (grant) => api.grantUserRole(user.id, grant),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin', 'user-roles', user.id] })
+      setCategoryId('')
+      setExpiresAt('')
+      setNote('')
+    }
+  })
+
+  const revokeMutation = useMutation({
+    mutationFn: (grantId) => api.revokeUserRole(user.id, grantId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['admin', 'user-roles', user.id] })
+    }
+  })
+
+  const needsCategory = role === 'category_moderator'
+
+  const handleGrant = (e) => {
+    e.preventDefault()
+    grantMutation.mutate({
+      role,
+      category_id: needsCategory ? Number(categoryId) : null,
+      expires_at: expiresAt ? new Date(`${expiresAt}T23:59:59`).toISOString() : null,
+      note: note.trim() || null
+    })
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
+      <div className="bg-white rounded-lg p-6 w-full max-w-lg">
+        <div className="flex items-center justify-between mb-4">
+          <div className="flex items-center space-x-3">
+            <KeyIcon className="w-6 h-6 text-primary-600" />
+            <h3 className="text-lg font-semibold text-secondary-900">
+              Scoped Roles for {user.handle}
+            </h3>
+          </div>
+          <button onClick={onClose} className="text-secondary-400 hover:text-secondary-600">
+            <XMarkIcon className="w-5 h-5" />
+          </button>
+        </div>
+
+        {/* Current grants */}
+        <div className="mb-6">
+          {isLoading ? (
+            <Skeleton className="h-12" />
+          ) : grants.length > 0 ? (
+            <ul className="divide-y divide-secondary-200 border border-secondary-200 rounded-lg">
+              {grants.map((grant) => (
+                <li key={grant.id} className="flex items-center justify-between px-4 py-2">
+                  <div>
+                    <div className={`text-sm font-medium ${grant.expired ? 'text-secondary-400 line-through' : 'text-secondary-900'}`}>
+                      {grantLabel(grant)}
+                    </div>
+                    <div className="text-xs text-secondary-500">
+                      {grant.expires_at
+                        ? `${grant.expired ? 'Expired' : 'Expires'} ${new Date(grant.expires_at).toLocaleDateString()}`
+                        : 'No expiry'}
+                      {grant.granter?.handle && ` · granted by ${grant.granter.handle}`}
+                      {grant.note && ` · ${grant.note}`}
+                    </div>
+                  </div>
+                  <button
+                    onClick={() => revokeMutation.mutate(grant.id)}
+                    disabled={revokeMutation.isLoading}
+                    className="p-1 text-red-500 hover:text-red-700 disabled:opacity-50"
+                    title="Revoke"
+                  >
+                    <TrashIcon className="w-4 h-4" />
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-sm text-secondary-500">No scoped roles granted.</p>
+          )}
+        </div>
+
+        {/* Grant form */}
+        <form onSubmit={handleGrant} className="space-y-3">
+          <select
+            value={role}
+            onChange={(e) => setRole(e.target.value)}
+            className="w-full px-3 py-2 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+          >
+            {GRANTABLE_ROLES.map(r => (
+              <option key={r.value} value={r.value}>{r.label}</option>
+            ))}
+          </select>
+          <p className="text-xs text-secondary-500">
+            {GRANTABLE_ROLES.find(r => r.value === role)?.description}
+          </p>
+
+          {needsCategory && (
+            <select
+              value={categoryId}
+              onChange={(e) => setCategoryId(e.target.value)}
+              required
+              className="w-full px-3 py-2 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            >
+              <option value="">Select a category</option>
+              {categories.map(cat => (
+                <option key={cat.id} value={cat.id}>{cat.name}</option>
+              ))}
+            </select>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <input
+              type="date"
+              value={expiresAt}
+              onChange={(e) => setExpiresAt(e.target.value)}
+              className="px-3 py-2 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+              title="Expires (optional)"
+            />
+            <input
+              type="text"
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              placeholder="Note (optional)"
+              className="px-3 py-2 border border-secondary-300 rounded-lg focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
+            />
+          </div>
+
+          {grantMutation.error && (
+            <p className="text-sm text-red-600">{grantMutation.error.message}</p>
+          )}
+
+          <div className="flex justify-end">
+            <button
+              type="submit"
+              disabled={grantMutation.isLoading || (needsCategory && !categoryId)}
+              className="px-4 py-2 bg-primary-600 text-white rounded-lg hover:bg-primary-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              {grantMutation.isLoading ? 'Granting...' : 'Grant Role'}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  )
+}
+
 const UserManagement = () => {
   const [search, setSearch] = useState('')
   const [roleFilter, setRoleFilter] = useState('')
   const [page, setPage] = useState(1)
   const [selectedUser, setSelectedUser] = useState(null)
   const [showRoleModal, setShowRoleModal] = useState(false)
+  const [grantsUser, setGrantsUser] = useState(null)
 
   const queryClient = useQueryClient()
 
@@ -54,6 +233,7 @@ const UserManagement = () => {
   const getRoleBadge = (role) => {
     const roleConfig = {
       admin: { color: 'red', text: 'Admin' },
+      moderator: { color: 'blue', text: 'Moderator' },
       mod: { color: 'blue', text: 'Moderator' },
       user: { color: 'gray', text: 'User' }
     }
@@ -106,7 +286,7 @@ const UserManagement = () => {
           >
             <option value="">All Roles</option>
             <option value="admin">Admin</option>
-            <option value="mod">Moderator</option>
+            <option value="moderator">Moderator</option>
             <option value="user">User</option>
           </select>
 
@@ -205,15 +385,22 @@ const UserManagement = () => {
                       <td className="px-6 py-4">
                         <div className="flex items-center space-x-2">
                           <select
-                            value={user.role}
+                            value={user.role === 'mod' ? 'moderator' : user.role}
                             onChange={(e) => handleRoleChange(user, e.target.value)}
                             className="text-sm border border-secondary-300 rounded px-2 py-1 focus:ring-2 focus:ring-primary-500 focus:border-primary-500"
                             disabled={updateRoleMutation.isLoading}
                           >
                             <option value="user">User</option>
-                            <option value="mod">Moderator</option>
+                            <option value="moderator">Moderator</option>
                             <option value="admin">Admin</option>
                           </select>
+                          <button
+                            onClick={() => setGrantsUser(user)}
+                            className="p-1 text-secondary-500 hover:text-primary-600"
+                            title="Scoped roles"
+                          >
+                            <KeyIcon className="w-5 h-5" />
+                          </button>
                         </div>
                       </td>
                     </tr>
@@ -262,6 +449,10 @@ const UserManagement = () => {
         )}
       </div>
 
+      {grantsUser && (
+        <RoleGrantsModal user={grantsUser} onClose={() => setGrantsUser(null)} />
+      )}
+
       {/* Role Change Confirmation Modal */}
       {showRoleModal && selectedUser && (
         <div className="fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50">
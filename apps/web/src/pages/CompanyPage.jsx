@@ -692,6 +692,15 @@ const CompanyPage = () => {
                         </a>
                       )}
 
+                      {!company.is_claimed && (
+                        <Link
+                          to={`/merchant/claim?company=${company.slug}`}
+                          className="hover:text-mint-600 transition-colors font-medium"
+                        >
+                          Own this business?
+                        </Link>
+                      )}
+
                       {company.rating && (
                         <div className="flex items-center space-x-2">
                           <StarIcon className="w-4 h-4 text-yellow-400 fill-current" />
@@ -27,10 +27,13 @@ import {
   Sparkles,
   Zap,
   AlertTriangle,
-  ArrowLeft
+  ArrowLeft,
+  QrCode
 } from 'lucide-react'
 import ImageWithFallback from '../../components/ui/ImageWithFallback'
 import ReviewsAndRatings from '../../components/Deal/ReviewsAndRatings'
+import { PriceHistory } from '../../components/Deal/PriceHistory'
+import RedemptionCode from '../../components/Deal/RedemptionCode'
 import { ModernEmptyState } from '../../components/EmptyState/ModernEmptyState'
 
 // Compact Image Gallery
@@ -188,6 +191,37 @@ const VoteButtons = ({ deal, onVote }) => (
   </div>
 )
 
+// Warning from the link check worker, or why the deal expired
+const LinkStatusNotice = ({ deal }) => {
+  const flagged = deal.link_status === 'dead' || deal.link_status === 'out_of_stock'
+
+  if (deal.status === 'expired') {
+    return (
+      <div className="flex items-start gap-3 rounded-2xl border border-slate-200 bg-slate-100 p-4 text-sm text-slate-700">
+        <AlertTriangle className="w-5 h-5 flex-shrink-0 text-slate-500" />
+        <div>
+          <p className="font-bold text-slate-900">This deal has ended</p>
+          {deal.expired_reason && <p className="mt-0.5">{deal.expired_reason}.</p>}
+        </div>
+      </div>
+    )
+  }
+
+  if (!flagged) return null
+
+  return (
+    <div className="flex items-start gap-3 rounded-2xl border border-amber-200 bg-amber-50 p-4 text-sm text-amber-800">
+      <AlertTriangle className="w-5 h-5 flex-shrink-0 text-amber-500" />
+      <div>
+        <p className="font-bold text-amber-900">This deal may no longer be available</p>
+        <p className="mt-0.5">
+          {deal.link_issue || 'We could not confirm the deal with the store'}. We&apos;re checking again soon.
+        </p>
+      </div>
+    </div>
+  )
+}
+
 // Trust Badges Inline
 const TrustBadges = () => (
   <div className="flex items-center gap-4 text-xs text-slate-500">
@@ -215,6 +249,7 @@ export default function StreamlinedDealPage() {
 
   const [isBookmarked, setIsBookmarked] = useState(false)
   const [showFullDescription, setShowFullDescription] = useState(false)
+  const [claim, setClaim] = useState(null)
 
   // Fetch deal
   const { data: deal, isLoading, error } = useQuery({
@@ -223,6 +258,16 @@ export default function StreamlinedDealPage() {
     enabled: !!id
   })
 
+  // Store reputation for the merchant card
+  const storeKey = deal?.companies?.slug || deal?.merchant
+  const { data: store } = useQuery({
+    queryKey: ['store-rating', storeKey],
+    queryFn: () => api.getStoreRating(storeKey),
+    enabled: !!storeKey,
+    staleTime: 5 * 60 * 1000,
+    retry: false
+  })
+
   // Mutations
   const bookmarkMutation = useMutation({
     mutationFn: (dealId) => api.toggleBookmark(dealId),
@@ -244,6 +289,27 @@ export default function StreamlinedDealPage() {
     onError: () => toast.error('Failed to vote')
   })
 
+  const claimMutation = useMutation({
+    mutationFn: (dealId) => api.claimDeal(dealId),
+    onSuccess: (result) => {
+      setClaim(result)
+      if (result.redeemed_at) {
+        toast.success('You have already redeemed this deal')
+      } else if (!result.already_claimed) {
+        toast.success('Deal claimed! Show the code at the counter')
+      }
+    },
+    onError: () => toast.error('Could not claim this deal')
+  })
+
+  const handleClaim = () => {
+    if (!user) {
+      toast.error('Please login to claim deals')
+      return
+    }
+    claimMutation.mutate(id)
+  }
+
   const handleVote = (vote) => {
     if (!user) {
       toast.error('Please login to vote')
@@ -360,6 +426,8 @@ export default function StreamlinedDealPage() {
           {/* Right: Details (7 cols) */}
           <div className="lg:col-span-7 space-y-6">
 
+            <LinkStatusNotice deal={deal} />
+
             {/* Title & Meta */}
             <div className="bg-white rounded-2xl border border-slate-100 p-5 lg:p-6 shadow-sm relative overflow-hidden">
               <div className="absolute top-0 right-0 p-4 flex gap-2">
@@ -403,6 +471,10 @@ export default function StreamlinedDealPage() {
                  </h1>
                  
                  <PriceBadge deal={deal} />
+
+                 <div className="mt-2">
+                    <PriceHistory dealId={deal.id} currentPrice={deal.price} />
+                 </div>
                  
                   {deal.original_price && deal.original_price > deal.price && (
                     <p className="mt-3 text-sm text-emerald-700 font-bold flex items-center gap-1.5 bg-emerald-50 inline-block px-3 py-1.5 rounded-lg border border-emerald-100">
@@ -437,6 +509,35 @@ export default function StreamlinedDealPage() {
                   <CouponCode code={deal.coupon_code} />
                 </div>
               )}
+
+              {/* In-store redemption for restaurant deals */}
+              {deal.companies?.is_restaurant && ['show_screen', 'print', 'in_store'].includes(deal.redemption_type) && (
+                <div className="mt-5">
+                  {claim?.redemption ? (
+                    <RedemptionCode
+                      dealId={deal.id}
+                      redemption={claim.redemption}
+                      promoCode={claim.promo_code}
+                    />
+                  ) : claim?.redeemed_at ? (
+                    <p className="text-sm font-medium text-slate-600 bg-slate-50 rounded-xl px-4 py-3 border border-slate-100">
+                      Redeemed {dateAgo(claim.redeemed_at)}
+                    </p>
+                  ) : (
+                    <button
+                      onClick={handleClaim}
+                      disabled={claimMutation.isPending}
+                      className="w-full flex items-center justify-center gap-2 bg-emerald-600 hover:bg-emerald-700 text-white font-bold py-3 px-6 rounded-xl transition-all disabled:opacity-50"
+                    >
+                      <QrCode className="w-4 h-4" />
+                      {claimMutation.isPending ? 'Claiming...' : 'Claim for in-store use'}
+                    </button>
+                  )}
+                  {deal.redemption_instructions && (
+                    <p className="mt-2 text-xs text-slate-500">{deal.redemption_instructions}</p>
+                  )}
+                </div>
+              )}
             </div>
 
             {/* Description */}
@@ -494,6 +595,12 @@ export default function StreamlinedDealPage() {
                    </div>
                    <div>
                       <h4 className="font-bold text-slate-900">{deal.companies?.name || deal.merchant}</h4>
+                      {store?.trustScore != null && (
+                         <div className="text-xs text-slate-500">
+                            Trust score <span className="font-bold text-slate-700">{store.trustScore}/100</span>
+                            {store.rating != null && <> · {store.rating.toFixed(1)}★ ({store.reviewCount})</>}
+                         </div>
+                      )}
                       <Link to={`/company/${deal.companies?.slug || deal.merchant}`} className="text-sm text-violet-600 hover:underline">
                          View all deals
                       </Link>
@@ -0,0 +1,289 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Link, useNavigate, useSearchParams } from 'react-router-dom'
+import { Building2, Mail, FileText, CheckCircle2, Clock, XCircle } from 'lucide-react'
+import { api, apiErrorBody } from '../../lib/api'
+import { useAuth } from '../../hooks/useAuth'
+import { toast } from '../../lib/toast'
+import { dateAgo } from '../../lib/format'
+
+const STATUS_COPY = {
+  pending_email: { label: 'Waiting for email code', icon: Mail, tone: 'text-amber-700 bg-amber-50' },
+  pending_review: { label: 'In review', icon: Clock, tone: 'text-blue-700 bg-blue-50' },
+  approved: { label: 'Approved', icon: CheckCircle2, tone: 'text-emerald-700 bg-emerald-50' },
+  rejected: { label: 'Not approved', icon: XCircle, tone: 'text-red-700 bg-red-50' },
+  cancelled: { label: 'Cancelled', icon: XCircle, tone: 'text-gray-600 bg-gray-100' }
+}
+
+const inputClass = 'w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+
+const ClaimCard = ({ claim }) => {
+  const queryClient = useQueryClient()
+  const [code, setCode] = useState('')
+  const status = STATUS_COPY[claim.status] || STATUS_COPY.pending_review
+  const refresh = () => queryClient.invalidateQueries(['business-claims'])
+
+  const verifyMutation = useMutation({
+    mutationFn: () => api.verifyBusinessEmail(claim.id, code.trim()),
+    onSuccess: (result) => {
+      toast.success(result.message)
+      refresh()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const resendMutation = useMutation({
+    mutationFn: () => api.resendBusinessEmailCode(claim.id),
+    onSuccess: (result) => toast.success(result.message),
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const cancelMutation = useMutation({
+    mutationFn: () => api.cancelBusinessClaim(claim.id),
+    onSuccess: refresh,
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  return (
+    <li className="bg-white rounded-lg border p-4">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <p className="font-semibold text-gray-900">{claim.company?.name}</p>
+          <p className="text-xs text-gray-500 mt-0.5">
+            {claim.method === 'domain_email' ? `Email: ${claim.business_email}` : 'Document upload'} · {dateAgo(claim.created_at)}
+          </p>
+        </div>
+        <span className={`inline-flex items-center gap-1 px-2 py-1 rounded-full text-xs font-medium ${status.tone}`}>
+          <status.icon className="w-3.5 h-3.5" />
+          {status.label}
+        </span>
+      </div>
+
+      {claim.status === 'pending_email' && (
+        <div className="mt-4 flex flex-wrap items-center gap-2">
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            inputMode="numeric"
+            maxLength={6}
+            placeholder="6-digit code"
+            className={`${inputClass} w-32 font-mono`}
+          />
+          <button
+            onClick={() => verifyMutation.mutate()}
+            disabled={code.trim().length !== 6 || verifyMutation.isPending}
+            className="px-3 py-2 rounded-lg bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:opacity-50"
+          >
+            Confirm
+          </button>
+          <button
+            onClick={() => resendMutation.mutate()}
+            disabled={resendMutation.isPending}
+            className="px-3 py-2 text-sm text-gray-600 hover:text-gray-900"
+          >
+            Send a new code
+          </button>
+        </div>
+      )}
+
+      {claim.status === 'rejected' && claim.review_note && (
+        <p className="mt-3 text-sm text-gray-600">{claim.review_note}</p>
+      )}
+
+      {claim.status === 'approved' && (
+        <Link to="/merchant" className="mt-3 inline-block text-sm font-semibold text-primary-600 hover:text-primary-700">
+          Open the merchant portal →
+        </Link>
+      )}
+
+      {['pending_email', 'pending_review'].includes(claim.status) && (
+        <button
+          onClick={() => cancelMutation.mutate()}
+          disabled={cancelMutation.isPending}
+          className="mt-3 text-xs text-gray-500 hover:text-red-600"
+        >
+          Cancel claim
+        </button>
+      )}
+    </li>
+  )
+}
+
+const ClaimForm = ({ company }) => {
+  const queryClient = useQueryClient()
+  const [method, setMethod] = useState(company.website_url || company.website ? 'domain_email' : 'document')
+  const [form, setForm] = useState({ contact_name: '', job_title: '', contact_phone: '', business_email: '' })
+  const [documentFile, setDocumentFile] = useState(null)
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }))
+
+  const claimMutation = useMutation({
+    mutationFn: () => {
+      if (method === 'document') {
+        const body = new FormData()
+        Object.entries({ ...form, company_id: company.id, method }).forEach(([key, value]) => body.append(key, value))
+        body.append('document', documentFile)
+        return api.createBusinessClaim(body)
+      }
+      return api.createBusinessClaim({ ...form, company_id: company.id, method })
+    },
+    onSuccess: (result) => {
+      toast.success(result.message)
+      queryClient.invalidateQueries(['business-claims'])
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const ready = form.contact_name.trim() && (method === 'document' ? documentFile : form.business_email.trim())
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault()
+        claimMutation.mutate()
+      }}
+      className="bg-white rounded-lg border p-4 sm:p-6 space-y-4"
+    >
+      <div className="flex items-center gap-3">
+        <Building2 className="w-6 h-6 text-gray-400" />
+        <div>
+          <p className="font-semibold text-gray-900">Claim {company.name}</p>
+          <p className="text-sm text-gray-500">Once our team approves your claim you can post deals and update your listing.</p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <button
+          type="button"
+          onClick={() => setMethod('domain_email')}
+          className={`text-left rounded-lg border p-3 ${method === 'domain_email' ? 'border-primary-500 ring-1 ring-primary-500' : 'border-gray-200'}`}
+        >
+          <Mail className="w-5 h-5 text-gray-500 mb-1" />
+          <p className="text-sm font-semibold text-gray-900">Business email</p>
+          <p className="text-xs text-gray-500">We email a code to an address on your website domain</p>
+        </button>
+        <button
+          type="button"
+          onClick={() => setMethod('document')}
+          className={`text-left rounded-lg border p-3 ${method === 'document' ? 'border-primary-500 ring-1 ring-primary-500' : 'border-gray-200'}`}
+        >
+          <FileText className="w-5 h-5 text-gray-500 mb-1" />
+          <p className="text-sm font-semibold text-gray-900">Document</p>
+          <p className="text-xs text-gray-500">Business license, utility bill or similar (PDF or image)</p>
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <input value={form.contact_name} onChange={update('contact_name')} placeholder="Your name" className={inputClass} required />
+        <input value={form.job_title} onChange={update('job_title')} placeholder="Your role (e.g. Owner)" className={inputClass} />
+        <input value={form.contact_phone} onChange={update('contact_phone')} placeholder="Phone" className={inputClass} />
+        {method === 'domain_email' ? (
+          <input
+            type="email"
+            value={form.business_email}
+            onChange={update('business_email')}
+            placeholder="you@yourbusiness.com"
+            className={inputClass}
+          />
+        ) : (
+          <input
+            type="file"
+            accept="application/pdf,image/jpeg,image/png,image/webp"
+            onChange={(e) => setDocumentFile(e.target.files?.[0] || null)}
+            className="text-sm"
+          />
+        )}
+      </div>
+
+      <button
+        type="submit"
+        disabled={!ready || claimMutation.isPending}
+        className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+      >
+        {claimMutation.isPending ? 'Submitting...' : 'Submit claim'}
+      </button>
+    </form>
+  )
+}
+
+const ClaimBusiness = () => {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const [searchParams] = useSearchParams()
+  const slug = searchParams.get('company')
+
+  const { data: claimsData, isLoading } = useQuery({
+    queryKey: ['business-claims'],
+    queryFn: () => api.getMyBusinessClaims(),
+    enabled: !!user
+  })
+
+  const { data: companyData } = useQuery({
+    queryKey: ['company-full', slug],
+    queryFn: () => api.getCompanyFull(slug),
+    enabled: !!slug
+  })
+
+  if (!user) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="text-center py-12">
+          <Building2 className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Sign in to claim your business</h2>
+          <p className="text-gray-600 mb-6">Verified owners can post deals and manage their listing</p>
+          <button
+            onClick={() => navigate('/signin')}
+            className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+          >
+            Sign In
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const claims = claimsData?.data || []
+  const company = companyData?.company
+  const hasOpenClaim = company && claims.some(c => c.company_id === company.id && ['pending_email', 'pending_review'].includes(c.status))
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-3xl">
+      <div className="mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Claim Your Business</h1>
+        <p className="text-sm sm:text-base text-gray-600">
+          Prove you run a business listed on SaveBucks to manage it from the merchant portal.
+        </p>
+      </div>
+
+      {company && !company.is_claimed && !hasOpenClaim && (
+        <div className="mb-8">
+          <ClaimForm company={company} />
+        </div>
+      )}
+
+      {company?.is_claimed && (
+        <p className="mb-8 text-sm text-gray-600 bg-gray-50 rounded-lg border p-4">
+          {company.name} has already been claimed.
+        </p>
+      )}
+
+      {!slug && claims.length === 0 && !isLoading && (
+        <p className="text-sm text-gray-600 bg-white rounded-lg border p-6 text-center">
+          Find your business on its <Link to="/companies" className="text-primary-600 font-medium">company page</Link> and choose &ldquo;Own this business?&rdquo; to start a claim.
+        </p>
+      )}
+
+      {claims.length > 0 && (
+        <>
+          <h2 className="text-lg font-semibold text-gray-900 mb-3">Your claims</h2>
+          <ul className="space-y-3">
+            {claims.map(claim => (
+              <ClaimCard key={claim.id} claim={claim} />
+            ))}
+          </ul>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default ClaimBusiness
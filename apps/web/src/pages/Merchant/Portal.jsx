@@ -0,0 +1,484 @@
+import React, { useEffect, useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { Link, useNavigate } from 'react-router-dom'
+import { Store, Eye, MousePointerClick, Ticket, CheckCircle2, Upload, Plus, ScanLine } from 'lucide-react'
+import { api, apiErrorBody } from '../../lib/api'
+import { useAuth } from '../../hooks/useAuth'
+import { toast } from '../../lib/toast'
+import { dateAgo, formatCompactNumber } from '../../lib/format'
+
+const DAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday']
+const PRICE_RANGES = ['$', '$$', '$$$', '$$$$']
+
+const inputClass = 'w-full rounded-lg border border-gray-300 px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-primary-500'
+const capitalize = (s) => s.charAt(0).toUpperCase() + s.slice(1)
+
+const StatCard = ({ icon: Icon, label, value }) => (
+  <div className="bg-white rounded-lg border p-4">
+    <p className="text-xs font-medium text-gray-500 flex items-center gap-1.5">
+      <Icon className="w-4 h-4" />
+      {label}
+    </p>
+    <p className="mt-1 text-2xl font-bold text-gray-900">{formatCompactNumber(value || 0)}</p>
+  </div>
+)
+
+const StatsPanel = ({ companyId }) => {
+  const [days, setDays] = useState(30)
+  const { data: stats } = useQuery({
+    queryKey: ['merchant-stats', companyId, days],
+    queryFn: () => api.getMerchantStats(companyId, days)
+  })
+
+  const totals = stats?.totals || {}
+  const daily = stats?.daily || []
+  const peak = Math.max(1, ...daily.map(d => d.clicks + d.claims))
+
+  return (
+    <section className="mb-8">
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-900">Performance</h2>
+        <select value={days} onChange={(e) => setDays(Number(e.target.value))} className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm">
+          <option value={7}>Last 7 days</option>
+          <option value={30}>Last 30 days</option>
+          <option value={90}>Last 90 days</option>
+        </select>
+      </div>
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        <StatCard icon={Eye} label="Views" value={totals.views} />
+        <StatCard icon={MousePointerClick} label="Clicks" value={totals.clicks} />
+        <StatCard icon={Ticket} label="Claims" value={totals.claims} />
+        <StatCard icon={CheckCircle2} label="Redemptions" value={totals.redemptions} />
+      </div>
+      <p className="mt-2 text-xs text-gray-500">
+        All-time totals across {totals.deals || 0} deals ({totals.active_deals || 0} active). The chart shows clicks and claims per day.
+      </p>
+      {daily.length > 0 && (
+        <div className="mt-4 bg-white rounded-lg border p-4 flex items-end gap-1 h-32">
+          {daily.map(day => (
+            <div
+              key={day.date}
+              title={`${day.date}: ${day.clicks} clicks, ${day.claims} claims, ${day.redemptions} redemptions`}
+              className="flex-1 bg-primary-500/80 rounded-t"
+              style={{ height: `${((day.clicks + day.claims) / peak) * 100}%` }}
+            />
+          ))}
+        </div>
+      )}
+    </section>
+  )
+}
+
+const ProfileForm = ({ company }) => {
+  const queryClient = useQueryClient()
+  const [form, setForm] = useState({})
+
+  useEffect(() => {
+    setForm({
+      description: company.description || '',
+      phone: company.phone || '',
+      menu_url: company.menu_url || '',
+      price_range: company.price_range || '',
+      cuisine_types: (company.cuisine_types || []).join(', '),
+      restaurant_hours: company.restaurant_hours || {}
+    })
+  }, [company])
+
+  const refresh = () => queryClient.invalidateQueries(['merchant-companies'])
+
+  const saveMutation = useMutation({
+    mutationFn: () => api.updateMerchantCompany(company.id, {
+      description: form.description,
+      phone: form.phone,
+      menu_url: form.menu_url || null,
+      price_range: form.price_range || null,
+      cuisine_types: form.cuisine_types.split(',').map(c => c.trim()).filter(Boolean),
+      restaurant_hours: form.restaurant_hours
+    }),
+    onSuccess: () => {
+      toast.success('Business profile saved')
+      refresh()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const logoMutation = useMutation({
+    mutationFn: (file) => api.uploadMerchantLogo(company.id, file),
+    onSuccess: () => {
+      toast.success('Logo updated')
+      refresh()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const update = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }))
+  const setHours = (day, hours) => setForm(prev => ({
+    ...prev,
+    restaurant_hours: { ...prev.restaurant_hours, [day]: hours }
+  }))
+
+  if (!form.restaurant_hours) return null
+
+  return (
+    <section className="mb-8 bg-white rounded-lg border p-4 sm:p-6">
+      <h2 className="text-lg font-semibold text-gray-900 mb-4">Business profile</h2>
+
+      <div className="flex items-center gap-4 mb-4">
+        {company.logo_url ? (
+          <img src={company.logo_url} alt="" className="w-16 h-16 rounded-lg object-cover border" />
+        ) : (
+          <div className="w-16 h-16 rounded-lg bg-gray-100 flex items-center justify-center">
+            <Store className="w-6 h-6 text-gray-400" />
+          </div>
+        )}
+        <label className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg border border-gray-300 text-sm font-semibold text-gray-700 hover:bg-gray-50 cursor-pointer">
+          <Upload className="w-4 h-4" />
+          {logoMutation.isPending ? 'Uploading...' : 'Change logo'}
+          <input
+            type="file"
+            accept="image/jpeg,image/png,image/webp,image/gif"
+            className="hidden"
+            onChange={(e) => e.target.files?.[0] && logoMutation.mutate(e.target.files[0])}
+          />
+        </label>
+      </div>
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <textarea value={form.description} onChange={update('description')} rows={3} placeholder="Description" className={`${inputClass} sm:col-span-2`} />
+        <input value={form.cuisine_types} onChange={update('cuisine_types')} placeholder="Cuisines, comma separated" className={inputClass} />
+        <select value={form.price_range} onChange={update('price_range')} className={inputClass}>
+          <option value="">Price range</option>
+          {PRICE_RANGES.map(range => <option key={range} value={range}>{range}</option>)}
+        </select>
+        <input value={form.phone} onChange={update('phone')} placeholder="Phone" className={inputClass} />
+        <input value={form.menu_url} onChange={update('menu_url')} placeholder="Menu URL" className={inputClass} />
+      </div>
+
+      <h3 className="mt-6 mb-2 text-sm font-semibold text-gray-700">Opening hours</h3>
+      <div className="space-y-2">
+        {DAYS.map(day => {
+          const hours = form.restaurant_hours[day]
+          return (
+            <div key={day} className="flex items-center gap-3 text-sm">
+              <span className="w-24 text-gray-600">{capitalize(day)}</span>
+              <label className="flex items-center gap-1.5 text-gray-500">
+                <input
+                  type="checkbox"
+                  checked={!hours}
+                  onChange={(e) => setHours(day, e.target.checked ? null : { open: '09:00', close: '21:00' })}
+                />
+                Closed
+              </label>
+              {hours && (
+                <>
+                  <input type="time" value={hours.open} onChange={(e) => setHours(day, { ...hours, open: e.target.value })} className="rounded border border-gray-300 px-2 py-1" />
+                  <span className="text-gray-400">to</span>
+                  <input type="time" value={hours.close} onChange={(e) => setHours(day, { ...hours, close: e.target.value })} className="rounded border border-gray-300 px-2 py-1" />
+                </>
+              )}
+            </div>
+          )
+        })}
+      </div>
+
+      <button
+        onClick={() => saveMutation.mutate()}
+        disabled={saveMutation.isPending}
+        className="mt-6 bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+      >
+        {saveMutation.isPending ? 'Saving...' : 'Save profile'}
+      </button>
+    </section>
+  )
+}
+
+const EMPTY_DEAL = {
+  title: '',
+  description: '',
+  price: '',
+  original_price: '',
+  promo_code: '',
+  redemption_type: 'show_screen',
+  max_redemptions: '',
+  expires_at: '',
+  valid_days: [],
+  start: '',
+  end: ''
+}
+
+const DealForm = ({ companyId, onDone }) => {
+  const queryClient = useQueryClient()
+  const [deal, setDeal] = useState(EMPTY_DEAL)
+  const update = (field) => (e) => setDeal(prev => ({ ...prev, [field]: e.target.value }))
+  const toggleDay = (day) => setDeal(prev => ({
+    ...prev,
+    valid_days: prev.valid_days.includes(day) ? prev.valid_days.filter(d => d !== day) : [...prev.valid_days, day]
+  }))
+
+  const createMutation = useMutation({
+    mutationFn: () => {
+      const { start, end, expires_at, ...rest } = deal
+      return api.createMerchantDeal(companyId, {
+        ...rest,
+        expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+        valid_days: rest.valid_days.length ? rest.valid_days : null,
+        valid_hours: start && end ? { start, end } : null
+      })
+    },
+    onSuccess: () => {
+      toast.success('Deal published')
+      setDeal(EMPTY_DEAL)
+      queryClient.invalidateQueries(['merchant-deals', companyId])
+      queryClient.invalidateQueries(['merchant-stats', companyId])
+      onDone()
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  return (
+    <form
+      onSubmit={(e) => {
+        e.preventDefault()
+        createMutation.mutate()
+      }}
+      className="bg-white rounded-lg border p-4 sm:p-6 mb-4 space-y-3"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+        <input value={deal.title} onChange={update('title')} placeholder="Deal title, e.g. Half-price wings" className={`${inputClass} sm:col-span-2`} required />
+        <textarea value={deal.description} onChange={update('description')} rows={2} placeholder="Details" className={`${inputClass} sm:col-span-2`} />
+        <input type="number" step="0.01" value={deal.price} onChange={update('price')} placeholder="Deal price" className={inputClass} />
+        <input type="number" step="0.01" value={deal.original_price} onChange={update('original_price')} placeholder="Regular price" className={inputClass} />
+        <input value={deal.promo_code} onChange={update('promo_code')} placeholder="Promo code (optional)" className={inputClass} />
+        <select value={deal.redemption_type} onChange={update('redemption_type')} className={inputClass}>
+          <option value="show_screen">Show code on phone</option>
+          <option value="print">Printable code</option>
+          <option value="in_store">Mention in store</option>
+          <option value="code">Promo code</option>
+        </select>
+        <input type="number" value={deal.max_redemptions} onChange={update('max_redemptions')} placeholder="Redemption limit (optional)" className={inputClass} />
+        <label className="text-sm text-gray-600">
+          Ends
+          <input type="datetime-local" value={deal.expires_at} onChange={update('expires_at')} className={`${inputClass} mt-1`} />
+        </label>
+      </div>
+
+      <div>
+        <p className="text-sm font-medium text-gray-700 mb-1">Repeats on (leave empty for every day)</p>
+        <div className="flex flex-wrap gap-2">
+          {DAYS.map(day => (
+            <button
+              key={day}
+              type="button"
+              onClick={() => toggleDay(day)}
+              className={`px-2.5 py-1 rounded-full text-xs font-medium border ${deal.valid_days.includes(day) ? 'bg-primary-600 text-white border-primary-600' : 'border-gray-300 text-gray-600'}`}
+            >
+              {capitalize(day).slice(0, 3)}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-2 text-sm text-gray-600">
+        Between
+        <input type="time" value={deal.start} onChange={update('start')} className="rounded border border-gray-300 px-2 py-1" />
+        and
+        <input type="time" value={deal.end} onChange={update('end')} className="rounded border border-gray-300 px-2 py-1" />
+        <span className="text-xs text-gray-400">(optional)</span>
+      </div>
+
+      <button
+        type="submit"
+        disabled={!deal.title.trim() || createMutation.isPending}
+        className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+      >
+        {createMutation.isPending ? 'Publishing...' : 'Publish deal'}
+      </button>
+    </form>
+  )
+}
+
+const DealsPanel = ({ companyId }) => {
+  const queryClient = useQueryClient()
+  const [showForm, setShowForm] = useState(false)
+
+  const { data } = useQuery({
+    queryKey: ['merchant-deals', companyId],
+    queryFn: () => api.getMerchantDeals(companyId)
+  })
+
+  const endMutation = useMutation({
+    mutationFn: (dealId) => api.updateMerchantDeal(companyId, dealId, { expires_at: new Date().toISOString() }),
+    onSuccess: () => {
+      toast.success('Deal ended')
+      queryClient.invalidateQueries(['merchant-deals', companyId])
+    },
+    onError: (error) => toast.error(apiErrorBody(error).message)
+  })
+
+  const deals = data?.data || []
+  const now = new Date()
+
+  return (
+    <section>
+      <div className="flex items-center justify-between mb-3">
+        <h2 className="text-lg font-semibold text-gray-900">Deals</h2>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700"
+        >
+          <Plus className="w-4 h-4" />
+          New deal
+        </button>
+      </div>
+
+      {showForm && <DealForm companyId={companyId} onDone={() => setShowForm(false)} />}
+
+      {deals.length === 0 ? (
+        <p className="text-sm text-gray-500 bg-white rounded-lg border p-6 text-center">No deals yet</p>
+      ) : (
+        <div className="bg-white rounded-lg border overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">Deal</th>
+                <th className="px-4 py-2 font-medium">Views</th>
+                <th className="px-4 py-2 font-medium">Clicks</th>
+                <th className="px-4 py-2 font-medium">Claims</th>
+                <th className="px-4 py-2 font-medium">Redeemed</th>
+                <th className="px-4 py-2 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {deals.map(deal => {
+                const ended = deal.expires_at && new Date(deal.expires_at) <= now
+                return (
+                  <tr key={deal.id}>
+                    <td className="px-4 py-2">
+                      <Link to={`/deal/${deal.id}`} className="font-medium text-gray-900 hover:text-primary-600">{deal.title}</Link>
+                      <p className="text-xs text-gray-400">
+                        {ended ? 'Ended' : deal.status === 'approved' ? 'Live' : capitalize(deal.status || '')} · posted {dateAgo(deal.created_at)}
+                      </p>
+                    </td>
+                    <td className="px-4 py-2 text-gray-600">{deal.view_count || 0}</td>
+                    <td className="px-4 py-2 text-gray-600">{deal.click_count || 0}</td>
+                    <td className="px-4 py-2 text-gray-600">{deal.claim_count || 0}</td>
+                    <td className="px-4 py-2 text-gray-600">
+                      {deal.current_redemptions || 0}{deal.max_redemptions ? ` / ${deal.max_redemptions}` : ''}
+                    </td>
+                    <td className="px-4 py-2 text-right">
+                      {!ended && (
+                        <button
+                          onClick={() => endMutation.mutate(deal.id)}
+                          disabled={endMutation.isPending}
+                          className="text-xs text-gray-500 hover:text-red-600"
+                        >
+                          End now
+                        </button>
+                      )}
+                    </td>
+                  </tr>
+                )
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </section>
+  )
+}
+
+const Portal = () => {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const [companyId, setCompanyId] = useState(null)
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['merchant-companies'],
+    queryFn: () => api.getMerchantCompanies(),
+    enabled: !!user,
+    retry: false
+  })
+
+  const companies = data?.data || []
+  const company = companies.find(c => c.id === companyId) || companies[0]
+
+  if (!user) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="text-center py-12">
+          <Store className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Sign in to the merchant portal</h2>
+          <p className="text-gray-600 mb-6">Manage your business listing and deals</p>
+          <button
+            onClick={() => navigate('/signin')}
+            className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+          >
+            Sign In
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="animate-pulse space-y-4">
+          <div className="h-8 bg-gray-200 rounded w-1/4"></div>
+          <div className="h-24 bg-gray-200 rounded-lg"></div>
+          <div className="h-64 bg-gray-200 rounded-lg"></div>
+        </div>
+      </div>
+    )
+  }
+
+  if (error?.status === 403 || companies.length === 0) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="text-center py-12">
+          <Store className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">No businesses yet</h2>
+          <p className="text-gray-600 mb-6">Claim your business to post deals and see how they perform</p>
+          <Link to="/merchant/claim" className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors">
+            Claim a business
+          </Link>
+        </div>
+      </div>
+    )
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-5xl">
+      <div className="mb-6 sm:mb-8 flex flex-wrap items-center justify-between gap-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-1">{company.name}</h1>
+          <Link to={`/company/${company.slug}`} className="text-sm text-gray-500 hover:text-primary-600">View public page</Link>
+        </div>
+        <div className="flex items-center gap-2">
+          {companies.length > 1 && (
+            <select
+              value={company.id}
+              onChange={(e) => setCompanyId(Number(e.target.value))}
+              className="rounded-lg border border-gray-300 px-3 py-2 text-sm"
+            >
+              {companies.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+            </select>
+          )}
+          <Link
+            to="/merchant/redemptions"
+            className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg border border-gray-300 text-sm font-semibold text-gray-700 hover:bg-gray-50"
+          >
+            <ScanLine className="w-4 h-4" />
+            Redeem codes
+          </Link>
+        </div>
+      </div>
+
+      <StatsPanel companyId={company.id} />
+      <ProfileForm company={company} />
+      <DealsPanel companyId={company.id} />
+    </div>
+  )
+}
+
+export default Portal
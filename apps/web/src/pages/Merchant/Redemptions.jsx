@@ -0,0 +1,201 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query'
+import { useNavigate } from 'react-router-dom'
+import { ScanLine, CheckCircle2, XCircle, AlertTriangle } from 'lucide-react'
+import { api, apiErrorBody } from '../../lib/api'
+import { useAuth } from '../../hooks/useAuth'
+import { toast } from '../../lib/toast'
+import { dateAgo } from '../../lib/format'
+
+// Failed verify/redeem responses still describe the claim; show them as results
+const readError = (error) => {
+  const body = apiErrorBody(error)
+  return { ...body, status: body.status || body.code }
+}
+
+const ResultCard = ({ result }) => {
+  if (!result) return null
+
+  const ok = result.valid || result.status === 'redeemed'
+  const Icon = ok ? CheckCircle2 : result.status ? AlertTriangle : XCircle
+  const tone = ok
+    ? 'border-emerald-200 bg-emerald-50 text-emerald-800'
+    : 'border-amber-200 bg-amber-50 text-amber-800'
+
+  return (
+    <div className={`mt-4 rounded-lg border p-4 ${tone}`}>
+      <p className="font-semibold flex items-center gap-2">
+        <Icon className="w-5 h-5" />
+        {result.message}
+      </p>
+      {result.deal && (
+        <div className="mt-2 text-sm text-gray-700 space-y-0.5">
+          <p><span className="font-medium">Deal:</span> {result.deal.title}</p>
+          {result.customer?.handle && <p><span className="font-medium">Customer:</span> @{result.customer.handle}</p>}
+          {result.deal.promo_code && <p><span className="font-medium">Promo code:</span> {result.deal.promo_code}</p>}
+          {result.deal.max_redemptions && (
+            <p>
+              <span className="font-medium">Redeemed:</span>{' '}
+              {result.current_redemptions ?? result.deal.current_redemptions ?? 0} / {result.deal.max_redemptions}
+            </p>
+          )}
+          {result.redeemed_at && <p><span className="font-medium">Redeemed:</span> {dateAgo(result.redeemed_at)}</p>}
+        </div>
+      )}
+    </div>
+  )
+}
+
+const Redemptions = () => {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const queryClient = useQueryClient()
+  const [token, setToken] = useState('')
+  const [result, setResult] = useState(null)
+  const [companyId, setCompanyId] = useState('')
+
+  const { data: history, isLoading } = useQuery({
+    queryKey: ['redemption-history', companyId],
+    queryFn: () => api.getRedemptionHistory({ company_id: companyId }),
+    enabled: !!user
+  })
+
+  const verifyMutation = useMutation({
+    mutationFn: (value) => api.verifyRedemption(value),
+    onSuccess: (data) => setResult(data),
+    onError: (error) => setResult(readError(error))
+  })
+
+  const redeemMutation = useMutation({
+    mutationFn: (value) => api.redeemRedemption(value),
+    onSuccess: (data) => {
+      setResult(data)
+      setToken('')
+      toast.success('Deal redeemed')
+      queryClient.invalidateQueries(['redemption-history'])
+    },
+    onError: (error) => setResult(readError(error))
+  })
+
+  if (!user) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="text-center py-12">
+          <ScanLine className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Sign in to redeem deals</h2>
+          <p className="text-gray-600 mb-6">Restaurant staff can verify and redeem customer codes here</p>
+          <button
+            onClick={() => navigate('/signin')}
+            className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+          >
+            Sign In
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  const value = token.trim()
+  const busy = verifyMutation.isPending || redeemMutation.isPending
+  const rows = history?.data || []
+  const companies = history?.companies || []
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-4xl">
+      <div className="mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Redeem Deals</h1>
+        <p className="text-sm sm:text-base text-gray-600">
+          Scan the QR code the customer shows or paste their code, verify it, then redeem.
+        </p>
+      </div>
+
+      <div className="bg-white rounded-lg border p-4 sm:p-6 mb-8">
+        <label htmlFor="redemption-token" className="block text-sm font-medium text-gray-700 mb-2">
+          Customer code
+        </label>
+        <textarea
+          id="redemption-token"
+          value={token}
+          onChange={(e) => {
+            setToken(e.target.value)
+            setResult(null)
+          }}
+          rows={3}
+          className="w-full rounded-lg border border-gray-300 px-3 py-2 font-mono text-xs focus:outline-none focus:ring-2 focus:ring-primary-500"
+          placeholder="Scan or paste the code"
+        />
+        <div className="mt-3 flex gap-2">
+          <button
+            onClick={() => verifyMutation.mutate(value)}
+            disabled={!value || busy}
+            className="px-4 py-2 rounded-lg border border-gray-300 text-sm font-semibold text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+          >
+            Verify
+          </button>
+          <button
+            onClick={() => redeemMutation.mutate(value)}
+            disabled={!value || busy}
+            className="px-4 py-2 rounded-lg bg-primary-600 text-white text-sm font-semibold hover:bg-primary-700 disabled:opacity-50"
+          >
+            Redeem
+          </button>
+        </div>
+        <ResultCard result={result} />
+      </div>
+
+      <div className="flex items-center justify-between mb-4 gap-4">
+        <h2 className="text-lg font-semibold text-gray-900">
+          Redemption history
+          {history && <span className="ml-2 text-sm font-normal text-gray-500">{history.total}</span>}
+        </h2>
+        {companies.length > 1 && (
+          <select
+            value={companyId}
+            onChange={(e) => setCompanyId(e.target.value)}
+            className="rounded-lg border border-gray-300 px-3 py-1.5 text-sm"
+          >
+            <option value="">All restaurants</option>
+            {companies.map(company => (
+              <option key={company.id} value={company.id}>{company.name}</option>
+            ))}
+          </select>
+        )}
+      </div>
+
+      {isLoading ? (
+        <div className="animate-pulse space-y-2">
+          {[...Array(4)].map((_, i) => (
+            <div key={i} className="h-10 bg-gray-200 rounded"></div>
+          ))}
+        </div>
+      ) : rows.length === 0 ? (
+        <p className="text-sm text-gray-500 bg-white rounded-lg border p-6 text-center">No redemptions yet</p>
+      ) : (
+        <div className="bg-white rounded-lg border overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead className="bg-gray-50 text-left text-gray-500">
+              <tr>
+                <th className="px-4 py-2 font-medium">Deal</th>
+                <th className="px-4 py-2 font-medium">Customer</th>
+                <th className="px-4 py-2 font-medium">Redeemed</th>
+                <th className="px-4 py-2 font-medium">By</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y">
+              {rows.map(row => (
+                <tr key={row.claim_id}>
+                  <td className="px-4 py-2 text-gray-900">{row.deal?.title}</td>
+                  <td className="px-4 py-2 text-gray-600">{row.customer ? `@${row.customer}` : '-'}</td>
+                  <td className="px-4 py-2 text-gray-600">{dateAgo(row.redeemed_at)}</td>
+                  <td className="px-4 py-2 text-gray-600">{row.redeemed_by ? `@${row.redeemed_by}` : '-'}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default Redemptions
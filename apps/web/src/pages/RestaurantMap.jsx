@@ -0,0 +1,229 @@
+import React, { useState, useMemo, useEffect } from 'react'
+import { useQuery, keepPreviousData } from '@tanstack/react-query'
+import { Link } from 'react-router-dom'
+import { MapContainer, TileLayer, Marker, Popup, useMap, useMapEvents } from 'react-leaflet'
+import L from 'leaflet'
+import 'leaflet/dist/leaflet.css'
+import { MapPin, Navigation, Zap, Utensils } from 'lucide-react'
+import { useLocation } from '../context/LocationContext'
+import { api } from '../lib/api'
+
+// Continental US until we know where the user is
+const DEFAULT_CENTER = [39.5, -98.35]
+const DEFAULT_ZOOM = 4
+const LOCATED_ZOOM = 13
+
+const round = (value) => Math.round(value * 10000) / 10000
+
+// Leaflet bounds run past ±180 once the world wraps; the API wants a plain box
+const viewportOf = (map) => {
+  const bounds = map.getBounds()
+  return {
+    bbox: [
+      round(Math.max(bounds.getWest(), -180)),
+      round(Math.max(bounds.getSouth(), -90)),
+      round(Math.min(bounds.getEast(), 180)),
+      round(Math.min(bounds.getNorth(), 90))
+    ],
+    zoom: map.getZoom()
+  }
+}
+
+const dealBadge = (deal) => {
+  if (!deal) return null
+  if (deal.discount_percentage) return `${Math.round(deal.discount_percentage)}% off`
+  if (deal.discount_amount) return `$${deal.discount_amount} off`
+  if (deal.price === 0) return 'Free'
+  if (deal.price) return `$${deal.price}`
+  return 'Deal'
+}
+
+const clusterIcon = (pin) => {
+  const size = pin.count < 10 ? 36 : pin.count < 100 ? 44 : 52
+  return L.divIcon({
+    className: '',
+    iconSize: [size, size],
+    html: `<div class="flex items-center justify-center rounded-full text-white text-sm font-semibold shadow-md border-2 border-white ${pin.active_deal_count > 0 ? 'bg-emerald-600' : 'bg-primary-600'}" style="width:${size}px;height:${size}px">${pin.count}</div>`
+  })
+}
+
+const restaurantIcon = (pin) => {
+  const badge = dealBadge(pin.top_deal)
+  return L.divIcon({
+    className: '',
+    iconSize: [30, 30],
+    iconAnchor: [15, 30],
+    popupAnchor: [0, -28],
+    html: `<div class="relative">
+      <div class="w-[30px] h-[30px] rounded-full rounded-br-none rotate-45 shadow-md border-2 border-white ${pin.active_deal_count > 0 ? 'bg-emerald-600' : pin.deal_count > 0 ? 'bg-primary-600' : 'bg-gray-400'}"></div>
+      ${badge ? `<span class="absolute -top-3 left-6 whitespace-nowrap rounded bg-white px-1 text-[11px] font-semibold text-gray-900 shadow">${badge}</span>` : ''}
+    </div>`
+  })
+}
+
+// Reports the viewport once the map is laid out and after every pan or zoom
+const ViewportWatcher = ({ onChange }) => {
+  const map = useMapEvents({
+    moveend: () => onChange(viewportOf(map))
+  })
+
+  useEffect(() => {
+    map.whenReady(() => onChange(viewportOf(map)))
+  }, [map, onChange])
+
+  return null
+}
+
+const DealSummary = ({ deal, showRestaurant }) => (
+  <Link to={`/deal/${deal.id}`} className="block rounded-md px-2 py-1.5 hover:bg-gray-50">
+    <p className="text-sm font-medium text-gray-900 line-clamp-2">{deal.title}</p>
+    <p className="text-xs text-gray-500 flex items-center gap-1.5">
+      {deal.active_now && <span className="text-emerald-700 font-medium">Active now</span>}
+      {dealBadge(deal) && <span>{dealBadge(deal)}</span>}
+      {showRestaurant && <span className="truncate">· {deal.restaurant_name}</span>}
+    </p>
+  </Link>
+)
+
+const ClusterMarker = ({ pin }) => {
+  const map = useMap()
+
+  const zoomIn = () => {
+    const { min_lat, min_lng, max_lat, max_lng } = pin.bounds
+    if (min_lat === max_lat && min_lng === max_lng) {
+      map.setView([pin.latitude, pin.longitude], map.getZoom() + 2)
+    } else {
+      map.fitBounds([[min_lat, min_lng], [max_lat, max_lng]], { padding: [40, 40] })
+    }
+  }
+
+  return (
+    <Marker
+      position={[pin.latitude, pin.longitude]}
+      icon={clusterIcon(pin)}
+      eventHandlers={{ click: zoomIn }}
+    />
+  )
+}
+
+const RestaurantMarker = ({ pin }) => (
+  <Marker position={[pin.latitude, pin.longitude]} icon={restaurantIcon(pin)}>
+    <Popup minWidth={240}>
+      <div className="space-y-2">
+        <Link to={`/company/${pin.restaurant.slug}`} className="block">
+          <p className="font-semibold text-gray-900">{pin.restaurant.name}</p>
+          <p className="text-xs text-gray-500">
+            {[pin.restaurant.cuisine_types?.slice(0, 2).join(', '), pin.restaurant.price_range].filter(Boolean).join(' · ')}
+          </p>
+        </Link>
+        {pin.deals.length > 0 ? (
+          <div className="-mx-2">
+            {pin.deals.map(deal => <DealSummary key={deal.id} deal={deal} />)}
+          </div>
+        ) : (
+          <p className="text-xs text-gray-500">No live deals right now</p>
+        )}
+        {pin.deal_count > pin.deals.length && (
+          <Link to={`/company/${pin.restaurant.slug}`} className="text-xs font-medium text-primary-600">
+            See all {pin.deal_count} deals
+          </Link>
+        )}
+      </div>
+    </Popup>
+  </Marker>
+)
+
+const RestaurantMap = () => {
+  const { location, getCurrentLocation, isLoading: locating } = useLocation()
+  const [viewport, setViewport] = useState(null)
+  const [activeOnly, setActiveOnly] = useState(false)
+
+  const center = location?.latitude ? [location.latitude, location.longitude] : DEFAULT_CENTER
+  const initialZoom = location?.latitude ? LOCATED_ZOOM : DEFAULT_ZOOM
+
+  const { data, isFetching } = useQuery({
+    queryKey: ['restaurant-map', viewport?.bbox, viewport?.zoom, activeOnly],
+    queryFn: () => api.restaurants.getMap({ ...viewport, active: activeOnly }),
+    enabled: !!viewport,
+    placeholderData: keepPreviousData,
+    staleTime: 60 * 1000
+  })
+
+  const pins = data?.data
+
+  // Best deals across everything in view, for the side list
+  const dealsInView = useMemo(() => (
+    (pins || [])
+      .flatMap(pin => pin.deals)
+      .sort((a, b) => (b.active_now - a.active_now) || (b.discount_percentage || 0) - (a.discount_percentage || 0))
+      .slice(0, 12)
+  ), [pins])
+
+  return (
+    <div className="container mx-auto px-4 py-6">
+      <div className="flex flex-wrap items-center justify-between gap-3 mb-4">
+        <div>
+          <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 flex items-center gap-2">
+            <MapPin className="w-7 h-7 text-primary-600" />
+            Restaurant Deals Map
+          </h1>
+          <p className="text-sm text-gray-600">
+            {data ? `${data.restaurant_count} restaurants in view` : 'Move the map to find deals near you'}
+            {isFetching && ' · updating...'}
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={() => setActiveOnly(value => !value)}
+            className={`inline-flex items-center gap-1.5 px-3 py-2 rounded-lg text-sm font-medium ${activeOnly ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'}`}
+          >
+            <Zap className="w-4 h-4" />
+            Active now
+          </button>
+          {!location && (
+            <button
+              onClick={() => getCurrentLocation().catch(() => {})}
+              disabled={locating}
+              className="inline-flex items-center gap-1.5 px-3 py-2 rounded-lg text-sm font-medium bg-primary-600 text-white hover:bg-primary-700 disabled:opacity-50"
+            >
+              <Navigation className="w-4 h-4" />
+              {locating ? 'Locating...' : 'Use my location'}
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-[1fr_20rem] gap-4">
+        <div className="h-[65vh] min-h-[24rem] rounded-lg overflow-hidden border border-gray-200">
+          {/* Keyed on the center so finding the user's location recenters the map */}
+          <MapContainer key={center.join(',')} center={center} zoom={initialZoom} className="h-full w-full">
+            <TileLayer
+              attribution='&copy; <a href="https://www.openstreetmap.org/copyright">OpenStreetMap</a> contributors'
+              url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
+            />
+            <ViewportWatcher onChange={setViewport} />
+            {(pins || []).map(pin => (
+              pin.type === 'cluster'
+                ? <ClusterMarker key={pin.id} pin={pin} />
+                : <RestaurantMarker key={pin.id} pin={pin} />
+            ))}
+          </MapContainer>
+        </div>
+
+        <aside className="bg-white rounded-lg border border-gray-200 p-3 lg:h-[65vh] lg:overflow-y-auto">
+          <h2 className="text-sm font-semibold text-gray-900 mb-2 px-2">Top deals in view</h2>
+          {dealsInView.length > 0 ? (
+            dealsInView.map(deal => <DealSummary key={deal.id} deal={deal} showRestaurant />)
+          ) : (
+            <div className="text-center py-10 text-sm text-gray-500">
+              <Utensils className="mx-auto w-8 h-8 text-gray-300 mb-2" />
+              No deals in this area yet
+            </div>
+          )}
+        </aside>
+      </div>
+    </div>
+  )
+}
+
+export default RestaurantMap
@@ -0,0 +1,129 @@
+import React, { useState } from 'react'
+import { useQuery, useMutation } from '@tanstack/react-query'
+import { Link, useNavigate } from 'react-router-dom'
+import { QrCode, CheckCircle2, Store } from 'lucide-react'
+import { api } from '../../lib/api'
+import { useAuth } from '../../hooks/useAuth'
+import { toast } from '../../lib/toast'
+import { dateAgo } from '../../lib/format'
+import RedemptionCode from '../../components/Deal/RedemptionCode'
+
+const ClaimedDeals = () => {
+  const { user } = useAuth()
+  const navigate = useNavigate()
+  const [openCode, setOpenCode] = useState(null) // { dealId, redemption, promoCode }
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['claimed-deals'],
+    queryFn: () => api.getClaimedDeals(),
+    enabled: !!user
+  })
+
+  const showCodeMutation = useMutation({
+    mutationFn: ({ dealId }) => api.refreshRedemptionToken(dealId),
+    onSuccess: (result, { dealId, promoCode }) => {
+      setOpenCode({ dealId, redemption: result.redemption, promoCode })
+    },
+    onError: () => toast.error('Could not load your code')
+  })
+
+  if (!user) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="text-center py-12">
+          <QrCode className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+          <h2 className="text-xl font-semibold text-gray-900 mb-2">Sign in to view claimed deals</h2>
+          <p className="text-gray-600 mb-6">Claim restaurant deals and redeem them in store</p>
+          <button
+            onClick={() => navigate('/signin')}
+            className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors"
+          >
+            Sign In
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (isLoading) {
+    return (
+      <div className="container mx-auto px-4 py-8">
+        <div className="animate-pulse space-y-4">
+          <div className="h-8 bg-gray-200 rounded w-1/4"></div>
+          {[...Array(4)].map((_, i) => (
+            <div key={i} className="h-20 bg-gray-200 rounded-lg"></div>
+          ))}
+        </div>
+      </div>
+    )
+  }
+
+  const claims = data?.data || []
+
+  return (
+    <div className="container mx-auto px-4 py-8 max-w-3xl">
+      <div className="mb-6 sm:mb-8">
+        <h1 className="text-2xl sm:text-3xl font-bold text-gray-900 mb-2">Claimed Deals</h1>
+        <p className="text-sm sm:text-base text-gray-600">
+          Show the code at the counter to redeem. Each claim can be used once.
+        </p>
+      </div>
+
+      {claims.length === 0 ? (
+        <div className="text-center py-12 bg-white rounded-lg border">
+          <QrCode className="mx-auto h-10 w-10 text-gray-300 mb-3" />
+          <p className="text-gray-600">You have not claimed any deals yet</p>
+        </div>
+      ) : (
+        <ul className="space-y-3">
+          {claims.map(claim => (
+            <li key={claim.claim_id || claim.id} className="bg-white rounded-lg border p-4">
+              <div className="flex items-start justify-between gap-4">
+                <div className="min-w-0">
+                  <Link to={`/deal/${claim.id}`} className="font-semibold text-gray-900 hover:text-primary-600 line-clamp-2">
+                    {claim.title}
+                  </Link>
+                  {claim.company?.name && (
+                    <p className="mt-1 text-sm text-gray-500 flex items-center gap-1">
+                      <Store className="w-3.5 h-3.5" />
+                      {claim.company.name}
+                    </p>
+                  )}
+                  <p className="mt-1 text-xs text-gray-400">Claimed {dateAgo(claim.claimed_at)}</p>
+                </div>
+
+                {claim.redeemed_at ? (
+                  <span className="flex-shrink-0 inline-flex items-center gap-1 text-sm font-medium text-emerald-700">
+                    <CheckCircle2 className="w-4 h-4" />
+                    Redeemed {dateAgo(claim.redeemed_at)}
+                  </span>
+                ) : (
+                  <button
+                    onClick={() => showCodeMutation.mutate({ dealId: claim.id, promoCode: claim.promo_code })}
+                    disabled={showCodeMutation.isPending}
+                    className="flex-shrink-0 inline-flex items-center gap-1.5 px-3 py-2 rounded-lg bg-emerald-600 text-white text-sm font-semibold hover:bg-emerald-700 disabled:opacity-50"
+                  >
+                    <QrCode className="w-4 h-4" />
+                    Show code
+                  </button>
+                )}
+              </div>
+
+              {openCode?.dealId === claim.id && !claim.redeemed_at && (
+                <div className="mt-4">
+                  <RedemptionCode
+                    dealId={claim.id}
+                    redemption={openCode.redemption}
+                    promoCode={openCode.promoCode}
+                  />
+                </div>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+export default ClaimedDeals
@@ -0,0 +1,264 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { Link, Navigate, useNavigate, useParams } from 'react-router-dom'
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query'
+import { clsx } from 'clsx'
+import { Container } from '../../components/Layout/Container'
+import { useAuth } from '../../hooks/useAuth'
+import { api } from '../../lib/api'
+import { toast } from '../../lib/toast'
+import { dateAgo } from '../../lib/utils/format'
+
+function Avatar({ user, size = 'h-10 w-10' }) {
+  if (user?.avatar_url) {
+    return <img src={user.avatar_url} alt={user.handle} className={clsx(size, 'rounded-full object-cover')} />
+  }
+  return (
+    <div className={clsx(size, 'rounded-full bg-blue-100 text-blue-700 flex items-center justify-center font-medium')}>
+      {user?.handle?.charAt(0).toUpperCase() || '?'}
+    </div>
+  )
+}
+
+function ConversationList({ activeId }) {
+  const { data: conversations = [], isLoading } = useQuery({
+    queryKey: ['conversations'],
+    queryFn: () => api.getConversations(),
+    refetchInterval: 30000,
+  })
+
+  if (isLoading) {
+    return (
+      <div className="p-4 space-y-3 animate-pulse">
+        {[...Array(4)].map((_, i) => (
+          <div key={i} className="h-14 bg-gray-200 rounded-lg" />
+        ))}
+      </div>
+    )
+  }
+
+  if (conversations.length === 0) {
+    return (
+      <div className="p-8 text-center text-sm text-gray-500">
+        No conversations yet. Message a deal poster from their profile to get started.
+      </div>
+    )
+  }
+
+  return (
+    <ul className="divide-y divide-gray-100">
+      {conversations.map(conversation => (
+        <li key={conversation.id}>
+          <Link
+            to={`/messages/${conversation.id}`}
+            className={clsx(
+              'flex items-center space-x-3 p-4 hover:bg-gray-50 transition-colors',
+              String(conversation.id) === String(activeId) && 'bg-blue-50'
+            )}
+          >
+            <Avatar user={conversation.other_user} />
+            <div className="flex-1 min-w-0">
+              <div className="flex items-center justify-between">
+                <span className={clsx('text-sm truncate', conversation.unread_count > 0 ? 'font-semibold text-gray-900' : 'text-gray-700')}>
+                  {conversation.other_user?.display_name || conversation.other_user?.handle || 'Unknown user'}
+                </span>
+                <span className="ml-2 text-xs text-gray-400 flex-shrink-0">{dateAgo(conversation.last_message_at)}</span>
+              </div>
+              <div className="flex items-center justify-between mt-0.5">
+                <p className="text-xs text-gray-500 truncate">{conversation.last_message_preview}</p>
+                {conversation.unread_count > 0 && (
+                  <span className="ml-2 px-1.5 py-0.5 bg-blue-600 text-white text-[10px] rounded-full font-medium">
+                    {conversation.unread_count}
+                  </span>
+                )}
+              </div>
+            </div>
+          </Link>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+function ConversationView({ conversationId }) {
+  const queryClient = useQueryClient()
+  const navigate = useNavigate()
+  const [draft, setDraft] = useState('')
+  const bottomRef = useRef(null)
+
+  const { data, isLoading, error } = useQuery({
+    queryKey: ['conversation', conversationId],
+    queryFn: () => api.getConversation(conversationId),
+    refetchInterval: 15000,
+  })
+
+  // Mark as read whenever new unread messages arrive
+  useEffect(() => {
+    if (data?.unread_count > 0) {
+      api.markConversationRead(conversationId).then(() => {
+        queryClient.invalidateQueries({ queryKey: ['conversations'] })
+        queryClient.invalidateQueries({ queryKey: ['messages-unread'] })
+      }).catch(() => { })
+    }
+  }, [data?.unread_count, conversationId, queryClient])
+
+  useEffect(() => {
+    bottomRef.current?.scrollIntoView({ behavior: 'smooth' })
+  }, [data?.messages?.length])
+
+  const replyMutation = useMutation({
+    mutationFn: (content) => api.replyToConversation(conversationId, content),
+    onSuccess: () => {
+      setDraft('')
+      queryClient.invalidateQueries({ queryKey: ['conversation', conversationId] })
+      queryClient.invalidateQueries({ queryKey: ['conversations'] })
+    },
+    onError: (err) => toast.error(err.message || 'Failed to send message'),
+  })
+
+  const archiveMutation = useMutation({
+    mutationFn: () => api.archiveConversation(conversationId),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['conversations'] })
+      navigate('/messages')
+    },
+  })
+
+  const blockMutation = useMutation({
+    mutationFn: (userId) => api.blockUser(userId),
+    onSuccess: () => toast.success('User blocked. They can no longer message you.'),
+    onError: (err) => toast.error(err.message || 'Failed to block user'),
+  })
+
+  if (isLoading) {
+    return <div className="p-8 text-center text-sm text-gray-500">Loading conversation...</div>
+  }
+
+  if (error || !data) {
+    return <div className="p-8 text-center text-sm text-gray-500">Conversation not found.</div>
+  }
+
+  const handleSubmit = (e) => {
+    e.preventDefault()
+    if (!draft.trim()) return
+    replyMutation.mutate(draft.trim())
+  }
+
+  const lastMine = [...data.messages].reverse().find(m => m.is_mine)
+
+  return (
+    <div className="flex flex-col h-full">
+      <div className="flex items-center justify-between p-4 border-b border-gray-200">
+        <div className="flex items-center space-x-3">
+          <Avatar user={data.other_user} size="h-8 w-8" />
+          <div>
+            <Link to={`/u/${data.other_user?.handle}`} className="text-sm font-medium text-gray-900 hover:underline">
+              {data.other_user?.display_name || data.other_user?.handle || 'Unknown user'}
+            </Link>
+            {data.conversation?.subject && (
+              <p className="text-xs text-gray-500">{data.conversation.subject}</p>
+            )}
+          </div>
+        </div>
+        <div className="flex items-center space-x-3 text-xs">
+          <button
+            onClick={() => archiveMutation.mutate()}
+            className="text-gray-500 hover:text-gray-700"
+          >
+            Archive
+          </button>
+          {data.other_user && (
+            <button
+              onClick={() => blockMutation.mutate(data.other_user.id)}
+              className="text-red-500 hover:text-red-700"
+            >
+              Block
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="flex-1 overflow-y-auto p-4 space-y-3">
+        {data.messages.map(message => (
+          <div key={message.id} className={clsx('flex', message.is_mine ? 'justify-end' : 'justify-start')}>
+            <div
+              className={clsx(
+                'max-w-[75%] px-3 py-2 rounded-2xl text-sm whitespace-pre-wrap break-words',
+                message.is_mine ? 'bg-blue-600 text-white rounded-br-sm' : 'bg-gray-100 text-gray-900 rounded-bl-sm'
+              )}
+            >
+              {message.body}
+              <div className={clsx('mt-1 text-[10px]', message.is_mine ? 'text-blue-100' : 'text-gray-400')}>
+                {dateAgo(message.created_at)}
+                {message.id === lastMine?.id && (message.read ? ' · Seen' : ' · Sent')}
+              </div>
+            </div>
+          </div>
+        ))}
+        <div ref={bottomRef} />
+      </div>
+
+      <form onSubmit={handleSubmit} className="p-4 border-t border-gray-200 flex items-end space-x-2">
+        <textarea
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter' && !e.shiftKey) handleSubmit(e)
+          }}
+          rows={2}
+          maxLength={1000}
+          placeholder="Write a message..."
+          className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm resize-none focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+        <button
+          type="submit"
+          disabled={replyMutation.isPending || !draft.trim()}
+          className="px-4 py-2 bg-blue-600 text-white text-sm rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          Send
+        </button>
+      </form>
+    </div>
+  )
+}
+
+export default function Messages() {
+  const { user, isInitialized } = useAuth()
+  const { conversationId } = useParams()
+
+  if (!isInitialized) {
+    return (
+      <Container>
+        <div className="py-8 animate-pulse">
+          <div className="h-8 bg-gray-200 rounded w-1/4 mb-6"></div>
+          <div className="h-96 bg-gray-200 rounded-lg"></div>
+        </div>
+      </Container>
+    )
+  }
+
+  if (!user) {
+    return <Navigate to="/signin" replace />
+  }
+
+  return (
+    <Container>
+      <div className="py-8">
+        <h1 className="text-2xl font-bold text-gray-900 mb-6">Messages</h1>
+        <div className="grid grid-cols-1 md:grid-cols-3 bg-white border border-gray-200 rounded-xl overflow-hidden h-[70vh]">
+          <div className={clsx('border-r border-gray-200 overflow-y-auto', conversationId && 'hidden md:block')}>
+            <ConversationList activeId={conversationId} />
+          </div>
+          <div className={clsx('md:col-span-2 h-full', !conversationId && 'hidden md:block')}>
+            {conversationId ? (
+              <ConversationView key={conversationId} conversationId={conversationId} />
+            ) : (
+              <div className="h-full flex items-center justify-center text-sm text-gray-500">
+                Select a conversation
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Container>
+  )
+}
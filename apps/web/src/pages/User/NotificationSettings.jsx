@@ -40,6 +40,9 @@ export default function NotificationSettings() {
         }
     });
 
+    // Quiet hours are read in this zone; the digest worker uses it too
+    const browserTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
     const handleToggle = (key) => {
         if (!prefs) return;
         updateMutation.mutate({ [key]: !prefs[key] });
@@ -213,6 +216,18 @@ export default function NotificationSettings() {
                             />
                         </div>
                     </div>
+                    <p className="text-xs text-gray-500 mt-3">
+                        Times are in {prefs?.timezone || 'the default timezone (US Eastern)'}.
+                        {browserTimezone && prefs?.timezone !== browserTimezone && (
+                            <button
+                                type="button"
+                                onClick={() => updateMutation.mutate({ timezone: browserTimezone })}
+                                className="ml-1 text-violet-600 font-medium hover:underline"
+                            >
+                                Use {browserTimezone}
+                            </button>
+                        )}
+                    </p>
                 </motion.section>
             </div>
         </div>
@@ -0,0 +1,67 @@
+import React from 'react'
+import { useMutation } from '@tanstack/react-query'
+import { Link, useSearchParams } from 'react-router-dom'
+import { MailX, CheckCircle2, AlertCircle } from 'lucide-react'
+import { api, apiErrorBody } from '../../lib/api'
+import { useAuth } from '../../hooks/useAuth'
+
+// Landing page for the unsubscribe link in notification emails. Nothing
+// changes until the button is pressed, so link scanners can't unsubscribe
+// anyone by prefetching the page.
+const Unsubscribe = () => {
+  const { user } = useAuth()
+  const [searchParams] = useSearchParams()
+  const token = searchParams.get('token')
+
+  const unsubscribeMutation = useMutation({
+    mutationFn: () => api.unsubscribeEmail(token)
+  })
+
+  if (!token) {
+    return (
+      <div className="container mx-auto px-4 py-16 max-w-lg text-center">
+        <AlertCircle className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+        <h1 className="text-xl font-semibold text-gray-900 mb-2">This unsubscribe link is incomplete</h1>
+        <p className="text-gray-600">Open the link from the email again, or change your email settings in your account.</p>
+      </div>
+    )
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-16 max-w-lg">
+      <div className="bg-white rounded-lg border p-6 sm:p-8 text-center">
+        {unsubscribeMutation.isSuccess ? (
+          <>
+            <CheckCircle2 className="mx-auto h-12 w-12 text-emerald-500 mb-4" />
+            <h1 className="text-xl font-semibold text-gray-900 mb-2">You are unsubscribed</h1>
+            <p className="text-gray-600">{unsubscribeMutation.data.message}</p>
+          </>
+        ) : (
+          <>
+            <MailX className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+            <h1 className="text-xl font-semibold text-gray-900 mb-2">Unsubscribe from these emails?</h1>
+            <p className="text-gray-600 mb-6">You can turn email notifications back on from your settings at any time.</p>
+            {unsubscribeMutation.isError && (
+              <p className="mb-4 text-sm text-red-600">{apiErrorBody(unsubscribeMutation.error).message}</p>
+            )}
+            <button
+              onClick={() => unsubscribeMutation.mutate()}
+              disabled={unsubscribeMutation.isPending}
+              className="bg-primary-600 text-white px-6 py-2 rounded-lg hover:bg-primary-700 transition-colors disabled:opacity-50"
+            >
+              {unsubscribeMutation.isPending ? 'Unsubscribing...' : 'Unsubscribe'}
+            </button>
+          </>
+        )}
+
+        {user && (
+          <p className="mt-6 text-sm text-gray-500">
+            Manage everything in your <Link to="/notification-settings" className="text-primary-600 font-medium">notification settings</Link>.
+          </p>
+        )}
+      </div>
+    </div>
+  )
+}
+
+export default Unsubscribe
@@ -37,6 +37,12 @@ const ResetPassword = React.lazy(() => import('./pages/Auth/ResetPassword'))
 const AuthCallback = React.lazy(() => import('./pages/Auth/AuthCallback'))
 const SavedSearches = React.lazy(() => import('./pages/User/SavedSearches'))
 const SavedItems = React.lazy(() => import('./pages/User/SavedItems'))
+const ClaimedDeals = React.lazy(() => import('./pages/User/ClaimedDeals'))
+const MerchantRedemptions = React.lazy(() => import('./pages/Merchant/Redemptions'))
+const MerchantPortal = React.lazy(() => import('./pages/Merchant/Portal'))
+const ClaimBusiness = React.lazy(() => import('./pages/Merchant/ClaimBusiness'))
+const RestaurantMap = React.lazy(() => import('./pages/RestaurantMap'))
+const Unsubscribe = React.lazy(() => import('./pages/User/Unsubscribe'))
 const PersonalizedDashboard = React.lazy(() => import('./components/Personalization/PersonalizedDashboard'))
 const UserPreferences = React.lazy(() => import('./components/Personalization/UserPreferences'))
 const Achievements = React.lazy(() => import('./pages/User/Achievements'))
@@ -49,6 +55,7 @@ const LandingPage = React.lazy(() => import('./pages/Landing/LandingPage'))
 const ReferralDashboard = React.lazy(() => import('./components/Referral/ReferralDashboard'))
 // const AnalyticsDashboard = React.lazy(() => import('./components/Analytics/AnalyticsDashboard')) // Removed
 const NotificationSettings = React.lazy(() => import('./pages/User/NotificationSettings'))
+const Messages = React.lazy(() => import('./pages/User/Messages'))
 
 const PageLoader = () => (
   <div className="container mx-auto px-4 py-8">
@@ -186,6 +193,14 @@ export const router = createBrowserRouter([
           </Suspense>
         ),
       },
+      {
+        path: 'map',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <RestaurantMap />
+          </Suspense>
+        ),
+      },
       {
         path: 'saved-searches',
         element: (
@@ -202,6 +217,46 @@ export const router = createBrowserRouter([
           </Suspense>
         ),
       },
+      {
+        path: 'claimed',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <ClaimedDeals />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'merchant',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <MerchantPortal />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'merchant/claim',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <ClaimBusiness />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'merchant/redemptions',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <MerchantRedemptions />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'unsubscribe',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <Unsubscribe />
+          </Suspense>
+        ),
+      },
       {
         path: 'dashboard',
         element: (
@@ -234,6 +289,22 @@ export const router = createBrowserRouter([
           </Suspense>
         ),
       },
+      {
+        path: 'messages',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <Messages />
+          </Suspense>
+        ),
+      },
+      {
+        path: 'messages/:conversationId',
+        element: (
+          <Suspense fallback={<PageLoader />}>
+            <Messages />
+          </Suspense>
+        ),
+      },
       {
         path: 'u/:handle',
         element: (
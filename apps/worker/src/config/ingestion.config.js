@@ -34,6 +34,22 @@ export const CONFIG = {
         }
     },
 
+    // =====================================================
+    // SHARED STATE
+    // =====================================================
+    sharedState: {
+        // 'redis' shares circuit breakers, rate limits and daily caps between
+        // worker replicas over the queue's Redis connection, falling back to
+        // process memory while Redis is unreachable. 'memory' never shares
+        // (single-process dev only).
+        backend: process.env.SHARED_STATE_BACKEND || 'redis',
+
+        keyPrefix: process.env.SHARED_STATE_PREFIX || 'savebucks:ingestion',
+
+        // Idle circuit breaker state is dropped after this long
+        circuitTtl: 24 * 60 * 60 * 1000 // 1 day
+    },
+
     // =====================================================
     // RATE LIMITING
     // =====================================================
@@ -135,6 +151,22 @@ export const CONFIG = {
         maxCandidates: 100
     },
 
+    // =====================================================
+    // MERCHANT PAGE METADATA SETTINGS
+    // =====================================================
+    pageMetadata: {
+        // Read price, stock and product ids from the merchant page on ingestion
+        enabled: process.env.PAGE_METADATA_ENABLED !== 'false',
+
+        // A claimed price this close to the page price counts as verified
+        // (whichever of the two is larger)
+        priceTolerancePercent: 2,
+        priceToleranceAmount: 0.5,
+
+        // Quality score lost when the page shows a higher price than claimed
+        mismatchPenalty: 0.2
+    },
+
     // =====================================================
     // EXPIRY SETTINGS
     // =====================================================
@@ -152,6 +184,80 @@ export const CONFIG = {
         batchSize: 500
     },
 
+    // =====================================================
+    // RECOMMENDATION SETTINGS
+    // =====================================================
+    recommendations: {
+        // Schedule: Every 30 minutes
+        schedule: process.env.RECOMMENDATIONS_SCHEDULE || '*/30 * * * *',
+
+        // Most recent approved deals considered as candidates
+        poolSize: 2000,
+
+        // Users with any activity in this window get a fresh list
+        activeUserDays: 30,
+
+        // Ranked candidates stored per user
+        candidatesPerUser: 200,
+
+        // Deals stored for the trending (guest) list
+        trendingSize: 200
+    },
+
+    // =====================================================
+    // SAVED SEARCH DIGEST SETTINGS
+    // =====================================================
+    digests: {
+        // Schedule: Every hour, so each user gets theirs at sendHour local time
+        schedule: process.env.DIGESTS_SCHEDULE || '5 * * * *',
+
+        // Local hour (0-23) from which a due digest goes out
+        sendHour: 8,
+
+        // Weekly digests go out on this local weekday (0 = Sunday)
+        weeklyDay: 1,
+
+        // For users without a timezone in their notification preferences
+        defaultTimezone: process.env.DEFAULT_TIMEZONE || 'America/New_York',
+
+        // Deals listed in one email; the rest are summarised as a count
+        maxDealsPerDigest: 30,
+
+        // Links in the email
+        siteUrl: process.env.SITE_URL || 'http://localhost:5173'
+    },
+
+    // =====================================================
+    // DEAD LINK / STOCK CHECK SETTINGS
+    // =====================================================
+    linkCheck: {
+        // Schedule: Every 2 hours at minute 20
+        schedule: process.env.LINK_CHECK_SCHEDULE || '20 */2 * * *',
+
+        // Approved deals checked per run, least recently checked first
+        sampleSize: parseInt(process.env.LINK_CHECK_SAMPLE_SIZE) || 200,
+
+        // Healthy deals aren't checked again for this long
+        recheckHours: 24,
+
+        // Flagged deals are re-checked sooner to confirm or clear the flag
+        flaggedRecheckHours: 4,
+
+        // Consecutive checks that must see the same problem before the deal
+        // is expired; below this it is only flagged for admins
+        confirmations: 2,
+
+        // Set LINK_CHECK_AUTO_EXPIRE=false to flag only
+        autoExpire: process.env.LINK_CHECK_AUTO_EXPIRE !== 'false',
+
+        // Pages fetched at once, and per merchant host per minute
+        concurrency: 4,
+        perHostPerMinute: 6,
+
+        // Some stores serve bots a different page; look like a browser
+        userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+    },
+
     // =====================================================
     // LOGGING SETTINGS
     // =====================================================
@@ -187,6 +293,10 @@ export const CONFIG = {
         // Metrics collection interval
         metricsInterval: 60000, // 1 minute
 
+        // How often the ingestion worker re-reads ingestion_sources for
+        // admin changes and "Run now" requests, and reports source status
+        sourceSyncInterval: parseInt(process.env.SOURCE_SYNC_INTERVAL) || 30000,
+
         // Alert thresholds
         alerts: {
             errorRateThreshold: 0.1, // 10% error rate
@@ -0,0 +1,400 @@
+/**
+ * SAVED SEARCH DIGEST BUILDER
+ * Sends the daily and weekly digests for saved searches that don't alert
+ * immediately.
+ *
+ * The API records every match in saved_search_matches and leaves daily and
+ * weekly ones pending. A user's digest is due from sendHour in their timezone
+ * (weekly: on weeklyDay) once enough time has passed since the last one, and
+ * waits while they are in quiet hours. A due digest:
+ * - drops deals that are no longer live or that the user was already sent
+ * - lists each deal once, under the first search it matched
+ * - queues one email (sent by the API's email dispatcher) and an in-app
+ *   summary, then marks the matches notified
+ */
+
+import db from '../../lib/supabase.js'
+import logger from '../../lib/logger.js'
+import CONFIG from '../../config/ingestion.config.js'
+
+const log = logger.child({ component: 'digests' })
+const { sendHour, weeklyDay, defaultTimezone, maxDealsPerDigest, siteUrl } = CONFIG.digests
+
+const HOUR_MS = 60 * 60 * 1000
+// PostgREST caps responses at 1000 rows, and .in() lists travel in the URL
+const PAGE = 1000
+const IN_CHUNK = 200
+
+export const DIGEST_FREQUENCIES = ['daily', 'weekly']
+
+// Shortest time between two digests of a kind. Below the period, so a digest
+// held back by quiet hours doesn't push every later one back too.
+const MIN_GAP_MS = {
+    daily: 20 * HOUR_MS,
+    weekly: 6 * 24 * HOUR_MS
+}
+
+// Column defaults in user_notification_preferences, for users without a row
+const DEFAULT_QUIET_HOURS = { quiet_hours_start: '22:00', quiet_hours_end: '08:00' }
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+
+/**
+ * Read every row of a query, one page at a time
+ */
+async function fetchAll(buildQuery) {
+    const rows = []
+    for (let from = 0; ; from += PAGE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE - 1)
+        if (error) throw error
+        rows.push(...(data || []))
+        if (!data || data.length < PAGE) break
+    }
+    return rows
+}
+
+/**
+ * Read rows whose `column` is in `ids`, chunking the id list
+ */
+async function fetchIn(table, columns, column, ids, refine = q => q) {
+    const rows = []
+    for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        const chunk = ids.slice(i, i + IN_CHUNK)
+        rows.push(...await fetchAll(() => refine(db.supabase.from(table).select(columns).in(column, chunk))))
+    }
+    return rows
+}
+
+async function updateMatches(ids, fields) {
+    for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        const { error } = await db.supabase
+            .from('saved_search_matches')
+            .update(fields)
+            .in('id', ids.slice(i, i + IN_CHUNK))
+        if (error) throw error
+    }
+}
+
+/**
+ * Wall-clock hour, minute and weekday of `date` in `timeZone`
+ * An unknown zone falls back to the default one.
+ */
+export function localTime(date, timeZone) {
+    let parts
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timeZone || defaultTimezone,
+            hourCycle: 'h23',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short'
+        }).formatToParts(date)
+    } catch (error) {
+        if (timeZone && timeZone !== defaultTimezone) return localTime(date, defaultTimezone)
+        throw error
+    }
+
+    const part = type => parts.find(p => p.type === type)?.value
+    return {
+        hour: Number(part('hour')),
+        minute: Number(part('minute')),
+        weekday: WEEKDAYS.indexOf(part('weekday'))
+    }
+}
+
+function toMinutes(time) {
+    if (!time) return null
+    const [hours, minutes] = String(time).split(':').map(Number)
+    return hours * 60 + (minutes || 0)
+}
+
+/**
+ * Whether `local` falls inside the user's quiet hours (which may wrap midnight)
+ */
+export function inQuietHours(local, prefs) {
+    const { quiet_hours_start, quiet_hours_end } = prefs || DEFAULT_QUIET_HOURS
+    const start = toMinutes(quiet_hours_start)
+    const end = toMinutes(quiet_hours_end)
+    if (start === null || end === null || start === end) return false
+
+    const now = local.hour * 60 + local.minute
+    return start < end
+        ? now >= start && now < end
+        : now >= start || now < end
+}
+
+/**
+ * Whether a digest of `frequency` should go out now, quiet hours aside
+ */
+export function isDigestDue(frequency, local, lastSentAt, now = new Date()) {
+    if (local.hour < sendHour) return false
+    if (frequency === 'weekly' && local.weekday !== weeklyDay) return false
+    return !lastSentAt || now - new Date(lastSentAt) >= MIN_GAP_MS[frequency]
+}
+
+function isLive(deal, now) {
+    return Boolean(deal) &&
+        deal.status === 'approved' &&
+        (!deal.expires_at || new Date(deal.expires_at) > now)
+}
+
+function plural(count, noun, nouns = `${noun}s`) {
+    return `${count} ${count === 1 ? noun : nouns}`
+}
+
+/**
+ * Price line for a deal in the email (same format as the immediate alert)
+ */
+function dealPriceText(deal) {
+    const parts = []
+    if (deal.price != null) parts.push(deal.price === 0 ? 'Free' : `$${deal.price}`)
+    if (deal.discount_percentage) parts.push(`${Math.round(deal.discount_percentage)}% off`)
+    return parts.join(' · ')
+}
+
+function link(path) {
+    return `${siteUrl}${path}`
+}
+
+/**
+ * Queue the digest email and return its notification_queue id
+ */
+async function queueDigestEmail(userId, frequency, groups, dealCount) {
+    const listed = []
+    let remaining = maxDealsPerDigest
+    for (const { search, deals } of groups) {
+        if (remaining <= 0) break
+        const shown = deals.slice(0, remaining)
+        remaining -= shown.length
+        listed.push({
+            Name: search.name || 'Saved Search',
+            Deals: shown.map(deal => ({
+                Title: deal.title,
+                URL: link(`/deal/${deal.id}`),
+                PriceText: dealPriceText(deal),
+                Merchant: deal.merchant || null
+            }))
+        })
+    }
+    const more = dealCount - Math.min(dealCount, maxDealsPerDigest)
+
+    const { data, error } = await db.supabase
+        .from('notification_queue')
+        .insert({
+            user_id: userId,
+            notification_type: 'email',
+            priority: 2,
+            title: `${plural(dealCount, 'new deal')} for your saved searches`,
+            message: listed.flatMap(group => group.Deals.map(deal => deal.Title)).join('\n'),
+            action_url: '/saved-searches',
+            template: 'saved-search-digest',
+            template_data: {
+                Frequency: frequency,
+                Heading: `Your ${frequency} saved search digest`,
+                Intro: `${plural(dealCount, 'new deal')} matched ${plural(groups.length, 'saved search', 'saved searches')} ${frequency === 'daily' ? 'since yesterday' : 'this week'}.`,
+                Searches: listed,
+                MoreText: more > 0 ? `Plus ${plural(more, 'more matching deal')} on Savebucks.` : null,
+                ManageURL: link('/saved-searches'),
+                unsubscribe_scope: `saved_search_digest:${frequency}`
+            },
+            status: 'pending'
+        })
+        .select('id')
+        .single()
+
+    if (error) throw error
+    return data.id
+}
+
+async function queueDigestInApp(userId, frequency, searchNames, dealCount) {
+    const names = searchNames.slice(0, 3).map(name => `"${name}"`).join(', ')
+    const { error } = await db.supabase
+        .from('notification_queue')
+        .insert({
+            user_id: userId,
+            notification_type: 'in_app',
+            priority: 1,
+            title: `${frequency === 'daily' ? 'Daily' : 'Weekly'} digest: ${plural(dealCount, 'new deal')}`,
+            message: `New matches for ${names}${searchNames.length > 3 ? ` and ${searchNames.length - 3} more` : ''}`,
+            action_url: '/saved-searches',
+            status: 'pending'
+        })
+
+    if (error) throw error
+}
+
+/**
+ * Build and queue one user's digest from their pending matches
+ * @returns {Promise<{ sent: boolean, deals: number, dropped: number }>}
+ */
+async function sendDigest(userId, frequency, matches, prefs, now) {
+    const dealIds = [...new Set(matches.map(match => match.deal_id))]
+
+    const [deals, notifiedRows] = await Promise.all([
+        fetchIn('deals', 'id, title, price, discount_percentage, merchant, status, expires_at', 'id', dealIds),
+        fetchIn('saved_search_matches', 'deal_id', 'deal_id', dealIds,
+            q => q.eq('user_id', userId).eq('status', 'notified'))
+    ])
+    const dealsById = new Map(deals.map(deal => [deal.id, deal]))
+    const alreadyNotified = new Set(notifiedRows.map(row => row.deal_id))
+
+    const emailOn = prefs?.email_notifications_enabled !== false
+    const inAppOn = prefs?.in_app_notifications_enabled !== false
+
+    const groups = new Map()      // search id -> { search, deals } for the email
+    const emailDeals = new Set()
+    const inAppDeals = new Set()
+    const inAppSearches = new Set()
+    const includedSearches = new Set()
+    const includedIds = []
+    const droppedIds = []
+
+    const ordered = [...matches].sort((a, b) => new Date(a.matched_at) - new Date(b.matched_at))
+
+    for (const match of ordered) {
+        const deal = dealsById.get(match.deal_id)
+        const wantsEmail = emailOn && match.search.email_notifications !== false
+        const wantsInApp = inAppOn && match.search.in_app_notifications !== false
+
+        if (!isLive(deal, now) || alreadyNotified.has(match.deal_id) || (!wantsEmail && !wantsInApp)) {
+            droppedIds.push(match.id)
+            continue
+        }
+
+        includedIds.push(match.id)
+        includedSearches.add(match.search.id)
+
+        if (wantsEmail && !emailDeals.has(deal.id)) {
+            emailDeals.add(deal.id)
+            if (!groups.has(match.search.id)) {
+                groups.set(match.search.id, { search: match.search, deals: [] })
+            }
+            groups.get(match.search.id).deals.push(deal)
+        }
+        if (wantsInApp) {
+            inAppDeals.add(deal.id)
+            inAppSearches.add(match.search.name || 'Saved Search')
+        }
+    }
+
+    if (droppedIds.length) {
+        await updateMatches(droppedIds, { status: 'dropped' })
+    }
+    if (includedIds.length === 0) {
+        return { sent: false, deals: 0, dropped: droppedIds.length }
+    }
+
+    const notificationId = groups.size
+        ? await queueDigestEmail(userId, frequency, [...groups.values()], emailDeals.size)
+        : null
+
+    if (inAppDeals.size) {
+        await queueDigestInApp(userId, frequency, [...inAppSearches], inAppDeals.size)
+    }
+
+    const dealCount = new Set([...emailDeals, ...inAppDeals]).size
+    const { data: digest, error } = await db.supabase
+        .from('saved_search_digests')
+        .insert({
+            user_id: userId,
+            frequency,
+            search_count: includedSearches.size,
+            deal_count: dealCount,
+            notification_id: notificationId
+        })
+        .select('id')
+        .single()
+    if (error) throw error
+
+    await updateMatches(includedIds, {
+        status: 'notified',
+        notified_at: now.toISOString(),
+        digest_id: digest.id
+    })
+
+    return { sent: true, deals: dealCount, dropped: droppedIds.length }
+}
+
+/**
+ * Send every digest that is due
+ */
+export async function runDigests(now = new Date()) {
+    const startTime = Date.now()
+    const results = { users: 0, due: 0, sent: 0, deals: 0, dropped: 0, quiet: 0, errors: 0 }
+
+    const pending = await fetchAll(() => db.supabase
+        .from('saved_search_matches')
+        .select('id, user_id, deal_id, matched_at, search:saved_searches!inner(id, name, alert_frequency, email_notifications, in_app_notifications)')
+        .eq('status', 'pending')
+        .eq('search.alert_enabled', true)
+        .in('search.alert_frequency', DIGEST_FREQUENCIES)
+        .order('id'))
+
+    if (pending.length === 0) {
+        log.info('No pending digest matches')
+        return results
+    }
+
+    // user id -> frequency -> matches
+    const byUser = new Map()
+    for (const match of pending) {
+        if (!byUser.has(match.user_id)) byUser.set(match.user_id, new Map())
+        const byFrequency = byUser.get(match.user_id)
+        const frequency = match.search.alert_frequency
+        if (!byFrequency.has(frequency)) byFrequency.set(frequency, [])
+        byFrequency.get(frequency).push(match)
+    }
+    const userIds = [...byUser.keys()]
+    results.users = userIds.length
+
+    const since = new Date(now.getTime() - 8 * 24 * HOUR_MS).toISOString()
+    const [prefsRows, digestRows] = await Promise.all([
+        fetchIn('user_notification_preferences',
+            'user_id, email_notifications_enabled, in_app_notifications_enabled, new_deal_alerts, quiet_hours_start, quiet_hours_end, timezone',
+            'user_id', userIds),
+        fetchIn('saved_search_digests', 'user_id, frequency, created_at', 'user_id', userIds,
+            q => q.gte('created_at', since))
+    ])
+    const prefsByUser = new Map(prefsRows.map(row => [row.user_id, row]))
+    const lastDigest = new Map()
+    for (const row of digestRows) {
+        const key = `${row.user_id}:${row.frequency}`
+        if (!lastDigest.has(key) || row.created_at > lastDigest.get(key)) lastDigest.set(key, row.created_at)
+    }
+
+    for (const [userId, byFrequency] of byUser) {
+        const prefs = prefsByUser.get(userId) || null
+        const local = localTime(now, prefs?.timezone)
+
+        for (const [frequency, matches] of byFrequency) {
+            try {
+                if (prefs && prefs.new_deal_alerts === false) {
+                    await updateMatches(matches.map(match => match.id), { status: 'dropped' })
+                    results.dropped += matches.length
+                    continue
+                }
+
+                if (!isDigestDue(frequency, local, lastDigest.get(`${userId}:${frequency}`), now)) continue
+                results.due++
+
+                if (inQuietHours(local, prefs)) {
+                    results.quiet++
+                    continue
+                }
+
+                const outcome = await sendDigest(userId, frequency, matches, prefs, now)
+                if (outcome.sent) results.sent++
+                results.deals += outcome.deals
+                results.dropped += outcome.dropped
+            } catch (error) {
+                results.errors++
+                log.error('Digest failed', { userId, frequency, error: error.message })
+            }
+        }
+    }
+
+    log.info('Digest run complete', { ...results, durationMs: Date.now() - startTime })
+    return results
+}
+
+export default { runDigests }
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * SAVED SEARCH DIGEST WORKER
+ * Sends daily and weekly saved search digests on a schedule
+ */
+
+import dotenv from 'dotenv'
+import { Worker } from 'bullmq'
+import logger from '../../lib/logger.js'
+import { connection, queues, gracefulShutdown } from '../../lib/queue.js'
+import { startHealthServer, updateMetrics } from '../../lib/healthCheck.js'
+import CONFIG from '../../config/ingestion.config.js'
+import { runDigests } from './digestBuilder.js'
+
+dotenv.config()
+
+const log = logger.child({ component: 'digests' })
+
+/**
+ * Process digest job
+ */
+async function processDigestJob(job) {
+    log.info('Processing digest job', { jobId: job.id })
+
+    const results = await runDigests()
+    updateMetrics({
+        lastDigestRun: new Date().toISOString(),
+        digestResults: results
+    })
+    return results
+}
+
+/**
+ * Setup scheduled digest runs
+ */
+async function setupDigestScheduler() {
+    const existingJobs = await queues.digests.getRepeatableJobs()
+    for (const job of existingJobs) {
+        if (job.name === 'scheduled-digests') {
+            await queues.digests.removeRepeatableByKey(job.key)
+        }
+    }
+
+    await queues.digests.add(
+        'scheduled-digests',
+        {},
+        {
+            repeat: { pattern: CONFIG.digests.schedule },
+            jobId: 'scheduled-digests'
+        }
+    )
+
+    log.info('Digests scheduled', { schedule: CONFIG.digests.schedule })
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    console.log('\n📬 Starting Digest Worker\n')
+    console.log('='.repeat(50))
+
+    try {
+        log.info('Connecting to Redis...')
+        await connection.ping()
+        log.info('Redis connected')
+
+        startHealthServer(process.env.DIGESTS_HEALTH_PORT || 3005)
+
+        const worker = new Worker(
+            'digests',
+            processDigestJob,
+            {
+                connection,
+                concurrency: 1 // Two runs at once could send the same digest twice
+            }
+        )
+
+        worker.on('completed', (job, result) => {
+            log.info('Digest job completed', { jobId: job.id, result })
+        })
+
+        worker.on('failed', (job, err) => {
+            log.error('Digest job failed', { jobId: job?.id, error: err.message })
+        })
+
+        await setupDigestScheduler()
+
+        console.log('\n' + '='.repeat(50))
+        console.log('✅ Digest worker ready!')
+        console.log(`📊 Health: http://localhost:${process.env.DIGESTS_HEALTH_PORT || 3005}/health`)
+        console.log(`⏰ Schedule: ${CONFIG.digests.schedule} (sent from ${CONFIG.digests.sendHour}:00 local time)`)
+        console.log('='.repeat(50) + '\n')
+
+        process.on('SIGTERM', () => gracefulShutdown('SIGTERM'))
+        process.on('SIGINT', () => gracefulShutdown('SIGINT'))
+
+    } catch (error) {
+        log.error('Failed to start digest worker', { error: error.message }, error)
+        console.error('\n❌ Fatal error:', error.message)
+        process.exit(1)
+    }
+}
+
+main().catch(console.error)
+
+export { setupDigestScheduler }
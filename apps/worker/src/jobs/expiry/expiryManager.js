@@ -30,6 +30,7 @@ export async function checkExpiredDeals() {
             .from('deals')
             .update({
                 status: 'expired',
+                expired_reason: 'The deal end date has passed',
                 updated_at: now
             })
             .lt('expires_at', now)
@@ -28,6 +28,7 @@ async function markExpiredDeals() {
             .from('deals')
             .update({
                 status: 'expired',
+                expired_reason: 'The deal end date has passed',
                 updated_at: now
             })
             .lt('expires_at', now)
@@ -0,0 +1,96 @@
+#!/usr/bin/env node
+/**
+ * CHECK RECORDED API FIXTURES
+ * Replays each recorded affiliate network response in fixtures/ through its
+ * fetcher and the deal or coupon normalizer, and fails if a fixture no longer
+ * maps to the expected, valid items. Run it after changing a fetcher's mapping
+ * or re-recording a response.
+ *
+ * Usage: node src/jobs/ingestion/checkFixtures.js
+ */
+
+import { fileURLToPath } from 'url'
+import { loadFixture } from './dryRun.js'
+import { isCouponSource } from './fetchSource.js'
+import { registrySources } from './sources/sourceStore.js'
+import { normalizeDeal, validateDeal } from './processors/dealProcessor.js'
+import { normalizeCoupon, validateCoupon } from './processors/couponProcessor.js'
+
+// Fixture, the registry source it replays as, and what it should map to.
+// Each product response has items the fetcher drops (not on sale, under the
+// minimum discount or missing a price); `items` counts only the rest.
+const FIXTURES = [
+    { file: 'cj-products.json', source: 'cj_affiliate', items: 2, first: 'cj_5535819_40918237552' },
+    { file: 'cj-link-search.xml', source: 'cj_coupons', items: 3, first: 'cj_15512087' },
+    { file: 'amazon-search-items.json', source: 'amazon_pa', items: 2, first: 'B0BSHF7WHW' },
+    { file: 'impact-catalog-items.json', source: 'impact', items: 2, first: 'impact_6012_IF1477' },
+    { file: 'impact-ads.json', source: 'impact_coupons', items: 3, first: 'impact_1873306' },
+    { file: 'shareasale-products.xml', source: 'shareasale', items: 2, first: 'shareasale_47283_1284473901' },
+    { file: 'shareasale-coupon-deals.xml', source: 'shareasale_coupons', items: 2, first: 'shareasale_2196204' }
+]
+
+/**
+ * Replay one fixture; returns the problems found
+ */
+async function checkFixture(fixture, sources) {
+    const source = sources.find(candidate => candidate.key === fixture.source)
+    if (!source) return [`unknown source ${fixture.source}`]
+
+    const file = fileURLToPath(new URL(`./fixtures/${fixture.file}`, import.meta.url))
+    const rawItems = await loadFixture(file, fixture.source, source)
+    const coupons = isCouponSource(fixture.source, source)
+    const problems = []
+
+    if (rawItems.length !== fixture.items) {
+        problems.push(`mapped ${rawItems.length} items, expected ${fixture.items}`)
+    }
+    if (rawItems[0]?.external_id !== fixture.first) {
+        problems.push(`first item is ${rawItems[0]?.external_id}, expected ${fixture.first}`)
+    }
+
+    for (const rawItem of rawItems) {
+        const { valid, errors } = coupons
+            ? validateCoupon(normalizeCoupon(rawItem, fixture.source))
+            : validateDeal(normalizeDeal(rawItem, fixture.source))
+
+        if (!valid) {
+            problems.push(`${rawItem.external_id} is invalid: ${errors.join(', ')}`)
+        }
+        if (!rawItem.url) {
+            problems.push(`${rawItem.external_id} has no url`)
+        }
+    }
+
+    return problems
+}
+
+async function main() {
+    const sources = registrySources()
+    let failed = 0
+
+    for (const fixture of FIXTURES) {
+        const problems = await checkFixture(fixture, sources)
+            .catch(error => [error.message])
+
+        if (problems.length === 0) {
+            console.log(`ok    ${fixture.file} (${fixture.source})`)
+            continue
+        }
+
+        failed++
+        console.log(`FAIL  ${fixture.file} (${fixture.source})`)
+        for (const problem of problems) {
+            console.log(`      ${problem}`)
+        }
+    }
+
+    console.log(`\n${FIXTURES.length - failed}/${FIXTURES.length} fixtures ok`)
+    return failed === 0
+}
+
+main()
+    .then(ok => process.exit(ok ? 0 : 1))
+    .catch(error => {
+        console.error(error.message)
+        process.exit(1)
+    })
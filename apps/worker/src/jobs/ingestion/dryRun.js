@@ -0,0 +1,455 @@
+#!/usr/bin/env node
+/**
+ * INGESTION DRY RUN
+ * Runs a source - live, or replayed from a saved feed - through the deal or
+ * coupon pipeline and reports what a real run would create, update, skip or
+ * reject, and why. Nothing is written to Supabase: duplicates are checked
+ * against an exported deals snapshot plus the items seen earlier in the run,
+ * or read-only against the deals table with --compare-db.
+ *
+ * Usage: node src/jobs/ingestion/dryRun.js <source> [options]
+ *   --fixture <file>          Replay a saved feed instead of fetching: a JSON
+ *                             array of raw items (see --save-items), an
+ *                             RSS/HTML/JSON body for rss/scraper/json sources,
+ *                             or a recorded API response for api sources
+ *                             (see fixtures/)
+ *   --source-file <file>      JSON source definition, merged over the
+ *                             registry's (try a new config before saving it)
+ *   --existing <file>         JSON array of deals rows to dedupe against
+ *   --compare-db              Read sources, companies and deals from Supabase
+ *   --enrich                  Resolve merchant URLs and read product pages
+ *   --title-threshold <n>     Same-store title similarity (default from config)
+ *   --global-threshold <n>    Any-store title similarity (default 0.90)
+ *   --price-threshold <n>     Price variance still treated as the same deal
+ *   --limit <n>               Only run the first n items
+ *   --save-items <file>       Write the fetched raw items for later replay
+ *   --out <file>              Write the full report as JSON
+ */
+
+import { readFile, writeFile } from 'fs/promises'
+import { parseArgs } from 'util'
+import { pathToFileURL } from 'url'
+import logger from '../../lib/logger.js'
+import db from '../../lib/supabase.js'
+import CONFIG from '../../config/ingestion.config.js'
+import { checkDailyCap } from '../../lib/dailyCapTracker.js'
+import { GLOBAL_TITLE_THRESHOLD, databaseCandidates, createMemoryCandidates, deduplicateDeal, loadExistingDeal, planDealUpdate } from '../../lib/deduper.js'
+import { normalizeDeal, validateDeal, resolveDealPage, shouldAutoApprove } from './processors/dealProcessor.js'
+import { normalizeCoupon, validateCoupon } from './processors/couponProcessor.js'
+import { loadSources, registrySources, resolveConfig } from './sources/sourceStore.js'
+import { fetchSource, isCouponSource, loadFetcher } from './fetchSource.js'
+import { parseRSSDeals } from './fetchers/rssFetcher.js'
+import { extractPage, pageUrl } from './fetchers/webScraper.js'
+
+const log = logger.child({ component: 'dryRun' })
+
+const ACTIONS = ['created', 'updated', 'skipped', 'rejected', 'error']
+
+/**
+ * Merge candidate lookups: the first hit wins for single lookups, lists are
+ * concatenated. Lets --compare-db still see deals "created" earlier in the run.
+ */
+function combineCandidates(...lookups) {
+    const first = (method) => async (...args) => {
+        for (const lookup of lookups) {
+            const found = await lookup[method](...args)
+            if (found) return found
+        }
+        return null
+    }
+    const all = (method) => async (...args) =>
+        (await Promise.all(lookups.map(lookup => lookup[method](...args)))).flat()
+
+    return {
+        byUrl: first('byUrl'),
+        byExternalId: first('byExternalId'),
+        recent: all('recent'),
+        sameCompany: all('sameCompany'),
+        titleSearch: all('titleSearch')
+    }
+}
+
+/**
+ * Turn a fixture file into raw items for a source
+ */
+export async function loadFixture(file, sourceKey, source) {
+    const text = await readFile(file, 'utf8')
+
+    let json
+    try {
+        json = JSON.parse(text)
+    } catch {
+        json = undefined
+    }
+
+    // Items saved with --save-items, or written by hand
+    if (Array.isArray(json)) return json
+
+    const config = resolveConfig(source.config, sourceKey)
+    const url = pageUrl([].concat(config.urls || config.url)[0] || '', config.pagination, 0)
+
+    switch (source.type) {
+        case 'rss':
+            return parseRSSDeals(sourceKey, text)
+
+        case 'scraper':
+            return extractPage('scraper', text, url, config).items.map(item => ({ ...item, source: sourceKey }))
+
+        case 'json':
+            if (json === undefined) throw new Error(`${file} is not JSON`)
+            return extractPage('json', json, url, config).items.map(item => ({ ...item, source: sourceKey }))
+
+        case 'api': {
+            const fetcher = await loadFetcher(source.fetcher)
+            if (!fetcher?.replayResponse) {
+                throw new Error(`${source.fetcher} can't replay API responses; use a JSON array of items (record one with --save-items)`)
+            }
+            return fetcher.replayResponse(sourceKey, config, text)
+        }
+
+        default:
+            throw new Error(`${source.type} fixtures must be a JSON array of items (record one with --save-items)`)
+    }
+}
+
+function summarizeDeal(deal) {
+    return {
+        title: deal.title?.substring(0, 100) || null,
+        url: deal.url || null,
+        price: deal.price ?? null,
+        list_price: deal.list_price ?? null,
+        merchant: deal.merchant || null
+    }
+}
+
+/**
+ * What processDeal would do with each raw deal
+ * Options: { candidates, loadExisting, thresholds, enrich, compareDb }
+ */
+export async function dryRunDeals(rawDeals, sourceKey, options = {}) {
+    const memory = createMemoryCandidates()
+    const candidates = options.candidates ? combineCandidates(options.candidates, memory) : memory
+    const existingById = new Map()
+    const { remaining } = await checkDailyCap(sourceKey)
+    const items = []
+    let created = 0
+
+    const loadExisting = async (id) => existingById.get(id) ||
+        (options.loadExisting ? await options.loadExisting(id) : null) || {}
+
+    for (const rawDeal of rawDeals) {
+        const normalized = normalizeDeal(rawDeal, sourceKey)
+        const validation = validateDeal(normalized)
+        const deal = validation.deal
+        const item = { ...summarizeDeal(deal), warnings: validation.warnings }
+
+        try {
+            if (!validation.valid) {
+                items.push({ ...item, action: 'rejected', reason: 'validation_failed', errors: validation.errors })
+                continue
+            }
+
+            if (created >= remaining) {
+                items.push({ ...item, action: 'skipped', reason: 'daily_cap_reached' })
+                continue
+            }
+
+            if (options.compareDb && deal.merchant) {
+                const company = await db.findCompany(deal.merchant)
+                if (company) deal.company_id = company.id
+            }
+
+            if (options.enrich) {
+                await resolveDealPage(deal)
+                Object.assign(item, summarizeDeal(deal))
+                if (deal.price_check) item.price_check = deal.price_check
+            }
+
+            const dedup = await deduplicateDeal(deal, { candidates, ...options.thresholds })
+
+            if (dedup.isDuplicate) {
+                const { updates, priceChanged } = planDealUpdate(deal, await loadExisting(dedup.existingId))
+                items.push({
+                    ...item,
+                    action: 'updated',
+                    reason: dedup.method,
+                    existingId: dedup.existingId,
+                    confidence: Number(dedup.confidence.toFixed(3)),
+                    matchedTitle: dedup.details.existingTitle || null,
+                    // Empty: only the verification count would change
+                    fields: Object.keys(updates).filter(field => field !== 'last_price_check'),
+                    priceChanged
+                })
+                continue
+            }
+
+            const status = shouldAutoApprove(deal, sourceKey) ? 'approved' : 'pending'
+            created++
+
+            // Later items in the run should see this one, as they would after an insert
+            const id = `dry-run-${created}`
+            const row = {
+                ...deal,
+                id,
+                original_price: deal.list_price,
+                status,
+                created_at: new Date().toISOString()
+            }
+            memory.add(row)
+            existingById.set(id, row)
+
+            items.push({ ...item, action: 'created', status, quality_score: deal.quality_score })
+        } catch (error) {
+            items.push({ ...item, action: 'error', reason: error.message })
+        }
+    }
+
+    return items
+}
+
+/**
+ * What processCoupon would do with each raw coupon
+ * Options: { compareDb }
+ */
+export async function dryRunCoupons(rawCoupons, sourceKey, options = {}) {
+    const seen = new Set()
+    const items = []
+
+    for (const rawCoupon of rawCoupons) {
+        const validation = validateCoupon(normalizeCoupon(rawCoupon, sourceKey))
+        const coupon = validation.coupon
+        const item = {
+            title: coupon.title?.substring(0, 100) || null,
+            coupon_code: coupon.coupon_code,
+            merchant: coupon.merchant,
+            warnings: validation.warnings
+        }
+
+        try {
+            if (!validation.valid) {
+                items.push({ ...item, action: 'rejected', reason: 'validation_failed', errors: validation.errors })
+                continue
+            }
+
+            // couponExistsByCode matches on code, or on title for codeless offers
+            const key = coupon.coupon_code ? `code:${coupon.coupon_code}` : `title:${coupon.title}`
+            const existing = seen.has(key)
+                ? { id: null }
+                : options.compareDb && await db.couponExistsByCode(sourceKey, coupon.coupon_code, coupon.title)
+
+            if (existing) {
+                items.push({ ...item, action: 'skipped', reason: 'duplicate', existingId: existing.id })
+                continue
+            }
+
+            seen.add(key)
+            items.push({ ...item, action: 'created', status: 'pending' })
+        } catch (error) {
+            items.push({ ...item, action: 'error', reason: error.message })
+        }
+    }
+
+    return items
+}
+
+/**
+ * Counts per action, and per reason within each action
+ */
+export function summarize(items) {
+    const totals = Object.fromEntries(ACTIONS.map(action => [action, 0]))
+    const reasons = {}
+
+    for (const item of items) {
+        totals[item.action]++
+        const reasonList = item.errors || [item.reason || item.status]
+        for (const reason of reasonList) {
+            const key = `${item.action}: ${reason}`
+            reasons[key] = (reasons[key] || 0) + 1
+        }
+    }
+
+    return { totals, reasons }
+}
+
+/**
+ * Find a source without writing anything - the table with --compare-db,
+ * otherwise registry.js - and apply a --source-file override
+ */
+async function resolveSource(sourceKey, { compareDb, override }) {
+    const { sources } = compareDb ? await loadSources() : { sources: registrySources() }
+    const base = sources.find(source => source.key === sourceKey)
+
+    if (!base && !override) {
+        throw new Error(`Unknown source: ${sourceKey}`)
+    }
+
+    return { key: sourceKey, ...base, ...override }
+}
+
+/**
+ * Run a source through the pipeline and build the report
+ */
+export async function runDryRun(sourceKey, options = {}) {
+    const source = await resolveSource(sourceKey, options)
+    const thresholds = options.thresholds || {}
+    const entity = isCouponSource(sourceKey, source) ? 'coupon' : 'deal'
+
+    let rawItems = options.fixture
+        ? await loadFixture(options.fixture, sourceKey, source)
+        : await fetchSource(sourceKey, source)
+
+    log.info('Dry run items loaded', {
+        source: sourceKey,
+        from: options.fixture || 'live fetch',
+        count: rawItems.length
+    })
+
+    if (options.saveItems) {
+        await writeFile(options.saveItems, JSON.stringify(rawItems, null, 2))
+    }
+
+    if (options.limit) {
+        rawItems = rawItems.slice(0, options.limit)
+    }
+
+    let items
+    if (entity === 'coupon') {
+        items = await dryRunCoupons(rawItems, sourceKey, options)
+    } else {
+        const snapshot = options.existing ? createMemoryCandidates(options.existing) : null
+        const snapshotById = new Map((options.existing || []).map(deal => [deal.id, deal]))
+        const lookups = [options.compareDb && databaseCandidates, snapshot].filter(Boolean)
+
+        items = await dryRunDeals(rawItems, sourceKey, {
+            ...options,
+            candidates: lookups.length > 0 ? combineCandidates(...lookups) : null,
+            loadExisting: async (id) => snapshotById.get(id) ||
+                (options.compareDb ? await loadExistingDeal(id) : null)
+        })
+    }
+
+    return {
+        source: sourceKey,
+        entity,
+        from: options.fixture || 'live',
+        dedupeAgainst: [options.compareDb && 'database', options.existing && 'snapshot', 'run'].filter(Boolean),
+        thresholds: {
+            title: thresholds.titleThreshold ?? CONFIG.deduplication.titleSimilarityThreshold,
+            global: thresholds.globalTitleThreshold ?? GLOBAL_TITLE_THRESHOLD,
+            price: thresholds.priceThreshold ?? CONFIG.deduplication.priceVarianceThreshold
+        },
+        ...summarize(items),
+        items
+    }
+}
+
+/**
+ * Plain-text report for the terminal
+ */
+export function formatReport(report) {
+    const lines = [
+        `Dry run: ${report.source} (${report.entity}s from ${report.from})`,
+        `Dedupe against: ${report.dedupeAgainst.join(', ')} | thresholds: title ${report.thresholds.title}, global ${report.thresholds.global}, price ${report.thresholds.price}`,
+        '',
+        ACTIONS.map(action => `${action}: ${report.totals[action]}`).join('  '),
+        ''
+    ]
+
+    for (const [reason, count] of Object.entries(report.reasons).sort((a, b) => b[1] - a[1])) {
+        lines.push(`  ${String(count).padStart(4)}  ${reason}`)
+    }
+    lines.push('')
+
+    for (const item of report.items) {
+        let detail = item.errors?.join('; ') || item.reason || item.status || ''
+        if (item.action === 'updated') {
+            detail += ` ${item.confidence} -> #${item.existingId} "${item.matchedTitle?.substring(0, 50) || ''}"`
+            detail += item.fields.length > 0 ? ` [${item.fields.join(', ')}]` : ' [re-verified only]'
+        }
+        lines.push(`${item.action.padEnd(8)} ${(item.title || '(no title)').substring(0, 70)} - ${detail}`)
+    }
+
+    return lines.join('\n')
+}
+
+function parseThreshold(value, name) {
+    if (value === undefined) return undefined
+    const number = Number(value)
+    if (!Number.isFinite(number) || number < 0 || number > 1) {
+        throw new Error(`--${name} must be between 0 and 1`)
+    }
+    return number
+}
+
+async function readJson(file) {
+    return file ? JSON.parse(await readFile(file, 'utf8')) : undefined
+}
+
+async function main() {
+    // Error logs are written to ingestion_errors by default
+    CONFIG.logging.logToDatabase = false
+
+    const { values, positionals } = parseArgs({
+        allowPositionals: true,
+        options: {
+            'fixture': { type: 'string' },
+            'source-file': { type: 'string' },
+            'existing': { type: 'string' },
+            'compare-db': { type: 'boolean', default: false },
+            'enrich': { type: 'boolean', default: false },
+            'title-threshold': { type: 'string' },
+            'global-threshold': { type: 'string' },
+            'price-threshold': { type: 'string' },
+            'limit': { type: 'string' },
+            'save-items': { type: 'string' },
+            'out': { type: 'string' }
+        }
+    })
+
+    const [sourceKey] = positionals
+    if (!sourceKey) {
+        throw new Error('Usage: dryRun.js <source> [--fixture file] [--existing deals.json] [--compare-db] ...')
+    }
+
+    const thresholds = Object.fromEntries(Object.entries({
+        titleThreshold: parseThreshold(values['title-threshold'], 'title-threshold'),
+        globalTitleThreshold: parseThreshold(values['global-threshold'], 'global-threshold'),
+        priceThreshold: parseThreshold(values['price-threshold'], 'price-threshold')
+    }).filter(([, value]) => value !== undefined))
+
+    const report = await runDryRun(sourceKey, {
+        fixture: values.fixture,
+        override: await readJson(values['source-file']),
+        existing: await readJson(values.existing),
+        compareDb: values['compare-db'],
+        enrich: values.enrich,
+        thresholds,
+        limit: values.limit ? parseInt(values.limit) : null,
+        saveItems: values['save-items']
+    })
+
+    if (values.out) {
+        await writeFile(values.out, JSON.stringify(report, null, 2))
+    }
+
+    console.log(`\n${formatReport(report)}\n`)
+}
+
+// Run as a script; importing the module only exposes the helpers
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    main()
+        .then(() => process.exit(0))
+        .catch(error => {
+            console.error(error.message)
+            process.exit(1)
+        })
+}
+
+export default {
+    loadFixture,
+    dryRunDeals,
+    dryRunCoupons,
+    runDryRun,
+    summarize,
+    formatReport
+}
@@ -0,0 +1,86 @@
+/**
+ * SOURCE FETCHING
+ * Turns a source definition into raw items with the right fetcher. Shared by
+ * the ingestion worker and dry runs, so the circuit breaker is left to the
+ * caller.
+ */
+
+import logger from '../../lib/logger.js'
+import { getRateLimiter } from '../../lib/rateLimiter.js'
+import { resolveConfig } from './sources/sourceStore.js'
+import fetchRSSDeals from './fetchers/rssFetcher.js'
+import fetchScrapedDeals from './fetchers/webScraper.js'
+
+const log = logger.child({ component: 'fetchSource' })
+
+// Fetcher names come from ingestion_sources, so only plain module names are
+// imported
+const FETCHER_PATTERN = /^\.\/[A-Za-z0-9_]+\.js$/
+
+/**
+ * Load an API fetcher module from ./fetchers, or null if it doesn't exist
+ * Errors inside a fetcher that does exist are real failures and propagate.
+ */
+export async function loadFetcher(fetcherFile) {
+    if (!FETCHER_PATTERN.test(fetcherFile || '')) {
+        throw new Error(`Invalid fetcher: ${fetcherFile}`)
+    }
+    const fetcherPath = fetcherFile.replace('./', './fetchers/')
+    try {
+        return await import(fetcherPath)
+    } catch (err) {
+        if (err.code === 'ERR_MODULE_NOT_FOUND' && err.message.includes(fetcherPath.slice(2))) {
+            return null
+        }
+        throw err
+    }
+}
+
+/**
+ * Whether a source's items go to the coupon processor
+ * An explicit entity wins, otherwise it's decided from the source name.
+ */
+export function isCouponSource(sourceKey, source) {
+    return source.entity === 'coupon' || (!source.entity && sourceKey.includes('coupon'))
+}
+
+/**
+ * Fetch a source's raw items
+ */
+export async function fetchSource(sourceKey, source) {
+    const config = resolveConfig(source.config, sourceKey)
+
+    // RSS sources make one request per run. The others page through
+    // results, so create their limiter with the source's quota before
+    // the first request uses it.
+    if (source.type !== 'rss' && source.rateLimit) {
+        getRateLimiter(sourceKey, source.rateLimit)
+    }
+
+    switch (source.type) {
+        case 'rss':
+            return fetchRSSDeals(sourceKey, config)
+
+        case 'api': {
+            const fetcher = (await loadFetcher(source.fetcher))?.default
+            if (!fetcher) {
+                log.warn('API fetcher not implemented', { source: sourceKey, fetcher: source.fetcher })
+                return []
+            }
+            return fetcher(sourceKey, config)
+        }
+
+        case 'scraper':
+        case 'json':
+            return fetchScrapedDeals(sourceKey, source.type, config)
+
+        default:
+            throw new Error(`Unknown source type: ${source.type}`)
+    }
+}
+
+export default {
+    fetchSource,
+    loadFetcher,
+    isCouponSource
+}
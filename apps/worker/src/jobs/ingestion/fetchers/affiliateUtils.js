@@ -0,0 +1,92 @@
+/**
+ * AFFILIATE FETCHER HELPERS
+ * Shared by the CJ, Impact, ShareASale and Amazon fetchers: credential
+ * checks, list config values and reading discounts out of offer text.
+ */
+
+import { parseAmount } from '../../../lib/pageMetadata.js'
+
+/**
+ * Throw if any of the named config values is missing
+ * An enabled source without credentials should fail its run, not ingest nothing.
+ */
+export function requireConfig(source, config, keys) {
+    const missing = keys.filter(key => !config?.[key])
+    if (missing.length > 0) {
+        throw new Error(`Missing config for ${source}: ${missing.join(', ')}`)
+    }
+}
+
+/**
+ * Accept a list as an array or a comma-separated string (env vars)
+ */
+export function toList(value) {
+    if (!value) return []
+    const items = Array.isArray(value) ? value : String(value).split(',')
+    return items.map(item => String(item).trim()).filter(Boolean)
+}
+
+/**
+ * Percent off list price, or 0 when there is no usable pair
+ */
+export function discountPercent(price, listPrice) {
+    if (!price || !listPrice || listPrice <= price) return 0
+    return Math.round((1 - price / listPrice) * 100)
+}
+
+/**
+ * Product feeds list the whole catalog - only keep items actually on sale
+ */
+export function isDiscounted(deal, minDiscountPercent = 0) {
+    const percent = discountPercent(deal.price, deal.list_price)
+    return percent > 0 && percent >= minDiscountPercent
+}
+
+/**
+ * Read the coupon type and value out of offer text
+ * "20% off sitewide" -> percentage 20, "$10 off $50+" -> fixed_amount 10,
+ * "Free shipping on all orders" -> free_shipping. A percentage or amount wins
+ * over free shipping when an offer has both.
+ */
+export function parseDiscount(...texts) {
+    const text = texts.filter(Boolean).join(' ')
+
+    const percent = text.match(/(\d{1,2}(?:\.\d+)?)\s*%\s*off/i) || text.match(/save\s+(\d{1,2}(?:\.\d+)?)\s*%/i)
+    if (percent) {
+        return { coupon_type: 'percentage', discount_value: parseFloat(percent[1]) }
+    }
+
+    const amount = text.match(/\$\s?(\d[\d,]*(?:\.\d{1,2})?)\s*off/i) || text.match(/save\s+\$\s?(\d[\d,]*(?:\.\d{1,2})?)/i)
+    if (amount) {
+        return { coupon_type: 'fixed_amount', discount_value: parseAmount(amount[1]) }
+    }
+
+    if (/\bbogo\b|buy\s+one,?\s+get\s+one/i.test(text)) {
+        return { coupon_type: 'bogo', discount_value: null }
+    }
+
+    if (/free\s+(?:standard\s+)?shipping/i.test(text)) {
+        return { coupon_type: 'free_shipping', discount_value: null }
+    }
+
+    return { coupon_type: 'other', discount_value: null }
+}
+
+/**
+ * Minimum spend from offer text: "$10 off orders of $50+" -> 50
+ */
+export function parseMinimumOrder(...texts) {
+    const text = texts.filter(Boolean).join(' ')
+    const match = text.match(/(?:orders?|purchases?|spend|minimum(?:\s+(?:order|purchase))?)\s+(?:of\s+|over\s+|above\s+|at\s+least\s+)?\$\s?(\d[\d,]*(?:\.\d{1,2})?)/i) ||
+        text.match(/\$\s?\d[\d,]*(?:\.\d{1,2})?\s*off\s+(?:\w+\s+)?\$\s?(\d[\d,]*(?:\.\d{1,2})?)\+?/i)
+    return match ? parseAmount(match[1]) : null
+}
+
+export default {
+    requireConfig,
+    toList,
+    discountPercent,
+    isDiscounted,
+    parseDiscount,
+    parseMinimumOrder
+}
@@ -0,0 +1,243 @@
+/**
+ * AMAZON PRODUCT ADVERTISING API (PA-API 5) FETCHER
+ * Runs SearchItems for each configured keyword, asking Amazon for items with
+ * at least minSavingPercent off. Requests are signed with AWS Signature
+ * Version 4; PA-API allows one request per second for new associates, which
+ * the registry rate limit enforces.
+ */
+
+import crypto from 'crypto'
+import httpClient from '../../../lib/httpClient.js'
+import logger from '../../../lib/logger.js'
+import { parseAmount } from '../../../lib/pageMetadata.js'
+import { requireConfig, toList } from './affiliateUtils.js'
+
+const log = logger.child({ component: 'amazonPA' })
+
+const SERVICE = 'ProductAdvertisingAPI'
+const SEARCH_PATH = '/paapi5/searchitems'
+const SEARCH_TARGET = 'com.amazon.paapi5.v1.ProductAdvertisingAPIv1.SearchItems'
+
+// PA-API caps ItemCount at 10 and ItemPage at 10
+const MAX_ITEM_COUNT = 10
+const MAX_ITEM_PAGE = 10
+
+const RESOURCES = [
+    'ItemInfo.Title',
+    'ItemInfo.Features',
+    'ItemInfo.ByLineInfo',
+    'ItemInfo.ExternalIds',
+    'ItemInfo.ManufactureInfo',
+    'Images.Primary.Large',
+    'BrowseNodeInfo.BrowseNodes',
+    'Offers.Listings.Price',
+    'Offers.Listings.SavingBasis',
+    'Offers.Listings.Availability.Type',
+    'Offers.Listings.MerchantInfo'
+]
+
+/**
+ * Search each keyword and return discounted items
+ */
+export async function fetchAmazonDeals(source, config) {
+    requireConfig(source, config, ['accessKey', 'secretKey', 'partnerTag'])
+
+    const keywords = toList(config.keywords)
+    if (keywords.length === 0) {
+        throw new Error(`Missing config for ${source}: keywords`)
+    }
+
+    const maxPages = Math.min(config.maxPages || 2, MAX_ITEM_PAGE)
+    const seen = new Set()
+    const deals = []
+
+    for (const keyword of keywords) {
+        for (let page = 1; page <= maxPages; page++) {
+            const response = await searchItems(source, config, {
+                Keywords: keyword,
+                SearchIndex: config.searchIndex || 'All',
+                ItemCount: MAX_ITEM_COUNT,
+                ItemPage: page,
+                MinSavingPercent: config.minSavingPercent || undefined,
+                Resources: RESOURCES
+            })
+
+            const { items, totalResults } = parseSearchResponse(response)
+            deals.push(...itemDeals(items, source, config.marketplace, seen))
+
+            if (items.length < MAX_ITEM_COUNT || page * MAX_ITEM_COUNT >= totalResults) break
+        }
+    }
+
+    log.info('Amazon items fetched', { source, keywords: keywords.length, deals: deals.length })
+    return deals
+}
+
+/**
+ * Map one recorded SearchItems response the way a live run maps each page
+ */
+export async function replayResponse(source, config, body) {
+    const response = typeof body === 'string' ? JSON.parse(body) : body
+    const { items } = parseSearchResponse(response)
+    return itemDeals(items, source, config.marketplace, new Set())
+}
+
+/**
+ * Items not seen on an earlier page, mapped, that have a title and a price
+ */
+function itemDeals(items, source, marketplace, seen) {
+    const deals = []
+    for (const item of items) {
+        if (seen.has(item.ASIN)) continue
+        seen.add(item.ASIN)
+
+        const deal = mapAmazonItem(item, source, marketplace)
+        if (deal.title && deal.price) deals.push(deal)
+    }
+    return deals
+}
+
+/**
+ * POST a signed SearchItems request
+ */
+async function searchItems(source, config, params) {
+    const host = config.host || 'webservices.amazon.com'
+    const body = JSON.stringify({
+        ...params,
+        PartnerTag: config.partnerTag,
+        PartnerType: 'Associates',
+        Marketplace: config.marketplace || 'www.amazon.com'
+    })
+
+    const headers = signRequest({
+        host,
+        path: SEARCH_PATH,
+        region: config.region || 'us-east-1',
+        target: SEARCH_TARGET,
+        body,
+        accessKey: config.accessKey,
+        secretKey: config.secretKey
+    })
+
+    try {
+        return await httpClient.post(source, `https://${host}${SEARCH_PATH}`, body, { headers })
+    } catch (error) {
+        // PA-API explains rejected requests (bad keys, throttling) in the body
+        const reason = error.response?.data?.Errors?.[0]
+        if (reason) {
+            throw new Error(`Amazon PA-API ${reason.Code}: ${reason.Message}`)
+        }
+        throw error
+    }
+}
+
+function sha256Hex(value) {
+    return crypto.createHash('sha256').update(value, 'utf8').digest('hex')
+}
+
+function hmac(key, value) {
+    return crypto.createHmac('sha256', key).update(value, 'utf8').digest()
+}
+
+/**
+ * Build the headers for an AWS Signature Version 4 signed PA-API request
+ * `now` is injectable so a recorded request can be re-signed and compared.
+ */
+export function signRequest({ host, path, region, target, body, accessKey, secretKey, now = new Date() }) {
+    const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '')
+    const dateStamp = amzDate.slice(0, 8)
+
+    const headers = {
+        'content-encoding': 'amz-1.0',
+        'content-type': 'application/json; charset=utf-8',
+        'host': host,
+        'x-amz-date': amzDate,
+        'x-amz-target': target
+    }
+
+    const signedHeaders = Object.keys(headers).sort().join(';')
+    const canonicalHeaders = Object.keys(headers).sort()
+        .map(name => `${name}:${headers[name]}\n`)
+        .join('')
+
+    const canonicalRequest = [
+        'POST',
+        path,
+        '',
+        canonicalHeaders,
+        signedHeaders,
+        sha256Hex(body)
+    ].join('\n')
+
+    const scope = `${dateStamp}/${region}/${SERVICE}/aws4_request`
+    const stringToSign = [
+        'AWS4-HMAC-SHA256',
+        amzDate,
+        scope,
+        sha256Hex(canonicalRequest)
+    ].join('\n')
+
+    const signingKey = hmac(hmac(hmac(hmac(`AWS4${secretKey}`, dateStamp), region), SERVICE), 'aws4_request')
+    const signature = crypto.createHmac('sha256', signingKey).update(stringToSign, 'utf8').digest('hex')
+
+    const requestHeaders = {
+        ...headers,
+        'Authorization': `AWS4-HMAC-SHA256 Credential=${accessKey}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+    }
+    // axios sets Host itself
+    delete requestHeaders.host
+    return requestHeaders
+}
+
+/**
+ * Unwrap a SearchItems response
+ * "NoResults" is reported as an error but just means an empty page.
+ */
+export function parseSearchResponse(response) {
+    const errors = (response?.Errors || []).filter(error => error.Code !== 'NoResults')
+    if (errors.length > 0 && !response?.SearchResult) {
+        throw new Error(`Amazon PA-API ${errors[0].Code}: ${errors[0].Message}`)
+    }
+
+    return {
+        items: response?.SearchResult?.Items || [],
+        totalResults: response?.SearchResult?.TotalResultCount || 0
+    }
+}
+
+/**
+ * Map a SearchItems item to the normalizeDeal shape
+ * DetailPageURL already carries the partner tag, so it is the affiliate link;
+ * the plain /dp/ URL is what the rest of the pipeline resolves and checks.
+ */
+export function mapAmazonItem(item, source, marketplace = 'www.amazon.com') {
+    const info = item.ItemInfo || {}
+    const listing = item.Offers?.Listings?.[0]
+    const price = parseAmount(listing?.Price?.Amount)
+    const savingBasis = parseAmount(listing?.SavingBasis?.Amount)
+    const features = info.Features?.DisplayValues || []
+    const ids = info.ExternalIds || {}
+    const availability = listing?.Availability?.Type
+
+    return {
+        title: info.Title?.DisplayValue || null,
+        url: `https://${marketplace}/dp/${item.ASIN}`,
+        affiliate_url: item.DetailPageURL || null,
+        description: features.length > 0 ? features.join(' ') : null,
+        image_url: item.Images?.Primary?.Large?.URL || null,
+        price,
+        list_price: savingBasis && price && savingBasis > price ? savingBasis : null,
+        currency: listing?.Price?.Currency || 'USD',
+        merchant: listing?.MerchantInfo?.Name || 'Amazon',
+        category: item.BrowseNodeInfo?.BrowseNodes?.[0]?.DisplayName || null,
+        brand: info.ByLineInfo?.Brand?.DisplayValue || info.ByLineInfo?.Manufacturer?.DisplayValue || null,
+        gtin: ids.UPCs?.DisplayValues?.[0] || ids.EANs?.DisplayValues?.[0] || null,
+        mpn: info.ManufactureInfo?.Model?.DisplayValue || null,
+        asin: item.ASIN,
+        stock_status: availability === 'Now' ? 'in_stock' : null,
+        source,
+        external_id: item.ASIN
+    }
+}
+
+export default fetchAmazonDeals
@@ -0,0 +1,245 @@
+/**
+ * CJ AFFILIATE FETCHER
+ * Products come from the GraphQL Product Search API (ads.api.cj.com/query),
+ * coupons from the Link Search API (link-search.api.cj.com/v2/link-search,
+ * XML). Both authenticate with a personal access token as a Bearer header
+ * and only return advertisers the publisher has joined.
+ */
+
+import { parseString } from 'xml2js'
+import { promisify } from 'util'
+import httpClient from '../../../lib/httpClient.js'
+import logger from '../../../lib/logger.js'
+import { parseAmount, summarizeAvailability } from '../../../lib/pageMetadata.js'
+import { requireConfig, toList, isDiscounted, parseDiscount, parseMinimumOrder } from './affiliateUtils.js'
+
+const parseXML = promisify(parseString)
+const log = logger.child({ component: 'cjAffiliate' })
+
+const PRODUCTS_QUERY = `
+query products($companyId: ID!, $pid: ID!, $keywords: [String!], $limit: Int, $offset: Int) {
+  products(companyId: $companyId, partnerStatus: JOINED, keywords: $keywords, limit: $limit, offset: $offset) {
+    totalCount
+    count
+    resultList {
+      id
+      catalogId
+      advertiserId
+      advertiserName
+      title
+      description
+      brand
+      gtin
+      mpn
+      availability
+      imageLink
+      link
+      productType
+      price { amount currency }
+      salePrice { amount currency }
+      linkCode(pid: $pid) { clickUrl }
+    }
+  }
+}`
+
+/**
+ * Fetch products or coupons depending on config.feed
+ */
+export async function fetchCJ(source, config) {
+    return config.feed === 'coupons'
+        ? fetchCJCoupons(source, config)
+        : fetchCJProducts(source, config)
+}
+
+/**
+ * Page through the product search, keeping items on sale
+ */
+export async function fetchCJProducts(source, config) {
+    requireConfig(source, config, ['apiKey', 'companyId', 'websiteId'])
+
+    const { pageSize = 100, maxPages = 5, minDiscountPercent = 0 } = config
+    const keywords = toList(config.keywords)
+    const deals = []
+
+    for (let page = 0; page < maxPages; page++) {
+        const response = await httpClient.post(source, config.endpoint, {
+            query: PRODUCTS_QUERY,
+            variables: {
+                companyId: String(config.companyId),
+                pid: String(config.websiteId),
+                keywords: keywords.length > 0 ? keywords : null,
+                limit: pageSize,
+                offset: page * pageSize
+            }
+        }, {
+            headers: {
+                'Authorization': `Bearer ${config.apiKey}`,
+                'Content-Type': 'application/json',
+                'Accept': 'application/json'
+            }
+        })
+
+        const { products, totalCount } = parseProductsResponse(response)
+        deals.push(...productDeals(products, source, minDiscountPercent))
+
+        if (products.length < pageSize || (page + 1) * pageSize >= totalCount) break
+    }
+
+    log.info('CJ products fetched', { source, deals: deals.length })
+    return deals
+}
+
+/**
+ * Page through joined advertisers' coupon links
+ */
+export async function fetchCJCoupons(source, config) {
+    requireConfig(source, config, ['apiKey', 'websiteId'])
+
+    const { pageSize = 100, maxPages = 5 } = config
+    const coupons = []
+
+    for (let page = 1; page <= maxPages; page++) {
+        const xml = await httpClient.get(source, config.linksEndpoint, {
+            params: {
+                'website-id': config.websiteId,
+                'advertiser-ids': 'joined',
+                'promotion-type': 'coupon',
+                'records-per-page': pageSize,
+                'page-number': page
+            },
+            headers: {
+                'Authorization': `Bearer ${config.apiKey}`,
+                'Accept': 'application/xml'
+            },
+            responseType: 'text'
+        })
+
+        const { links, totalMatched } = await parseLinkSearchResponse(xml)
+        coupons.push(...linkCoupons(links))
+
+        if (links.length < pageSize || page * pageSize >= totalMatched) break
+    }
+
+    log.info('CJ coupons fetched', { source, coupons: coupons.length })
+    return coupons
+}
+
+/**
+ * Map one recorded response the way a live run maps each page
+ * `body` is the raw response: product search JSON, or link search XML for
+ * config.feed 'coupons'.
+ */
+export async function replayResponse(source, config, body) {
+    if (config.feed === 'coupons') {
+        const { links } = await parseLinkSearchResponse(body)
+        return linkCoupons(links)
+    }
+
+    const response = typeof body === 'string' ? JSON.parse(body) : body
+    const { products } = parseProductsResponse(response)
+    return productDeals(products, source, config.minDiscountPercent || 0)
+}
+
+/**
+ * Products on a page that are worth ingesting: mapped, complete and on sale
+ */
+function productDeals(products, source, minDiscountPercent) {
+    return products
+        .map(product => mapCJProduct(product, source))
+        .filter(deal => deal.title && deal.url && isDiscounted(deal, minDiscountPercent))
+}
+
+function linkCoupons(links) {
+    return links
+        .map(mapCJLink)
+        .filter(coupon => coupon.title)
+}
+
+/**
+ * Unwrap a GraphQL response; errors come back with a 200
+ */
+export function parseProductsResponse(response) {
+    if (response?.errors?.length) {
+        throw new Error(`CJ product search failed: ${response.errors.map(error => error.message).join('; ')}`)
+    }
+
+    const result = response?.data?.products
+    return {
+        products: result?.resultList || [],
+        totalCount: result?.totalCount || 0
+    }
+}
+
+/**
+ * Map a product search result to the normalizeDeal shape
+ * price is the regular price; salePrice is only set while on sale.
+ */
+export function mapCJProduct(product, source) {
+    const regular = parseAmount(product.price?.amount)
+    const sale = parseAmount(product.salePrice?.amount)
+    const onSale = sale && regular && sale < regular
+
+    return {
+        title: product.title,
+        url: product.link,
+        affiliate_url: product.linkCode?.clickUrl || null,
+        description: product.description || null,
+        image_url: product.imageLink || null,
+        price: onSale ? sale : regular,
+        list_price: onSale ? regular : null,
+        currency: product.salePrice?.currency || product.price?.currency || 'USD',
+        merchant: product.advertiserName || null,
+        category: Array.isArray(product.productType) ? product.productType[0] : product.productType || null,
+        brand: product.brand || null,
+        gtin: product.gtin || null,
+        mpn: product.mpn || null,
+        stock_status: summarizeAvailability([product.availability]),
+        source,
+        external_id: `cj_${product.advertiserId}_${product.id}`
+    }
+}
+
+/**
+ * Parse a Link Search XML response
+ */
+export async function parseLinkSearchResponse(xml) {
+    if (!xml || typeof xml !== 'string') {
+        throw new Error('Empty CJ link search response')
+    }
+
+    const parsed = await parseXML(xml, { explicitArray: false, mergeAttrs: true })
+    const root = parsed?.['cj-api']
+
+    if (root?.['error-message']) {
+        throw new Error(`CJ link search failed: ${root['error-message']}`)
+    }
+
+    const links = root?.links?.link
+    return {
+        links: links ? [].concat(links) : [],
+        totalMatched: parseInt(root?.links?.['total-matched'], 10) || 0
+    }
+}
+
+/**
+ * Map a coupon link to the normalizeCoupon shape
+ */
+export function mapCJLink(link) {
+    const description = link.description || null
+    const { coupon_type, discount_value } = parseDiscount(link['link-name'], description)
+
+    return {
+        title: link['link-name'],
+        description,
+        coupon_code: link['coupon-code'] || null,
+        coupon_type,
+        discount_value,
+        minimum_order_amount: parseMinimumOrder(link['link-name'], description),
+        expires_at: link['promotion-end-date'] || null,
+        url: link.clickUrl || link.destination || null,
+        merchant: link['advertiser-name'] || null,
+        external_id: `cj_${link['link-id']}`
+    }
+}
+
+export default fetchCJ
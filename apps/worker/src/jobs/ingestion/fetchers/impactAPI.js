@@ -0,0 +1,210 @@
+/**
+ * IMPACT FETCHER
+ * Uses the Impact partner (Mediapartners) REST API with HTTP Basic auth
+ * (account SID : auth token). Products come from the catalogs of joined
+ * brands, coupons from promo code ads. List responses page with
+ * @nextpageuri, a path relative to the API host.
+ */
+
+import httpClient from '../../../lib/httpClient.js'
+import logger from '../../../lib/logger.js'
+import { parseAmount, summarizeAvailability } from '../../../lib/pageMetadata.js'
+import { requireConfig, toList, isDiscounted, parseDiscount, parseMinimumOrder } from './affiliateUtils.js'
+
+const log = logger.child({ component: 'impactAPI' })
+
+/**
+ * Fetch products or coupons depending on config.feed
+ */
+export async function fetchImpact(source, config) {
+    requireConfig(source, config, ['accountSid', 'authToken'])
+
+    return config.feed === 'coupons'
+        ? fetchImpactCoupons(source, config)
+        : fetchImpactProducts(source, config)
+}
+
+function requestOptions(config) {
+    const auth = Buffer.from(`${config.accountSid}:${config.authToken}`).toString('base64')
+    return {
+        headers: {
+            'Authorization': `Basic ${auth}`,
+            'Accept': 'application/json'
+        }
+    }
+}
+
+/**
+ * GET a list endpoint and follow @nextpageuri up to maxPages
+ * Returns the records under `key` from every page.
+ */
+async function fetchAllPages(source, config, path, params, key) {
+    const maxPages = config.maxPages || 5
+    const records = []
+    let url = `${config.endpoint}${path}?${new URLSearchParams(params)}`
+
+    for (let page = 0; page < maxPages && url; page++) {
+        const response = await httpClient.get(source, url, requestOptions(config))
+        const { items, nextPageUri } = parseListResponse(response, key)
+        records.push(...items)
+        url = nextPageUri ? `${config.endpoint}${nextPageUri}` : null
+    }
+
+    return records
+}
+
+/**
+ * Read one page of a list response
+ */
+export function parseListResponse(response, key) {
+    if (!response || typeof response !== 'object') {
+        throw new Error('Unexpected Impact response')
+    }
+
+    return {
+        items: response[key] || [],
+        nextPageUri: response['@nextpageuri'] || null
+    }
+}
+
+/**
+ * Items on sale from the configured catalogs, or every catalog the account can see
+ */
+export async function fetchImpactProducts(source, config) {
+    const base = `/Mediapartners/${config.accountSid}`
+    const pageSize = config.pageSize || 100
+    const minDiscountPercent = config.minDiscountPercent || 0
+
+    let catalogIds = toList(config.catalogIds)
+    if (catalogIds.length === 0) {
+        const catalogs = await fetchAllPages(source, config, `${base}/Catalogs`, { PageSize: 100 }, 'Catalogs')
+        catalogIds = catalogs.map(catalog => catalog.Id)
+    }
+
+    const deals = []
+
+    for (const catalogId of catalogIds) {
+        const items = await fetchAllPages(source, config, `${base}/Catalogs/${catalogId}/Items`, { PageSize: pageSize }, 'Items')
+        deals.push(...catalogDeals(items, source, minDiscountPercent))
+    }
+
+    log.info('Impact products fetched', { source, catalogs: catalogIds.length, deals: deals.length })
+    return deals
+}
+
+/**
+ * Promo code ads from joined brands
+ */
+export async function fetchImpactCoupons(source, config) {
+    const ads = await fetchAllPages(
+        source,
+        config,
+        `/Mediapartners/${config.accountSid}/Ads`,
+        { Type: 'COUPON', PageSize: config.pageSize || 100 },
+        'Ads'
+    )
+
+    const coupons = adCoupons(ads)
+
+    log.info('Impact coupons fetched', { source, coupons: coupons.length })
+    return coupons
+}
+
+/**
+ * Map one recorded list response (catalog Items, or Ads for config.feed
+ * 'coupons') the way a live run maps each page
+ */
+export async function replayResponse(source, config, body) {
+    const response = typeof body === 'string' ? JSON.parse(body) : body
+
+    if (config.feed === 'coupons') {
+        return adCoupons(parseListResponse(response, 'Ads').items)
+    }
+
+    const { items } = parseListResponse(response, 'Items')
+    return catalogDeals(items, source, config.minDiscountPercent || 0)
+}
+
+/**
+ * Catalog items worth ingesting: mapped, complete and on sale
+ */
+function catalogDeals(items, source, minDiscountPercent) {
+    return items
+        .map(item => mapImpactItem(item, source))
+        .filter(deal => deal.title && deal.url && isDiscounted(deal, minDiscountPercent))
+}
+
+function adCoupons(ads) {
+    return ads
+        .map(mapImpactAd)
+        .filter(coupon => coupon.title)
+}
+
+/**
+ * Map a catalog item to the normalizeDeal shape
+ * Url is the item's tracking link; it redirects to the product page.
+ */
+export function mapImpactItem(item, source) {
+    const current = parseAmount(item.CurrentPrice)
+    const original = parseAmount(item.OriginalPrice)
+
+    return {
+        title: item.Name,
+        url: item.Url,
+        affiliate_url: item.Url || null,
+        description: item.Description || null,
+        image_url: item.ImageUrl || null,
+        price: current || original,
+        list_price: current && original && original > current ? original : null,
+        currency: item.Currency || 'USD',
+        merchant: item.CampaignName || item.Manufacturer || null,
+        category: item.Category || null,
+        brand: item.Manufacturer || null,
+        gtin: item.Gtin || null,
+        mpn: item.Mpn || null,
+        asin: item.Asin || null,
+        stock_status: summarizeAvailability([item.StockAvailability]),
+        source,
+        external_id: `impact_${item.CatalogId}_${item.CatalogItemId || item.Id}`
+    }
+}
+
+/**
+ * Map a coupon ad to the normalizeCoupon shape
+ * Prefer Impact's structured discount fields; fall back to reading the text.
+ */
+export function mapImpactAd(ad) {
+    const title = ad.Name || ad.Description
+    const parsed = parseDiscount(ad.Name, ad.Description)
+    let couponType = parsed.coupon_type
+    let discountValue = parsed.discount_value
+
+    const percent = parseAmount(ad.DiscountPercent)
+    const amount = parseAmount(ad.DiscountAmount)
+    if (ad.DiscountType === 'FREE_SHIPPING') {
+        couponType = 'free_shipping'
+        discountValue = null
+    } else if (percent) {
+        couponType = 'percentage'
+        discountValue = percent
+    } else if (amount) {
+        couponType = 'fixed_amount'
+        discountValue = amount
+    }
+
+    return {
+        title,
+        description: ad.Description && ad.Description !== title ? ad.Description : null,
+        coupon_code: ad.DiscountCode || null,
+        coupon_type: couponType,
+        discount_value: discountValue,
+        minimum_order_amount: parseAmount(ad.DiscountMinimumPurchaseAmount) || parseMinimumOrder(ad.Name, ad.Description),
+        terms_conditions: ad.Restrictions || null,
+        expires_at: ad.EndDate || null,
+        url: ad.TrackingLink || ad.LandingPageUrl || null,
+        merchant: ad.CampaignName || null,
+        external_id: `impact_${ad.Id}`
+    }
+}
+
+export default fetchImpact
@@ -27,48 +27,7 @@ export async function fetchRSSDeals(source, config) {
             throw new Error('Empty or invalid RSS response')
         }
 
-        // Parse XML with lenient settings for malformed feeds
-        const sanitizedXml = sanitizeXML(xmlData)
-        const parsed = await parseXML(sanitizedXml, {
-            explicitArray: true,
-            ignoreAttrs: false,
-            mergeAttrs: true,
-            strict: false,  // Lenient parsing
-            normalizeTags: true
-        })
-
-        // Handle different RSS formats
-        const items = extractItems(parsed)
-
-        log.info('RSS feed parsed', { source, itemCount: items.length })
-
-        // Transform to deals with error tolerance
-        const deals = []
-        let errorCount = 0
-
-        for (const item of items) {
-            try {
-                const deal = transformRSSItem(item, source)
-                if (deal.title && deal.url) {
-                    deals.push(deal)
-                }
-            } catch (err) {
-                errorCount++
-                log.warn('Skipping bad RSS item', {
-                    source,
-                    error: err.message,
-                    title: item.title?.[0]?.substring?.(0, 50) || 'unknown'
-                })
-            }
-        }
-
-        if (errorCount > 0) {
-            log.warn('RSS items skipped due to errors', { source, errorCount, totalItems: items.length })
-        }
-
-        log.debug('Deals extracted', { source, dealCount: deals.length })
-
-        return deals
+        return await parseRSSDeals(source, xmlData)
 
     } catch (error) {
         log.error('RSS fetch failed', { source, url: feedUrl, error: error.message }, error)
@@ -76,6 +35,55 @@ export async function fetchRSSDeals(source, config) {
     }
 }
 
+/**
+ * Parse a feed body into deals
+ * Split from the fetch so saved feeds can be replayed (see dryRun.js).
+ */
+export async function parseRSSDeals(source, xmlData) {
+    // Parse XML with lenient settings for malformed feeds
+    const sanitizedXml = sanitizeXML(xmlData)
+    const parsed = await parseXML(sanitizedXml, {
+        explicitArray: true,
+        ignoreAttrs: false,
+        mergeAttrs: true,
+        strict: false,  // Lenient parsing
+        normalizeTags: true
+    })
+
+    // Handle different RSS formats
+    const items = extractItems(parsed)
+
+    log.info('RSS feed parsed', { source, itemCount: items.length })
+
+    // Transform to deals with error tolerance
+    const deals = []
+    let errorCount = 0
+
+    for (const item of items) {
+        try {
+            const deal = transformRSSItem(item, source)
+            if (deal.title && deal.url) {
+                deals.push(deal)
+            }
+        } catch (err) {
+            errorCount++
+            log.warn('Skipping bad RSS item', {
+                source,
+                error: err.message,
+                title: item.title?.[0]?.substring?.(0, 50) || 'unknown'
+            })
+        }
+    }
+
+    if (errorCount > 0) {
+        log.warn('RSS items skipped due to errors', { source, errorCount, totalItems: items.length })
+    }
+
+    log.debug('Deals extracted', { source, dealCount: deals.length })
+
+    return deals
+}
+
 /**
  * Extract items from parsed RSS (handles RSS 2.0, Atom, etc.)
  */
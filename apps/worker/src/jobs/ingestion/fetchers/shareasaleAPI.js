@@ -0,0 +1,205 @@
+/**
+ * SHAREASALE FETCHER
+ * Calls the affiliate API (api.shareasale.com/x.cfm): couponDeals for
+ * coupons, getProducts for keyword product searches. Every request carries
+ * x-ShareASale-Date and x-ShareASale-Authentication, the upper-case SHA-256
+ * of "token:date:action:secret". Accounts get a small monthly request
+ * allowance, so each run makes one request per action/keyword.
+ */
+
+import crypto from 'crypto'
+import { parseString } from 'xml2js'
+import { promisify } from 'util'
+import httpClient from '../../../lib/httpClient.js'
+import logger from '../../../lib/logger.js'
+import { parseAmount } from '../../../lib/pageMetadata.js'
+import { requireConfig, toList, isDiscounted, parseDiscount, parseMinimumOrder } from './affiliateUtils.js'
+
+const parseXML = promisify(parseString)
+const log = logger.child({ component: 'shareasaleAPI' })
+
+/**
+ * Fetch products or coupons depending on config.feed
+ */
+export async function fetchShareASale(source, config) {
+    requireConfig(source, config, ['affiliateId', 'token', 'secret'])
+
+    return config.feed === 'coupons'
+        ? fetchShareASaleCoupons(source, config)
+        : fetchShareASaleProducts(source, config)
+}
+
+/**
+ * Headers for an API call; `now` is injectable to re-sign recorded requests
+ */
+export function signRequest(action, { token, secret }, now = new Date()) {
+    const date = now.toUTCString()
+    const signature = crypto.createHash('sha256')
+        .update(`${token}:${date}:${action}:${secret}`, 'utf8')
+        .digest('hex')
+        .toUpperCase()
+
+    return {
+        'x-ShareASale-Date': date,
+        'x-ShareASale-Authentication': signature
+    }
+}
+
+async function callAction(source, config, action, params = {}) {
+    const xml = await httpClient.get(source, config.endpoint, {
+        params: {
+            affiliateId: config.affiliateId,
+            token: config.token,
+            version: config.apiVersion || '2.3',
+            action,
+            XMLFormat: 1,
+            ...params
+        },
+        headers: signRequest(action, config),
+        responseType: 'text'
+    })
+
+    return parseReport(xml)
+}
+
+/**
+ * Parse an XML report into its records
+ * Failures come back as a 200 with a plain-text "Error Code ..." body.
+ */
+export async function parseReport(xml) {
+    if (!xml || typeof xml !== 'string') {
+        throw new Error('Empty ShareASale response')
+    }
+
+    const text = xml.trim()
+    if (/^error/i.test(text)) {
+        throw new Error(`ShareASale API ${text.substring(0, 200)}`)
+    }
+
+    const parsed = await parseXML(text, { explicitArray: false, normalizeTags: true })
+    const report = parsed ? Object.values(parsed)[0] : null
+    if (!report || typeof report !== 'object') return []
+
+    // <xreport><xreportrecord>...</xreportrecord></xreport>
+    const records = Object.values(report)[0]
+    return records ? [].concat(records) : []
+}
+
+/**
+ * Current coupons and deals from joined merchants
+ */
+export async function fetchShareASaleCoupons(source, config) {
+    const records = await callAction(source, config, 'couponDeals', { current: 1 })
+
+    const coupons = dealCoupons(records)
+
+    log.info('ShareASale coupons fetched', { source, coupons: coupons.length })
+    return coupons
+}
+
+/**
+ * Product search for each configured keyword, keeping items on sale
+ */
+export async function fetchShareASaleProducts(source, config) {
+    const keywords = toList(config.keywords)
+    if (keywords.length === 0) {
+        throw new Error(`Missing config for ${source}: keywords`)
+    }
+
+    const minDiscountPercent = config.minDiscountPercent || 0
+    const seen = new Set()
+    const deals = []
+
+    for (const keyword of keywords) {
+        const records = await callAction(source, config, 'getProducts', { keyword })
+        deals.push(...productDeals(records, source, minDiscountPercent, seen))
+    }
+
+    log.info('ShareASale products fetched', { source, keywords: keywords.length, deals: deals.length })
+    return deals
+}
+
+/**
+ * Map one recorded report (getProducts, or couponDeals for config.feed
+ * 'coupons') the way a live run maps each response
+ */
+export async function replayResponse(source, config, body) {
+    const records = await parseReport(body)
+
+    return config.feed === 'coupons'
+        ? dealCoupons(records)
+        : productDeals(records, source, config.minDiscountPercent || 0, new Set())
+}
+
+function dealCoupons(records) {
+    return records
+        .map(mapShareASaleDeal)
+        .filter(coupon => coupon.title)
+}
+
+/**
+ * Products not seen for an earlier keyword that are complete and on sale
+ */
+function productDeals(records, source, minDiscountPercent, seen) {
+    const deals = []
+    for (const record of records) {
+        const deal = mapShareASaleProduct(record, source)
+        if (seen.has(deal.external_id)) continue
+        seen.add(deal.external_id)
+
+        if (deal.title && deal.url && isDiscounted(deal, minDiscountPercent)) {
+            deals.push(deal)
+        }
+    }
+    return deals
+}
+
+/**
+ * Map a couponDeals record to the normalizeCoupon shape
+ */
+export function mapShareASaleDeal(record) {
+    const { coupon_type, discount_value } = parseDiscount(record.title, record.description)
+
+    return {
+        title: record.title,
+        description: record.description || null,
+        coupon_code: record.couponcode || null,
+        coupon_type,
+        discount_value,
+        minimum_order_amount: parseMinimumOrder(record.title, record.description, record.restrictions),
+        terms_conditions: record.restrictions || null,
+        expires_at: record.enddate || null,
+        url: record.trackingurl || null,
+        merchant: record.merchant || null,
+        external_id: `shareasale_${record.dealid}`
+    }
+}
+
+/**
+ * Map a getProducts record to the normalizeDeal shape
+ * price is the sale price, retailprice the merchant's regular price.
+ */
+export function mapShareASaleProduct(record, source) {
+    const price = parseAmount(record.price)
+    const retail = parseAmount(record.retailprice)
+
+    return {
+        title: record.name,
+        url: record.link,
+        affiliate_url: record.link || null,
+        description: record.shortdescription || record.description || null,
+        image_url: record.bigimage || record.thumbnail || null,
+        price,
+        list_price: price && retail && retail > price ? retail : null,
+        currency: 'USD',
+        merchant: record.organization || null,
+        category: record.category || null,
+        brand: record.manufacturer || null,
+        gtin: record.upc || null,
+        mpn: record.partnumber || null,
+        source,
+        external_id: `shareasale_${record.merchantid}_${record.productid}`
+    }
+}
+
+export default fetchShareASale
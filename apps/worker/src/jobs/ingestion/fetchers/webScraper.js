@@ -0,0 +1,382 @@
+/**
+ * DECLARATIVE SCRAPER
+ * Turns a registry entry into raw deals or coupons without site-specific code.
+ * Two source types share it:
+ * - scraper: HTML pages; items and fields are picked with CSS selectors, or
+ *   from JSON embedded in the page (e.g. script#__NEXT_DATA__)
+ * - json: JSON APIs; items and fields are picked with JSON paths
+ *
+ * Registry config:
+ *   url / urls      URL templates; {page} and {offset} are filled per page
+ *   pagination      { type: 'page' | 'offset' | 'next', start, step, pageSize, maxPages, next }
+ *   items           CSS selector (scraper) or JSON path like $.data.items[*]
+ *   embeddedJson    scraper only - selector of the script tag holding the JSON
+ *   fields          { title: 'h3', url: 'a@href', price: { selector: '.now', type: 'price' } }
+ *   defaults        constant values, e.g. { merchant: 'Walmart' }
+ *   required        fields every item needs (default title and url)
+ *   headers, userAgent, respectRobots (default true)
+ *
+ * A field is a string - a selector, `selector@attribute`, or a JSON path -
+ * or { selector | path, attr, type, regex }. type is text, html, price,
+ * number, url, date or raw; url and price fields get their type by default.
+ */
+
+import * as cheerio from 'cheerio'
+import CONFIG from '../../../config/ingestion.config.js'
+import httpClient from '../../../lib/httpClient.js'
+import logger from '../../../lib/logger.js'
+import { sleep } from '../../../lib/rateLimiter.js'
+import { checkRobots } from '../../../lib/robots.js'
+import { parseAmount } from '../../../lib/pageMetadata.js'
+
+const log = logger.child({ component: 'webScraper' })
+
+export const SCRAPER_TYPES = ['scraper', 'json']
+
+const PAGINATION_TYPES = ['page', 'offset', 'next']
+const FIELD_TYPES = ['text', 'html', 'price', 'number', 'url', 'date', 'raw']
+const URL_FIELDS = ['url', 'image_url', 'source_url', 'affiliate_url']
+const PRICE_FIELDS = ['price', 'list_price', 'original_price']
+const MAX_PAGES = 20
+const MAX_CRAWL_DELAY = 30 // seconds
+
+function asArray(value) {
+    if (value === null || value === undefined) return []
+    return Array.isArray(value) ? value : [value]
+}
+
+/**
+ * List what's wrong with a scraper/json source config (empty when valid)
+ */
+export function validateScraperConfig(type, config) {
+    const problems = []
+
+    if (!SCRAPER_TYPES.includes(type)) {
+        return [`type must be one of ${SCRAPER_TYPES.join(', ')}`]
+    }
+    if (!config || typeof config !== 'object') {
+        return ['config is required']
+    }
+
+    const pagination = config.pagination || {}
+    const templates = asArray(config.urls || config.url)
+
+    if (templates.length === 0) {
+        problems.push('url or urls is required')
+    }
+    for (const template of templates) {
+        try {
+            const url = new URL(pageUrl(String(template), pagination, 0))
+            if (!['http:', 'https:'].includes(url.protocol)) problems.push(`${template} is not an http(s) URL`)
+        } catch {
+            problems.push(`${template} is not a valid URL`)
+        }
+        if (pagination.type === 'page' && !String(template).includes('{page}')) {
+            problems.push(`${template} needs a {page} placeholder for page pagination`)
+        }
+        if (pagination.type === 'offset' && !String(template).includes('{offset}')) {
+            problems.push(`${template} needs an {offset} placeholder for offset pagination`)
+        }
+    }
+
+    if (pagination.type && !PAGINATION_TYPES.includes(pagination.type)) {
+        problems.push(`pagination.type must be one of ${PAGINATION_TYPES.join(', ')}`)
+    }
+    if (pagination.type === 'offset' && !(pagination.pageSize > 0)) {
+        problems.push('pagination.pageSize is required for offset pagination')
+    }
+    if (pagination.type === 'next' && !pagination.next) {
+        problems.push('pagination.next is required for next-link pagination')
+    }
+    if (pagination.maxPages !== undefined && !(pagination.maxPages >= 1 && pagination.maxPages <= MAX_PAGES)) {
+        problems.push(`pagination.maxPages must be between 1 and ${MAX_PAGES}`)
+    }
+
+    if (!config.items || typeof config.items !== 'string') {
+        problems.push('items selector or path is required')
+    }
+    if (config.embeddedJson && type !== 'scraper') {
+        problems.push('embeddedJson only applies to scraper sources')
+    }
+
+    const fields = config.fields
+    if (!fields || typeof fields !== 'object' || Object.keys(fields).length === 0) {
+        problems.push('fields must map at least one field')
+    } else {
+        for (const [name, spec] of Object.entries(fields)) {
+            if (typeof spec === 'string') continue
+            if (!spec || typeof spec !== 'object') {
+                problems.push(`fields.${name} must be a string or an object`)
+            } else if (spec.type && !FIELD_TYPES.includes(spec.type)) {
+                problems.push(`fields.${name}.type must be one of ${FIELD_TYPES.join(', ')}`)
+            } else if (spec.regex) {
+                try {
+                    new RegExp(spec.regex)
+                } catch {
+                    problems.push(`fields.${name}.regex is not a valid regular expression`)
+                }
+            }
+        }
+    }
+
+    for (const name of config.required || ['title', 'url']) {
+        if (!fields?.[name] && config.defaults?.[name] === undefined) {
+            problems.push(`required field ${name} has no mapping`)
+        }
+    }
+
+    return problems
+}
+
+/**
+ * Fill a URL template for the page at `index` (0-based)
+ */
+export function pageUrl(template, pagination = {}, index = 0) {
+    const page = (pagination.start ?? 1) + index * (pagination.step || 1)
+    const offset = (pagination.startOffset || 0) + index * (pagination.pageSize || 0)
+    return template
+        .replace(/\{page\}/g, String(page))
+        .replace(/\{offset\}/g, String(offset))
+}
+
+/**
+ * Select values from parsed JSON with a small JSONPath subset:
+ * $.a.b, a.b, [0], [*], .*, ['key']
+ */
+export function selectPath(data, path) {
+    const expression = String(path || '').trim().replace(/^\$/, '')
+    const tokens = []
+    const pattern = /\.?([^.[\]]+)|\[(\d+|\*|'[^']*'|"[^"]*")\]/g
+    let match
+
+    while ((match = pattern.exec(expression)) !== null) {
+        const token = match[1] ?? match[2]
+        tokens.push(/^['"]/.test(token) ? { key: token.slice(1, -1) } : token === '*' ? { all: true } : { key: token })
+    }
+
+    let nodes = [data]
+    for (const token of tokens) {
+        const next = []
+        for (const node of nodes) {
+            if (node === null || typeof node !== 'object') continue
+            if (token.all) {
+                next.push(...Object.values(node))
+            } else if (node[token.key] !== undefined) {
+                next.push(node[token.key])
+            }
+        }
+        nodes = next
+    }
+
+    return nodes
+}
+
+function parseSpec(spec) {
+    if (typeof spec !== 'string') return spec || {}
+
+    // "a.deal@href" -> selector a.deal, attribute href; "@href" reads the item itself
+    const at = spec.lastIndexOf('@')
+    if (at !== -1 && /^[\w:-]+$/.test(spec.slice(at + 1))) {
+        return { selector: spec.slice(0, at).trim(), path: spec, attr: spec.slice(at + 1) }
+    }
+    return { selector: spec, path: spec }
+}
+
+function defaultType(name) {
+    if (URL_FIELDS.includes(name)) return 'url'
+    if (PRICE_FIELDS.includes(name)) return 'price'
+    return 'text'
+}
+
+/**
+ * Apply a field's regex and type to a raw value
+ */
+function convertValue(raw, spec, name, baseUrl) {
+    let value = Array.isArray(raw) ? raw[0] : raw
+    if (value === null || value === undefined) return null
+
+    const type = spec.type || defaultType(name)
+    if (type === 'raw') return value
+    if (typeof value === 'object') return null
+
+    if (spec.regex) {
+        const match = String(value).match(new RegExp(spec.regex, 'i'))
+        if (!match) return null
+        value = match[1] ?? match[0]
+    }
+
+    switch (type) {
+        case 'price':
+            return parseAmount(value)
+        case 'number': {
+            const number = parseFloat(String(value).replace(/,/g, ''))
+            return Number.isFinite(number) ? number : null
+        }
+        case 'url':
+            try {
+                return new URL(String(value).trim(), baseUrl).href
+            } catch {
+                return null
+            }
+        case 'date': {
+            const date = new Date(typeof value === 'number' && value < 1e12 ? value * 1000 : value)
+            return isNaN(date.getTime()) ? null : date.toISOString()
+        }
+        case 'html':
+            return String(value).trim() || null
+        default:
+            return String(value).replace(/\s+/g, ' ').trim() || null
+    }
+}
+
+function readHtmlField($, element, spec) {
+    const target = spec.selector ? $(element).find(spec.selector).first() : $(element)
+    if (target.length === 0) return null
+    if (spec.attr) return target.attr(spec.attr) ?? null
+    return spec.type === 'html' ? target.html() : target.text()
+}
+
+function buildRecord(fields, config, readField, baseUrl) {
+    const record = { ...(config.defaults || {}) }
+
+    for (const [name, rawSpec] of Object.entries(fields)) {
+        const spec = parseSpec(rawSpec)
+        const value = convertValue(readField(spec), spec, name, baseUrl)
+        if (value !== null && value !== '') record[name] = value
+    }
+
+    return record
+}
+
+/**
+ * Extract items (and the next page's URL) from one fetched page
+ * `body` is HTML text for scraper sources and parsed JSON for json sources.
+ */
+export function extractPage(type, body, url, config) {
+    const fields = config.fields || {}
+    const nextSpec = config.pagination?.type === 'next' ? parseSpec(config.pagination.next) : null
+    let data = body
+    let $ = null
+
+    if (type === 'scraper') {
+        $ = cheerio.load(body || '')
+
+        if (config.embeddedJson) {
+            const script = $(config.embeddedJson).first()
+            try {
+                data = JSON.parse(script.html() || '')
+            } catch {
+                throw new Error(`No JSON found in ${config.embeddedJson}`)
+            }
+        }
+    }
+
+    let records
+    if ($ && !config.embeddedJson) {
+        records = $(config.items).toArray().map(element =>
+            buildRecord(fields, config, spec => readHtmlField($, element, spec), url)
+        )
+    } else {
+        let nodes = selectPath(data, config.items)
+        if (nodes.length === 1 && Array.isArray(nodes[0])) nodes = nodes[0]
+        records = nodes.map(node =>
+            buildRecord(fields, config, spec => selectPath(node, spec.path || spec.selector)[0], url)
+        )
+    }
+
+    let nextUrl = null
+    if (nextSpec) {
+        // The next link is read from the page, not from an item
+        const raw = $ && !config.embeddedJson
+            ? readHtmlField($, $.root(), nextSpec)
+            : selectPath(data, nextSpec.path || nextSpec.selector)[0]
+        nextUrl = convertValue(raw, { ...nextSpec, type: 'url' }, 'url', url)
+    }
+
+    const required = config.required || ['title', 'url']
+    const items = records.filter(record => required.every(name => record[name] !== undefined))
+
+    return { items, skipped: records.length - items.length, nextUrl }
+}
+
+async function fetchPage(source, type, url, config, userAgent) {
+    const headers = {
+        'User-Agent': userAgent,
+        'Accept': type === 'json' ? 'application/json' : 'text/html,application/xhtml+xml',
+        ...config.headers
+    }
+
+    if (type === 'json') {
+        const data = await httpClient.get(source, url, { headers })
+        if (typeof data !== 'string') return data
+        try {
+            return JSON.parse(data)
+        } catch {
+            throw new Error(`Response from ${url} is not JSON`)
+        }
+    }
+
+    const html = await httpClient.get(source, url, { headers, responseType: 'text' })
+    if (typeof html !== 'string') {
+        throw new Error(`Response from ${url} is not HTML`)
+    }
+    return html
+}
+
+/**
+ * Fetch every configured page and return raw items for the deal or coupon processor
+ */
+export async function fetchScrapedDeals(source, type, config) {
+    const problems = validateScraperConfig(type, config)
+    if (problems.length > 0) {
+        throw new Error(`Invalid ${type} config for ${source}: ${problems.join('; ')}`)
+    }
+
+    const userAgent = config.userAgent || CONFIG.http.headers['User-Agent']
+    const pagination = config.pagination || {}
+    const maxPages = pagination.type ? pagination.maxPages || 1 : 1
+    const seen = new Set()
+    const items = []
+    let requests = 0
+    let skipped = 0
+
+    for (const template of asArray(config.urls || config.url)) {
+        let url = pageUrl(template, pagination, 0)
+
+        for (let index = 0; index < maxPages && url; index++) {
+            if (config.respectRobots !== false) {
+                const robots = await checkRobots(url, userAgent)
+                if (!robots.allowed) {
+                    log.warn('Blocked by robots.txt', { source, url })
+                    break
+                }
+                if (robots.crawlDelay && requests > 0) {
+                    await sleep(Math.min(robots.crawlDelay, MAX_CRAWL_DELAY) * 1000)
+                }
+            }
+
+            const body = await fetchPage(source, type, url, config, userAgent)
+            requests++
+
+            const page = extractPage(type, body, url, config)
+            skipped += page.skipped
+
+            for (const item of page.items) {
+                const key = item.external_id || item.url
+                if (key && seen.has(key)) continue
+                if (key) seen.add(key)
+                items.push({ ...item, source })
+            }
+
+            // An empty page means we ran past the last one
+            if (page.items.length === 0) break
+
+            url = pagination.type === 'next' ? page.nextUrl : pageUrl(template, pagination, index + 1)
+        }
+    }
+
+    log.info('Scraped source', { source, type, pages: requests, items: items.length, skipped })
+    return items
+}
+
+export default fetchScrapedDeals
@@ -8,11 +8,15 @@ import dotenv from 'dotenv'
 import { Worker } from 'bullmq'
 import logger from '../../lib/logger.js'
 import { connection, queues, addIngestionJob, gracefulShutdown } from '../../lib/queue.js'
-import { startHealthServer, updateMetrics, incrementMetric, recordSourceResult } from '../../lib/healthCheck.js'
+import { startHealthServer, updateMetrics, incrementMetric, recordSourceResult, getSourceHealthScores } from '../../lib/healthCheck.js'
 import { withCircuitBreaker, getCircuitStatus } from '../../lib/circuitBreaker.js'
+import { getRateLimitStatus } from '../../lib/rateLimiter.js'
+import { checkDailyCap, setDailyCap } from '../../lib/dailyCapTracker.js'
 import db from '../../lib/supabase.js'
-import { SOURCES, getEnabledSources } from './sources/registry.js'
-import fetchRSSDeals from './fetchers/rssFetcher.js'
+import CONFIG from '../../config/ingestion.config.js'
+import { seedSources, loadSources, claimRunRequest, saveRuntimeStatus, resolveConfig } from './sources/sourceStore.js'
+import { fetchSource, isCouponSource } from './fetchSource.js'
+import { SCRAPER_TYPES, validateScraperConfig } from './fetchers/webScraper.js'
 import { processDeals } from './processors/dealProcessor.js'
 import { processCoupons } from './processors/couponProcessor.js'
 
@@ -50,36 +54,13 @@ async function processIngestionJob(job) {
 
     try {
         // Check circuit breaker
-        const circuitStatus = getCircuitStatus(sourceKey)
+        const circuitStatus = await getCircuitStatus(sourceKey)
         if (circuitStatus?.state === 'OPEN') {
             throw new Error(`Circuit breaker OPEN for ${sourceKey}`)
         }
 
         // Fetch deals based on source type
-        let rawDeals = []
-
-        await withCircuitBreaker(sourceKey, async () => {
-            switch (config.type) {
-                case 'rss':
-                    rawDeals = await fetchRSSDeals(sourceKey, config.config)
-                    break
-
-                case 'api':
-                    // Dynamic import for API fetchers
-                    try {
-                        const fetcherPath = config.fetcher.replace('./', './fetchers/')
-                        const fetcher = await import(fetcherPath)
-                        rawDeals = await fetcher.default(sourceKey, config.config)
-                    } catch (err) {
-                        log.warn('API fetcher not implemented', { source: sourceKey, error: err.message })
-                        rawDeals = []
-                    }
-                    break
-
-                default:
-                    throw new Error(`Unknown source type: ${config.type}`)
-            }
-        })
+        const rawDeals = await withCircuitBreaker(sourceKey, () => fetchSource(sourceKey, config))
 
         stats.items_fetched = rawDeals.length
         log.info('Deals fetched', { source: sourceKey, count: rawDeals.length })
@@ -88,10 +69,7 @@ async function processIngestionJob(job) {
         if (rawDeals.length > 0) {
             let results
 
-            // Determine entity type: favor explicit config, fallback to source name
-            const isCoupon = config.entity === 'coupon' || (!config.entity && sourceKey.includes('coupon'))
-
-            if (isCoupon) {
+            if (isCouponSource(sourceKey, config)) {
                 log.info('Processing as coupons', { source: sourceKey, count: rawDeals.length })
                 results = await processCoupons(rawDeals, sourceKey)
 
@@ -159,47 +137,62 @@ async function processIngestionJob(job) {
     }
 }
 
+// What each source's repeatable job was last scheduled from, so a sync only
+// reschedules sources whose definition changed
+const scheduledDefinitions = new Map()
+let currentSources = []
+let syncing = false
+
+function sourceDefinition(source) {
+    return source.enabled ? JSON.stringify({ ...source, runRequestedAt: null }) : null
+}
+
 /**
- * Setup scheduled jobs for all enabled sources
+ * Schedule enabled sources and unschedule disabled ones
  */
-async function setupScheduledJobs() {
-    log.info('Setting up scheduled ingestion jobs...')
+async function setupScheduledJobs(sources) {
+    const enabledCount = sources.filter(source => source.enabled).length
+    if (enabledCount === 0) {
+        log.warn('No sources enabled! Enable sources from the admin panel')
+    }
 
-    const enabledSources = getEnabledSources()
+    const repeatableJobs = await queues.ingestion.getRepeatableJobs()
 
-    if (enabledSources.length === 0) {
-        log.warn('No sources enabled! Enable sources in registry.js')
-        return
-    }
+    for (const source of sources) {
+        const definition = sourceDefinition(source)
+        if (scheduledDefinitions.get(source.key) === definition) continue
 
-    for (const source of enabledSources) {
         try {
             // Remove existing scheduled job
-            const existingJobs = await queues.ingestion.getRepeatableJobs()
-            for (const job of existingJobs) {
+            for (const job of repeatableJobs) {
                 if (job.name === `scheduled-${source.key}`) {
                     await queues.ingestion.removeRepeatableByKey(job.key)
                 }
             }
 
-            // Add new scheduled job
-            await addIngestionJob(
-                `scheduled-${source.key}`,
-                {
-                    sourceKey: source.key,
-                    config: source
-                },
-                {
-                    repeat: { pattern: source.schedule },
-                    jobId: `scheduled-${source.key}`
-                }
-            )
+            if (source.enabled) {
+                await addIngestionJob(
+                    `scheduled-${source.key}`,
+                    {
+                        sourceKey: source.key,
+                        config: source
+                    },
+                    {
+                        repeat: { pattern: source.schedule },
+                        jobId: `scheduled-${source.key}`
+                    }
+                )
+
+                log.info('Source scheduled', {
+                    source: source.key,
+                    schedule: source.schedule,
+                    type: source.type
+                })
+            } else if (scheduledDefinitions.get(source.key)) {
+                log.info('Source unscheduled', { source: source.key })
+            }
 
-            log.info('Source scheduled', {
-                source: source.key,
-                schedule: source.schedule,
-                type: source.type
-            })
+            scheduledDefinitions.set(source.key, definition)
         } catch (error) {
             log.error('Failed to schedule source', {
                 source: source.key,
@@ -208,14 +201,68 @@ async function setupScheduledJobs() {
         }
     }
 
-    log.info('Scheduled jobs setup complete', { count: enabledSources.length })
+    log.debug('Scheduled jobs in sync', { enabled: enabledCount })
+}
+
+/**
+ * What the admin panel shows for a source: run health, circuit breaker,
+ * daily cap and rate limit, plus config problems for scraper/json sources
+ */
+async function getRuntimeStatus(source) {
+    return {
+        health: getSourceHealthScores()[source.key] || null,
+        circuit: await getCircuitStatus(source.key),
+        dailyCap: await checkDailyCap(source.key),
+        rateLimit: await getRateLimitStatus(source.key),
+        problems: SCRAPER_TYPES.includes(source.type)
+            ? validateScraperConfig(source.type, resolveConfig(source.config, source.key))
+            : []
+    }
+}
+
+/**
+ * Re-read sources: apply schedule and cap changes, queue "Run now"
+ * requests and report each source's status back to the table
+ */
+async function syncSources() {
+    if (syncing) return
+    syncing = true
+
+    try {
+        const { sources, fromDatabase } = await loadSources()
+        currentSources = sources
+
+        for (const source of sources) {
+            setDailyCap(source.key, source.dailyCap)
+        }
+
+        await setupScheduledJobs(sources)
+
+        if (!fromDatabase) return
+
+        for (const source of sources) {
+            if (source.runRequestedAt && await claimRunRequest(source)) {
+                await addIngestionJob(
+                    `manual-${source.key}-${Date.now()}`,
+                    { sourceKey: source.key, config: source }
+                )
+                log.info('Triggered run from admin panel', { source: source.key })
+            }
+
+            await saveRuntimeStatus(source.key, await getRuntimeStatus(source))
+        }
+    } catch (error) {
+        log.error('Source sync failed', { error: error.message })
+    } finally {
+        syncing = false
+    }
 }
 
 /**
  * Trigger immediate ingestion for testing
  */
 async function triggerTestIngestion() {
-    const enabledSources = getEnabledSources()
+    const enabledSources = currentSources.filter(source => source.enabled)
 
     if (enabledSources.length === 0) {
         log.warn('No sources to test')
@@ -283,11 +330,13 @@ async function main() {
             log.error('Worker error', { error: err.message })
         })
 
-        // Setup scheduled jobs
-        await setupScheduledJobs()
+        // Load sources (seeding new registry sources) and schedule them
+        await seedSources()
+        await syncSources()
+        setInterval(syncSources, CONFIG.monitoring.sourceSyncInterval)
 
         // Trigger immediate run for all enabled sources on startup
-        const enabledSources = getEnabledSources()
+        const enabledSources = currentSources.filter(source => source.enabled)
         for (const source of enabledSources) {
             await addIngestionJob(
                 `immediate-${source.key}-${Date.now()}`,
@@ -329,4 +378,4 @@ async function main() {
 // Run main
 main().catch(console.error)
 
-export { processIngestionJob, setupScheduledJobs, triggerTestIngestion }
+export { processIngestionJob, setupScheduledJobs, syncSources, triggerTestIngestion }
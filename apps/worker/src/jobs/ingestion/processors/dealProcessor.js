@@ -6,10 +6,12 @@
 import db from '../../../lib/supabase.js'
 import logger from '../../../lib/logger.js'
 import deduper from '../../../lib/deduper.js'
+import priceTracker from '../../../lib/priceTracker.js'
 import { extractImageFromUrl, extractMultipleImagesFromUrl } from '../../../lib/imageExtractor.js'
-import { checkDailyCap, incrementDailyCount } from '../../../lib/dailyCapTracker.js'
+import { checkDailyCap, reserveDailyCap, releaseDailyCap } from '../../../lib/dailyCapTracker.js'
 import { incrementMetric } from '../../../lib/healthCheck.js'
-import { resolveMerchantUrl } from '../../../lib/urlResolver.js'
+import { resolveMerchantUrl, isAggregatorUrl } from '../../../lib/urlResolver.js'
+import { fetchPageMetadata } from '../../../lib/pageMetadata.js'
 import CONFIG from '../../../config/ingestion.config.js'
 
 const log = logger.child({ component: 'dealProcessor' })
@@ -106,6 +108,12 @@ export function normalizeDeal(rawDeal, source) {
         external_id: rawDeal.external_id || rawDeal.product_id || rawDeal.asin || null,
         source_url: rawDeal.source_url || rawDeal.affiliate_url || null,
         coupon_code: rawDeal.coupon_code || null,
+        // Affiliate feeds know these; page metadata fills them otherwise
+        brand: rawDeal.brand?.trim() || null,
+        gtin: rawDeal.gtin || null,
+        mpn: rawDeal.mpn || null,
+        asin: rawDeal.asin || null,
+        stock_status: rawDeal.stock_status || null,
         quality_score: calculateInitialQualityScore(rawDeal)
     }
 }
@@ -131,15 +139,73 @@ function calculateInitialQualityScore(deal) {
     return Math.min(1.0, score)
 }
 
+/**
+ * Fill gaps from the merchant page's product metadata and check the
+ * feed's price against the page
+ * Sets deal.price_check: 'verified' when the page agrees (or is cheaper),
+ * 'mismatch' when the page asks more than claimed, else 'unverified'.
+ */
+export function applyPageMetadata(deal, metadata) {
+    const { priceTolerancePercent, priceToleranceAmount, mismatchPenalty } = CONFIG.pageMetadata
+    const { minPrice, maxPrice } = CONFIG.validation.deal
+
+    deal.brand = deal.brand || metadata.brand || null
+    deal.gtin = deal.gtin || metadata.gtin || null
+    deal.mpn = deal.mpn || metadata.mpn || null
+    deal.asin = deal.asin || metadata.asin || null
+    deal.product_rating = metadata.rating || null
+    deal.product_rating_count = metadata.ratingCount || null
+    if (metadata.availability) {
+        deal.stock_status = metadata.availability
+    }
+
+    deal.price_check = 'unverified'
+
+    // A page in another currency (geo-targeted store) can't confirm anything
+    if (!metadata.price || (metadata.currency && metadata.currency !== deal.currency)) {
+        return deal
+    }
+    deal.page_price = metadata.price
+
+    if (deal.price === null || deal.price === undefined) {
+        const belowList = !deal.list_price || metadata.price < deal.list_price
+        if (metadata.price >= minPrice && metadata.price <= maxPrice && belowList) {
+            deal.price = metadata.price
+            deal.price_check = 'verified'
+        }
+    } else {
+        const tolerance = Math.max(priceToleranceAmount, deal.price * priceTolerancePercent / 100)
+        if (metadata.price <= deal.price + tolerance) {
+            deal.price_check = 'verified'
+        } else if (!deal.coupon_code) {
+            // With a coupon code the page price is expected to be higher;
+            // without one the deal may be over or cart-only
+            deal.price_check = 'mismatch'
+            deal.quality_score = Math.max(0, Number(((deal.quality_score || 0.5) - mismatchPenalty).toFixed(2)))
+        }
+    }
+
+    if (!deal.list_price && metadata.listPrice && deal.price && metadata.listPrice > deal.price) {
+        deal.list_price = metadata.listPrice
+    }
+
+    return deal
+}
+
 /**
  * Determine if deal should be auto-approved
  */
-function shouldAutoApprove(deal, source) {
+export function shouldAutoApprove(deal, source) {
     // Check if source is trusted
     if (!CONFIG.autoApproval.trustedSources.includes(source)) {
         return false
     }
 
+    // The merchant page asks more than the feed claimed - leave it to a moderator
+    if (deal.price_check === 'mismatch') {
+        return false
+    }
+
     // Check quality score
     if (deal.quality_score < CONFIG.autoApproval.minQualityScore) {
         return false
@@ -148,6 +214,48 @@ function shouldAutoApprove(deal, source) {
     return true
 }
 
+/**
+ * Point a deal at the merchant's page and fill details from it
+ * Mutates the deal; failures are logged and leave it as it was.
+ */
+export async function resolveDealPage(deal) {
+    // Resolve merchant URL (get direct store link)
+    try {
+        const merchantUrl = await resolveMerchantUrl(deal.url)
+        if (merchantUrl && merchantUrl !== deal.url) {
+            // Keep the original Slickdeals URL (or a feed's affiliate link) as source
+            deal.source_url = deal.source_url || deal.url
+            deal.url = merchantUrl       // Use merchant URL as primary
+            log.debug('Merchant URL resolved', {
+                from: deal.source_url.substring(0, 40),
+                to: merchantUrl.substring(0, 40)
+            })
+        }
+    } catch (err) {
+        log.debug('Merchant URL resolution failed', { error: err.message })
+    }
+
+    // Read product metadata from the merchant page. Aggregator
+    // pages (URL didn't resolve) describe the post, not the product.
+    if (CONFIG.pageMetadata.enabled && !isAggregatorUrl(deal.url)) {
+        try {
+            const metadata = await fetchPageMetadata(deal.url)
+            if (metadata) {
+                applyPageMetadata(deal, metadata)
+                if (deal.price_check === 'mismatch') {
+                    log.info('Page price higher than claimed', {
+                        title: deal.title.substring(0, 50),
+                        claimed: deal.price,
+                        page: deal.page_price
+                    })
+                }
+            }
+        } catch (err) {
+            log.debug('Page metadata extraction failed', { error: err.message })
+        }
+    }
+}
+
 /**
  * Process a single deal through the pipeline
  */
@@ -178,8 +286,9 @@ export async function processDeal(rawDeal, source) {
 
         const deal = validation.deal
 
-        // Step 3a: Check daily cap
-        const capStatus = checkDailyCap(source)
+        // Step 3a: Stop early once the daily cap is used up; the slot itself
+        // is reserved just before the insert
+        const capStatus = await checkDailyCap(source)
         if (!capStatus.allowed) {
             log.warn('Daily cap reached', { source, current: capStatus.current, cap: capStatus.cap })
             return {
@@ -196,22 +305,10 @@ export async function processDeal(rawDeal, source) {
             }
         }
 
-        // Step 3c: Resolve merchant URL (get direct store link)
-        try {
-            const merchantUrl = await resolveMerchantUrl(deal.url)
-            if (merchantUrl && merchantUrl !== deal.url) {
-                deal.source_url = deal.url  // Keep original Slickdeals URL as source
-                deal.url = merchantUrl       // Use merchant URL as primary
-                log.debug('Merchant URL resolved', {
-                    from: deal.source_url.substring(0, 40),
-                    to: merchantUrl.substring(0, 40)
-                })
-            }
-        } catch (err) {
-            log.debug('Merchant URL resolution failed', { error: err.message })
-        }
+        // Step 3c-d: Resolve the merchant URL and read the product page
+        await resolveDealPage(deal)
 
-        // Step 3d: Extract images (from resolved URL)
+        // Step 3e: Extract images (from resolved URL)
         if (!deal.image_url) {
             try {
                 // Extract multiple images
@@ -249,7 +346,10 @@ export async function processDeal(rawDeal, source) {
         }
 
         // Step 5: Prepare for insertion
-        // Using exact production schema columns from Supabase
+        // Using exact production schema columns from Supabase.
+        // Auto-approved deals fire the deals approval trigger, which queues
+        // them for saved search matching in the API.
+        const autoApproved = shouldAutoApprove(deal, source)
         const insertData = {
             title: deal.title,
             url: deal.url,
@@ -263,15 +363,42 @@ export async function processDeal(rawDeal, source) {
             source: source,
             external_id: deal.external_id || null,
             quality_score: deal.quality_score || 0.5,
-            status: 'pending',
+            status: autoApproved ? 'approved' : 'pending',
+            approved_at: autoApproved ? new Date().toISOString() : null,
             deal_type: 'discount',
-            coupon_code: deal.coupon_code || null
+            coupon_code: deal.coupon_code || null,
+            stock_status: deal.stock_status || 'unknown',
+            brand: deal.brand || null,
+            gtin: deal.gtin || null,
+            mpn: deal.mpn || null,
+            asin: deal.asin || null,
+            product_rating: deal.product_rating || null,
+            product_rating_count: deal.product_rating_count || null,
+            page_price: deal.page_price || null,
+            price_check: deal.price_check || 'unverified'
         }
 
-        // Step 6: Insert
-        const insertResult = await db.insertDeal(insertData)
+        // Step 6: Reserve a slot under the daily cap, then insert
+        const reservation = await reserveDailyCap(source)
+        if (!reservation.allowed) {
+            log.warn('Daily cap reached', { source, current: reservation.current, cap: reservation.cap })
+            return {
+                action: 'skipped',
+                reason: 'daily_cap_reached'
+            }
+        }
+
+        let insertResult
+        try {
+            insertResult = await db.insertDeal(insertData)
+        } catch (error) {
+            await releaseDailyCap(reservation)
+            throw error
+        }
 
         if (!insertResult.success) {
+            await releaseDailyCap(reservation)
+
             if (insertResult.error === 'duplicate') {
                 // Race condition - another process inserted first
                 incrementMetric('dealsSkipped')
@@ -281,9 +408,18 @@ export async function processDeal(rawDeal, source) {
             throw new Error(insertResult.error)
         }
 
+        // First point of the deal's price history
+        if (insertData.price) {
+            await priceTracker.recordPricePoint(insertResult.data.id, {
+                price: insertData.price,
+                original_price: insertData.original_price,
+                source,
+                source_url: insertData.source_url
+            })
+        }
+
         const duration = Date.now() - startTime
         incrementMetric('dealsProcessed')
-        incrementDailyCount(source)  // Track for daily cap
 
         log.info('Deal created', {
             id: insertResult.data.id,
@@ -436,6 +572,9 @@ function parseDate(value) {
 export default {
     validateDeal,
     normalizeDeal,
+    applyPageMetadata,
+    resolveDealPage,
+    shouldAutoApprove,
     processDeal,
     processDeals
 }
@@ -1,7 +1,14 @@
 /**
  * DATA SOURCE REGISTRY
- * Configuration for all deal/coupon ingestion sources
- * 
+ * Built-in deal/coupon ingestion sources
+ *
+ * These seed the ingestion_sources table on worker startup (see
+ * sourceStore.js); after that, sources are edited from the admin panel and
+ * changes here only apply to sources not yet in the table. Config values
+ * written as 'env:NAME' are read from the environment when a job runs, so
+ * credentials never reach the database. A source may read the names its
+ * definition here uses, plus any INGEST_SECRET_* variable.
+ *
  * All deals go to PENDING state for admin review
  */
 
@@ -23,7 +30,8 @@ export const SOURCES = {
     },
 
     dealnews_rss: {
-        enabled: false, // Disabled - returns 0 items, feed may be blocked or format changed
+        enabled: false,
+        notes: 'Returns 0 items - feed may be blocked or its format changed',
         type: 'rss',
         priority: 2,
         schedule: '*/15 * * * *', // Every 15 minutes
@@ -38,7 +46,8 @@ export const SOURCES = {
     },
 
     techbargains_rss: {
-        enabled: false, // Disabled - permanently 403 Forbidden
+        enabled: false,
+        notes: 'Permanently 403 Forbidden',
         type: 'rss',
         priority: 3,
         schedule: '0 */2 * * *', // Every 2 hours
@@ -71,7 +80,8 @@ export const SOURCES = {
     },
 
     dealnews_coupons: {
-        enabled: false, // Disabled - returns 0 items, feed may be blocked
+        enabled: false,
+        notes: 'Returns 0 items - feed may be blocked',
         type: 'rss',
         entity: 'coupon',
         priority: 2,
@@ -91,44 +101,100 @@ export const SOURCES = {
     // ========================================
 
     cj_affiliate: {
-        enabled: false, // Enable after getting API key
+        enabled: false,
+        notes: 'Enable after getting API key',
         type: 'api',
         priority: 1,
         schedule: '*/30 * * * *', // Every 30 min
         rateLimit: { requests: 1000, window: 3600000 },
         config: {
-            apiKey: process.env.CJ_API_KEY,
-            websiteId: process.env.CJ_WEBSITE_ID,
-            endpoint: 'https://advertiser-lookup.api.cj.com/v3/advertiser-lookup'
+            feed: 'products',
+            apiKey: 'env:CJ_API_KEY', // Personal access token
+            companyId: 'env:CJ_COMPANY_ID', // Publisher CID
+            websiteId: 'env:CJ_WEBSITE_ID', // PID for tracking links
+            endpoint: 'https://ads.api.cj.com/query',
+            keywords: '', // Comma-separated, optional
+            pageSize: 100,
+            maxPages: 5,
+            minDiscountPercent: 15
+        },
+        fetcher: './cjAffiliate.js'
+    },
+
+    cj_coupons: {
+        enabled: false,
+        type: 'api',
+        entity: 'coupon',
+        priority: 2,
+        schedule: '10 */4 * * *', // Every 4 hours
+        rateLimit: { requests: 25, window: 60000 },
+        config: {
+            feed: 'coupons',
+            apiKey: 'env:CJ_API_KEY',
+            websiteId: 'env:CJ_WEBSITE_ID',
+            linksEndpoint: 'https://link-search.api.cj.com/v2/link-search',
+            pageSize: 100,
+            maxPages: 5
         },
         fetcher: './cjAffiliate.js'
     },
 
     amazon_pa: {
-        enabled: false, // Enable after getting API credentials
+        enabled: false,
+        notes: 'Enable after getting API credentials',
         type: 'api',
         priority: 1,
         schedule: '*/20 * * * *', // Every 20 min
         rateLimit: { requests: 1, window: 1000 }, // 1 req/sec
         config: {
-            accessKey: process.env.AMAZON_ACCESS_KEY,
-            secretKey: process.env.AMAZON_SECRET_KEY,
-            partnerTag: process.env.AMAZON_PARTNER_TAG,
-            region: 'us-east-1'
+            accessKey: 'env:AMAZON_ACCESS_KEY',
+            secretKey: 'env:AMAZON_SECRET_KEY',
+            partnerTag: 'env:AMAZON_PARTNER_TAG',
+            region: 'us-east-1',
+            host: 'webservices.amazon.com',
+            marketplace: 'www.amazon.com',
+            keywords: 'laptop,headphones,tv,kitchen,toys',
+            searchIndex: 'All',
+            minSavingPercent: 20,
+            maxPages: 2
         },
         fetcher: './amazonPA.js'
     },
 
     impact: {
-        enabled: false, // Enable when approved
+        enabled: false,
+        notes: 'Enable when approved',
         type: 'api',
         priority: 1,
         schedule: '0 */3 * * *', // Every 3 hours
         rateLimit: { requests: 100, window: 60000 },
         config: {
-            accountSid: process.env.IMPACT_ACCOUNT_SID,
-            authToken: process.env.IMPACT_AUTH_TOKEN,
-            endpoint: 'https://api.impact.com'
+            feed: 'products',
+            accountSid: 'env:IMPACT_ACCOUNT_SID',
+            authToken: 'env:IMPACT_AUTH_TOKEN',
+            endpoint: 'https://api.impact.com',
+            catalogIds: '', // Comma-separated, default all
+            pageSize: 100,
+            maxPages: 5,
+            minDiscountPercent: 15
+        },
+        fetcher: './impactAPI.js'
+    },
+
+    impact_coupons: {
+        enabled: false,
+        type: 'api',
+        entity: 'coupon',
+        priority: 2,
+        schedule: '20 */4 * * *', // Every 4 hours
+        rateLimit: { requests: 100, window: 60000 },
+        config: {
+            feed: 'coupons',
+            accountSid: 'env:IMPACT_ACCOUNT_SID',
+            authToken: 'env:IMPACT_AUTH_TOKEN',
+            endpoint: 'https://api.impact.com',
+            pageSize: 100,
+            maxPages: 5
         },
         fetcher: './impactAPI.js'
     },
@@ -137,11 +203,33 @@ export const SOURCES = {
         enabled: false,
         type: 'api',
         priority: 2,
-        schedule: '0 */4 * * *', // Every 4 hours
+        schedule: '0 */12 * * *', // Every 12 hours - monthly API allowance is small
+        rateLimit: { requests: 50, window: 60000 },
+        config: {
+            feed: 'products',
+            affiliateId: 'env:SHAREASALE_AFFILIATE_ID',
+            token: 'env:SHAREASALE_TOKEN',
+            secret: 'env:SHAREASALE_SECRET',
+            endpoint: 'https://api.shareasale.com/x.cfm',
+            keywords: '', // Comma-separated, required
+            minDiscountPercent: 15
+        },
+        fetcher: './shareasaleAPI.js'
+    },
+
+    shareasale_coupons: {
+        enabled: false,
+        type: 'api',
+        entity: 'coupon',
+        priority: 2,
+        schedule: '30 */12 * * *', // Every 12 hours
         rateLimit: { requests: 50, window: 60000 },
         config: {
-            token: process.env.SHAREASALE_TOKEN,
-            secret: process.env.SHAREASALE_SECRET
+            feed: 'coupons',
+            affiliateId: 'env:SHAREASALE_AFFILIATE_ID',
+            token: 'env:SHAREASALE_TOKEN',
+            secret: 'env:SHAREASALE_SECRET',
+            endpoint: 'https://api.shareasale.com/x.cfm'
         },
         fetcher: './shareasaleAPI.js'
     },
@@ -150,16 +238,33 @@ export const SOURCES = {
     // WEB SCRAPERS - Use carefully, low priority
     // ========================================
 
+    // type 'scraper' reads HTML (or JSON embedded in it) with CSS selectors,
+    // type 'json' reads JSON APIs with JSON paths - see fetchers/webScraper.js.
+    // robots.txt is checked before every page.
+
     walmart_scraper: {
-        enabled: false, // Enable with caution
+        enabled: false,
+        notes: 'Enable with caution',
         type: 'scraper',
         priority: 4,
         schedule: '0 */8 * * *', // Every 8 hours
         rateLimit: { requests: 5, window: 60000 },
         config: {
-            baseUrl: 'https://www.walmart.com/shop/deals',
-            useProxy: true,
-            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+            url: 'https://www.walmart.com/shop/deals?page={page}',
+            pagination: { type: 'page', start: 1, maxPages: 3 },
+            userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36',
+            // Product tiles are rendered from the Next.js page data
+            embeddedJson: 'script#__NEXT_DATA__',
+            items: '$.props.pageProps.initialData.searchResult.itemStacks[*].items[*]',
+            fields: {
+                title: 'name',
+                url: 'canonicalUrl',
+                image_url: 'imageInfo.thumbnailUrl',
+                price: 'priceInfo.currentPrice.price',
+                list_price: 'priceInfo.wasPrice.price',
+                external_id: 'usItemId'
+            },
+            defaults: { merchant: 'Walmart' }
         },
         fetcher: './webScraper.js'
     }
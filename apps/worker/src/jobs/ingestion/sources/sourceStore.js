@@ -0,0 +1,201 @@
+/**
+ * INGESTION SOURCE STORE
+ * Reads sources from the ingestion_sources table, which admins edit from the
+ * admin panel. registry.js seeds the table and is used as-is when the table
+ * doesn't exist yet (migration 088 not run).
+ */
+
+import db from '../../../lib/supabase.js'
+import logger from '../../../lib/logger.js'
+import { SOURCES } from './registry.js'
+
+const log = logger.child({ component: 'sourceStore' })
+
+const ENV_PREFIX = 'env:'
+
+// Besides the names its registry.js definition uses, a source may only read
+// environment variables with this prefix. Admins edit configs, and a config
+// that could name any variable could send worker secrets to any host.
+const SECRET_PREFIX = 'INGEST_SECRET_'
+
+function envNames(value, names = new Set()) {
+    if (typeof value === 'string' && value.startsWith(ENV_PREFIX)) {
+        names.add(value.slice(ENV_PREFIX.length))
+    } else if (value && typeof value === 'object') {
+        Object.values(value).forEach(item => envNames(item, names))
+    }
+    return names
+}
+
+const REGISTRY_ENV_NAMES = new Map(
+    Object.entries(SOURCES).map(([key, source]) => [key, envNames(source.config)])
+)
+const warnedNames = new Set()
+
+/**
+ * registry.js sources in the shape loadSources returns
+ */
+export function registrySources() {
+    return Object.entries(SOURCES).map(([key, source]) => ({
+        key,
+        type: source.type,
+        entity: source.entity || null,
+        enabled: source.enabled === true,
+        priority: source.priority,
+        schedule: source.schedule,
+        rateLimit: source.rateLimit || null,
+        dailyCap: null,
+        config: source.config || {},
+        fetcher: source.fetcher || null,
+        notes: source.notes || null,
+        updatedAt: null,
+        runRequestedAt: null
+    }))
+}
+
+function fromRow(row) {
+    return {
+        key: row.key,
+        type: row.type,
+        entity: row.entity,
+        enabled: row.enabled,
+        priority: row.priority,
+        schedule: row.schedule,
+        rateLimit: row.rate_limit,
+        dailyCap: row.daily_cap,
+        config: row.config || {},
+        fetcher: row.fetcher,
+        notes: row.notes,
+        updatedAt: row.updated_at,
+        runRequestedAt: row.run_requested_at
+    }
+}
+
+/**
+ * Replace 'env:NAME' strings anywhere in a source's config with the environment
+ * value. Done when a job runs so credentials stay out of the database and Redis.
+ * Names outside the source's allowlist (see SECRET_PREFIX) resolve to undefined.
+ */
+export function resolveConfig(value, sourceKey) {
+    const allowed = REGISTRY_ENV_NAMES.get(sourceKey)
+
+    const resolve = (item) => {
+        if (typeof item === 'string' && item.startsWith(ENV_PREFIX)) {
+            const name = item.slice(ENV_PREFIX.length)
+            if (name.startsWith(SECRET_PREFIX) || allowed?.has(name)) {
+                return process.env[name]
+            }
+            if (!warnedNames.has(`${sourceKey}:${name}`)) {
+                warnedNames.add(`${sourceKey}:${name}`)
+                log.warn('Source config names a variable it may not read', { source: sourceKey, name })
+            }
+            return undefined
+        }
+        if (Array.isArray(item)) {
+            return item.map(resolve)
+        }
+        if (item && typeof item === 'object') {
+            return Object.fromEntries(Object.entries(item).map(([key, entry]) => [key, resolve(entry)]))
+        }
+        return item
+    }
+
+    return resolve(value)
+}
+
+/**
+ * Insert registry sources that aren't in the table yet
+ * Existing rows are left alone - the table is the source of truth once seeded.
+ * Returns false when the table isn't available.
+ */
+export async function seedSources() {
+    const rows = registrySources().map(source => ({
+        key: source.key,
+        type: source.type,
+        entity: source.entity,
+        enabled: source.enabled,
+        priority: source.priority,
+        schedule: source.schedule,
+        rate_limit: source.rateLimit,
+        config: source.config,
+        fetcher: source.fetcher,
+        notes: source.notes
+    }))
+
+    const { error } = await db.supabase
+        .from('ingestion_sources')
+        .upsert(rows, { onConflict: 'key', ignoreDuplicates: true })
+
+    if (error) {
+        log.warn('ingestion_sources unavailable, using registry.js', { error: error.message })
+        return false
+    }
+    return true
+}
+
+/**
+ * All sources, enabled or not, by priority
+ * Returns { sources, fromDatabase }.
+ */
+export async function loadSources() {
+    const { data, error } = await db.supabase
+        .from('ingestion_sources')
+        .select('key, type, entity, enabled, priority, schedule, rate_limit, daily_cap, config, fetcher, notes, updated_at, run_requested_at')
+        .order('priority', { ascending: true })
+
+    if (error) {
+        log.warn('Failed to load ingestion sources, using registry.js', { error: error.message })
+        return {
+            sources: registrySources().sort((a, b) => a.priority - b.priority),
+            fromDatabase: false
+        }
+    }
+
+    return { sources: data.map(fromRow), fromDatabase: true }
+}
+
+/**
+ * Clear a source's "Run now" request
+ * Matching on the requested time means a second click made while this one
+ * was being queued isn't lost. Returns true if this worker claimed it.
+ */
+export async function claimRunRequest(source) {
+    const { data, error } = await db.supabase
+        .from('ingestion_sources')
+        .update({ run_requested_at: null })
+        .eq('key', source.key)
+        .eq('run_requested_at', source.runRequestedAt)
+        .select('key')
+
+    if (error) {
+        log.error('Failed to claim run request', { source: source.key, error: error.message })
+        return false
+    }
+    return data.length > 0
+}
+
+/**
+ * Store what the worker knows about a source for the admin panel
+ */
+export async function saveRuntimeStatus(key, status) {
+    const { error } = await db.supabase
+        .from('ingestion_sources')
+        .update({
+            runtime_status: status,
+            runtime_updated_at: new Date().toISOString()
+        })
+        .eq('key', key)
+
+    if (error) {
+        log.debug('Failed to save runtime status', { source: key, error: error.message })
+    }
+}
+
+export default {
+    registrySources,
+    resolveConfig,
+    seedSources,
+    loadSources,
+    claimRunRequest,
+    saveRuntimeStatus
+}
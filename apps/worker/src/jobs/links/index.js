@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+/**
+ * DEAD LINK WORKER
+ * Checks a sample of live deals' merchant pages on a schedule
+ */
+
+import dotenv from 'dotenv'
+import { Worker } from 'bullmq'
+import logger from '../../lib/logger.js'
+import { connection, queues, gracefulShutdown } from '../../lib/queue.js'
+import { startHealthServer, updateMetrics } from '../../lib/healthCheck.js'
+import CONFIG from '../../config/ingestion.config.js'
+import { runLinkChecks } from './linkChecker.js'
+
+dotenv.config()
+
+const log = logger.child({ component: 'links' })
+
+/**
+ * Process link check job
+ */
+async function processLinkCheckJob(job) {
+    log.info('Processing link check job', { jobId: job.id })
+
+    const results = await runLinkChecks()
+    updateMetrics({
+        lastLinkCheckRun: new Date().toISOString(),
+        linkCheckResults: results
+    })
+    return results
+}
+
+/**
+ * Setup scheduled link check runs
+ */
+async function setupLinkCheckScheduler() {
+    const existingJobs = await queues.links.getRepeatableJobs()
+    for (const job of existingJobs) {
+        if (job.name === 'scheduled-link-checks') {
+            await queues.links.removeRepeatableByKey(job.key)
+        }
+    }
+
+    await queues.links.add(
+        'scheduled-link-checks',
+        {},
+        {
+            repeat: { pattern: CONFIG.linkCheck.schedule },
+            jobId: 'scheduled-link-checks'
+        }
+    )
+
+    log.info('Link checks scheduled', { schedule: CONFIG.linkCheck.schedule })
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    console.log('\n🔗 Starting Link Check Worker\n')
+    console.log('='.repeat(50))
+
+    try {
+        log.info('Connecting to Redis...')
+        await connection.ping()
+        log.info('Redis connected')
+
+        startHealthServer(process.env.LINK_CHECK_HEALTH_PORT || 3006)
+
+        const worker = new Worker(
+            'links',
+            processLinkCheckJob,
+            {
+                connection,
+                concurrency: 1 // Runs would sample the same deals
+            }
+        )
+
+        worker.on('completed', (job, result) => {
+            log.info('Link check job completed', { jobId: job.id, result })
+        })
+
+        worker.on('failed', (job, err) => {
+            log.error('Link check job failed', { jobId: job?.id, error: err.message })
+        })
+
+        await setupLinkCheckScheduler()
+
+        console.log('\n' + '='.repeat(50))
+        console.log('✅ Link check worker ready!')
+        console.log(`📊 Health: http://localhost:${process.env.LINK_CHECK_HEALTH_PORT || 3006}/health`)
+        console.log(`⏰ Schedule: ${CONFIG.linkCheck.schedule} (${CONFIG.linkCheck.sampleSize} deals per run, auto-expire ${CONFIG.linkCheck.autoExpire ? 'on' : 'off'})`)
+        console.log('='.repeat(50) + '\n')
+
+        process.on('SIGTERM', () => gracefulShutdown('SIGTERM'))
+        process.on('SIGINT', () => gracefulShutdown('SIGINT'))
+
+    } catch (error) {
+        log.error('Failed to start link check worker', { error: error.message }, error)
+        console.error('\n❌ Fatal error:', error.message)
+        process.exit(1)
+    }
+}
+
+main().catch(console.error)
+
+export { setupLinkCheckScheduler }
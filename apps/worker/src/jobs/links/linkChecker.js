@@ -0,0 +1,324 @@
+/**
+ * DEAD LINK / STOCK CHECKER
+ * Samples approved deals and checks that the merchant page still sells the
+ * item. expires_at only catches deals whose end date we know; this catches
+ * the rest.
+ *
+ * A page counts as:
+ * - dead: 404/410, a domain that no longer resolves, a redirect to the
+ *   store's homepage, or a "page not found" page served with a 200
+ * - out_of_stock: schema.org availability (JSON-LD, microdata or
+ *   product:availability) says so, or the title / buy box says "sold out"
+ * - unknown: blocked (403/429), server errors and timeouts - never acted on
+ *
+ * Structured availability wins over text, so an in-stock offer isn't flagged
+ * because of a "sold out" badge elsewhere on the page. A problem flags the
+ * deal for admins; seeing the same problem on `confirmations` checks in a row
+ * expires it with the reason shown on the deal page.
+ */
+
+import * as cheerio from 'cheerio'
+import db from '../../lib/supabase.js'
+import logger from '../../lib/logger.js'
+import { inspectUrl } from '../../lib/httpClient.js'
+import { resolveMerchantUrl, isAggregatorUrl } from '../../lib/urlResolver.js'
+import { extractPageMetadata } from '../../lib/pageMetadata.js'
+import { withRateLimit } from '../../lib/rateLimiter.js'
+import priceTracker from '../../lib/priceTracker.js'
+import CONFIG from '../../config/ingestion.config.js'
+
+const log = logger.child({ component: 'links' })
+const {
+    sampleSize,
+    recheckHours,
+    flaggedRecheckHours,
+    confirmations,
+    autoExpire,
+    concurrency,
+    perHostPerMinute,
+    userAgent
+} = CONFIG.linkCheck
+
+const HOUR_MS = 60 * 60 * 1000
+const FLAGGED = ['dead', 'out_of_stock']
+const DEAL_COLUMNS = 'id, title, url, status, price, original_price, stock_status, link_status, link_failures'
+
+// Shown to users on the deal page, so phrased for them
+export const REASONS = {
+    notFound: 'The store page for this deal no longer exists',
+    noHost: 'The store website no longer responds',
+    homepage: 'The deal link now goes to the store homepage',
+    outOfStock: 'The store lists this item as out of stock',
+    soldOut: 'The store page says this item is sold out',
+    discontinued: 'The store no longer sells this item'
+}
+
+// Only matched against the title, headings and buy box - never the whole
+// page, where "sold out" turns up in carousels of other products
+const SOLD_OUT_TEXT = [
+    { pattern: /\bsold\s*out\b/i, reason: REASONS.soldOut },
+    { pattern: /\bout of stock\b/i, reason: REASONS.outOfStock },
+    { pattern: /\b(currently|temporarily) unavailable\b/i, reason: REASONS.outOfStock },
+    { pattern: /\bno longer (available|sold)\b/i, reason: REASONS.discontinued },
+    { pattern: /\bdiscontinued\b/i, reason: REASONS.discontinued }
+]
+const NOT_FOUND_TEXT = /\b(page|product|item) (was )?not found\b|\berror 404\b|^404\b|\bno longer exists\b/i
+const BUY_BOX = [
+    '[class*="availability" i]', '[id*="availability" i]',
+    '[class*="stock-status" i]', '[class*="stockstatus" i]', '[id*="stock" i]',
+    '[class*="add-to-cart" i]', '[id*="add-to-cart" i]', '[class*="addtocart" i]',
+    'button[name="add"]', 'button[disabled]'
+].join(', ')
+// Longer than this and the element is a container, not a status label
+const MAX_LABEL_LENGTH = 80
+
+function isHomepage(url) {
+    try {
+        return /^\/((home|index)(\.html?|\.php)?)?\/?$/i.test(new URL(url).pathname)
+    } catch {
+        return false
+    }
+}
+
+/**
+ * Classify a fetched page
+ * `page` is what inspectUrl returned; `url` is the link that was requested.
+ */
+export function classifyPage(url, page) {
+    const { status, finalUrl, body, error } = page
+    const details = { status, finalUrl: finalUrl !== url ? finalUrl : undefined }
+
+    if (error) {
+        if (error === 'ENOTFOUND') return { outcome: 'dead', reason: REASONS.noHost, details: { ...details, error } }
+        return { outcome: 'unknown', reason: `Request failed: ${error}`, details: { ...details, error } }
+    }
+    if (status === 404 || status === 410) {
+        return { outcome: 'dead', reason: REASONS.notFound, details }
+    }
+    if (status >= 400) {
+        // Blocked, rate limited or down - none of which says the deal is gone
+        return { outcome: 'unknown', reason: `HTTP ${status}`, details }
+    }
+    if (finalUrl !== url && isHomepage(finalUrl) && !isHomepage(url)) {
+        return { outcome: 'dead', reason: REASONS.homepage, details }
+    }
+    if (!body) return { outcome: 'ok', reason: null, details }
+
+    const $ = cheerio.load(body)
+    const title = $('title').first().text().trim()
+    const heading = $('h1').first().text().trim()
+
+    if (NOT_FOUND_TEXT.test(title) || NOT_FOUND_TEXT.test(heading)) {
+        return { outcome: 'dead', reason: REASONS.notFound, details: { ...details, title } }
+    }
+
+    const { availability, availabilityValues } = extractPageMetadata(body, finalUrl)
+    if (availability === 'in_stock') {
+        return { outcome: 'ok', reason: null, details: { ...details, availability: availabilityValues } }
+    }
+    if (availability === 'out_of_stock') {
+        const reason = availabilityValues.includes('discontinued') ? REASONS.discontinued : REASONS.outOfStock
+        return { outcome: 'out_of_stock', reason, details: { ...details, availability: availabilityValues } }
+    }
+
+    const labels = [title, heading]
+    $(BUY_BOX).each((_, el) => {
+        const text = $(el).text().replace(/\s+/g, ' ').trim() || $(el).attr('value') || ''
+        if (text && text.length <= MAX_LABEL_LENGTH) labels.push(text)
+    })
+    for (const label of labels) {
+        const marker = SOLD_OUT_TEXT.find(({ pattern }) => pattern.test(label))
+        if (marker) {
+            return { outcome: 'out_of_stock', reason: marker.reason, details: { ...details, marker: label } }
+        }
+    }
+
+    return { outcome: 'ok', reason: null, details }
+}
+
+/**
+ * Fetch and classify one deal's link
+ */
+export async function checkDealLink(deal) {
+    let url = deal.url
+
+    // Deals that kept their aggregator link are checked at the merchant
+    if (isAggregatorUrl(url)) {
+        const merchantUrl = await resolveMerchantUrl(url)
+        if (!merchantUrl || isAggregatorUrl(merchantUrl)) {
+            return { url, outcome: 'unknown', reason: 'Merchant link could not be resolved', details: {} }
+        }
+        url = merchantUrl
+    }
+
+    // A malformed link can't be fetched, but the deal still counts as checked
+    // so it doesn't stay at the front of the queue
+    let host
+    try {
+        host = new URL(url).hostname
+    } catch {
+        return { url, outcome: 'unknown', reason: 'Deal link is not a valid URL', details: {} }
+    }
+
+    const page = await withRateLimit(
+        `links:${host}`,
+        () => inspectUrl(url, { headers: { 'User-Agent': userAgent } }),
+        { requests: perHostPerMinute, window: 60000 }
+    )
+
+    return { url, ...classifyPage(url, page), httpStatus: page.status, finalUrl: page.finalUrl }
+}
+
+/**
+ * Deals due a check: flagged ones first, then the least recently checked
+ */
+async function sampleDeals(now) {
+    const flaggedCutoff = new Date(now.getTime() - flaggedRecheckHours * HOUR_MS).toISOString()
+    const cutoff = new Date(now.getTime() - recheckHours * HOUR_MS).toISOString()
+
+    const { data: flagged, error: flaggedError } = await db.supabase
+        .from('deals')
+        .select(DEAL_COLUMNS)
+        .eq('status', 'approved')
+        .eq('link_check_disabled', false)
+        .in('link_status', FLAGGED)
+        .lt('link_checked_at', flaggedCutoff)
+        .not('url', 'is', null)
+        .order('link_checked_at', { ascending: true })
+        .limit(sampleSize)
+    if (flaggedError) throw flaggedError
+
+    const remaining = sampleSize - (flagged?.length || 0)
+    if (remaining <= 0) return flagged
+
+    const { data: due, error: dueError } = await db.supabase
+        .from('deals')
+        .select(DEAL_COLUMNS)
+        .eq('status', 'approved')
+        .eq('link_check_disabled', false)
+        .not('link_status', 'in', `(${FLAGGED.join(',')})`)
+        .or(`link_checked_at.is.null,link_checked_at.lt.${cutoff}`)
+        .not('url', 'is', null)
+        .order('link_checked_at', { ascending: true, nullsFirst: true })
+        .limit(remaining)
+    if (dueError) throw dueError
+
+    return [...(flagged || []), ...(due || [])]
+}
+
+/**
+ * Store a check's outcome on the deal and in the log
+ * Returns the action taken: 'flagged', 'expired', 'cleared' or null.
+ */
+async function applyResult(deal, result, now) {
+    const checkedAt = now.toISOString()
+    const update = { link_checked_at: checkedAt }
+    let action = null
+
+    if (result.outcome === 'ok') {
+        if (FLAGGED.includes(deal.link_status)) action = 'cleared'
+        Object.assign(update, { link_status: 'ok', link_issue: null, link_failures: 0 })
+        if (result.details?.availability && deal.stock_status === 'out_of_stock') update.stock_status = 'in_stock'
+    } else if (FLAGGED.includes(result.outcome)) {
+        const failures = deal.link_status === result.outcome ? (deal.link_failures || 0) + 1 : 1
+        Object.assign(update, { link_status: result.outcome, link_issue: result.reason, link_failures: failures })
+        if (result.outcome === 'out_of_stock') update.stock_status = 'out_of_stock'
+
+        if (autoExpire && failures >= confirmations) {
+            Object.assign(update, { status: 'expired', expired_reason: result.reason, updated_at: checkedAt })
+            action = 'expired'
+        } else {
+            action = 'flagged'
+        }
+    }
+
+    // Only touch deals still live, in case an admin acted mid-run
+    const { data: updated, error } = await db.supabase
+        .from('deals')
+        .update(update)
+        .eq('id', deal.id)
+        .eq('status', 'approved')
+        .select('id')
+    if (error) throw error
+
+    // Stock flips go in the price history and fire back-in-stock alerts
+    if (updated?.length && update.stock_status && update.stock_status !== deal.stock_status) {
+        await priceTracker.handlePriceChange({ ...deal, ...update }, null, {
+            source: 'link_checker',
+            source_url: result.url,
+            notes: `Stock changed to ${update.stock_status}`
+        })
+    }
+
+    const { error: logError } = await db.supabase
+        .from('deal_link_checks')
+        .insert({
+            deal_id: deal.id,
+            url: result.url,
+            final_url: result.finalUrl || null,
+            http_status: result.httpStatus || null,
+            outcome: result.outcome,
+            reason: result.reason,
+            details: result.details || null,
+            action,
+            checked_at: checkedAt
+        })
+    if (logError) log.warn('Failed to log link check', { dealId: deal.id, error: logError.message })
+
+    return action
+}
+
+/**
+ * Split deals into `lanes` lists, keeping each host in one lane so its
+ * requests are made one after another and the per-host limit can hold
+ */
+function laneByHost(deals, lanes) {
+    const result = Array.from({ length: lanes }, () => [])
+    for (const deal of deals) {
+        let host = ''
+        try {
+            host = new URL(deal.url).hostname
+        } catch {
+            // Invalid URLs are reported by the check itself
+        }
+        const hash = [...host].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) >>> 0, 0)
+        result[hash % lanes].push(deal)
+    }
+    return result
+}
+
+/**
+ * Check a sample of approved deals
+ */
+export async function runLinkChecks(now = new Date()) {
+    const deals = await sampleDeals(now)
+    const results = { checked: 0, ok: 0, unknown: 0, flagged: 0, expired: 0, cleared: 0, errors: 0 }
+
+    log.info('Checking deal links', { deals: deals.length })
+
+    await Promise.all(laneByHost(deals, concurrency).map(async lane => {
+        for (const deal of lane) {
+            try {
+                const result = await checkDealLink(deal)
+                const action = await applyResult(deal, result, now)
+
+                results.checked++
+                if (result.outcome === 'ok') results.ok++
+                if (result.outcome === 'unknown') results.unknown++
+                if (action) results[action]++
+
+                if (action === 'flagged' || action === 'expired') {
+                    log.info('Deal link problem', { dealId: deal.id, outcome: result.outcome, reason: result.reason, action })
+                }
+            } catch (error) {
+                results.errors++
+                log.error('Link check failed', { dealId: deal.id, error: error.message })
+            }
+        }
+    }))
+
+    log.info('Link checks complete', results)
+    return results
+}
+
+export default { runLinkChecks, checkDealLink, classifyPage }
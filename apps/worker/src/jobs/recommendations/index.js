@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * RECOMMENDATION PRECOMPUTE WORKER
+ * Rebuilds For You candidate lists on a schedule
+ */
+
+import dotenv from 'dotenv'
+import { Worker } from 'bullmq'
+import logger from '../../lib/logger.js'
+import { connection, queues, gracefulShutdown } from '../../lib/queue.js'
+import { startHealthServer, updateMetrics } from '../../lib/healthCheck.js'
+import CONFIG from '../../config/ingestion.config.js'
+import { runRecommendations } from './recommendationEngine.js'
+
+dotenv.config()
+
+const log = logger.child({ component: 'recommendations' })
+
+/**
+ * Process recommendation job
+ */
+async function processRecommendationJob(job) {
+    log.info('Processing recommendation job', { jobId: job.id })
+
+    const results = await runRecommendations()
+    updateMetrics({
+        lastRecommendationRun: new Date().toISOString(),
+        recommendationResults: results
+    })
+    return results
+}
+
+/**
+ * Setup scheduled recommendation runs
+ */
+async function setupRecommendationScheduler() {
+    const existingJobs = await queues.recommendations.getRepeatableJobs()
+    for (const job of existingJobs) {
+        if (job.name === 'scheduled-recommendations') {
+            await queues.recommendations.removeRepeatableByKey(job.key)
+        }
+    }
+
+    await queues.recommendations.add(
+        'scheduled-recommendations',
+        {},
+        {
+            repeat: { pattern: CONFIG.recommendations.schedule },
+            jobId: 'scheduled-recommendations'
+        }
+    )
+
+    log.info('Recommendations scheduled', { schedule: CONFIG.recommendations.schedule })
+}
+
+/**
+ * Main entry point
+ */
+async function main() {
+    console.log('\n🎯 Starting Recommendation Worker\n')
+    console.log('='.repeat(50))
+
+    try {
+        log.info('Connecting to Redis...')
+        await connection.ping()
+        log.info('Redis connected')
+
+        startHealthServer(process.env.RECOMMENDATIONS_HEALTH_PORT || 3004)
+
+        const worker = new Worker(
+            'recommendations',
+            processRecommendationJob,
+            {
+                connection,
+                concurrency: 1 // Runs rewrite the same tables
+            }
+        )
+
+        worker.on('completed', (job, result) => {
+            log.info('Recommendation job completed', { jobId: job.id, result })
+        })
+
+        worker.on('failed', (job, err) => {
+            log.error('Recommendation job failed', { jobId: job?.id, error: err.message })
+        })
+
+        await setupRecommendationScheduler()
+
+        // Queue an immediate run so lists exist right after deploy
+        await queues.recommendations.add('initial-recommendations', {})
+
+        console.log('\n' + '='.repeat(50))
+        console.log('✅ Recommendation worker ready!')
+        console.log(`📊 Health: http://localhost:${process.env.RECOMMENDATIONS_HEALTH_PORT || 3004}/health`)
+        console.log(`⏰ Schedule: ${CONFIG.recommendations.schedule}`)
+        console.log('='.repeat(50) + '\n')
+
+        process.on('SIGTERM', () => gracefulShutdown('SIGTERM'))
+        process.on('SIGINT', () => gracefulShutdown('SIGINT'))
+
+    } catch (error) {
+        log.error('Failed to start recommendation worker', { error: error.message }, error)
+        console.error('\n❌ Fatal error:', error.message)
+        process.exit(1)
+    }
+}
+
+main().catch(console.error)
+
+export { setupRecommendationScheduler }
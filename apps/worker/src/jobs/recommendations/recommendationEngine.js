@@ -0,0 +1,409 @@
+/**
+ * RECOMMENDATION ENGINE
+ * Precomputes For You candidate lists so the API only has to read them.
+ *
+ * Per active user the job scores the recent approved deal pool on:
+ * - Base quality: net votes, recency, discount
+ * - Category affinity: categories of deals the user saved, upvoted or viewed
+ * - Merchant affinity
+ * - Price band: around the average price of deals the user engaged with
+ * - Collaborative signal: upvotes from users who liked the same deals
+ *
+ * Guests and users without a list get the trending list, which is the base
+ * quality score alone.
+ */
+
+import db from '../../lib/supabase.js'
+import logger from '../../lib/logger.js'
+import CONFIG from '../../config/ingestion.config.js'
+
+const log = logger.child({ component: 'recommendations' })
+const { poolSize, activeUserDays, candidatesPerUser, trendingSize } = CONFIG.recommendations
+
+const DAY_MS = 24 * 60 * 60 * 1000
+// PostgREST caps responses at 1000 rows, and .in() lists travel in the URL
+const PAGE = 1000
+const IN_CHUNK = 200
+const WRITE_BATCH = 500
+
+const INTERACTION_ACTIVITIES = ['view', 'click', 'deal_view', 'deal_click', 'deal_save']
+
+/**
+ * Read every row of a query, one page at a time
+ */
+async function fetchAll(buildQuery) {
+    const rows = []
+    for (let from = 0; ; from += PAGE) {
+        const { data, error } = await buildQuery().range(from, from + PAGE - 1)
+        if (error) throw error
+        rows.push(...(data || []))
+        if (!data || data.length < PAGE) break
+    }
+    return rows
+}
+
+/**
+ * Read rows whose `column` is in `ids`, chunking the id list
+ */
+async function fetchIn(table, columns, column, ids, refine = q => q) {
+    const rows = []
+    for (let i = 0; i < ids.length; i += IN_CHUNK) {
+        const chunk = ids.slice(i, i + IN_CHUNK)
+        rows.push(...await fetchAll(() => refine(db.supabase.from(table).select(columns).in(column, chunk))))
+    }
+    return rows
+}
+
+function countBy(values) {
+    const counts = new Map()
+    for (const v of values) {
+        if (v == null) continue
+        counts.set(v, (counts.get(v) || 0) + 1)
+    }
+    return [...counts.entries()].sort((a, b) => b[1] - a[1]).map(([v]) => v)
+}
+
+function ageInDays(date) {
+    return (Date.now() - new Date(date).getTime()) / DAY_MS
+}
+
+function daysUntil(date) {
+    return (new Date(date).getTime() - Date.now()) / DAY_MS
+}
+
+/**
+ * Recent approved, unexpired deals with vote tallies
+ */
+async function loadDealPool() {
+    const nowIso = new Date().toISOString()
+    const deals = []
+
+    for (let from = 0; from < poolSize; from += PAGE) {
+        const { data, error } = await db.supabase
+            .from('deals')
+            .select('id, price, discount_percentage, merchant, category_id, created_at, expires_at, companies (is_verified)')
+            .eq('status', 'approved')
+            .or(`expires_at.is.null,expires_at.gt.${nowIso}`)
+            .order('created_at', { ascending: false })
+            .range(from, Math.min(from + PAGE, poolSize) - 1)
+
+        if (error) throw error
+        deals.push(...(data || []))
+        if (!data || data.length < PAGE) break
+    }
+
+    const votes = await fetchIn('votes', 'deal_id, user_id, value', 'deal_id', deals.map(d => d.id))
+
+    // deal -> users who upvoted it, used for the collaborative signal
+    const upvoters = new Map()
+    const tallies = new Map()
+    for (const vote of votes) {
+        const tally = tallies.get(vote.deal_id) || { ups: 0, downs: 0 }
+        if (vote.value === 1) {
+            tally.ups++
+            if (!upvoters.has(vote.deal_id)) upvoters.set(vote.deal_id, new Set())
+            upvoters.get(vote.deal_id).add(vote.user_id)
+        }
+        if (vote.value === -1) tally.downs++
+        tallies.set(vote.deal_id, tally)
+    }
+
+    return {
+        deals: deals.map(deal => ({
+            ...deal,
+            netVotes: (tallies.get(deal.id)?.ups || 0) - (tallies.get(deal.id)?.downs || 0),
+            isVerified: Boolean(deal.companies?.is_verified)
+        })),
+        upvoters
+    }
+}
+
+/**
+ * Users with any votes, saves or views inside the activity window
+ */
+async function loadActiveUsers() {
+    const since = new Date(Date.now() - activeUserDays * DAY_MS).toISOString()
+    const users = new Set()
+
+    const sources = [
+        () => db.supabase.from('votes').select('user_id').gte('created_at', since),
+        () => db.supabase.from('saved_items').select('user_id').gte('created_at', since),
+        () => db.supabase.from('user_activities').select('user_id').gte('created_at', since)
+    ]
+
+    for (const build of sources) {
+        try {
+            const rows = await fetchAll(build)
+            rows.forEach(r => r.user_id && users.add(r.user_id))
+        } catch (error) {
+            // Not every deployment has every activity table
+            log.warn('Skipping activity source', { error: error.message })
+        }
+    }
+
+    return [...users]
+}
+
+/**
+ * What a user engaged with, and the preferences that implies
+ */
+async function loadUserProfile(userId) {
+    const [savedResult, votesResult, viewsResult] = await Promise.all([
+        db.supabase.from('saved_items')
+            .select('item_id, item_type')
+            .eq('user_id', userId)
+            .order('created_at', { ascending: false })
+            .limit(100),
+        db.supabase.from('votes')
+            .select('deal_id')
+            .eq('user_id', userId)
+            .eq('value', 1)
+            .order('created_at', { ascending: false })
+            .limit(200),
+        db.supabase.from('user_activities')
+            .select('target_id, target_type')
+            .eq('user_id', userId)
+            .in('activity_type', INTERACTION_ACTIVITIES)
+            .order('created_at', { ascending: false })
+            .limit(200)
+    ])
+
+    const saved = (savedResult.data || []).filter(s => s.item_type === 'deal').map(s => Number(s.item_id))
+    const upvoted = (votesResult.data || []).map(v => v.deal_id).filter(Boolean)
+    const viewed = (viewsResult.data || []).filter(v => v.target_type === 'deal').map(v => Number(v.target_id))
+
+    const interacted = new Set([...saved, ...upvoted, ...viewed].filter(Number.isFinite))
+    const interactedDeals = interacted.size
+        ? await fetchIn('deals', 'id, category_id, merchant, price', 'id', [...interacted])
+        : []
+
+    const prices = interactedDeals.map(d => Number(d.price)).filter(p => p > 0)
+    const avgPrice = prices.length ? prices.reduce((a, b) => a + b, 0) / prices.length : null
+
+    return {
+        interacted,
+        // Saves and upvotes are stronger signals than views for finding like-minded users
+        liked: new Set([...saved, ...upvoted]),
+        preferredCategories: countBy(interactedDeals.map(d => d.category_id?.toString())),
+        preferredMerchants: countBy(interactedDeals.map(d => d.merchant)).slice(0, 10),
+        pricePreference: avgPrice != null
+            ? { min: Math.max(0, avgPrice * 0.3), max: avgPrice * 2 }
+            : null,
+        interactionCount: saved.length + upvoted.length + viewed.length
+    }
+}
+
+/**
+ * Quality score every deal gets regardless of who is looking (0-65)
+ */
+export function baseScore(deal) {
+    let score = Math.min(Math.max(deal.netVotes, -30), 30)
+
+    const age = ageInDays(deal.created_at)
+    if (age < 1) score += 20
+    else if (age < 3) score += 15
+    else if (age < 7) score += 10
+    else if (age < 14) score += 5
+
+    const discount = deal.discount_percentage || 0
+    if (discount >= 70) score += 15
+    else if (discount >= 50) score += 12
+    else if (discount >= 30) score += 8
+    else if (discount >= 10) score += 4
+
+    return score
+}
+
+/**
+ * Users who liked the same deals, weighted by how many they share
+ */
+function findNeighbours(userId, profile, upvoters) {
+    const weights = new Map()
+    for (const dealId of profile.liked) {
+        for (const other of upvoters.get(dealId) || []) {
+            if (other === userId) continue
+            weights.set(other, (weights.get(other) || 0) + 1)
+        }
+    }
+    return weights
+}
+
+/**
+ * Personalised score for one deal, split into its signals
+ */
+export function scoreForUser(deal, profile, neighbours, upvoters) {
+    const components = { base: baseScore(deal) }
+
+    const categoryIndex = profile.preferredCategories.indexOf(deal.category_id?.toString())
+    if (categoryIndex === 0) components.category = 30
+    else if (categoryIndex === 1) components.category = 25
+    else if (categoryIndex === 2) components.category = 20
+    else if (categoryIndex >= 0) components.category = 15
+
+    if (profile.preferredMerchants.includes(deal.merchant)) components.merchant = 15
+
+    const price = Number(deal.price)
+    if (profile.pricePreference && deal.price != null &&
+        price >= profile.pricePreference.min && price <= profile.pricePreference.max) {
+        components.price = 10
+    }
+
+    let collaborative = 0
+    for (const other of upvoters.get(deal.id) || []) {
+        collaborative += neighbours.get(other) || 0
+    }
+    if (collaborative > 0) components.collaborative = Math.min(20, Math.round(5 * Math.sqrt(collaborative)))
+
+    if (deal.expires_at) {
+        const expiresIn = daysUntil(deal.expires_at)
+        if (expiresIn > 0 && expiresIn <= 2) components.expiring = 10
+        else if (expiresIn > 0 && expiresIn <= 5) components.expiring = 5
+    }
+
+    if (deal.isVerified) components.verified = 5
+
+    const score = Object.values(components).reduce((sum, v) => sum + v, 0)
+    return { score, components }
+}
+
+function personalReason(deal, components) {
+    if (components.category >= 20) return 'Based on your interests'
+    if (components.collaborative >= 10) return 'Liked by people like you'
+    if (components.merchant) return `From ${deal.merchant}`
+    if (components.price) return 'In your price range'
+    if ((deal.discount_percentage || 0) >= 50) return 'Excellent discount'
+    if (deal.netVotes > 15) return 'Highly rated'
+    if (components.expiring === 10) return 'Ending soon'
+    return 'Picked for you'
+}
+
+function trendingReason(deal) {
+    if ((deal.discount_percentage || 0) >= 50) return 'Great discount available'
+    if (deal.netVotes > 10) return 'Popular with savers'
+    if (ageInDays(deal.created_at) < 1) return 'Just posted'
+    return 'Trending deal'
+}
+
+async function writeInBatches(table, rows, onConflict) {
+    for (let i = 0; i < rows.length; i += WRITE_BATCH) {
+        const { error } = await db.supabase
+            .from(table)
+            .upsert(rows.slice(i, i + WRITE_BATCH), { onConflict })
+        if (error) throw error
+    }
+}
+
+/**
+ * Rebuild one user's candidate list. Rows are upserted before the previous
+ * run's leftovers are removed, so the API never sees an empty list mid-run.
+ */
+async function refreshUser(userId, pool, computedAt) {
+    const profile = await loadUserProfile(userId)
+    const neighbours = findNeighbours(userId, profile, pool.upvoters)
+
+    const ranked = pool.deals
+        .filter(deal => !profile.interacted.has(deal.id))
+        .map(deal => ({ deal, ...scoreForUser(deal, profile, neighbours, pool.upvoters) }))
+        .sort((a, b) => b.score - a.score || b.deal.id - a.deal.id)
+        .slice(0, candidatesPerUser)
+
+    await writeInBatches('recommendation_candidates', ranked.map((entry, index) => ({
+        user_id: userId,
+        deal_id: entry.deal.id,
+        rank: index + 1,
+        score: entry.score,
+        reason: personalReason(entry.deal, entry.components),
+        components: entry.components,
+        computed_at: computedAt
+    })), 'user_id,deal_id')
+
+    await db.supabase
+        .from('recommendation_candidates')
+        .delete()
+        .eq('user_id', userId)
+        .lt('computed_at', computedAt)
+
+    const { error } = await db.supabase
+        .from('recommendation_profiles')
+        .upsert({
+            user_id: userId,
+            top_categories: profile.preferredCategories.slice(0, 5),
+            top_merchants: profile.preferredMerchants.slice(0, 5),
+            price_min: profile.pricePreference?.min ?? null,
+            price_max: profile.pricePreference?.max ?? null,
+            interaction_count: profile.interactionCount,
+            candidate_count: ranked.length,
+            computed_at: computedAt
+        }, { onConflict: 'user_id' })
+    if (error) throw error
+
+    return ranked.length
+}
+
+/**
+ * Rebuild the trending list served to guests and users without candidates
+ */
+async function refreshTrending(pool, computedAt) {
+    const ranked = pool.deals
+        .map(deal => ({ deal, score: baseScore(deal) }))
+        .sort((a, b) => b.score - a.score || b.deal.id - a.deal.id)
+        .slice(0, trendingSize)
+
+    await writeInBatches('trending_candidates', ranked.map((entry, index) => ({
+        deal_id: entry.deal.id,
+        rank: index + 1,
+        score: entry.score,
+        reason: trendingReason(entry.deal),
+        computed_at: computedAt
+    })), 'deal_id')
+
+    await db.supabase
+        .from('trending_candidates')
+        .delete()
+        .lt('computed_at', computedAt)
+
+    return ranked.length
+}
+
+/**
+ * Recompute trending plus every active user's candidates
+ */
+export async function runRecommendations() {
+    const startTime = Date.now()
+    const computedAt = new Date().toISOString()
+    log.info('Starting recommendation run...')
+
+    const pool = await loadDealPool()
+    const trending = await refreshTrending(pool, computedAt)
+
+    const users = await loadActiveUsers()
+    let refreshed = 0
+    let failed = 0
+
+    for (const userId of users) {
+        try {
+            await refreshUser(userId, pool, computedAt)
+            refreshed++
+        } catch (error) {
+            failed++
+            log.warn('Failed to refresh recommendations', { userId, error: error.message })
+        }
+    }
+
+    // Lists of users who went quiet age out; they fall back to trending
+    const staleCutoff = new Date(Date.now() - activeUserDays * DAY_MS).toISOString()
+    await db.supabase.from('recommendation_candidates').delete().lt('computed_at', staleCutoff)
+
+    const results = {
+        pool: pool.deals.length,
+        trending,
+        users: users.length,
+        refreshed,
+        failed,
+        duration: `${Date.now() - startTime}ms`
+    }
+    log.info('Recommendation run completed', results)
+    return results
+}
+
+export default { runRecommendations, baseScore, scoreForUser }
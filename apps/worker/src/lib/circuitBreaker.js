@@ -1,12 +1,17 @@
 /**
  * CIRCUIT BREAKER IMPLEMENTATION
- * Prevents cascade failures by opening circuit when errors exceed threshold
+ * Prevents cascade failures by opening circuit when errors exceed threshold.
+ * State lives in Redis so a source tripped by one worker is open for all of
+ * them; see sharedState.js for the in-process fallback.
  */
 
+import { randomUUID } from 'crypto'
 import CONFIG from '../config/ingestion.config.js'
 import logger from './logger.js'
+import { sharedKey, withSharedState, defineScript } from './sharedState.js'
 
 const { failureThreshold, resetTimeout, successThreshold, monitorWindow } = CONFIG.circuitBreaker
+const { circuitTtl } = CONFIG.sharedState
 
 // Circuit states
 const STATES = {
@@ -15,9 +20,63 @@ const STATES = {
     HALF_OPEN: 'HALF_OPEN' // Testing if service recovered
 }
 
-// Store circuit states per source
+// In-process circuits, used when Redis isn't available
 const circuits = new Map()
 
+// Redis layout: a hash per source (state, successes, openedAt, lastFailure),
+// a sorted set of failure times, and a set of every source seen so the
+// health endpoint can list circuits opened by other workers
+const circuitKey = (source) => sharedKey('circuit', source)
+const failuresKey = (source) => sharedKey('circuit', source, 'failures')
+const SOURCES_KEY = sharedKey('circuits')
+
+// Move an OPEN circuit to HALF_OPEN once the reset timeout has passed
+// Returns { state, openedAt, halfOpened }
+const checkScript = defineScript('circuit_check', 1, `
+    local state = redis.call('HGET', KEYS[1], 'state') or 'CLOSED'
+    local openedAt = tonumber(redis.call('HGET', KEYS[1], 'openedAt')) or 0
+    if state == 'OPEN' and tonumber(ARGV[1]) - openedAt >= tonumber(ARGV[2]) then
+        redis.call('HSET', KEYS[1], 'state', 'HALF_OPEN', 'successes', 0)
+        return {'HALF_OPEN', openedAt, 1}
+    end
+    return {state, openedAt, 0}
+`)
+
+// Returns { previous, state }
+const successScript = defineScript('circuit_success', 2, `
+    local state = redis.call('HGET', KEYS[1], 'state') or 'CLOSED'
+    if state == 'HALF_OPEN' then
+        local successes = redis.call('HINCRBY', KEYS[1], 'successes', 1)
+        if successes >= tonumber(ARGV[3]) then
+            redis.call('HSET', KEYS[1], 'state', 'CLOSED', 'successes', 0)
+            redis.call('HDEL', KEYS[1], 'openedAt')
+            redis.call('DEL', KEYS[2])
+            return {state, 'CLOSED'}
+        end
+    elseif state == 'CLOSED' then
+        redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', tonumber(ARGV[1]) - tonumber(ARGV[2]))
+    end
+    return {state, state}
+`)
+
+// Returns { previous, state, failures }
+const failureScript = defineScript('circuit_failure', 2, `
+    local now = tonumber(ARGV[1])
+    redis.call('ZREMRANGEBYSCORE', KEYS[2], '-inf', now - tonumber(ARGV[2]))
+    redis.call('ZADD', KEYS[2], now, ARGV[5])
+    local failures = redis.call('ZCARD', KEYS[2])
+    local state = redis.call('HGET', KEYS[1], 'state') or 'CLOSED'
+    local nextState = state
+    if state == 'HALF_OPEN' or (state == 'CLOSED' and failures >= tonumber(ARGV[3])) then
+        nextState = 'OPEN'
+        redis.call('HSET', KEYS[1], 'openedAt', now)
+    end
+    redis.call('HSET', KEYS[1], 'state', nextState, 'lastFailure', now)
+    redis.call('PEXPIRE', KEYS[1], ARGV[4])
+    redis.call('PEXPIRE', KEYS[2], ARGV[4])
+    return {state, nextState, failures}
+`)
+
 /**
  * Get or create circuit state for a source
  */
@@ -34,39 +93,23 @@ function getCircuit(source) {
     return circuits.get(source)
 }
 
-/**
- * Check if circuit allows request
- */
-export function canExecute(source) {
+function checkLocal(source) {
     const circuit = getCircuit(source)
+    let halfOpened = false
 
-    switch (circuit.state) {
-        case STATES.CLOSED:
-            return true
-
-        case STATES.OPEN:
-            // Check if reset timeout has passed
-            if (Date.now() - circuit.openedAt >= resetTimeout) {
-                circuit.state = STATES.HALF_OPEN
-                circuit.successes = 0
-                logger.info('Circuit half-open', { source, state: circuit.state })
-                return true
-            }
-            return false
-
-        case STATES.HALF_OPEN:
-            return true
-
-        default:
-            return true
+    // Check if reset timeout has passed
+    if (circuit.state === STATES.OPEN && Date.now() - circuit.openedAt >= resetTimeout) {
+        circuit.state = STATES.HALF_OPEN
+        circuit.successes = 0
+        halfOpened = true
     }
+
+    return { state: circuit.state, openedAt: circuit.openedAt, halfOpened }
 }
 
-/**
- * Record successful execution
- */
-export function recordSuccess(source) {
+function recordSuccessLocal(source) {
     const circuit = getCircuit(source)
+    const previous = circuit.state
 
     if (circuit.state === STATES.HALF_OPEN) {
         circuit.successes++
@@ -76,7 +119,6 @@ export function recordSuccess(source) {
             circuit.failures = []
             circuit.successes = 0
             circuit.openedAt = null
-            logger.info('Circuit closed after recovery', { source })
         }
     } else if (circuit.state === STATES.CLOSED) {
         // Clear old failures outside monitor window
@@ -85,13 +127,13 @@ export function recordSuccess(source) {
             time => now - time < monitorWindow
         )
     }
+
+    return { previous, state: circuit.state }
 }
 
-/**
- * Record failed execution
- */
-export function recordFailure(source, error) {
+function recordFailureLocal(source) {
     const circuit = getCircuit(source)
+    const previous = circuit.state
     const now = Date.now()
 
     // Remove old failures outside window
@@ -102,64 +144,144 @@ export function recordFailure(source, error) {
     circuit.failures.push(now)
     circuit.lastFailure = now
 
-    if (circuit.state === STATES.HALF_OPEN) {
-        // Any failure in half-open reopens circuit
+    // Any failure in half-open reopens circuit
+    if (circuit.state === STATES.HALF_OPEN ||
+        (circuit.state === STATES.CLOSED && circuit.failures.length >= failureThreshold)) {
         circuit.state = STATES.OPEN
         circuit.openedAt = now
+    }
+
+    return { previous, state: circuit.state, failures: circuit.failures.length }
+}
+
+/**
+ * Current state, moving OPEN to HALF_OPEN when the reset timeout has passed
+ */
+async function checkCircuit(source) {
+    const result = await withSharedState(
+        async (redis) => {
+            await redis.sadd(SOURCES_KEY, source)
+            const [state, openedAt, halfOpened] = await checkScript(redis, circuitKey(source), Date.now(), resetTimeout)
+            return { state, openedAt: Number(openedAt) || null, halfOpened: halfOpened === 1 }
+        },
+        () => checkLocal(source)
+    )
+
+    if (result.halfOpened) {
+        logger.info('Circuit half-open', { source, state: result.state })
+    }
+    return result
+}
+
+/**
+ * Check if circuit allows request
+ */
+export async function canExecute(source) {
+    const { state } = await checkCircuit(source)
+    return state !== STATES.OPEN
+}
+
+/**
+ * Record successful execution
+ */
+export async function recordSuccess(source) {
+    const { previous, state } = await withSharedState(
+        async (redis) => {
+            const [before, after] = await successScript(
+                redis, circuitKey(source), failuresKey(source), Date.now(), monitorWindow, successThreshold
+            )
+            return { previous: before, state: after }
+        },
+        () => recordSuccessLocal(source)
+    )
+
+    if (previous === STATES.HALF_OPEN && state === STATES.CLOSED) {
+        logger.info('Circuit closed after recovery', { source })
+    }
+}
+
+/**
+ * Record failed execution
+ */
+export async function recordFailure(source, error) {
+    const { previous, state, failures } = await withSharedState(
+        async (redis) => {
+            await redis.sadd(SOURCES_KEY, source)
+            const [before, after, count] = await failureScript(
+                redis, circuitKey(source), failuresKey(source),
+                Date.now(), monitorWindow, failureThreshold, circuitTtl, randomUUID()
+            )
+            return { previous: before, state: after, failures: count }
+        },
+        () => recordFailureLocal(source)
+    )
+
+    if (previous === STATES.HALF_OPEN) {
         logger.warn('Circuit reopened due to failure in half-open', {
             source,
             error: error?.message
         })
-    } else if (circuit.state === STATES.CLOSED) {
-        // Check if threshold exceeded
-        if (circuit.failures.length >= failureThreshold) {
-            circuit.state = STATES.OPEN
-            circuit.openedAt = now
-            logger.error('Circuit opened due to failures', {
-                source,
-                failureCount: circuit.failures.length,
-                threshold: failureThreshold
-            })
-        }
+    } else if (previous === STATES.CLOSED && state === STATES.OPEN) {
+        logger.error('Circuit opened due to failures', {
+            source,
+            failureCount: failures,
+            threshold: failureThreshold
+        })
     }
 }
 
 /**
  * Get circuit status for monitoring
  */
-export function getCircuitStatus(source) {
-    const circuit = getCircuit(source)
-    return {
-        source,
-        state: circuit.state,
-        failures: circuit.failures.length,
-        lastFailure: circuit.lastFailure,
-        openedAt: circuit.openedAt
-    }
+export async function getCircuitStatus(source) {
+    return withSharedState(
+        async (redis) => {
+            const [[, circuit], [, failures]] = await redis.multi()
+                .hgetall(circuitKey(source))
+                .zcount(failuresKey(source), Date.now() - monitorWindow, '+inf')
+                .exec()
+            return {
+                source,
+                state: circuit.state || STATES.CLOSED,
+                failures,
+                lastFailure: Number(circuit.lastFailure) || null,
+                openedAt: Number(circuit.openedAt) || null
+            }
+        },
+        () => {
+            const circuit = getCircuit(source)
+            return {
+                source,
+                state: circuit.state,
+                failures: circuit.failures.length,
+                lastFailure: circuit.lastFailure,
+                openedAt: circuit.openedAt
+            }
+        }
+    )
 }
 
 /**
  * Get all circuit statuses
+ * With Redis this covers every worker's sources, not just this process's.
  */
-export function getAllCircuitStatuses() {
-    const statuses = []
-    for (const [source] of circuits) {
-        statuses.push(getCircuitStatus(source))
-    }
-    return statuses
+export async function getAllCircuitStatuses() {
+    const sources = await withSharedState(
+        (redis) => redis.smembers(SOURCES_KEY),
+        () => [...circuits.keys()]
+    )
+    return Promise.all(sources.sort().map(getCircuitStatus))
 }
 
 /**
  * Reset circuit (for testing or manual intervention)
  */
-export function resetCircuit(source) {
-    circuits.set(source, {
-        state: STATES.CLOSED,
-        failures: [],
-        successes: 0,
-        lastFailure: null,
-        openedAt: null
-    })
+export async function resetCircuit(source) {
+    circuits.delete(source)
+    await withSharedState(
+        (redis) => redis.del(circuitKey(source), failuresKey(source)),
+        () => null
+    )
     logger.info('Circuit manually reset', { source })
 }
 
@@ -167,18 +289,18 @@ export function resetCircuit(source) {
  * Wrapper function with circuit breaker
  */
 export async function withCircuitBreaker(source, fn) {
-    if (!canExecute(source)) {
-        const circuit = getCircuit(source)
-        const waitTime = resetTimeout - (Date.now() - circuit.openedAt)
+    const { state, openedAt } = await checkCircuit(source)
+    if (state === STATES.OPEN) {
+        const waitTime = resetTimeout - (Date.now() - openedAt)
         throw new Error(`Circuit breaker OPEN for ${source}. Retry in ${Math.ceil(waitTime / 1000)}s`)
     }
 
     try {
         const result = await fn()
-        recordSuccess(source)
+        await recordSuccess(source)
         return result
     } catch (error) {
-        recordFailure(source, error)
+        await recordFailure(source, error)
         throw error
     }
 }
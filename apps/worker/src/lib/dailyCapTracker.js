@@ -1,32 +1,83 @@
 /**
  * DAILY CAP TRACKER
- * Limits items ingested per source per day for safety
+ * Limits items ingested per source per day for safety. Counts are kept in
+ * Redis per UTC day, so the cap applies to all workers together and
+ * survives restarts.
  */
 
 import logger from './logger.js'
 import CONFIG from '../config/ingestion.config.js'
+import { sharedKey, withSharedState, defineScript, scanKeys } from './sharedState.js'
 
 const log = logger.child({ component: 'dailyCapTracker' })
 
-// In-memory tracking (resets on restart, which is fine for safety limits)
+// Counts outlive their day a little so late reads of yesterday still work
+const COUNT_TTL_SECONDS = 2 * 24 * 60 * 60
+
+// Count items against the cap only if they all fit, in one step so workers
+// reserving at the same time can't overshoot it together
+// Returns { allowed, count }
+const reserveScript = defineScript('dailycap_reserve', 1, `
+    local amount = tonumber(ARGV[1])
+    local count = redis.call('INCRBY', KEYS[1], amount)
+    redis.call('EXPIRE', KEYS[1], ARGV[3])
+    if count > tonumber(ARGV[2]) then
+        count = redis.call('DECRBY', KEYS[1], amount)
+        return {0, count}
+    end
+    return {1, count}
+`)
+
+// In-memory fallback while Redis is unavailable
 const dailyCounts = new Map()
-let lastResetDate = new Date().toDateString()
+let lastResetDate = today()
+
+// Caps set per source from the admin panel, ahead of CONFIG.dailyCaps
+const capOverrides = new Map()
 
 /**
  * Get the cap for a source
  */
 function getCapForSource(source) {
+    if (capOverrides.has(source)) return capOverrides.get(source)
     const caps = CONFIG.dailyCaps || {}
     return caps[source] || caps.default || 500
 }
 
+/**
+ * Override a source's cap; null goes back to the configured cap
+ */
+export function setDailyCap(source, cap) {
+    if (cap) {
+        capOverrides.set(source, cap)
+    } else {
+        capOverrides.delete(source)
+    }
+}
+
+/**
+ * Current UTC day, e.g. 2026-10-18
+ */
+function today() {
+    return new Date().toISOString().slice(0, 10)
+}
+
+function countKey(source, date = today()) {
+    return sharedKey('dailycap', date, source)
+}
+
 /**
  * Check if source has reached daily cap
  */
-export function checkDailyCap(source) {
-    maybeResetCounts()
+export async function checkDailyCap(source) {
+    const current = await withSharedState(
+        async (redis) => parseInt(await redis.get(countKey(source))) || 0,
+        () => {
+            maybeResetCounts()
+            return dailyCounts.get(source) || 0
+        }
+    )
 
-    const current = dailyCounts.get(source) || 0
     const cap = getCapForSource(source)
     const remaining = cap - current
 
@@ -39,49 +90,95 @@ export function checkDailyCap(source) {
 }
 
 /**
- * Increment the daily count for a source
+ * Reserve `amount` items of a source's cap for today
+ * Rejected when they don't all fit. Hand the reservation to releaseDailyCap
+ * if the items end up not being created.
  */
-export function incrementDailyCount(source, amount = 1) {
-    maybeResetCounts()
-
-    const current = dailyCounts.get(source) || 0
-    dailyCounts.set(source, current + amount)
-
+export async function reserveDailyCap(source, amount = 1) {
     const cap = getCapForSource(source)
-    const newCount = current + amount
+    const date = today()
+
+    const { allowed, count } = await withSharedState(
+        async (redis) => {
+            const [reserved, current] = await reserveScript(redis, countKey(source, date), amount, cap, COUNT_TTL_SECONDS)
+            return { allowed: reserved === 1, count: current }
+        },
+        () => {
+            maybeResetCounts()
+            const current = dailyCounts.get(source) || 0
+            if (current + amount > cap) {
+                return { allowed: false, count: current }
+            }
+            dailyCounts.set(source, current + amount)
+            return { allowed: true, count: current + amount }
+        }
+    )
 
-    if (newCount >= cap) {
-        log.warn('Daily cap reached', { source, count: newCount, cap })
+    if (allowed && count >= cap) {
+        log.warn('Daily cap reached', { source, count, cap })
     }
 
-    return newCount
+    return { allowed, current: count, cap, source, amount, date }
+}
+
+/**
+ * Give back a reservation whose items weren't created
+ */
+export async function releaseDailyCap(reservation) {
+    if (!reservation?.allowed) return
+
+    const { source, amount, date } = reservation
+    await withSharedState(
+        (redis) => redis.decrby(countKey(source, date), amount),
+        () => {
+            // The in-memory counts were cleared if the day has turned since
+            if (date !== lastResetDate) return
+            dailyCounts.set(source, Math.max(0, (dailyCounts.get(source) || 0) - amount))
+        }
+    )
 }
 
 /**
  * Get all daily counts
  */
-export function getDailyCounts() {
-    maybeResetCounts()
-    return Object.fromEntries(dailyCounts)
+export async function getDailyCounts() {
+    return withSharedState(
+        async (redis) => {
+            const prefix = countKey('')
+            const keys = await scanKeys(redis, `${prefix}*`)
+            if (!keys.length) return {}
+
+            const values = await redis.mget(keys)
+            return Object.fromEntries(
+                keys.map((key, i) => [key.slice(prefix.length), parseInt(values[i]) || 0])
+            )
+        },
+        () => {
+            maybeResetCounts()
+            return Object.fromEntries(dailyCounts)
+        }
+    )
 }
 
 /**
- * Reset counts at midnight
+ * Reset in-memory counts at midnight UTC (Redis keys are per day already)
  */
 function maybeResetCounts() {
-    const today = new Date().toDateString()
-    if (today !== lastResetDate) {
+    const date = today()
+    if (date !== lastResetDate) {
         log.info('Resetting daily caps', {
             previousDate: lastResetDate,
             counts: Object.fromEntries(dailyCounts)
         })
         dailyCounts.clear()
-        lastResetDate = today
+        lastResetDate = date
     }
 }
 
 export default {
     checkDailyCap,
-    incrementDailyCount,
-    getDailyCounts
+    reserveDailyCap,
+    releaseDailyCap,
+    getDailyCounts,
+    setDailyCap
 }
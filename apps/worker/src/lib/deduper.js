@@ -5,12 +5,16 @@
 
 import db from './supabase.js'
 import logger from './logger.js'
+import priceTracker from './priceTracker.js'
 import CONFIG from '../config/ingestion.config.js'
 import stringSimilarity from 'string-similarity'
 import { createHash } from 'crypto'
 
 const { titleSimilarityThreshold, priceVarianceThreshold, lookbackDays, maxCandidates } = CONFIG.deduplication
 
+// Matches across stores have no company to narrow them, so need closer titles
+export const GLOBAL_TITLE_THRESHOLD = 0.90
+
 /**
  * Normalize URL for comparison
  * Removes tracking parameters, normalizes domain, etc.
@@ -126,11 +130,106 @@ export function arePricesSimilar(price1, price2, threshold = priceVarianceThresh
     return variance <= threshold
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Where deduplicateDeal looks for existing deals
+ * Each lookup returns the same shape whether it reads the deals table or,
+ * in dry runs, an in-memory list (createMemoryCandidates).
+ */
+export const databaseCandidates = {
+    byUrl: (url) => db.dealExistsByUrl(url),
+
+    byExternalId: (source, externalId) => db.dealExistsByExternalId(source, externalId),
+
+    async recent(since) {
+        const { data, error } = await db.supabase
+            .from('deals')
+            .select('id, title, merchant, status')
+            .gte('created_at', since)
+            .limit(100)
+        return error ? [] : data || []
+    },
+
+    async sameCompany(deal, since) {
+        if (!deal.company_id) return []
+
+        const { data, error } = await db.supabase
+            .from('deals')
+            .select('id, title, price, status')
+            .eq('company_id', deal.company_id)
+            .gte('created_at', since)
+            .in('status', ['approved', 'pending'])
+            .limit(maxCandidates)
+
+        if (error) {
+            logger.warn('Error fetching candidates for similarity check', { error: error.message })
+            return []
+        }
+        return data || []
+    },
+
+    async titleSearch(keyTerms, since) {
+        const { data, error } = await db.supabase
+            .from('deals')
+            .select('id, title, price, merchant, status')
+            .textSearch('title', keyTerms.join(' & '), { type: 'websearch' })
+            .gte('created_at', since)
+            .in('status', ['approved', 'pending'])
+            .limit(20)
+        return error ? [] : data || []
+    }
+}
+
+/**
+ * Candidate lookups over a list of deals instead of the database
+ * Deals need { id, title, url, price, merchant, status, source, external_id,
+ * created_at }; add() makes later lookups see deals "created" during the run.
+ * Without company ids, same-company candidates are matched on merchant name,
+ * and the full-text search becomes "has every key term".
+ */
+export function createMemoryCandidates(deals = []) {
+    const list = [...deals]
+    const active = (deal) => ['approved', 'pending'].includes(deal.status)
+    const since = (deal, date) => !deal.created_at || deal.created_at >= date
+    const sameMerchant = (a, b) => !!a && !!b && a.trim().toLowerCase() === b.trim().toLowerCase()
+
+    return {
+        add: (deal) => list.push(deal),
+
+        byUrl: async (url) => list.find(deal => deal.url === url) || null,
+
+        byExternalId: async (source, externalId) => list.find(deal =>
+            deal.source === source && externalId && deal.external_id === externalId) || null,
+
+        recent: async (date) => list.filter(deal => since(deal, date)).slice(0, 100),
+
+        sameCompany: async (deal, date) => list
+            .filter(candidate => sameMerchant(candidate.merchant, deal.merchant) && since(candidate, date) && active(candidate))
+            .slice(0, maxCandidates),
+
+        titleSearch: async (keyTerms, date) => list
+            .filter(candidate => {
+                const terms = new Set(extractKeyTerms(candidate.title))
+                return keyTerms.every(term => terms.has(term)) && since(candidate, date) && active(candidate)
+            })
+            .slice(0, 20)
+    }
+}
+
 /**
  * Main deduplication function
- * Returns deduplication result with confidence score
+ * Returns deduplication result with confidence score. Options swap the
+ * candidate lookups and thresholds, which dry runs use to try new values.
  */
-export async function deduplicateDeal(deal) {
+export async function deduplicateDeal(deal, options = {}) {
+    const {
+        candidates: lookup = databaseCandidates,
+        titleThreshold = titleSimilarityThreshold,
+        globalTitleThreshold = GLOBAL_TITLE_THRESHOLD,
+        priceThreshold = priceVarianceThreshold
+    } = options
+
     const result = {
         isDuplicate: false,
         existingId: null,
@@ -142,7 +241,7 @@ export async function deduplicateDeal(deal) {
     try {
         // Strategy 1: URL-based deduplication (highest confidence)
         if (deal.url) {
-            const existing = await db.dealExistsByUrl(deal.url)
+            const existing = await lookup.byUrl(deal.url)
 
             if (existing) {
                 return {
@@ -157,7 +256,7 @@ export async function deduplicateDeal(deal) {
 
         // Strategy 2: External ID match (high confidence)
         if (deal.external_id && deal.source) {
-            const existing = await db.dealExistsByExternalId(deal.source, deal.external_id)
+            const existing = await lookup.byExternalId(deal.source, deal.external_id)
 
             if (existing) {
                 return {
@@ -173,78 +272,60 @@ export async function deduplicateDeal(deal) {
         // Strategy 2.5: Exact title match (prevents parallel duplicates)
         if (deal.title) {
             const normalizedTitle = deal.title.trim().toLowerCase()
-            const lookback = new Date(Date.now() - 1 * 24 * 60 * 60 * 1000).toISOString() // Last 24 hours
-
-            const { data: exactMatches, error } = await db.supabase
-                .from('deals')
-                .select('id, title, merchant, status')
-                .gte('created_at', lookback)
-                .limit(100)
-
-            if (!error && exactMatches) {
-                for (const match of exactMatches) {
-                    // Check for exact title match (case-insensitive)
-                    if (match.title?.trim().toLowerCase() === normalizedTitle) {
-                        return {
-                            isDuplicate: true,
-                            existingId: match.id,
-                            method: 'exact_title',
-                            confidence: 0.98,
-                            details: { existingTitle: match.title, status: match.status }
-                        }
+            const lookback = new Date(Date.now() - DAY_MS).toISOString() // Last 24 hours
+            const exactMatches = await lookup.recent(lookback)
+
+            for (const match of exactMatches) {
+                // Check for exact title match (case-insensitive)
+                if (match.title?.trim().toLowerCase() === normalizedTitle) {
+                    return {
+                        isDuplicate: true,
+                        existingId: match.id,
+                        method: 'exact_title',
+                        confidence: 0.98,
+                        details: { existingTitle: match.title, status: match.status }
                     }
                 }
             }
         }
 
         // Strategy 3: Title + Company similarity (medium confidence)
-        if (deal.company_id && deal.title) {
-            const lookback = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000).toISOString()
-
-            const { data: candidates, error } = await db.supabase
-                .from('deals')
-                .select('id, title, price, status')
-                .eq('company_id', deal.company_id)
-                .gte('created_at', lookback)
-                .in('status', ['approved', 'pending'])
-                .limit(maxCandidates)
-
-            if (error) {
-                logger.warn('Error fetching candidates for similarity check', { error: error.message })
-            } else if (candidates && candidates.length > 0) {
-                let bestMatch = null
-                let bestScore = 0
-
-                for (const candidate of candidates) {
-                    const titleScore = calculateTitleSimilarity(deal.title, candidate.title)
+        if (deal.title) {
+            const lookback = new Date(Date.now() - lookbackDays * DAY_MS).toISOString()
+            const candidates = await lookup.sameCompany(deal, lookback)
 
-                    if (titleScore >= titleSimilarityThreshold) {
-                        const priceMatch = arePricesSimilar(deal.price, candidate.price)
+            let bestMatch = null
+            let bestScore = 0
 
-                        // Calculate confidence based on title score and price match
-                        let confidence = titleScore
-                        if (!priceMatch) {
-                            confidence *= 0.7 // Reduce confidence if prices differ
-                        }
+            for (const candidate of candidates) {
+                const titleScore = calculateTitleSimilarity(deal.title, candidate.title)
 
-                        if (confidence > bestScore) {
-                            bestScore = confidence
-                            bestMatch = candidate
-                        }
+                if (titleScore >= titleThreshold) {
+                    const priceMatch = arePricesSimilar(deal.price, candidate.price, priceThreshold)
+
+                    // Calculate confidence based on title score and price match
+                    let confidence = titleScore
+                    if (!priceMatch) {
+                        confidence *= 0.7 // Reduce confidence if prices differ
+                    }
+
+                    if (confidence > bestScore) {
+                        bestScore = confidence
+                        bestMatch = candidate
                     }
                 }
+            }
 
-                if (bestMatch && bestScore >= titleSimilarityThreshold) {
-                    return {
-                        isDuplicate: true,
-                        existingId: bestMatch.id,
-                        method: 'title_similarity',
-                        confidence: bestScore,
-                        details: {
-                            existingTitle: bestMatch.title,
-                            similarity: bestScore.toFixed(3),
-                            priceMatch: arePricesSimilar(deal.price, bestMatch.price)
-                        }
+            if (bestMatch && bestScore >= titleThreshold) {
+                return {
+                    isDuplicate: true,
+                    existingId: bestMatch.id,
+                    method: 'title_similarity',
+                    confidence: bestScore,
+                    details: {
+                        existingTitle: bestMatch.title,
+                        similarity: bestScore.toFixed(3),
+                        priceMatch: arePricesSimilar(deal.price, bestMatch.price, priceThreshold)
                     }
                 }
             }
@@ -255,35 +336,26 @@ export async function deduplicateDeal(deal) {
             const keyTerms = extractKeyTerms(deal.title)
 
             if (keyTerms.length >= 3) {
-                // Search for deals with similar key terms
-                const searchQuery = keyTerms.slice(0, 5).join(' & ')
-
-                const { data: globalCandidates, error } = await db.supabase
-                    .from('deals')
-                    .select('id, title, price, merchant, status')
-                    .textSearch('title', searchQuery, { type: 'websearch' })
-                    .gte('created_at', new Date(Date.now() - 3 * 24 * 60 * 60 * 1000).toISOString()) // Last 3 days only
-                    .in('status', ['approved', 'pending'])
-                    .limit(20)
-
-                if (!error && globalCandidates) {
-                    for (const candidate of globalCandidates) {
-                        const titleScore = calculateTitleSimilarity(deal.title, candidate.title)
-
-                        if (titleScore >= 0.90) { // Higher threshold for global search
-                            const priceMatch = arePricesSimilar(deal.price, candidate.price)
-
-                            if (priceMatch) {
-                                return {
-                                    isDuplicate: true,
-                                    existingId: candidate.id,
-                                    method: 'global_search',
-                                    confidence: titleScore * 0.9, // Slightly lower confidence
-                                    details: {
-                                        existingTitle: candidate.title,
-                                        similarity: titleScore.toFixed(3),
-                                        merchant: candidate.merchant
-                                    }
+                // Search for deals with similar key terms, last 3 days only
+                const since = new Date(Date.now() - 3 * DAY_MS).toISOString()
+                const globalCandidates = await lookup.titleSearch(keyTerms.slice(0, 5), since)
+
+                for (const candidate of globalCandidates) {
+                    const titleScore = calculateTitleSimilarity(deal.title, candidate.title)
+
+                    if (titleScore >= globalTitleThreshold) { // Higher threshold for global search
+                        const priceMatch = arePricesSimilar(deal.price, candidate.price, priceThreshold)
+
+                        if (priceMatch) {
+                            return {
+                                isDuplicate: true,
+                                existingId: candidate.id,
+                                method: 'global_search',
+                                confidence: titleScore * 0.9, // Slightly lower confidence
+                                details: {
+                                    existingTitle: candidate.title,
+                                    similarity: titleScore.toFixed(3),
+                                    merchant: candidate.merchant
                                 }
                             }
                         }
@@ -306,9 +378,27 @@ export async function deduplicateDeal(deal) {
 }
 
 /**
- * Update existing deal with better information
+ * Load the fields updateExistingDeal compares against
  */
-export async function updateExistingDeal(dealId, newData, existing = {}) {
+export async function loadExistingDeal(dealId) {
+    const { data, error } = await db.supabase
+        .from('deals')
+        .select('id, title, price, original_price, stock_status, image_url, description, expires_at, coupon_code, verification_count, brand, gtin, mpn, asin')
+        .eq('id', dealId)
+        .single()
+
+    if (error) {
+        logger.debug('Failed to load existing deal', { dealId, error: error.message })
+        return null
+    }
+    return data
+}
+
+/**
+ * Work out which fields of an existing deal new data would improve
+ * Returns { updates, priceChanged } without writing anything.
+ */
+export function planDealUpdate(newData, existing = {}) {
     const updates = {}
 
     // Only update if new data is better
@@ -321,12 +411,14 @@ export async function updateExistingDeal(dealId, newData, existing = {}) {
     }
 
     // Always update price if it changed significantly
-    if (newData.price && existing.price && Math.abs(newData.price - existing.price) > 0.01) {
+    const priceChanged = !!(newData.price && existing.price && Math.abs(newData.price - existing.price) > 0.01)
+    if (priceChanged) {
         updates.price = newData.price
+        updates.last_price_check = new Date().toISOString()
     }
 
-    if (newData.list_price && !existing.list_price) {
-        updates.list_price = newData.list_price
+    if (newData.list_price && !existing.original_price) {
+        updates.original_price = newData.list_price
     }
 
     // Update expiry if extended
@@ -341,6 +433,27 @@ export async function updateExistingDeal(dealId, newData, existing = {}) {
         updates.coupon_code = newData.coupon_code
     }
 
+    // Product details read from the merchant page
+    for (const field of ['brand', 'gtin', 'mpn', 'asin']) {
+        if (newData[field] && !existing[field]) {
+            updates[field] = newData[field]
+        }
+    }
+
+    return { updates, priceChanged }
+}
+
+/**
+ * Update existing deal with better information
+ */
+export async function updateExistingDeal(dealId, newData, existing = {}) {
+    // Dedup results only carry a title/status summary, so fetch the real row
+    if (existing.price === undefined) {
+        existing = { ...existing, ...(await loadExistingDeal(dealId)) }
+    }
+
+    const { updates, priceChanged } = planDealUpdate(newData, existing)
+
     // Increment verification count
     updates.verification_count = (existing.verification_count || 0) + 1
     updates.last_verified_at = new Date().toISOString()
@@ -353,12 +466,19 @@ export async function updateExistingDeal(dealId, newData, existing = {}) {
                 dealId,
                 updates: Object.keys(updates).filter(k => k !== 'verification_count')
             })
+
+            if (priceChanged) {
+                await priceTracker.handlePriceChange(result.data, existing.price, {
+                    source: newData.source,
+                    source_url: newData.source_url || newData.url
+                })
+            }
         }
 
-        return { updated: true, fields: Object.keys(updates) }
+        return { updated: true, fields: Object.keys(updates), priceChanged }
     }
 
-    return { updated: false, fields: [] }
+    return { updated: false, fields: [], priceChanged: false }
 }
 
 /**
@@ -405,6 +525,10 @@ export default {
     calculateTitleSimilarity,
     arePricesSimilar,
     deduplicateDeal,
+    databaseCandidates,
+    createMemoryCandidates,
+    loadExistingDeal,
+    planDealUpdate,
     updateExistingDeal,
     batchDeduplicate
 }
@@ -7,6 +7,8 @@ import http from 'http'
 import logger from './logger.js'
 import { getAllCircuitStatuses } from './circuitBreaker.js'
 import { getAllRateLimitStatuses } from './rateLimiter.js'
+import { getDailyCounts } from './dailyCapTracker.js'
+import { isShared } from './sharedState.js'
 import { queues, connection } from './queue.js'
 import db from './supabase.js'
 import CONFIG from '../config/ingestion.config.js'
@@ -114,7 +116,7 @@ async function getHealthStatus() {
     }
 
     // Get circuit breaker status
-    const circuits = getAllCircuitStatuses()
+    const circuits = await getAllCircuitStatuses()
     const openCircuits = circuits.filter(c => c.state === 'OPEN').length
 
     // Calculate overall status
@@ -140,7 +142,7 @@ async function getHealthStatus() {
             details: circuits
         },
 
-        rateLimits: getAllRateLimitStatuses(),
+        rateLimits: await getAllRateLimitStatuses(),
 
         sourceHealth: getSourceHealthScores(),
 
@@ -211,11 +213,14 @@ async function handleRequest(req, res) {
                 res.end(JSON.stringify(detailedMetrics, null, 2))
                 break
 
-            case '/circuits':
-                const circuits = getAllCircuitStatuses()
+            case '/circuits': {
+                // Cluster-wide when state is shared through Redis
+                const circuits = await getAllCircuitStatuses()
+                const dailyCaps = await getDailyCounts()
                 res.writeHead(200)
-                res.end(JSON.stringify({ circuits }))
+                res.end(JSON.stringify({ shared: isShared(), circuits, dailyCaps }))
                 break
+            }
 
             default:
                 res.writeHead(404)
@@ -204,6 +204,48 @@ export async function getFinalUrl(url) {
     }
 }
 
+/**
+ * GET a page and report what came back instead of throwing on error statuses
+ * Used to check whether a deal's page still exists; the body is only kept for
+ * HTML responses (or the `bodyTypes` asked for) so a stray download can't
+ * fill memory.
+ */
+export async function inspectUrl(url, options = {}) {
+    const { timeout = 15000, maxBytes = 2 * 1024 * 1024, headers = {}, bodyTypes = ['html'] } = options
+
+    try {
+        const response = await axiosInstance.get(url, {
+            timeout,
+            maxRedirects: 10,
+            maxContentLength: maxBytes,
+            responseType: 'text',
+            validateStatus: () => true,
+            headers: {
+                ...CONFIG.http.headers,
+                'Accept': 'text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8',
+                ...headers
+            }
+        })
+        const contentType = String(response.headers['content-type'] || '')
+
+        return {
+            status: response.status,
+            finalUrl: response.request?.res?.responseUrl || url,
+            contentType,
+            body: bodyTypes.some(type => contentType.includes(type)) && typeof response.data === 'string' ? response.data : '',
+            error: null
+        }
+    } catch (error) {
+        return {
+            status: null,
+            finalUrl: url,
+            contentType: '',
+            body: '',
+            error: error.code || error.message
+        }
+    }
+}
+
 export default {
     httpRequest,
     get,
@@ -214,5 +256,6 @@ export default {
     batchFetch,
     checkUrl,
     getFinalUrl,
+    inspectUrl,
     axios: axiosInstance
 }
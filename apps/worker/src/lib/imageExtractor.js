@@ -3,7 +3,7 @@
  * Extracts images from web pages when RSS doesn't provide them
  */
 
-import httpClient from './httpClient.js'
+import { fetchPageHtml } from './pageMetadata.js'
 import logger from './logger.js'
 
 const log = logger.child({ component: 'imageExtractor' })
@@ -25,17 +25,11 @@ export async function extractImageFromUrl(url) {
     }
 
     try {
-        // Fetch page HTML
-        const html = await httpClient.get('image-extractor', url, {
-            timeout: 10000,
-            headers: {
-                'Accept': 'text/html,application/xhtml+xml',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-            }
-        })
+        // Fetch page HTML (shared with the metadata extractor)
+        const html = await fetchPageHtml(url)
 
-        if (typeof html !== 'string') {
-            log.warn('Fetch did not return string', { url, type: typeof html })
+        if (!html) {
+            log.debug('Page could not be fetched', { url: url.substring(0, 50) })
             return null
         }
 
@@ -77,15 +71,9 @@ export async function extractMultipleImagesFromUrl(url, maxImages = 5) {
     if (!url) return []
 
     try {
-        const html = await httpClient.get('image-extractor', url, {
-            timeout: 10000,
-            headers: {
-                'Accept': 'text/html,application/xhtml+xml',
-                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
-            }
-        })
+        const html = await fetchPageHtml(url)
 
-        if (typeof html !== 'string') {
+        if (!html) {
             return []
         }
 
@@ -0,0 +1,376 @@
+/**
+ * PAGE METADATA EXTRACTOR
+ * Reads product details from merchant pages: price, list price, currency,
+ * availability, brand, identifiers (GTIN/MPN/SKU/ASIN), rating and image.
+ *
+ * Sources in order of trust:
+ * 1. JSON-LD Product / Offer blocks (what Google Shopping reads)
+ * 2. schema.org microdata (itemprop="price" etc.)
+ * 3. Open Graph product tags (product:price:amount etc.)
+ * Each field comes from the first source that has it.
+ */
+
+import * as cheerio from 'cheerio'
+import httpClient from './httpClient.js'
+import logger from './logger.js'
+
+const log = logger.child({ component: 'pageMetadata' })
+
+// Pages are shared by the image and metadata extractors while one deal is
+// processed, so keep them briefly - long enough to avoid a second fetch,
+// short enough not to hold many pages in memory
+const pageCache = new Map()
+const PAGE_CACHE_TTL = 10 * 60 * 1000
+const PAGE_CACHE_MAX = 50
+
+const BROWSER_HEADERS = {
+    'Accept': 'text/html,application/xhtml+xml',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36'
+}
+
+const PRODUCT_TYPES = ['Product', 'ProductGroup', 'IndividualProduct', 'ProductModel', 'Vehicle', 'Book']
+const LIST_PRICE_TYPES = ['listprice', 'strikethroughprice', 'msrp', 'srp']
+
+// schema.org availability values, lower-cased with the URL prefix removed
+const IN_STOCK = ['instock', 'instoreonly', 'onlineonly', 'limitedavailability', 'preorder', 'presale', 'backorder', 'in stock']
+const OUT_OF_STOCK = ['outofstock', 'soldout', 'discontinued', 'out of stock', 'oos']
+
+/**
+ * Fetch a page's HTML, or null if it can't be fetched
+ */
+export async function fetchPageHtml(url) {
+    if (!url) return null
+
+    const cached = pageCache.get(url)
+    if (cached && Date.now() - cached.timestamp < PAGE_CACHE_TTL) {
+        return cached.html
+    }
+
+    try {
+        const html = await httpClient.get('merchant-pages', url, {
+            timeout: 10000,
+            headers: BROWSER_HEADERS
+        })
+
+        if (typeof html !== 'string') {
+            log.debug('Fetch did not return HTML', { url: url.substring(0, 60), type: typeof html })
+            return null
+        }
+
+        if (pageCache.size >= PAGE_CACHE_MAX) {
+            pageCache.delete(pageCache.keys().next().value)
+        }
+        pageCache.set(url, { html, timestamp: Date.now() })
+        return html
+
+    } catch (error) {
+        log.debug('Page fetch failed', { url: url.substring(0, 60), error: error.message })
+        return null
+    }
+}
+
+/**
+ * Parse a price: 19.99, "19.99", "$1,299.00", "1.299,00"
+ */
+export function parseAmount(value) {
+    if (value === null || value === undefined || value === '') return null
+    if (typeof value === 'number') return Number.isFinite(value) && value > 0 ? value : null
+
+    let text = String(value).replace(/[^\d.,]/g, '')
+    // "1.299,00" - comma is the decimal separator
+    if (/,\d{1,2}$/.test(text)) {
+        text = text.replace(/\./g, '').replace(',', '.')
+    } else {
+        text = text.replace(/,/g, '')
+    }
+
+    const amount = parseFloat(text)
+    return Number.isFinite(amount) && amount > 0 ? amount : null
+}
+
+function normalizeAvailabilityValue(value) {
+    return String(value || '')
+        .trim()
+        .toLowerCase()
+        .replace(/^https?:\/\/schema\.org\//, '')
+        .replace(/_/g, ' ')
+}
+
+/**
+ * 'in_stock', 'out_of_stock' or null for a list of availability values
+ * Any in-stock offer wins; out of stock only if every offer says so.
+ */
+export function summarizeAvailability(values) {
+    const normalized = values.map(normalizeAvailabilityValue).filter(Boolean)
+
+    if (normalized.some(value => IN_STOCK.includes(value))) return 'in_stock'
+    if (normalized.length > 0 && normalized.every(value => OUT_OF_STOCK.includes(value))) return 'out_of_stock'
+    return null
+}
+
+function asArray(value) {
+    if (value === null || value === undefined) return []
+    return Array.isArray(value) ? value : [value]
+}
+
+function hasType(node, types) {
+    return asArray(node?.['@type']).some(type => types.includes(String(type).replace(/^https?:\/\/schema\.org\//, '')))
+}
+
+function textValue(value) {
+    if (value === null || value === undefined) return null
+    if (typeof value === 'object') return textValue(value.name ?? value['@value'] ?? null)
+    const text = String(value).trim()
+    return text || null
+}
+
+/**
+ * Read JSON-LD blocks, tolerating the broken ones stores publish
+ */
+function jsonLdNodes($) {
+    const nodes = []
+    const visit = node => {
+        if (Array.isArray(node)) {
+            node.forEach(visit)
+        } else if (node && typeof node === 'object') {
+            nodes.push(node)
+            if (node['@graph']) visit(node['@graph'])
+        }
+    }
+
+    $('script[type="application/ld+json"]').each((_, el) => {
+        try {
+            visit(JSON.parse($(el).contents().text()))
+        } catch {
+            // Ignore unparseable blocks
+        }
+    })
+    return nodes
+}
+
+/**
+ * Every offer under a product, with AggregateOffers and variants expanded
+ */
+function productOffers(product) {
+    const offers = []
+    const visit = offer => {
+        for (const item of asArray(offer)) {
+            if (!item || typeof item !== 'object') continue
+            if (item.offers) visit(item.offers)
+            if (item.price !== undefined || item.lowPrice !== undefined || item.priceSpecification || item.availability) {
+                offers.push(item)
+            }
+        }
+    }
+
+    visit(product.offers)
+    if (offers.length === 0) {
+        // ProductGroup: the group has no offers of its own, its variants do
+        for (const variant of asArray(product.hasVariant)) visit(variant?.offers)
+    }
+    return offers
+}
+
+/**
+ * Sale and list price of one offer
+ */
+function offerPrices(offer) {
+    let price = parseAmount(offer.price ?? offer.lowPrice)
+    let listPrice = null
+
+    for (const spec of asArray(offer.priceSpecification)) {
+        const type = String(spec?.priceType || '').toLowerCase().replace(/^https?:\/\/schema\.org\//, '')
+        const amount = parseAmount(spec?.price)
+        if (!amount) continue
+        if (LIST_PRICE_TYPES.includes(type)) {
+            listPrice = listPrice || amount
+        } else if (!price) {
+            price = amount
+        }
+    }
+
+    return {
+        price,
+        listPrice: listPrice && price && listPrice > price ? listPrice : null,
+        currency: textValue(offer.priceCurrency) || textValue(asArray(offer.priceSpecification)[0]?.priceCurrency)
+    }
+}
+
+function fromJsonLd($) {
+    const products = jsonLdNodes($).filter(node => hasType(node, PRODUCT_TYPES))
+    const product = products.find(node => productOffers(node).length > 0) || products[0]
+    if (!product) return {}
+
+    const offers = productOffers(product)
+    // Several offers (sellers, variants): the deal is for the cheapest one
+    const priced = offers
+        .map(offer => ({ ...offerPrices(offer), availability: offer.availability }))
+        .filter(offer => offer.price)
+        .sort((a, b) => a.price - b.price)
+    const best = priced[0] || {}
+    const rating = product.aggregateRating || {}
+    const image = asArray(product.image)[0]
+
+    return {
+        title: textValue(product.name),
+        description: textValue(product.description),
+        image: typeof image === 'object' ? textValue(image?.url || image?.contentUrl) : textValue(image),
+        price: best.price || null,
+        listPrice: best.listPrice || null,
+        currency: best.currency || null,
+        availabilityValues: offers.map(offer => offer.availability).filter(value => typeof value === 'string'),
+        brand: textValue(product.brand),
+        gtin: textValue(product.gtin14 || product.gtin13 || product.gtin12 || product.gtin8 || product.gtin),
+        mpn: textValue(product.mpn),
+        sku: textValue(product.sku),
+        rating: parseFloat(rating.ratingValue) || null,
+        ratingCount: parseInt(rating.ratingCount ?? rating.reviewCount) || null
+    }
+}
+
+function fromMicrodata($) {
+    const prop = name => {
+        const el = $(`[itemprop="${name}"]`).first()
+        if (!el.length) return null
+        return textValue(el.attr('content') || el.attr('href') || el.attr('value') || el.text())
+    }
+
+    const name = $('[itemtype*="schema.org/Product"] [itemprop="name"]').first()
+
+    return {
+        title: textValue(name.attr('content') || name.text()),
+        price: parseAmount(prop('price') || prop('lowPrice')),
+        currency: prop('priceCurrency'),
+        availabilityValues: $('[itemprop="availability"]').map((_, el) => $(el).attr('href') || $(el).attr('content') || '').get(),
+        brand: textValue($('[itemprop="brand"] [itemprop="name"]').first().text()) || prop('brand'),
+        gtin: prop('gtin13') || prop('gtin12') || prop('gtin14') || prop('gtin8') || prop('gtin'),
+        mpn: prop('mpn'),
+        sku: prop('sku'),
+        rating: parseFloat(prop('ratingValue')) || null,
+        ratingCount: parseInt(prop('ratingCount') || prop('reviewCount')) || null
+    }
+}
+
+function fromMetaTags($) {
+    const meta = (...names) => {
+        for (const name of names) {
+            const content = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content')
+            if (content && content.trim()) return content.trim()
+        }
+        return null
+    }
+
+    // With a sale price, product:price is the regular price
+    const salePrice = parseAmount(meta('product:sale_price:amount', 'og:sale_price:amount'))
+    const regularPrice = parseAmount(meta('product:price:amount', 'og:price:amount'))
+    const availability = meta('product:availability', 'og:availability')
+
+    return {
+        title: meta('og:title', 'twitter:title'),
+        description: meta('og:description', 'twitter:description', 'description'),
+        image: meta('og:image', 'og:image:url', 'twitter:image'),
+        price: salePrice || regularPrice,
+        listPrice: salePrice && regularPrice > salePrice ? regularPrice : null,
+        currency: meta('product:sale_price:currency', 'product:price:currency', 'og:price:currency'),
+        availabilityValues: availability ? [availability] : [],
+        brand: meta('product:brand', 'og:brand'),
+        gtin: meta('product:gtin', 'product:upc', 'product:ean'),
+        mpn: meta('product:mfr_part_no'),
+        sku: meta('product:retailer_item_id')
+    }
+}
+
+/**
+ * Amazon product id, from the URL or the page
+ */
+function findAsin(pageUrl, $) {
+    const match = String(pageUrl || '').match(/\/(?:dp|gp\/product|gp\/aw\/d|exec\/obidos\/asin)\/([A-Z0-9]{10})(?:[/?]|$)/i)
+    if (match) return match[1].toUpperCase()
+
+    const input = $('input#ASIN, input[name="ASIN"]').first().attr('value')
+    return input && /^[A-Z0-9]{10}$/i.test(input) ? input.toUpperCase() : null
+}
+
+function absoluteUrl(url, pageUrl) {
+    if (!url) return null
+    try {
+        return new URL(url, pageUrl).href
+    } catch {
+        return null
+    }
+}
+
+/**
+ * Extract product metadata from a page's HTML
+ * Fields that can't be found are null.
+ */
+export function extractPageMetadata(html, pageUrl) {
+    const $ = cheerio.load(html || '')
+    const sources = [
+        { name: 'json-ld', data: fromJsonLd($) },
+        { name: 'microdata', data: fromMicrodata($) },
+        { name: 'meta', data: fromMetaTags($) }
+    ]
+
+    const pick = field => {
+        for (const { data } of sources) {
+            if (data[field] !== null && data[field] !== undefined && data[field] !== '') return data[field]
+        }
+        return null
+    }
+
+    // Price, list price and currency travel together so they describe one offer
+    const priceSource = sources.find(({ data }) => data.price)
+    const availabilityValues = sources.find(({ data }) => data.availabilityValues?.length)?.data.availabilityValues || []
+    const currency = priceSource?.data.currency || pick('currency')
+
+    return {
+        title: pick('title') || textValue($('title').first().text()),
+        description: pick('description'),
+        image: absoluteUrl(pick('image'), pageUrl),
+        price: priceSource?.data.price || null,
+        listPrice: priceSource?.data.listPrice || null,
+        currency: currency ? currency.toUpperCase() : null,
+        priceSource: priceSource?.name || null,
+        availability: summarizeAvailability(availabilityValues),
+        availabilityValues: availabilityValues.map(normalizeAvailabilityValue),
+        brand: pick('brand'),
+        gtin: pick('gtin'),
+        mpn: pick('mpn'),
+        sku: pick('sku'),
+        asin: findAsin(pageUrl, $),
+        rating: pick('rating'),
+        ratingCount: pick('ratingCount')
+    }
+}
+
+/**
+ * Fetch a page and extract its product metadata, or null if unavailable
+ */
+export async function fetchPageMetadata(url) {
+    const html = await fetchPageHtml(url)
+    if (!html) return null
+
+    try {
+        return extractPageMetadata(html, url)
+    } catch (error) {
+        log.warn('Metadata extraction error', { url: url.substring(0, 60), error: error.message })
+        return null
+    }
+}
+
+/**
+ * Clear the page cache
+ */
+export function clearPageCache() {
+    pageCache.clear()
+}
+
+export default {
+    fetchPageHtml,
+    fetchPageMetadata,
+    extractPageMetadata,
+    summarizeAvailability,
+    parseAmount,
+    clearPageCache
+}
@@ -0,0 +1,126 @@
+/**
+ * PRICE TRACKER
+ * Records price history points for re-seen deals and fires matching price alerts
+ */
+
+import { isPriceAlertMet } from '@savebucks/shared'
+import db from './supabase.js'
+import logger from './logger.js'
+
+const log = logger.child({ component: 'price-tracker' })
+
+/**
+ * Append a point to deal_price_history
+ */
+export async function recordPricePoint(dealId, point) {
+    const price = point.price ?? null
+    const originalPrice = point.original_price ?? null
+    const hasDiscount = price != null && originalPrice > 0
+
+    const { error } = await db.supabase
+        .from('deal_price_history')
+        .insert({
+            deal_id: dealId,
+            price,
+            original_price: originalPrice,
+            discount_amount: hasDiscount ? Number((originalPrice - price).toFixed(2)) : null,
+            discount_percentage: hasDiscount ? Math.round((originalPrice - price) / originalPrice * 100) : null,
+            stock_status: point.stock_status || 'unknown',
+            source: point.source || 'scraper',
+            source_url: point.source_url || null,
+            notes: point.notes || null
+        })
+
+    if (error) {
+        log.warn('Failed to record price point', { dealId, error: error.message })
+        return false
+    }
+
+    return true
+}
+
+/**
+ * Mark every active alert whose condition is now met as triggered.
+ * Delivery (push + in-app) is picked up by the API's price alert processor.
+ */
+export async function triggerPriceAlerts(deal) {
+    const { data: alerts, error } = await db.supabase
+        .from('price_alerts')
+        .select('id, user_id, alert_type, target_price')
+        .eq('deal_id', deal.id)
+        .eq('is_active', true)
+        .is('triggered_at', null)
+
+    if (error) {
+        log.warn('Failed to load price alerts', { dealId: deal.id, error: error.message })
+        return 0
+    }
+
+    const met = (alerts || []).filter(alert => isPriceAlertMet(alert, deal))
+    if (met.length === 0) return 0
+
+    const now = new Date().toISOString()
+    const { error: updateError } = await db.supabase
+        .from('price_alerts')
+        .update({
+            triggered_at: now,
+            triggered_price: deal.price ?? null,
+            is_active: false,
+            updated_at: now
+        })
+        .in('id', met.map(alert => alert.id))
+        .is('triggered_at', null)
+
+    if (updateError) {
+        log.warn('Failed to trigger price alerts', { dealId: deal.id, error: updateError.message })
+        return 0
+    }
+
+    log.info('Price alerts triggered', { dealId: deal.id, count: met.length, price: deal.price })
+    return met.length
+}
+
+/**
+ * Record a price or stock change on an existing deal and fire any alerts it
+ * satisfies. Every worker path that changes a deal's price or stock_status
+ * goes through here; there is no database trigger doing it (see 073).
+ * Pass previousPrice only when the price changed.
+ */
+export async function handlePriceChange(deal, previousPrice, meta = {}) {
+    // Deals ingested before tracking began have no history yet; keep the
+    // price we're replacing so the series has something to compare against
+    if (previousPrice != null) {
+        const { count } = await db.supabase
+            .from('deal_price_history')
+            .select('id', { count: 'exact', head: true })
+            .eq('deal_id', deal.id)
+
+        if (count === 0) {
+            await recordPricePoint(deal.id, {
+                price: previousPrice,
+                original_price: deal.original_price,
+                source: meta.source,
+                notes: 'Price before first tracked change'
+            })
+        }
+    }
+
+    const recorded = await recordPricePoint(deal.id, {
+        price: deal.price,
+        original_price: deal.original_price,
+        stock_status: deal.stock_status,
+        source: meta.source,
+        source_url: meta.source_url,
+        notes: meta.notes || (previousPrice != null ? `Price changed from ${previousPrice}` : null)
+    })
+
+    const triggered = await triggerPriceAlerts(deal)
+
+    return { recorded, triggered }
+}
+
+export default {
+    recordPricePoint,
+    triggerPriceAlerts,
+    handlePriceChange
+}
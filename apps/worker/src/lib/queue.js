@@ -62,6 +62,30 @@ export const queues = {
             ...CONFIG.queue.defaultJobOptions,
             attempts: 2
         }
+    }),
+
+    recommendations: new Queue('recommendations', {
+        connection,
+        defaultJobOptions: {
+            ...CONFIG.queue.defaultJobOptions,
+            attempts: 1
+        }
+    }),
+
+    digests: new Queue('digests', {
+        connection,
+        defaultJobOptions: {
+            ...CONFIG.queue.defaultJobOptions,
+            attempts: 1
+        }
+    }),
+
+    links: new Queue('links', {
+        connection,
+        defaultJobOptions: {
+            ...CONFIG.queue.defaultJobOptions,
+            attempts: 1
+        }
     })
 }
 
@@ -1,10 +1,12 @@
 /**
  * RATE LIMITER IMPLEMENTATION
- * Token bucket algorithm with per-source and global limits
+ * Token bucket algorithm with per-source and global limits. Buckets live in
+ * Redis so the limits hold across all worker replicas combined.
  */
 
 import CONFIG from '../config/ingestion.config.js'
 import logger from './logger.js'
+import { sharedKey, isShared, withSharedState, defineScript } from './sharedState.js'
 
 // Store rate limiters per source
 const limiters = new Map()
@@ -12,16 +14,47 @@ const limiters = new Map()
 // Global rate limiter
 let globalLimiter = null
 
+// Attempts to get a token before acquire() gives up; other workers draw
+// from the same bucket, so the tokens waited for may already be gone
+const MAX_WAITS = 3
+
+// Refill and take from a bucket in one step. Uses the Redis clock so
+// replicas with drifting clocks agree on the refill.
+// Returns { acquired, tokens }
+const takeScript = defineScript('ratelimit_take', 1, `
+    local max = tonumber(ARGV[1])
+    local rate = tonumber(ARGV[2])
+    local want = tonumber(ARGV[3])
+    local time = redis.call('TIME')
+    local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    local bucket = redis.call('HMGET', KEYS[1], 'tokens', 'ts')
+    local tokens = tonumber(bucket[1]) or max
+    local ts = tonumber(bucket[2]) or now
+    tokens = math.min(max, tokens + math.max(0, now - ts) / 1000 * rate)
+    local acquired = 0
+    if want > 0 and tokens >= want then
+        tokens = tokens - want
+        acquired = 1
+    end
+    redis.call('HSET', KEYS[1], 'tokens', tostring(tokens), 'ts', tostring(now))
+    redis.call('PEXPIRE', KEYS[1], ARGV[4])
+    return {acquired, tostring(tokens)}
+`)
+
 /**
  * Token Bucket Rate Limiter
  */
 class TokenBucket {
-    constructor(options) {
+    constructor(name, options) {
+        this.key = sharedKey('ratelimit', name)
         this.tokens = options.maxTokens || options.requests
         this.maxTokens = options.maxTokens || options.requests
         this.refillRate = options.refillRate || (options.requests / (options.window / 1000))
         this.lastRefill = Date.now()
-        this.waiting = []
+
+        // An idle bucket is full again after maxTokens / refillRate seconds,
+        // so its key can expire then
+        this.ttl = Math.ceil((this.maxTokens / this.refillRate) * 1000) * 2
     }
 
     refill() {
@@ -31,53 +64,65 @@ class TokenBucket {
         this.lastRefill = now
     }
 
-    async acquire(tokens = 1) {
-        this.refill()
-
-        if (this.tokens >= tokens) {
-            this.tokens -= tokens
-            return true
-        }
-
-        // Calculate wait time
-        const deficit = tokens - this.tokens
-        const waitTime = Math.ceil((deficit / this.refillRate) * 1000)
-
-        logger.debug('Rate limit: waiting for tokens', {
-            waitTime,
-            currentTokens: this.tokens,
-            needed: tokens
-        })
-
-        return new Promise((resolve) => {
-            setTimeout(() => {
+    /**
+     * Refill, then take `tokens` if there are enough (0 just reads the bucket)
+     */
+    take(tokens) {
+        return withSharedState(
+            async (redis) => {
+                const [acquired, remaining] = await takeScript(
+                    redis, this.key, this.maxTokens, this.refillRate, tokens, this.ttl
+                )
+                return { acquired: acquired === 1, tokens: parseFloat(remaining) }
+            },
+            () => {
                 this.refill()
-                if (this.tokens >= tokens) {
+                if (tokens > 0 && this.tokens >= tokens) {
                     this.tokens -= tokens
-                    resolve(true)
-                } else {
-                    resolve(false)
+                    return { acquired: true, tokens: this.tokens }
                 }
-            }, waitTime)
-        })
+                return { acquired: false, tokens: this.tokens }
+            }
+        )
     }
 
-    tryAcquire(tokens = 1) {
-        this.refill()
-
-        if (this.tokens >= tokens) {
-            this.tokens -= tokens
-            return true
+    async acquire(tokens = 1) {
+        for (let attempt = 0; attempt <= MAX_WAITS; attempt++) {
+            const result = await this.take(tokens)
+            if (result.acquired) {
+                return true
+            }
+            if (attempt === MAX_WAITS) {
+                break
+            }
+
+            // Calculate wait time
+            const deficit = tokens - result.tokens
+            const waitTime = Math.ceil((deficit / this.refillRate) * 1000)
+
+            logger.debug('Rate limit: waiting for tokens', {
+                waitTime,
+                currentTokens: result.tokens,
+                needed: tokens
+            })
+
+            await sleep(waitTime)
         }
         return false
     }
 
-    getStatus() {
-        this.refill()
+    async tryAcquire(tokens = 1) {
+        const { acquired } = await this.take(tokens)
+        return acquired
+    }
+
+    async getStatus() {
+        const { tokens } = await this.take(0)
         return {
-            tokens: Math.floor(this.tokens),
+            tokens: Math.floor(tokens),
             maxTokens: this.maxTokens,
-            refillRate: this.refillRate
+            refillRate: this.refillRate,
+            shared: isShared()
         }
     }
 }
@@ -91,7 +136,7 @@ export function getRateLimiter(source, options = {}) {
             ...CONFIG.rateLimit.default,
             ...options
         }
-        limiters.set(source, new TokenBucket(config))
+        limiters.set(source, new TokenBucket(source, config))
     }
     return limiters.get(source)
 }
@@ -101,7 +146,7 @@ export function getRateLimiter(source, options = {}) {
  */
 export function getGlobalLimiter() {
     if (!globalLimiter) {
-        globalLimiter = new TokenBucket({
+        globalLimiter = new TokenBucket('global', {
             maxTokens: CONFIG.rateLimit.global.maxRequestsPerSecond * 10,
             refillRate: CONFIG.rateLimit.global.maxRequestsPerSecond
         })
@@ -135,8 +180,8 @@ export async function acquireRateLimit(source, options = {}) {
 /**
  * Try to acquire rate limit without waiting
  */
-export function tryAcquireRateLimit(source, options = {}) {
-    if (!getGlobalLimiter().tryAcquire()) {
+export async function tryAcquireRateLimit(source, options = {}) {
+    if (!await getGlobalLimiter().tryAcquire()) {
         return false
     }
     return getRateLimiter(source, options).tryAcquire()
@@ -145,7 +190,7 @@ export function tryAcquireRateLimit(source, options = {}) {
 /**
  * Get rate limit status for monitoring
  */
-export function getRateLimitStatus(source) {
+export async function getRateLimitStatus(source) {
     const limiter = limiters.get(source)
     return limiter ? limiter.getStatus() : null
 }
@@ -153,14 +198,15 @@ export function getRateLimitStatus(source) {
 /**
  * Get all rate limit statuses
  */
-export function getAllRateLimitStatuses() {
+export async function getAllRateLimitStatuses() {
     const statuses = {
-        global: getGlobalLimiter().getStatus(),
+        global: await getGlobalLimiter().getStatus(),
         sources: {}
     }
 
+    // Only buckets this worker has used; their token counts are shared
     for (const [source, limiter] of limiters) {
-        statuses.sources[source] = limiter.getStatus()
+        statuses.sources[source] = await limiter.getStatus()
     }
 
     return statuses
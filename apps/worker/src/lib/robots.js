@@ -0,0 +1,188 @@
+/**
+ * ROBOTS.TXT CHECKS
+ * Fetches and caches each site's robots.txt and answers whether our crawler
+ * may request a URL. Follows Google's reading of the spec:
+ * - the group naming our user agent wins over `*`
+ * - the longest matching rule wins, Allow wins a tie
+ * - `*` matches any characters, a trailing `$` anchors the end
+ * A missing robots.txt (4xx) allows everything; one that can't be fetched
+ * (5xx, network error) disallows everything until the next check.
+ */
+
+import CONFIG from '../config/ingestion.config.js'
+import { inspectUrl } from './httpClient.js'
+import logger from './logger.js'
+
+const log = logger.child({ component: 'robots' })
+
+const cache = new Map()
+const CACHE_TTL = 60 * 60 * 1000 // 1 hour
+const CACHE_MAX = 200
+
+const ALLOW_ALL = { groups: [], unreachable: false }
+const DISALLOW_ALL = { groups: [], unreachable: true }
+
+/**
+ * Parse robots.txt into user-agent groups
+ * Returns { groups: [{ agents, rules: [{ allow, pattern }], crawlDelay }] }
+ */
+export function parseRobots(text) {
+    const groups = []
+    let current = null
+    let lastWasAgent = false
+
+    for (const rawLine of String(text || '').split(/\r?\n/)) {
+        const line = rawLine.replace(/#.*$/, '').trim()
+        const separator = line.indexOf(':')
+        if (separator === -1) continue
+
+        const key = line.slice(0, separator).trim().toLowerCase()
+        const value = line.slice(separator + 1).trim()
+
+        if (key === 'user-agent') {
+            // Consecutive user-agent lines share one group
+            if (!current || !lastWasAgent) {
+                current = { agents: [], rules: [], crawlDelay: null }
+                groups.push(current)
+            }
+            current.agents.push(value.toLowerCase())
+            lastWasAgent = true
+            continue
+        }
+
+        lastWasAgent = false
+        if (!current) continue
+
+        if ((key === 'allow' || key === 'disallow') && value) {
+            current.rules.push({ allow: key === 'allow', pattern: value })
+        } else if (key === 'crawl-delay') {
+            const delay = parseFloat(value)
+            if (Number.isFinite(delay) && delay >= 0) current.crawlDelay = delay
+        }
+    }
+
+    return { groups, unreachable: false }
+}
+
+/**
+ * Rules that apply to a user agent: the groups naming it most specifically,
+ * else the `*` groups
+ */
+function rulesFor(robots, userAgent) {
+    const agent = String(userAgent || '').toLowerCase()
+    let best = []
+    let bestLength = 0
+
+    for (const group of robots.groups) {
+        for (const name of group.agents) {
+            if (name === '*' || !agent.includes(name)) continue
+            if (name.length > bestLength) {
+                best = [group]
+                bestLength = name.length
+            } else if (name.length === bestLength && !best.includes(group)) {
+                best.push(group)
+            }
+        }
+    }
+
+    const groups = best.length > 0
+        ? best
+        : robots.groups.filter(group => group.agents.includes('*'))
+
+    return {
+        rules: groups.flatMap(group => group.rules),
+        crawlDelay: groups.map(group => group.crawlDelay).find(delay => delay !== null) ?? null
+    }
+}
+
+function patternMatches(pattern, path) {
+    const anchored = pattern.endsWith('$')
+    const body = anchored ? pattern.slice(0, -1) : pattern
+    const regex = body
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*')
+    return new RegExp(`^${regex}${anchored ? '$' : ''}`).test(path)
+}
+
+/**
+ * Whether parsed robots rules allow a URL for a user agent
+ */
+export function isAllowed(robots, url, userAgent) {
+    if (robots.unreachable) return false
+
+    const { pathname, search } = new URL(url)
+    const path = `${pathname}${search}`
+    const { rules } = rulesFor(robots, userAgent)
+
+    let match = null
+    for (const rule of rules) {
+        if (!patternMatches(rule.pattern, path)) continue
+        if (!match || rule.pattern.length > match.pattern.length ||
+            (rule.pattern.length === match.pattern.length && rule.allow)) {
+            match = rule
+        }
+    }
+
+    return match ? match.allow : true
+}
+
+/**
+ * Fetch (or reuse) a site's parsed robots.txt
+ */
+async function loadRobots(origin, userAgent) {
+    const cached = cache.get(origin)
+    if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
+        return cached.robots
+    }
+
+    const page = await inspectUrl(`${origin}/robots.txt`, {
+        timeout: 10000,
+        maxBytes: 512 * 1024,
+        bodyTypes: ['text/plain', 'text/html', 'application/octet-stream'],
+        headers: { 'User-Agent': userAgent, 'Accept': 'text/plain,*/*' }
+    })
+
+    let robots
+    if (page.status && page.status >= 200 && page.status < 300) {
+        robots = parseRobots(page.body)
+    } else if (page.status && page.status >= 400 && page.status < 500) {
+        robots = ALLOW_ALL
+    } else {
+        log.warn('robots.txt unreachable, treating site as disallowed', {
+            origin,
+            status: page.status,
+            error: page.error
+        })
+        robots = DISALLOW_ALL
+    }
+
+    if (cache.size >= CACHE_MAX) {
+        cache.delete(cache.keys().next().value)
+    }
+    cache.set(origin, { robots, timestamp: Date.now() })
+    return robots
+}
+
+/**
+ * Check whether we may fetch a URL
+ * Returns { allowed, crawlDelay } - crawlDelay in seconds, or null.
+ */
+export async function checkRobots(url, userAgent = CONFIG.http.headers['User-Agent']) {
+    const robots = await loadRobots(new URL(url).origin, userAgent)
+    return {
+        allowed: isAllowed(robots, url, userAgent),
+        crawlDelay: rulesFor(robots, userAgent).crawlDelay
+    }
+}
+
+export function clearRobotsCache() {
+    cache.clear()
+}
+
+export default {
+    parseRobots,
+    isAllowed,
+    checkRobots,
+    clearRobotsCache
+}
@@ -0,0 +1,92 @@
+/**
+ * SHARED STATE
+ * Lets the circuit breaker, rate limiter and daily cap tracker keep their
+ * state in Redis (the queue's connection), so every worker replica sees the
+ * same breakers, token buckets and counts. Each caller passes a local
+ * fallback that runs whenever Redis isn't connected or a command fails.
+ */
+
+import { connection } from './queue.js'
+import logger from './logger.js'
+import CONFIG from '../config/ingestion.config.js'
+
+const log = logger.child({ component: 'sharedState' })
+
+const { backend, keyPrefix } = CONFIG.sharedState
+
+// Warn once per outage rather than on every call
+let fallbackLogged = false
+
+/**
+ * Namespaced Redis key, e.g. sharedKey('circuit', 'slickdeals_rss')
+ */
+export function sharedKey(...parts) {
+    return [keyPrefix, ...parts].join(':')
+}
+
+/**
+ * Whether state is currently shared through Redis
+ * Commands aren't sent while disconnected - with maxRetriesPerRequest: null
+ * they'd sit in the offline queue until Redis came back.
+ */
+export function isShared() {
+    return backend === 'redis' && connection.status === 'ready'
+}
+
+/**
+ * Run `shared(redis)` against Redis, or `local()` when state can't be shared
+ */
+export async function withSharedState(shared, local) {
+    if (!isShared()) {
+        if (backend === 'redis' && !fallbackLogged) {
+            log.warn('Redis unavailable, using in-process state', { status: connection.status })
+            fallbackLogged = true
+        }
+        return local()
+    }
+
+    try {
+        const result = await shared(connection)
+        fallbackLogged = false
+        return result
+    } catch (error) {
+        log.warn('Shared state command failed, using in-process state', { error: error.message })
+        return local()
+    }
+}
+
+/**
+ * Register a Lua script on the connection and return a caller for it
+ * Scripts run atomically, so replicas can't interleave read-modify-write steps.
+ */
+export function defineScript(name, numberOfKeys, lua) {
+    const command = `savebucks_${name}`
+    return (redis, ...args) => {
+        if (!redis[command]) {
+            redis.defineCommand(command, { numberOfKeys, lua })
+        }
+        return redis[command](...args)
+    }
+}
+
+/**
+ * Keys matching a pattern, via SCAN so large keyspaces don't block Redis
+ */
+export async function scanKeys(redis, pattern) {
+    const keys = []
+    let cursor = '0'
+    do {
+        const [next, batch] = await redis.scan(cursor, 'MATCH', pattern, 'COUNT', 200)
+        cursor = next
+        keys.push(...batch)
+    } while (cursor !== '0')
+    return keys
+}
+
+export default {
+    sharedKey,
+    isShared,
+    withSharedState,
+    defineScript,
+    scanKeys
+}
@@ -12,6 +12,21 @@ const log = logger.child({ component: 'urlResolver' })
 const urlCache = new Map()
 const CACHE_TTL = 3600000 // 1 hour
 
+// Aggregators whose deal pages link out to the merchant instead of redirecting
+const AGGREGATOR_HOSTS = ['slickdeals.net', 'dealnews.com', 'techbargains.com']
+
+/**
+ * Whether a URL points at a deal aggregator rather than the merchant
+ */
+export function isAggregatorUrl(url) {
+    try {
+        const hostname = new URL(url).hostname.toLowerCase()
+        return AGGREGATOR_HOSTS.some(host => hostname.includes(host))
+    } catch {
+        return false
+    }
+}
+
 /**
  * Resolve a deal URL to the actual merchant URL
  * Handles Slickdeals, DealNews, etc. which use JS redirects
@@ -345,5 +360,6 @@ export function clearUrlCache() {
 
 export default {
     resolveMerchantUrl,
+    isAggregatorUrl,
     clearUrlCache
 }
@@ -15,5 +15,18 @@ export function hotScore(ups, downs, createdUnixSec, nowUnixSec) {
   return Number((order - hours / 48).toFixed(7));
 }
 
+// Whether a price_alerts row's condition holds for the deal's current price/stock
+export function isPriceAlertMet(alert, deal) {
+  const price = deal.price == null ? null : Number(deal.price);
+  const target = Number(alert.target_price);
+  switch (alert.alert_type) {
+    case 'price_drop': return price != null && price <= target;
+    case 'price_rise': return price != null && price >= target;
+    case 'back_in_stock': return deal.stock_status === 'in_stock';
+    case 'low_stock': return deal.stock_status === 'low_stock';
+    default: return false;
+  }
+}
+
 // Telegram parser exports
 export * from './src/telegramParser.js';
@@ -0,0 +1,268 @@
+-- SAVEBUCKS COMMUNITY FORUMS
+-- Backs the /api/forums and /api/threads routes that replace the web app's mock forum service
+
+-- =============================================
+-- PART 1: FORUMS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.forums (
+  id BIGSERIAL PRIMARY KEY,
+  slug TEXT UNIQUE NOT NULL,
+  name TEXT NOT NULL,
+  description TEXT,
+  tags TEXT[] DEFAULT '{}',
+  image_url TEXT,
+  sort_order INTEGER DEFAULT 0,
+  is_active BOOLEAN DEFAULT TRUE,
+
+  -- Denormalized counters (maintained by triggers below)
+  thread_count INTEGER DEFAULT 0,
+  post_count INTEGER DEFAULT 0,
+  last_activity_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_forums_active ON forums(is_active, sort_order);
+
+-- =============================================
+-- PART 2: THREADS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.forum_threads (
+  id BIGSERIAL PRIMARY KEY,
+  forum_id BIGINT NOT NULL REFERENCES forums(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  title TEXT NOT NULL,
+  body TEXT NOT NULL,
+  tags TEXT[] DEFAULT '{}',
+  is_nsfw BOOLEAN DEFAULT FALSE,
+
+  -- Moderation
+  status TEXT DEFAULT 'active' CHECK (status IN ('active', 'locked', 'archived', 'deleted')),
+  is_pinned BOOLEAN DEFAULT FALSE,
+  is_locked BOOLEAN DEFAULT FALSE,
+
+  -- Stats (maintained by triggers below)
+  score INTEGER DEFAULT 0,
+  ups INTEGER DEFAULT 0,
+  downs INTEGER DEFAULT 0,
+  reply_count INTEGER DEFAULT 0,
+  view_count INTEGER DEFAULT 0,
+  last_activity_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_forum_threads_forum ON forum_threads(forum_id, created_at DESC) WHERE status <> 'deleted';
+CREATE INDEX IF NOT EXISTS idx_forum_threads_activity ON forum_threads(last_activity_at DESC) WHERE status <> 'deleted';
+CREATE INDEX IF NOT EXISTS idx_forum_threads_author ON forum_threads(author_id);
+CREATE INDEX IF NOT EXISTS idx_forum_threads_tags ON forum_threads USING GIN(tags);
+
+-- =============================================
+-- PART 3: POSTS (REPLIES)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.forum_posts (
+  id BIGSERIAL PRIMARY KEY,
+  thread_id BIGINT NOT NULL REFERENCES forum_threads(id) ON DELETE CASCADE,
+  parent_id BIGINT REFERENCES forum_posts(id) ON DELETE CASCADE,
+  author_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  body TEXT NOT NULL,
+  is_deleted BOOLEAN DEFAULT FALSE,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_forum_posts_thread ON forum_posts(thread_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_forum_posts_author ON forum_posts(author_id);
+
+-- =============================================
+-- PART 4: THREAD VOTES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.forum_thread_votes (
+  thread_id BIGINT NOT NULL REFERENCES forum_threads(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  value SMALLINT NOT NULL CHECK (value IN (-1, 1)),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (thread_id, user_id)
+);
+
+-- =============================================
+-- PART 5: THREAD SUBSCRIPTIONS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.forum_thread_subscriptions (
+  id BIGSERIAL PRIMARY KEY,
+  thread_id BIGINT NOT NULL REFERENCES forum_threads(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+
+  notify_replies BOOLEAN DEFAULT TRUE,
+  notify_mentions BOOLEAN DEFAULT TRUE,
+  email_notifications BOOLEAN DEFAULT FALSE,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE(thread_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_forum_subscriptions_user ON forum_thread_subscriptions(user_id);
+
+-- =============================================
+-- PART 6: COUNTER TRIGGERS
+-- =============================================
+
+-- Keep forum thread counts in sync
+CREATE OR REPLACE FUNCTION forum_threads_counter()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE forums
+    SET thread_count = thread_count + 1, last_activity_at = NEW.created_at
+    WHERE id = NEW.forum_id;
+  ELSIF TG_OP = 'DELETE' THEN
+    UPDATE forums
+    SET thread_count = GREATEST(thread_count - 1, 0),
+        post_count = GREATEST(post_count - OLD.reply_count, 0)
+    WHERE id = OLD.forum_id;
+  ELSIF TG_OP = 'UPDATE' AND NEW.forum_id <> OLD.forum_id THEN
+    -- Thread moved between forums
+    UPDATE forums
+    SET thread_count = GREATEST(thread_count - 1, 0),
+        post_count = GREATEST(post_count - OLD.reply_count, 0)
+    WHERE id = OLD.forum_id;
+    UPDATE forums
+    SET thread_count = thread_count + 1,
+        post_count = post_count + NEW.reply_count
+    WHERE id = NEW.forum_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_forum_threads_counter ON forum_threads;
+CREATE TRIGGER trg_forum_threads_counter
+  AFTER INSERT OR DELETE OR UPDATE OF forum_id ON forum_threads
+  FOR EACH ROW EXECUTE FUNCTION forum_threads_counter();
+
+-- Keep thread reply counts and forum post counts in sync
+CREATE OR REPLACE FUNCTION forum_posts_counter()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_forum BIGINT;
+BEGIN
+  IF TG_OP = 'INSERT' THEN
+    UPDATE forum_threads
+    SET reply_count = reply_count + 1, last_activity_at = NEW.created_at
+    WHERE id = NEW.thread_id
+    RETURNING forum_id INTO target_forum;
+
+    UPDATE forums
+    SET post_count = post_count + 1, last_activity_at = NEW.created_at
+    WHERE id = target_forum;
+  ELSIF TG_OP = 'DELETE' THEN
+    UPDATE forum_threads
+    SET reply_count = GREATEST(reply_count - 1, 0)
+    WHERE id = OLD.thread_id
+    RETURNING forum_id INTO target_forum;
+
+    UPDATE forums
+    SET post_count = GREATEST(post_count - 1, 0)
+    WHERE id = target_forum;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_forum_posts_counter ON forum_posts;
+CREATE TRIGGER trg_forum_posts_counter
+  AFTER INSERT OR DELETE ON forum_posts
+  FOR EACH ROW EXECUTE FUNCTION forum_posts_counter();
+
+-- Recompute thread score from votes
+CREATE OR REPLACE FUNCTION forum_thread_votes_counter()
+RETURNS TRIGGER AS $$
+DECLARE
+  target_thread BIGINT := COALESCE(NEW.thread_id, OLD.thread_id);
+BEGIN
+  UPDATE forum_threads t
+  SET ups = v.ups, downs = v.downs, score = v.ups - v.downs
+  FROM (
+    SELECT
+      COUNT(*) FILTER (WHERE value = 1)::INTEGER AS ups,
+      COUNT(*) FILTER (WHERE value = -1)::INTEGER AS downs
+    FROM forum_thread_votes
+    WHERE thread_id = target_thread
+  ) v
+  WHERE t.id = target_thread;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_forum_thread_votes_counter ON forum_thread_votes;
+CREATE TRIGGER trg_forum_thread_votes_counter
+  AFTER INSERT OR UPDATE OR DELETE ON forum_thread_votes
+  FOR EACH ROW EXECUTE FUNCTION forum_thread_votes_counter();
+
+-- Atomic view counter used by GET /api/threads/:id
+CREATE OR REPLACE FUNCTION increment_thread_views(thread_id_param BIGINT)
+RETURNS VOID AS $$
+BEGIN
+  UPDATE forum_threads SET view_count = view_count + 1 WHERE id = thread_id_param;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Only the API counts views, so clients can't inflate them
+REVOKE EXECUTE ON FUNCTION increment_thread_views(BIGINT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION increment_thread_views(BIGINT) TO service_role;
+
+-- =============================================
+-- PART 7: ROW LEVEL SECURITY
+-- =============================================
+
+-- The API writes through the service role; these policies cover direct client reads
+
+ALTER TABLE forums ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forum_threads ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forum_posts ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forum_thread_votes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE forum_thread_subscriptions ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Anyone can view active forums" ON forums
+  FOR SELECT USING (is_active = TRUE);
+
+CREATE POLICY "Anyone can view threads" ON forum_threads
+  FOR SELECT USING (status <> 'deleted');
+
+CREATE POLICY "Anyone can view posts" ON forum_posts
+  FOR SELECT USING (is_deleted = FALSE);
+
+CREATE POLICY "Users can view own thread votes" ON forum_thread_votes
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can manage own thread subscriptions" ON forum_thread_subscriptions
+  FOR ALL USING (auth.uid() = user_id);
+
+-- =============================================
+-- PART 8: DEFAULT FORUMS
+-- =============================================
+
+INSERT INTO forums (slug, name, description, tags, sort_order) VALUES
+  ('general', 'General Discussion', 'General conversations about deals and savings', ARRAY['discussion', 'community', 'help'], 10),
+  ('deals', 'Deal Discussion', 'Discuss deals, share tips, and get advice', ARRAY['deals', 'tips', 'advice'], 20),
+  ('tech', 'Technology', 'Tech deals, gadgets, and electronics', ARRAY['technology', 'gadgets', 'electronics'], 30),
+  ('fashion', 'Fashion & Beauty', 'Fashion deals, beauty products, and style tips', ARRAY['fashion', 'beauty', 'style'], 40)
+ON CONFLICT (slug) DO NOTHING;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Forums migration completed successfully!' as status;
@@ -0,0 +1,183 @@
+-- SAVEBUCKS DIRECT MESSAGING
+-- Private one-to-one conversations between users, with read receipts and blocking
+
+-- =============================================
+-- PART 1: CONVERSATIONS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.conversations (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- "<smaller uuid>:<larger uuid>" so each pair of users shares one conversation
+  direct_key TEXT UNIQUE NOT NULL,
+  subject TEXT,
+
+  last_message_at TIMESTAMPTZ,
+  last_message_preview TEXT,
+  last_sender_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS public.conversation_participants (
+  conversation_id BIGINT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+
+  last_read_at TIMESTAMPTZ,
+  unread_count INTEGER NOT NULL DEFAULT 0,
+  is_archived BOOLEAN NOT NULL DEFAULT FALSE,
+
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_participants_user ON conversation_participants(user_id, is_archived);
+
+-- =============================================
+-- PART 2: MESSAGES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.messages (
+  id BIGSERIAL PRIMARY KEY,
+  conversation_id BIGINT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  sender_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  body TEXT NOT NULL CHECK (char_length(body) BETWEEN 1 AND 1000),
+  deleted_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation ON messages(conversation_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_messages_sender ON messages(sender_id, created_at DESC);
+
+-- =============================================
+-- PART 3: BLOCKING
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.user_blocks (
+  blocker_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+
+-- =============================================
+-- PART 4: FUNCTIONS & TRIGGERS
+-- =============================================
+
+-- Find or create the conversation between two users
+CREATE OR REPLACE FUNCTION get_or_create_conversation(user_a UUID, user_b UUID, subject_param TEXT DEFAULT NULL)
+RETURNS BIGINT AS $$
+DECLARE
+  key TEXT := LEAST(user_a::TEXT, user_b::TEXT) || ':' || GREATEST(user_a::TEXT, user_b::TEXT);
+  conv_id BIGINT;
+BEGIN
+  INSERT INTO conversations (direct_key, subject)
+  VALUES (key, subject_param)
+  ON CONFLICT (direct_key) DO NOTHING
+  RETURNING id INTO conv_id;
+
+  IF conv_id IS NULL THEN
+    SELECT id INTO conv_id FROM conversations WHERE direct_key = key;
+  END IF;
+
+  INSERT INTO conversation_participants (conversation_id, user_id)
+  VALUES (conv_id, user_a), (conv_id, user_b)
+  ON CONFLICT (conversation_id, user_id) DO NOTHING;
+
+  RETURN conv_id;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Takes both user ids as arguments, so only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION get_or_create_conversation(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_or_create_conversation(UUID, UUID, TEXT) TO service_role;
+
+-- Bump conversation metadata and recipients' unread counters on each new message
+CREATE OR REPLACE FUNCTION messages_after_insert()
+RETURNS TRIGGER AS $$
+BEGIN
+  UPDATE conversations
+  SET last_message_at = NEW.created_at,
+      last_message_preview = LEFT(NEW.body, 140),
+      last_sender_id = NEW.sender_id,
+      updated_at = NOW()
+  WHERE id = NEW.conversation_id;
+
+  UPDATE conversation_participants
+  SET unread_count = unread_count + 1,
+      is_archived = FALSE
+  WHERE conversation_id = NEW.conversation_id
+    AND user_id <> NEW.sender_id;
+
+  -- The sender has implicitly read everything up to their own message
+  UPDATE conversation_participants
+  SET last_read_at = NEW.created_at,
+      unread_count = 0,
+      is_archived = FALSE
+  WHERE conversation_id = NEW.conversation_id
+    AND user_id = NEW.sender_id;
+
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_messages_after_insert ON messages;
+CREATE TRIGGER trg_messages_after_insert
+  AFTER INSERT ON messages
+  FOR EACH ROW EXECUTE FUNCTION messages_after_insert();
+
+-- Mark a conversation read for one participant (read receipt)
+CREATE OR REPLACE FUNCTION mark_conversation_read(conversation_id_param BIGINT, user_id_param UUID)
+RETURNS TIMESTAMPTZ AS $$
+DECLARE
+  read_at TIMESTAMPTZ := NOW();
+BEGIN
+  UPDATE conversation_participants
+  SET last_read_at = read_at, unread_count = 0
+  WHERE conversation_id = conversation_id_param AND user_id = user_id_param;
+  RETURN read_at;
+END;
+$$ LANGUAGE plpgsql;
+
+REVOKE EXECUTE ON FUNCTION mark_conversation_read(BIGINT, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION mark_conversation_read(BIGINT, UUID) TO service_role;
+
+-- =============================================
+-- PART 5: ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_participants ENABLE ROW LEVEL SECURITY;
+ALTER TABLE messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_blocks ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Participants can view conversations" ON conversations
+  FOR SELECT USING (EXISTS (
+    SELECT 1 FROM conversation_participants p
+    WHERE p.conversation_id = conversations.id AND p.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can view own participation" ON conversation_participants
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Participants can view messages" ON messages
+  FOR SELECT USING (EXISTS (
+    SELECT 1 FROM conversation_participants p
+    WHERE p.conversation_id = messages.conversation_id AND p.user_id = auth.uid()
+  ));
+
+CREATE POLICY "Users can manage own blocks" ON user_blocks
+  FOR ALL USING (auth.uid() = blocker_id);
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Direct messaging migration completed successfully!' as status;
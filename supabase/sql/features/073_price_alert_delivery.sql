@@ -0,0 +1,47 @@
+-- SAVEBUCKS PRICE ALERT DELIVERY
+-- Price history points and alert triggering now happen in application code
+-- (API + ingestion worker), so each point keeps its real source.
+
+-- =============================================
+-- PART 1: RETIRE THE DEALS UPDATE TRIGGER
+-- =============================================
+
+-- The trigger from 026 recorded every change as source 'trigger' and queued
+-- alerts without push delivery. The ingestion worker and API record points
+-- themselves now, so keeping it would write every change twice. Anything that
+-- changes a deal's price or stock_status must therefore go through
+-- priceAlerts.handleDealPriceChange (API) or priceTracker.handlePriceChange
+-- (worker).
+DROP TRIGGER IF EXISTS trigger_deals_price_change ON public.deals;
+
+-- =============================================
+-- PART 2: ALERT DELIVERY COLUMNS
+-- =============================================
+
+ALTER TABLE public.price_alerts
+  ADD COLUMN IF NOT EXISTS notification_method TEXT NOT NULL DEFAULT 'browser'
+    CHECK (notification_method IN ('browser', 'email', 'both'));
+
+ALTER TABLE public.price_alerts
+  ADD COLUMN IF NOT EXISTS triggered_price DECIMAL(10,2);
+
+ALTER TABLE public.price_alerts
+  ADD COLUMN IF NOT EXISTS notified_at TIMESTAMPTZ;
+
+-- Alerts waiting to be checked against a deal
+CREATE INDEX IF NOT EXISTS idx_price_alerts_deal_active
+  ON public.price_alerts(deal_id)
+  WHERE is_active = TRUE AND triggered_at IS NULL;
+
+-- Alerts that fired but have not been delivered yet
+CREATE INDEX IF NOT EXISTS idx_price_alerts_undelivered
+  ON public.price_alerts(triggered_at)
+  WHERE triggered_at IS NOT NULL AND notification_sent = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_deal_price_history_deal_created
+  ON public.deal_price_history(deal_id, created_at DESC);
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Price alert delivery migration completed successfully!' as status;
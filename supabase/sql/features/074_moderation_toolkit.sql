@@ -0,0 +1,86 @@
+-- SAVEBUCKS MODERATION TOOLKIT
+-- Temporary/permanent bans, warnings with escalation, and a queryable
+-- moderation log on top of audit_log (008)
+
+-- =============================================
+-- PART 1: BAN STATE ON PROFILES
+-- =============================================
+
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS is_banned BOOLEAN DEFAULT FALSE;
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS shadow_banned BOOLEAN DEFAULT FALSE;
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS banned_until TIMESTAMPTZ; -- NULL while banned = permanent
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS ban_reason TEXT;
+ALTER TABLE public.profiles ADD COLUMN IF NOT EXISTS warning_count INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_profiles_banned ON public.profiles(banned_until) WHERE is_banned = TRUE;
+
+-- =============================================
+-- PART 2: BAN HISTORY
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.user_bans (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  banned_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  reason TEXT NOT NULL,
+  duration TEXT NOT NULL CHECK (duration IN ('1h', '1d', '7d', '30d', 'permanent')),
+  expires_at TIMESTAMPTZ,
+  source TEXT NOT NULL DEFAULT 'manual' CHECK (source IN ('manual', 'escalation')),
+
+  lifted_at TIMESTAMPTZ,
+  lifted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  lift_reason TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_bans_user ON user_bans(user_id, created_at DESC);
+
+-- =============================================
+-- PART 3: WARNINGS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.user_warnings (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  issued_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+
+  reason TEXT NOT NULL,
+  target_type TEXT, -- deal, coupon, thread, post, comment, message
+  target_id TEXT,
+
+  -- Set when this warning tipped the user into an automatic ban
+  escalated_ban_id BIGINT REFERENCES user_bans(id) ON DELETE SET NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_warnings_user ON user_warnings(user_id, created_at DESC);
+
+-- =============================================
+-- PART 4: MODERATION LOG (audit_log)
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON public.audit_log(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON public.audit_log(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_target ON public.audit_log(table_name, row_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_action ON public.audit_log(action);
+
+-- =============================================
+-- PART 5: ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE user_bans ENABLE ROW LEVEL SECURITY;
+ALTER TABLE user_warnings ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own bans" ON user_bans
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can view own warnings" ON user_warnings
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Moderation toolkit migration completed successfully!' as status;
@@ -0,0 +1,46 @@
+-- SAVEBUCKS SCOPED ROLE GRANTS
+-- Fine-grained roles on top of profiles.role so moderation can be delegated
+-- without handing out full admin:
+--   moderator          - site-wide content, forum and user moderation
+--   category_moderator - content moderation limited to one category
+--   trusted_submitter  - submissions skip the pending queue
+
+-- =============================================
+-- PART 1: ROLE GRANTS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.user_role_grants (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+
+  role TEXT NOT NULL CHECK (role IN ('moderator', 'category_moderator', 'trusted_submitter')),
+  category_id BIGINT REFERENCES categories(id) ON DELETE CASCADE,
+
+  granted_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  note TEXT,
+  expires_at TIMESTAMPTZ,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  -- Only category moderators are scoped
+  CHECK ((role = 'category_moderator') = (category_id IS NOT NULL))
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_role_grants_unique
+  ON user_role_grants(user_id, role, COALESCE(category_id, 0));
+
+CREATE INDEX IF NOT EXISTS idx_user_role_grants_user ON user_role_grants(user_id);
+
+-- =============================================
+-- PART 2: ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE user_role_grants ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own role grants" ON user_role_grants
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Role grants migration completed successfully!' as status;
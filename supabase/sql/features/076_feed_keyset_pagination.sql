@@ -0,0 +1,151 @@
+-- SAVEBUCKS FEED KEYSET PAGINATION
+-- Moves filtering, ordering and paging of the unified deals + coupons feed
+-- (GET /api/feed) into the database. Pages are addressed by a keyset cursor
+-- (sort_key, item_type, item_id) instead of an offset, so new items arriving
+-- between requests don't shift or duplicate later pages.
+
+-- =============================================
+-- PART 1: INDEXES
+-- =============================================
+
+CREATE INDEX IF NOT EXISTS idx_deals_status_created_id ON public.deals(status, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_coupons_status_created_id ON public.coupons(status, created_at DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_coupon_votes_coupon_value ON public.coupon_votes(coupon_id, value);
+
+-- =============================================
+-- PART 2: FEED PAGE FUNCTION
+-- =============================================
+
+-- Returns one page of feed item references; the API hydrates them.
+--
+-- p_order decides the sort key (always sorted descending, ascending orders
+-- are negated):
+--   newest   - created_at
+--   score    - net votes
+--   discount - deal discount
+--   expiring - soonest expiry first (items without expiry are skipped)
+--   distance - nearest first (needs p_lat/p_lng)
+CREATE OR REPLACE FUNCTION get_feed_page(
+  p_filter TEXT DEFAULT 'all',
+  p_order TEXT DEFAULT 'newest',
+  p_category TEXT DEFAULT NULL,
+  p_lat DOUBLE PRECISION DEFAULT NULL,
+  p_lng DOUBLE PRECISION DEFAULT NULL,
+  p_radius_km DOUBLE PRECISION DEFAULT 50,
+  p_cursor_key DOUBLE PRECISION DEFAULT NULL,
+  p_cursor_type TEXT DEFAULT NULL,
+  p_cursor_id BIGINT DEFAULT NULL,
+  p_limit INTEGER DEFAULT 12
+)
+RETURNS TABLE (
+  item_type TEXT,
+  item_id BIGINT,
+  sort_key DOUBLE PRECISION,
+  distance_km DOUBLE PRECISION
+) AS $$
+  WITH items AS (
+    SELECT
+      'deal'::TEXT AS item_type,
+      d.id AS item_id,
+      d.created_at,
+      d.valid_until AS expires_at,
+      d.sale_price AS price,
+      d.discount_value AS discount,
+      d.title,
+      d.description,
+      d.category_id,
+      d.latitude::DOUBLE PRECISION AS latitude,
+      d.longitude::DOUBLE PRECISION AS longitude
+    FROM public.deals d
+    WHERE d.status = 'approved'
+
+    UNION ALL
+
+    SELECT
+      'coupon'::TEXT,
+      c.id,
+      c.created_at,
+      c.expires_at,
+      NULL::NUMERIC,
+      NULL::NUMERIC,
+      c.title,
+      c.description,
+      c.category_id,
+      NULL::DOUBLE PRECISION,
+      NULL::DOUBLE PRECISION
+    FROM public.coupons c
+    WHERE c.status = 'approved'
+  ),
+  located AS (
+    SELECT
+      i.*,
+      CASE WHEN p_lat IS NOT NULL AND p_lng IS NOT NULL AND i.latitude IS NOT NULL AND i.longitude IS NOT NULL
+        THEN 6371 * 2 * ASIN(SQRT(
+          POWER(SIN(RADIANS(i.latitude - p_lat) / 2), 2) +
+          COS(RADIANS(p_lat)) * COS(RADIANS(i.latitude)) *
+          POWER(SIN(RADIANS(i.longitude - p_lng) / 2), 2)
+        ))
+      END AS distance_km
+    FROM items i
+  ),
+  filtered AS (
+    SELECT l.*
+    FROM located l
+    WHERE
+      CASE p_filter
+        WHEN 'under-10' THEN l.price > 0 AND l.price < 10
+        WHEN 'under-25' THEN l.price > 0 AND l.price < 25
+        WHEN 'under-50' THEN l.price > 0 AND l.price < 50
+        WHEN '50-off' THEN l.discount >= 50
+        WHEN 'trending' THEN l.created_at >= NOW() - INTERVAL '7 days'
+        WHEN 'hot' THEN l.created_at >= NOW() - INTERVAL '1 day'
+        WHEN 'ending-soon' THEN l.expires_at > NOW() AND l.expires_at <= NOW() + INTERVAL '3 days'
+        WHEN 'new-arrivals' THEN l.created_at >= NOW() - INTERVAL '3 days'
+        WHEN 'freebies' THEN l.item_type = 'deal' AND (l.price = 0 OR l.price IS NULL)
+        WHEN 'flash-sale' THEN l.discount >= 40 AND l.expires_at > NOW() AND l.expires_at <= NOW() + INTERVAL '2 days'
+        WHEN 'free-shipping' THEN l.title ILIKE '%free shipping%' OR l.description ILIKE '%free shipping%'
+        WHEN 'near-you' THEN p_lat IS NULL OR l.distance_km <= p_radius_km
+        ELSE TRUE
+      END
+      AND (
+        p_category IS NULL
+        OR l.category_id::TEXT = p_category
+        OR l.title ILIKE '%' || p_category || '%'
+        OR l.description ILIKE '%' || p_category || '%'
+      )
+  ),
+  keyed AS (
+    SELECT
+      f.item_type,
+      f.item_id,
+      f.distance_km,
+      (CASE p_order
+        WHEN 'score' THEN
+          CASE f.item_type
+            WHEN 'deal' THEN (SELECT COALESCE(SUM(v.value), 0) FROM public.votes v WHERE v.deal_id = f.item_id)
+            ELSE (SELECT COALESCE(SUM(cv.value), 0) FROM public.coupon_votes cv WHERE cv.coupon_id = f.item_id)
+          END
+        WHEN 'discount' THEN COALESCE(f.discount, 0)
+        WHEN 'expiring' THEN -EXTRACT(EPOCH FROM f.expires_at)
+        WHEN 'distance' THEN -f.distance_km
+        ELSE EXTRACT(EPOCH FROM f.created_at)
+      END)::DOUBLE PRECISION AS sort_key
+    FROM filtered f
+  )
+  SELECT k.item_type, k.item_id, k.sort_key, k.distance_km
+  FROM keyed k
+  WHERE k.sort_key IS NOT NULL
+    -- Hot items need a net score above 5
+    AND (p_filter <> 'hot' OR k.sort_key > 5)
+    AND (
+      p_cursor_key IS NULL
+      OR (k.sort_key, k.item_type, k.item_id) < (p_cursor_key, p_cursor_type, p_cursor_id)
+    )
+  ORDER BY k.sort_key DESC, k.item_type DESC, k.item_id DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Feed keyset pagination migration completed successfully!' as status;
@@ -0,0 +1,78 @@
+-- SAVEBUCKS RECOMMENDATION CANDIDATES
+-- Storage for the For You engine. The worker's recommendations job scores
+-- deals per active user (category affinity, price band, collaborative signal)
+-- and writes the ranked result here; GET /api/for-you only reads it.
+
+-- =============================================
+-- PART 1: PER-USER CANDIDATES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.recommendation_candidates (
+  user_id UUID NOT NULL REFERENCES public.profiles(id) ON DELETE CASCADE,
+  deal_id BIGINT NOT NULL REFERENCES public.deals(id) ON DELETE CASCADE,
+  rank INTEGER NOT NULL,
+  score NUMERIC(8,2) NOT NULL,
+  reason TEXT,
+  -- Per-signal contributions, kept for debugging and tuning
+  components JSONB NOT NULL DEFAULT '{}'::jsonb,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, deal_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_recommendation_candidates_user_rank
+  ON public.recommendation_candidates(user_id, rank);
+
+-- =============================================
+-- PART 2: PER-USER PROFILE SUMMARY
+-- =============================================
+
+-- What the job learned about the user; surfaced as "interests tracked"
+CREATE TABLE IF NOT EXISTS public.recommendation_profiles (
+  user_id UUID PRIMARY KEY REFERENCES public.profiles(id) ON DELETE CASCADE,
+  top_categories TEXT[] NOT NULL DEFAULT '{}',
+  top_merchants TEXT[] NOT NULL DEFAULT '{}',
+  price_min NUMERIC(10,2),
+  price_max NUMERIC(10,2),
+  interaction_count INTEGER NOT NULL DEFAULT 0,
+  candidate_count INTEGER NOT NULL DEFAULT 0,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- =============================================
+-- PART 3: TRENDING (GUESTS AND COLD START)
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.trending_candidates (
+  deal_id BIGINT PRIMARY KEY REFERENCES public.deals(id) ON DELETE CASCADE,
+  rank INTEGER NOT NULL,
+  score NUMERIC(8,2) NOT NULL,
+  reason TEXT,
+  computed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_trending_candidates_rank ON public.trending_candidates(rank);
+
+-- =============================================
+-- PART 4: RLS
+-- =============================================
+
+ALTER TABLE public.recommendation_candidates ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.recommendation_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE public.trending_candidates ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own recommendations" ON public.recommendation_candidates;
+CREATE POLICY "Users can view own recommendations" ON public.recommendation_candidates
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own recommendation profile" ON public.recommendation_profiles;
+CREATE POLICY "Users can view own recommendation profile" ON public.recommendation_profiles
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Anyone can view trending candidates" ON public.trending_candidates;
+CREATE POLICY "Anyone can view trending candidates" ON public.trending_candidates
+  FOR SELECT USING (true);
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Recommendation candidates migration completed successfully!' as status;
@@ -0,0 +1,288 @@
+-- SAVEBUCKS DEAL SCHEDULES
+-- Recurring restaurant deals (070_restaurant_pivot.sql) carry
+--   valid_days  TEXT[] - ['monday', 'tuesday', ...], NULL = every day
+--   valid_hours JSONB  - {"start": "17:00", "end": "21:00"}, NULL = all day
+-- and are evaluated in the restaurant's local time. This adds the timezone,
+-- a helper to test a schedule, and an 'active-now' filter for the feed.
+-- Timezones and schedules follow apps/api/src/lib/dealSchedule.js, so the
+-- feed filter and the active_now the API reports agree.
+
+-- =============================================
+-- PART 1: RESTAURANT TIMEZONE
+-- =============================================
+
+ALTER TABLE companies ADD COLUMN IF NOT EXISTS timezone TEXT; -- IANA name, e.g. 'America/Chicago'
+
+COMMENT ON COLUMN companies.timezone IS 'IANA timezone used to evaluate deal valid_days/valid_hours';
+
+-- Majority zone for a US state, NULL when unknown; states split across zones
+-- get the majority zone. Same mapping as STATE_TIMEZONES in dealSchedule.js.
+CREATE OR REPLACE FUNCTION state_timezone(p_state TEXT)
+RETURNS TEXT AS $$
+  SELECT CASE
+    WHEN UPPER(p_state) IN ('CT','DE','DC','FL','GA','IN','KY','ME','MD','MA','MI','NH','NJ','NY','NC','OH','PA','RI','SC','VT','VA','WV') THEN 'America/New_York'
+    WHEN UPPER(p_state) IN ('AL','AR','IL','IA','KS','LA','MN','MS','MO','NE','ND','OK','SD','TN','TX','WI') THEN 'America/Chicago'
+    WHEN UPPER(p_state) IN ('CO','ID','MT','NM','UT','WY') THEN 'America/Denver'
+    WHEN UPPER(p_state) = 'AZ' THEN 'America/Phoenix'
+    WHEN UPPER(p_state) IN ('CA','NV','OR','WA') THEN 'America/Los_Angeles'
+    WHEN UPPER(p_state) = 'AK' THEN 'America/Anchorage'
+    WHEN UPPER(p_state) = 'HI' THEN 'Pacific/Honolulu'
+  END;
+$$ LANGUAGE sql IMMUTABLE;
+
+-- Timezone a company's schedules run in, as timezoneForCompany() picks it:
+-- its own if valid, else its US state's, else p_default (the API passes its
+-- DEFAULT_TIMEZONE)
+CREATE OR REPLACE FUNCTION company_timezone(
+  p_timezone TEXT,
+  p_state TEXT,
+  p_country TEXT,
+  p_default TEXT DEFAULT 'America/New_York'
+)
+RETURNS TEXT AS $$
+BEGIN
+  IF NULLIF(p_timezone, '') IS NOT NULL THEN
+    BEGIN
+      PERFORM NOW() AT TIME ZONE p_timezone;
+      RETURN p_timezone;
+    EXCEPTION WHEN invalid_parameter_value THEN
+      NULL;
+    END;
+  END IF;
+
+  IF p_country IS NOT NULL AND p_country <> 'US' THEN
+    RETURN p_default;
+  END IF;
+
+  RETURN COALESCE(state_timezone(p_state), p_default);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- Backfill US restaurants from their state. Companies left NULL are resolved
+-- with company_timezone() when their deals are checked.
+UPDATE companies SET timezone = state_timezone(state)
+WHERE is_restaurant = TRUE
+  AND timezone IS NULL
+  AND (country IS NULL OR country = 'US');
+
+-- Reject malformed hours from any writer; scheduleError() in
+-- dealSchedule.js gives the API's message for the same rule. NOT VALID
+-- leaves rows written before this alone - deal_schedule_active() treats
+-- hours it can't read as all day, as the API does.
+ALTER TABLE deals DROP CONSTRAINT IF EXISTS deals_valid_hours_format;
+ALTER TABLE deals ADD CONSTRAINT deals_valid_hours_format CHECK (
+  valid_hours IS NULL OR (
+    jsonb_typeof(valid_hours) = 'object'
+    AND valid_hours->>'start' ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+    AND valid_hours->>'end' ~ '^([01][0-9]|2[0-3]):[0-5][0-9]$'
+  )
+) NOT VALID;
+
+-- =============================================
+-- PART 2: SCHEDULE CHECK
+-- =============================================
+
+-- True when a deal is live at p_at in p_timezone: p_starts_at has passed
+-- and its recurring schedule is open. Works in minutes like getScheduleStatus():
+-- a window whose end is at or before its start runs past midnight and belongs
+-- to the day it starts on, and hours that don't read as H:MM count as all day.
+-- A NULL or unknown timezone falls back to the API's default.
+DROP FUNCTION IF EXISTS deal_schedule_active(TEXT[], JSONB, TEXT, TIMESTAMPTZ);
+
+CREATE OR REPLACE FUNCTION deal_schedule_active(
+  p_valid_days TEXT[],
+  p_valid_hours JSONB,
+  p_timezone TEXT,
+  p_starts_at TIMESTAMPTZ DEFAULT NULL,
+  p_at TIMESTAMPTZ DEFAULT NOW()
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+  v_local TIMESTAMP;
+  v_days TEXT[];
+  v_runs_today BOOLEAN;
+  v_runs_yesterday BOOLEAN;
+  v_minutes INTEGER;
+  v_start TEXT[];
+  v_end TEXT[];
+  v_start_min INTEGER;
+  v_end_min INTEGER;
+BEGIN
+  IF p_starts_at IS NOT NULL AND p_starts_at > p_at THEN
+    RETURN FALSE;
+  END IF;
+
+  BEGIN
+    v_local := p_at AT TIME ZONE COALESCE(NULLIF(p_timezone, ''), 'America/New_York');
+  EXCEPTION WHEN invalid_parameter_value THEN
+    v_local := p_at AT TIME ZONE 'America/New_York';
+  END;
+
+  SELECT ARRAY_AGG(LOWER(d)) INTO v_days FROM UNNEST(p_valid_days) d;
+  v_runs_today := v_days IS NULL OR TRIM(LOWER(TO_CHAR(v_local, 'FMDay'))) = ANY(v_days);
+  v_runs_yesterday := v_days IS NULL OR TRIM(LOWER(TO_CHAR(v_local - INTERVAL '1 day', 'FMDay'))) = ANY(v_days);
+  v_minutes := EXTRACT(HOUR FROM v_local)::INTEGER * 60 + EXTRACT(MINUTE FROM v_local)::INTEGER;
+
+  v_start := REGEXP_MATCH(p_valid_hours->>'start', '^([0-9]{1,2}):([0-9]{2})');
+  v_end := REGEXP_MATCH(p_valid_hours->>'end', '^([0-9]{1,2}):([0-9]{2})');
+
+  IF v_start IS NULL OR v_end IS NULL THEN
+    RETURN v_runs_today;
+  END IF;
+
+  v_start_min := v_start[1]::INTEGER * 60 + v_start[2]::INTEGER;
+  v_end_min := v_end[1]::INTEGER * 60 + v_end[2]::INTEGER;
+
+  IF v_start_min < v_end_min THEN
+    RETURN v_runs_today AND v_minutes >= v_start_min AND v_minutes < v_end_min;
+  END IF;
+
+  -- Overnight window: evening part today, early-morning part carried over from yesterday
+  RETURN (v_runs_today AND v_minutes >= v_start_min)
+    OR (v_runs_yesterday AND v_minutes < v_end_min);
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+-- =============================================
+-- PART 3: FEED 'active-now' FILTER
+-- =============================================
+
+-- Same as 076 plus p_filter = 'active-now': deals that have started and whose
+-- schedule is open right now in the restaurant's timezone (unscheduled deals
+-- are always open).
+CREATE OR REPLACE FUNCTION get_feed_page(
+  p_filter TEXT DEFAULT 'all',
+  p_order TEXT DEFAULT 'newest',
+  p_category TEXT DEFAULT NULL,
+  p_lat DOUBLE PRECISION DEFAULT NULL,
+  p_lng DOUBLE PRECISION DEFAULT NULL,
+  p_radius_km DOUBLE PRECISION DEFAULT 50,
+  p_cursor_key DOUBLE PRECISION DEFAULT NULL,
+  p_cursor_type TEXT DEFAULT NULL,
+  p_cursor_id BIGINT DEFAULT NULL,
+  p_limit INTEGER DEFAULT 12
+)
+RETURNS TABLE (
+  item_type TEXT,
+  item_id BIGINT,
+  sort_key DOUBLE PRECISION,
+  distance_km DOUBLE PRECISION
+) AS $$
+  WITH items AS (
+    SELECT
+      'deal'::TEXT AS item_type,
+      d.id AS item_id,
+      d.created_at,
+      d.valid_until AS expires_at,
+      d.sale_price AS price,
+      d.discount_value AS discount,
+      d.title,
+      d.description,
+      d.category_id,
+      d.latitude::DOUBLE PRECISION AS latitude,
+      d.longitude::DOUBLE PRECISION AS longitude,
+      d.valid_days,
+      d.valid_hours,
+      d.starts_at,
+      company_timezone(co.timezone, co.state, co.country) AS timezone
+    FROM public.deals d
+    LEFT JOIN public.companies co ON co.id = d.company_id
+    WHERE d.status = 'approved'
+
+    UNION ALL
+
+    SELECT
+      'coupon'::TEXT,
+      c.id,
+      c.created_at,
+      c.expires_at,
+      NULL::NUMERIC,
+      NULL::NUMERIC,
+      c.title,
+      c.description,
+      c.category_id,
+      NULL::DOUBLE PRECISION,
+      NULL::DOUBLE PRECISION,
+      NULL::TEXT[],
+      NULL::JSONB,
+      NULL::TIMESTAMPTZ,
+      NULL::TEXT
+    FROM public.coupons c
+    WHERE c.status = 'approved'
+  ),
+  located AS (
+    SELECT
+      i.*,
+      CASE WHEN p_lat IS NOT NULL AND p_lng IS NOT NULL AND i.latitude IS NOT NULL AND i.longitude IS NOT NULL
+        THEN 6371 * 2 * ASIN(SQRT(
+          POWER(SIN(RADIANS(i.latitude - p_lat) / 2), 2) +
+          COS(RADIANS(p_lat)) * COS(RADIANS(i.latitude)) *
+          POWER(SIN(RADIANS(i.longitude - p_lng) / 2), 2)
+        ))
+      END AS distance_km
+    FROM items i
+  ),
+  filtered AS (
+    SELECT l.*
+    FROM located l
+    WHERE
+      CASE p_filter
+        WHEN 'under-10' THEN l.price > 0 AND l.price < 10
+        WHEN 'under-25' THEN l.price > 0 AND l.price < 25
+        WHEN 'under-50' THEN l.price > 0 AND l.price < 50
+        WHEN '50-off' THEN l.discount >= 50
+        WHEN 'trending' THEN l.created_at >= NOW() - INTERVAL '7 days'
+        WHEN 'hot' THEN l.created_at >= NOW() - INTERVAL '1 day'
+        WHEN 'ending-soon' THEN l.expires_at > NOW() AND l.expires_at <= NOW() + INTERVAL '3 days'
+        WHEN 'new-arrivals' THEN l.created_at >= NOW() - INTERVAL '3 days'
+        WHEN 'freebies' THEN l.item_type = 'deal' AND (l.price = 0 OR l.price IS NULL)
+        WHEN 'flash-sale' THEN l.discount >= 40 AND l.expires_at > NOW() AND l.expires_at <= NOW() + INTERVAL '2 days'
+        WHEN 'free-shipping' THEN l.title ILIKE '%free shipping%' OR l.description ILIKE '%free shipping%'
+        WHEN 'near-you' THEN p_lat IS NULL OR l.distance_km <= p_radius_km
+        WHEN 'active-now' THEN l.item_type = 'deal'
+          AND (l.expires_at IS NULL OR l.expires_at > NOW())
+          AND deal_schedule_active(l.valid_days, l.valid_hours, l.timezone, l.starts_at)
+        ELSE TRUE
+      END
+      AND (
+        p_category IS NULL
+        OR l.category_id::TEXT = p_category
+        OR l.title ILIKE '%' || p_category || '%'
+        OR l.description ILIKE '%' || p_category || '%'
+      )
+  ),
+  keyed AS (
+    SELECT
+      f.item_type,
+      f.item_id,
+      f.distance_km,
+      (CASE p_order
+        WHEN 'score' THEN
+          CASE f.item_type
+            WHEN 'deal' THEN (SELECT COALESCE(SUM(v.value), 0) FROM public.votes v WHERE v.deal_id = f.item_id)
+            ELSE (SELECT COALESCE(SUM(cv.value), 0) FROM public.coupon_votes cv WHERE cv.coupon_id = f.item_id)
+          END
+        WHEN 'discount' THEN COALESCE(f.discount, 0)
+        WHEN 'expiring' THEN -EXTRACT(EPOCH FROM f.expires_at)
+        WHEN 'distance' THEN -f.distance_km
+        ELSE EXTRACT(EPOCH FROM f.created_at)
+      END)::DOUBLE PRECISION AS sort_key
+    FROM filtered f
+  )
+  SELECT k.item_type, k.item_id, k.sort_key, k.distance_km
+  FROM keyed k
+  WHERE k.sort_key IS NOT NULL
+    -- Hot items need a net score above 5
+    AND (p_filter <> 'hot' OR k.sort_key > 5)
+    AND (
+      p_cursor_key IS NULL
+      OR (k.sort_key, k.item_type, k.item_id) < (p_cursor_key, p_cursor_type, p_cursor_id)
+    )
+  ORDER BY k.sort_key DESC, k.item_type DESC, k.item_id DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 101);
+$$ LANGUAGE sql STABLE SECURITY DEFINER;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Deal schedules migration completed successfully!' as status;
@@ -0,0 +1,109 @@
+-- SAVEBUCKS IN-STORE REDEMPTIONS
+-- A claim (deal_claims) is a reservation. At the counter the customer shows a
+-- short-lived signed token (as a QR code); the restaurant verifies it and
+-- redeems the claim exactly once, which is when current_redemptions goes up.
+
+-- =============================================
+-- PART 1: CLAIM REDEMPTION FIELDS
+-- =============================================
+
+-- Only the most recently issued token for a claim can be redeemed
+ALTER TABLE deal_claims ADD COLUMN IF NOT EXISTS token_nonce TEXT;
+ALTER TABLE deal_claims ADD COLUMN IF NOT EXISTS token_issued_at TIMESTAMPTZ;
+ALTER TABLE deal_claims ADD COLUMN IF NOT EXISTS redeemed_by UUID REFERENCES profiles(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_deal_claims_redeemed ON deal_claims(deal_id, redeemed_at DESC) WHERE redeemed_at IS NOT NULL;
+
+-- =============================================
+-- PART 2: ATOMIC REDEEM
+-- =============================================
+
+-- Redeems a claim once. Locks the claim and its deal so concurrent scans of
+-- the same token, or of different claims on a capped deal, can't overshoot.
+-- Returns a status: redeemed, not_found, already_redeemed, token_superseded,
+-- deal_unavailable, sold_out.
+CREATE OR REPLACE FUNCTION redeem_deal_claim(
+  p_claim_id UUID,
+  p_nonce TEXT,
+  p_redeemed_by UUID
+)
+RETURNS TABLE (
+  status TEXT,
+  claim_id UUID,
+  deal_id BIGINT,
+  user_id UUID,
+  redeemed_at TIMESTAMPTZ,
+  current_redemptions INTEGER
+) AS $$
+DECLARE
+  v_claim deal_claims%ROWTYPE;
+  v_deal deals%ROWTYPE;
+  v_now TIMESTAMPTZ := NOW();
+BEGIN
+  SELECT * INTO v_claim FROM deal_claims c WHERE c.id = p_claim_id FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN QUERY SELECT 'not_found'::TEXT, p_claim_id, NULL::BIGINT, NULL::UUID, NULL::TIMESTAMPTZ, NULL::INTEGER;
+    RETURN;
+  END IF;
+
+  IF v_claim.redeemed_at IS NOT NULL THEN
+    RETURN QUERY SELECT 'already_redeemed'::TEXT, v_claim.id, v_claim.deal_id, v_claim.user_id, v_claim.redeemed_at, NULL::INTEGER;
+    RETURN;
+  END IF;
+
+  IF v_claim.token_nonce IS DISTINCT FROM p_nonce THEN
+    RETURN QUERY SELECT 'token_superseded'::TEXT, v_claim.id, v_claim.deal_id, v_claim.user_id, NULL::TIMESTAMPTZ, NULL::INTEGER;
+    RETURN;
+  END IF;
+
+  SELECT * INTO v_deal FROM deals d WHERE d.id = v_claim.deal_id FOR UPDATE;
+
+  IF NOT FOUND OR v_deal.status <> 'approved' OR (v_deal.expires_at IS NOT NULL AND v_deal.expires_at <= v_now) THEN
+    RETURN QUERY SELECT 'deal_unavailable'::TEXT, v_claim.id, v_claim.deal_id, v_claim.user_id, NULL::TIMESTAMPTZ, v_deal.current_redemptions;
+    RETURN;
+  END IF;
+
+  IF v_deal.max_redemptions IS NOT NULL AND COALESCE(v_deal.current_redemptions, 0) >= v_deal.max_redemptions THEN
+    RETURN QUERY SELECT 'sold_out'::TEXT, v_claim.id, v_claim.deal_id, v_claim.user_id, NULL::TIMESTAMPTZ, v_deal.current_redemptions;
+    RETURN;
+  END IF;
+
+  UPDATE deals d
+  SET current_redemptions = COALESCE(d.current_redemptions, 0) + 1
+  WHERE d.id = v_deal.id;
+
+  UPDATE deal_claims c
+  SET redeemed_at = v_now,
+      redeemed_by = p_redeemed_by
+  WHERE c.id = v_claim.id;
+
+  RETURN QUERY SELECT 'redeemed'::TEXT, v_claim.id, v_claim.deal_id, v_claim.user_id, v_now, COALESCE(v_deal.current_redemptions, 0) + 1;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Takes the redeeming user as an argument, so only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION redeem_deal_claim(UUID, TEXT, UUID) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION redeem_deal_claim(UUID, TEXT, UUID) TO service_role;
+
+-- =============================================
+-- PART 3: CLAIM COUNTER
+-- =============================================
+
+-- Claims used to bump current_redemptions; they now only bump claim_count
+CREATE OR REPLACE FUNCTION increment_deal_claim_count(p_deal_id BIGINT)
+RETURNS INTEGER AS $$
+  UPDATE deals
+  SET claim_count = COALESCE(claim_count, 0) + 1
+  WHERE id = p_deal_id
+  RETURNING claim_count;
+$$ LANGUAGE sql SECURITY DEFINER;
+
+-- Server-only: the API bumps the counter after recording a claim
+REVOKE EXECUTE ON FUNCTION increment_deal_claim_count(BIGINT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION increment_deal_claim_count(BIGINT) TO service_role;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Deal redemptions migration completed successfully!' as status;
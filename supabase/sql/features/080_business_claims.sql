@@ -0,0 +1,169 @@
+-- SAVEBUCKS BUSINESS CLAIMS
+-- A business owner claims a company (restaurant) by proving control of an
+-- email on the company's domain or by uploading a document (license, utility
+-- bill). Either way an admin reviews the claim; approval makes the user the
+-- company's owner and grants them the merchant role.
+
+-- =============================================
+-- PART 1: MERCHANT ROLE
+-- =============================================
+
+ALTER TABLE user_role_grants DROP CONSTRAINT IF EXISTS user_role_grants_role_check;
+ALTER TABLE user_role_grants ADD CONSTRAINT user_role_grants_role_check
+  CHECK (role IN ('moderator', 'category_moderator', 'trusted_submitter', 'merchant'));
+
+-- =============================================
+-- PART 2: CLAIMS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.business_claims (
+  id BIGSERIAL PRIMARY KEY,
+  company_id BIGINT NOT NULL REFERENCES companies(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+
+  method TEXT NOT NULL CHECK (method IN ('domain_email', 'document')),
+  status TEXT NOT NULL DEFAULT 'pending_review'
+    CHECK (status IN ('pending_email', 'pending_review', 'approved', 'rejected', 'cancelled')),
+
+  -- Who is claiming
+  contact_name TEXT NOT NULL,
+  contact_phone TEXT,
+  job_title TEXT,
+
+  -- domain_email: a code is mailed to business_email and must be entered back
+  business_email TEXT,
+  email_code_hash TEXT,
+  email_code_sent_at TIMESTAMPTZ,
+  email_code_attempts INTEGER NOT NULL DEFAULT 0,
+  email_verified_at TIMESTAMPTZ,
+
+  -- document: stored in the private 'business-documents' bucket
+  document_path TEXT,
+
+  reviewed_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  reviewed_at TIMESTAMPTZ,
+  review_note TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  CHECK (method <> 'domain_email' OR business_email IS NOT NULL),
+  CHECK (method <> 'document' OR document_path IS NOT NULL)
+);
+
+-- One open claim per user per company
+CREATE UNIQUE INDEX IF NOT EXISTS idx_business_claims_open
+  ON business_claims(company_id, user_id)
+  WHERE status IN ('pending_email', 'pending_review');
+
+CREATE INDEX IF NOT EXISTS idx_business_claims_queue ON business_claims(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_business_claims_user ON business_claims(user_id, created_at DESC);
+
+-- =============================================
+-- PART 3: SUPPORTING COLUMNS AND INDEXES
+-- =============================================
+
+-- Verification codes go to the business address, not the account email
+ALTER TABLE notification_queue ADD COLUMN IF NOT EXISTS recipient_email TEXT;
+
+-- Merchant stats count clicks per deal over time
+CREATE INDEX IF NOT EXISTS idx_analytics_events_deal_clicks
+  ON analytics_events ((properties->>'deal_id'), created_at)
+  WHERE event_name = 'deal_click';
+
+-- =============================================
+-- PART 4: APPROVAL
+-- =============================================
+
+-- Approves a pending claim: sets the company owner, grants the merchant role
+-- and closes competing claims. Returns: approved, not_found, not_pending,
+-- already_owned (someone else owns the company).
+CREATE OR REPLACE FUNCTION approve_business_claim(
+  p_claim_id BIGINT,
+  p_reviewer UUID,
+  p_note TEXT DEFAULT NULL
+)
+RETURNS TEXT AS $$
+DECLARE
+  v_claim business_claims%ROWTYPE;
+  v_owner UUID;
+BEGIN
+  SELECT * INTO v_claim FROM business_claims WHERE id = p_claim_id FOR UPDATE;
+  IF NOT FOUND THEN
+    RETURN 'not_found';
+  END IF;
+
+  IF v_claim.status <> 'pending_review' THEN
+    RETURN 'not_pending';
+  END IF;
+
+  SELECT owner_id INTO v_owner FROM companies WHERE id = v_claim.company_id FOR UPDATE;
+  IF v_owner IS NOT NULL AND v_owner <> v_claim.user_id THEN
+    RETURN 'already_owned';
+  END IF;
+
+  UPDATE companies
+  SET owner_id = v_claim.user_id,
+      is_claimed = TRUE,
+      claimed_at = NOW(),
+      updated_at = NOW()
+  WHERE id = v_claim.company_id;
+
+  UPDATE business_claims
+  SET status = 'approved',
+      reviewed_by = p_reviewer,
+      reviewed_at = NOW(),
+      review_note = p_note,
+      updated_at = NOW()
+  WHERE id = v_claim.id;
+
+  UPDATE business_claims
+  SET status = 'rejected',
+      reviewed_by = p_reviewer,
+      reviewed_at = NOW(),
+      review_note = 'Another claim for this business was approved',
+      updated_at = NOW()
+  WHERE company_id = v_claim.company_id
+    AND id <> v_claim.id
+    AND status IN ('pending_email', 'pending_review');
+
+  -- A grant left over from an earlier claim may have expired; approving
+  -- makes it permanent again
+  INSERT INTO user_role_grants (user_id, role, granted_by, note)
+  VALUES (v_claim.user_id, 'merchant', p_reviewer, 'Business claim #' || v_claim.id)
+  ON CONFLICT (user_id, role, COALESCE(category_id, 0)) DO UPDATE
+  SET expires_at = NULL,
+      granted_by = EXCLUDED.granted_by,
+      note = EXCLUDED.note;
+
+  RETURN 'approved';
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER;
+
+-- Takes the reviewer as an argument, so only the API (service role) may call it
+REVOKE EXECUTE ON FUNCTION approve_business_claim(BIGINT, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION approve_business_claim(BIGINT, UUID, TEXT) TO service_role;
+
+-- =============================================
+-- PART 5: ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE business_claims ENABLE ROW LEVEL SECURITY;
+
+CREATE POLICY "Users can view own business claims" ON business_claims
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- Claim documents are private; the API reads them with the service role
+INSERT INTO storage.buckets (id, name, public, file_size_limit, allowed_mime_types)
+VALUES (
+  'business-documents',
+  'business-documents',
+  false,
+  10485760, -- 10MB limit
+  ARRAY['application/pdf', 'image/jpeg', 'image/png', 'image/webp']
+) ON CONFLICT (id) DO NOTHING;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Business claims migration completed successfully!' as status;
@@ -0,0 +1,201 @@
+-- SAVEBUCKS GEO NEARBY SEARCH
+-- Nearby restaurant and deal lookups used to load every approved row and
+-- measure distances in the API. This moves radius / bounding-box filtering
+-- and distance ordering into Postgres on top of a GiST index
+-- (cube + earthdistance), and returns each restaurant's offers from the same
+-- query instead of two extra round trips per restaurant.
+
+-- =============================================
+-- PART 1: EXTENSIONS
+-- =============================================
+
+CREATE EXTENSION IF NOT EXISTS cube WITH SCHEMA extensions;
+CREATE EXTENSION IF NOT EXISTS earthdistance WITH SCHEMA extensions;
+
+-- =============================================
+-- PART 2: GEO INDEXES
+-- =============================================
+
+-- Older deals were inserted before trg_deals_sync_location existed
+UPDATE deals d
+SET latitude = c.latitude,
+    longitude = c.longitude,
+    city = COALESCE(d.city, c.city),
+    state = COALESCE(d.state, c.state)
+FROM companies c
+WHERE c.id = d.company_id
+  AND d.latitude IS NULL
+  AND c.latitude IS NOT NULL;
+
+-- Queries must use the exact same expression for the planner to pick these up
+CREATE INDEX IF NOT EXISTS idx_companies_earth ON companies
+  USING gist (extensions.ll_to_earth(latitude::float8, longitude::float8))
+  WHERE is_restaurant = TRUE AND latitude IS NOT NULL AND longitude IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_deals_earth ON deals
+  USING gist (extensions.ll_to_earth(latitude::float8, longitude::float8))
+  WHERE status = 'approved' AND latitude IS NOT NULL AND longitude IS NOT NULL;
+
+-- =============================================
+-- PART 3: NEARBY RESTAURANTS
+-- =============================================
+
+-- Restaurants within p_radius_miles of the point, or inside the bounding box
+-- when p_min_lat..p_max_lng are given (radius may then be NULL), nearest
+-- first. Each row carries the restaurant's latest live deals and coupons.
+CREATE OR REPLACE FUNCTION nearby_restaurants(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION,
+  p_radius_miles DOUBLE PRECISION DEFAULT 10,
+  p_limit INTEGER DEFAULT 20,
+  p_min_lat DOUBLE PRECISION DEFAULT NULL,
+  p_min_lng DOUBLE PRECISION DEFAULT NULL,
+  p_max_lat DOUBLE PRECISION DEFAULT NULL,
+  p_max_lng DOUBLE PRECISION DEFAULT NULL,
+  p_deals_per_restaurant INTEGER DEFAULT 20,
+  p_coupons_per_restaurant INTEGER DEFAULT 3
+) RETURNS TABLE (
+  restaurant JSONB,
+  distance_miles DOUBLE PRECISION,
+  deals JSONB,
+  coupons JSONB
+)
+LANGUAGE sql STABLE
+SET search_path = public, extensions
+AS $$
+  WITH nearby AS (
+    SELECT
+      c.*,
+      earth_distance(ll_to_earth(p_lat, p_lng), ll_to_earth(c.latitude::float8, c.longitude::float8)) / 1609.344 AS distance
+    FROM companies c
+    WHERE c.is_restaurant = TRUE
+      AND c.status = 'approved'
+      AND c.latitude IS NOT NULL
+      AND c.longitude IS NOT NULL
+      AND (
+        p_radius_miles IS NULL
+        OR (
+          earth_box(ll_to_earth(p_lat, p_lng), p_radius_miles * 1609.344)
+            @> ll_to_earth(c.latitude::float8, c.longitude::float8)
+          AND earth_distance(ll_to_earth(p_lat, p_lng), ll_to_earth(c.latitude::float8, c.longitude::float8))
+            <= p_radius_miles * 1609.344
+        )
+      )
+      AND (
+        p_min_lat IS NULL
+        OR (c.latitude BETWEEN p_min_lat AND p_max_lat AND c.longitude BETWEEN p_min_lng AND p_max_lng)
+      )
+    ORDER BY distance
+    LIMIT LEAST(GREATEST(p_limit, 1), 500)
+  )
+  SELECT
+    to_jsonb(n) - 'distance' AS restaurant,
+    n.distance AS distance_miles,
+    COALESCE(offer_deals.items, '[]'::jsonb) AS deals,
+    COALESCE(offer_coupons.items, '[]'::jsonb) AS coupons
+  FROM nearby n
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(to_jsonb(d) ORDER BY d.created_at DESC) AS items
+    FROM (
+      SELECT
+        id, title, description, url, price, original_price, discount_percentage, discount_amount,
+        coupon_code, expires_at, starts_at, valid_days, valid_hours, is_featured, is_exclusive, created_at
+      FROM deals
+      WHERE company_id = n.id
+        AND status = 'approved'
+        AND (expires_at IS NULL OR expires_at > NOW())
+      ORDER BY created_at DESC
+      LIMIT p_deals_per_restaurant
+    ) d
+  ) offer_deals ON TRUE
+  LEFT JOIN LATERAL (
+    SELECT jsonb_agg(to_jsonb(cp) ORDER BY cp.created_at DESC) AS items
+    FROM (
+      SELECT id, title, description, code, discount_percentage, discount_amount, expires_at, is_featured, created_at
+      FROM coupons
+      WHERE company_id = n.id
+        AND status = 'approved'
+      ORDER BY created_at DESC
+      LIMIT p_coupons_per_restaurant
+    ) cp
+  ) offer_coupons ON TRUE
+  ORDER BY n.distance;
+$$;
+
+-- =============================================
+-- PART 4: NEARBY DEALS
+-- =============================================
+
+-- Live deals within the radius (or bounding box), featured first and then
+-- nearest. Deal coordinates are copied from the company by
+-- trg_deals_sync_location, so only the deals index is needed.
+CREATE OR REPLACE FUNCTION nearby_deals(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION,
+  p_radius_miles DOUBLE PRECISION DEFAULT 10,
+  p_category TEXT DEFAULT NULL,
+  p_cuisine TEXT DEFAULT NULL,
+  p_limit INTEGER DEFAULT 20,
+  p_offset INTEGER DEFAULT 0,
+  p_min_lat DOUBLE PRECISION DEFAULT NULL,
+  p_min_lng DOUBLE PRECISION DEFAULT NULL,
+  p_max_lat DOUBLE PRECISION DEFAULT NULL,
+  p_max_lng DOUBLE PRECISION DEFAULT NULL
+) RETURNS TABLE (
+  deal JSONB,
+  distance_miles DOUBLE PRECISION
+)
+LANGUAGE sql STABLE
+SET search_path = public, extensions
+AS $$
+  SELECT
+    to_jsonb(d)
+      || jsonb_build_object(
+        'company', CASE WHEN c.id IS NULL THEN NULL ELSE jsonb_build_object(
+          'id', c.id, 'name', c.name, 'slug', c.slug, 'logo_url', c.logo_url,
+          'latitude', c.latitude, 'longitude', c.longitude, 'city', c.city, 'state', c.state,
+          'cuisine_types', c.cuisine_types, 'price_range', c.price_range, 'avg_rating', c.avg_rating,
+          'address', c.address, 'phone', c.phone, 'website', c.website
+        ) END,
+        'category', CASE WHEN cat.id IS NULL THEN NULL ELSE jsonb_build_object(
+          'id', cat.id, 'name', cat.name, 'slug', cat.slug, 'icon', cat.icon
+        ) END
+      ) AS deal,
+    earth_distance(ll_to_earth(p_lat, p_lng), ll_to_earth(d.latitude::float8, d.longitude::float8)) / 1609.344 AS distance_miles
+  FROM deals d
+  LEFT JOIN companies c ON c.id = d.company_id
+  LEFT JOIN categories cat ON cat.id = d.category_id
+  WHERE d.status = 'approved'
+    AND (d.expires_at IS NULL OR d.expires_at > NOW())
+    AND d.latitude IS NOT NULL
+    AND d.longitude IS NOT NULL
+    AND (
+      p_radius_miles IS NULL
+      OR (
+        earth_box(ll_to_earth(p_lat, p_lng), p_radius_miles * 1609.344)
+          @> ll_to_earth(d.latitude::float8, d.longitude::float8)
+        AND earth_distance(ll_to_earth(p_lat, p_lng), ll_to_earth(d.latitude::float8, d.longitude::float8))
+          <= p_radius_miles * 1609.344
+      )
+    )
+    AND (
+      p_min_lat IS NULL
+      OR (d.latitude BETWEEN p_min_lat AND p_max_lat AND d.longitude BETWEEN p_min_lng AND p_max_lng)
+    )
+    AND (p_category IS NULL OR cat.slug = p_category)
+    AND (p_cuisine IS NULL OR p_cuisine = ANY(c.cuisine_types))
+  ORDER BY d.is_featured DESC NULLS LAST, distance_miles, d.created_at DESC
+  LIMIT LEAST(GREATEST(p_limit, 1), 100)
+  OFFSET GREATEST(p_offset, 0);
+$$;
+
+GRANT EXECUTE ON FUNCTION nearby_restaurants TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION nearby_deals TO anon, authenticated;
+
+COMMENT ON FUNCTION nearby_restaurants IS 'Restaurants near a point or inside a bounding box, nearest first, with their live deals and coupons';
+COMMENT ON FUNCTION nearby_deals IS 'Live deals near a point or inside a bounding box, featured first then nearest';
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Geo nearby search migration completed successfully!' as status;
@@ -0,0 +1,159 @@
+-- SAVEBUCKS RESTAURANT MAP
+-- Pins for the map view. Restaurants inside the viewport are grouped on a
+-- grid laid over the Web Mercator tiles at the requested zoom, so a cluster
+-- covers roughly the same number of screen pixels at every zoom. Each pin
+-- carries its restaurant count, centroid, bounds and a short list of the
+-- best live deals in it.
+
+-- =============================================
+-- PART 1: MAP PINS
+-- =============================================
+
+-- p_cells_per_tile splits each 256px tile into that many cells per side
+-- (4 = 64px cells). With p_cluster = FALSE every restaurant is its own pin.
+-- Deals are ranked active now first, then featured, then biggest discount; a
+-- deal whose starts_at is still ahead is listed but not active. At most
+-- p_max_pins pins are returned, biggest clusters first.
+DROP FUNCTION IF EXISTS restaurant_map_pins(DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION,
+  INTEGER, INTEGER, BOOLEAN, BOOLEAN, INTEGER, TEXT);
+
+CREATE OR REPLACE FUNCTION restaurant_map_pins(
+  p_min_lat DOUBLE PRECISION,
+  p_min_lng DOUBLE PRECISION,
+  p_max_lat DOUBLE PRECISION,
+  p_max_lng DOUBLE PRECISION,
+  p_zoom INTEGER,
+  p_cells_per_tile INTEGER DEFAULT 4,
+  p_cluster BOOLEAN DEFAULT TRUE,
+  p_active_only BOOLEAN DEFAULT FALSE,
+  p_deals_per_pin INTEGER DEFAULT 3,
+  p_default_timezone TEXT DEFAULT 'America/New_York',
+  p_max_pins INTEGER DEFAULT 500
+) RETURNS TABLE (
+  pin_key TEXT,
+  restaurant_count INTEGER,
+  latitude DOUBLE PRECISION,
+  longitude DOUBLE PRECISION,
+  bounds JSONB,
+  restaurant JSONB,
+  deal_count INTEGER,
+  active_deal_count INTEGER,
+  deals JSONB
+)
+LANGUAGE sql STABLE
+AS $$
+  WITH grid AS (
+    SELECT power(2, LEAST(GREATEST(p_zoom, 0), 22)) * GREATEST(p_cells_per_tile, 1) AS cells
+  ),
+  located AS (
+    SELECT
+      c.id, c.name, c.slug, c.logo_url, c.address, c.city, c.state,
+      c.cuisine_types, c.price_range, c.avg_rating,
+      company_timezone(c.timezone, c.state, c.country, p_default_timezone) AS timezone,
+      c.latitude::float8 AS lat,
+      c.longitude::float8 AS lng,
+      floor((c.longitude::float8 + 180) / 360 * g.cells)::bigint AS cell_x,
+      floor(
+        (1 - ln(tan(radians(LEAST(GREATEST(c.latitude::float8, -85.0511), 85.0511)))
+          + 1 / cos(radians(LEAST(GREATEST(c.latitude::float8, -85.0511), 85.0511)))) / pi())
+        / 2 * g.cells
+      )::bigint AS cell_y
+    FROM companies c, grid g
+    WHERE c.is_restaurant = TRUE
+      AND c.status = 'approved'
+      AND c.latitude BETWEEN p_min_lat AND p_max_lat
+      AND c.longitude BETWEEN p_min_lng AND p_max_lng
+  ),
+  live_deals AS (
+    SELECT
+      l.id AS restaurant_id,
+      d.id, d.title, d.price, d.original_price, d.discount_percentage, d.discount_amount,
+      d.coupon_code, d.expires_at, d.is_featured, d.created_at,
+      deal_schedule_active(d.valid_days, d.valid_hours, l.timezone, d.starts_at) AS active_now
+    FROM located l
+    JOIN deals d ON d.company_id = l.id
+    WHERE d.status = 'approved'
+      AND (d.expires_at IS NULL OR d.expires_at > NOW())
+  ),
+  pinned AS (
+    SELECT
+      l.*,
+      CASE WHEN p_cluster THEN p_zoom || '/' || l.cell_x || '/' || l.cell_y ELSE 'r' || l.id END AS key
+    FROM located l
+    WHERE NOT p_active_only
+      OR EXISTS (SELECT 1 FROM live_deals ld WHERE ld.restaurant_id = l.id AND ld.active_now)
+  ),
+  pins AS (
+    SELECT
+      p.key,
+      COUNT(*)::int AS restaurant_count,
+      AVG(p.lat) AS latitude,
+      AVG(p.lng) AS longitude,
+      jsonb_build_object(
+        'min_lat', MIN(p.lat), 'min_lng', MIN(p.lng),
+        'max_lat', MAX(p.lat), 'max_lng', MAX(p.lng)
+      ) AS bounds,
+      CASE WHEN COUNT(*) = 1 THEN (array_agg(jsonb_build_object(
+        'id', p.id, 'name', p.name, 'slug', p.slug, 'logo_url', p.logo_url,
+        'address', p.address, 'city', p.city, 'state', p.state,
+        'cuisine_types', p.cuisine_types, 'price_range', p.price_range, 'avg_rating', p.avg_rating
+      )))[1] END AS restaurant
+    FROM pinned p
+    GROUP BY p.key
+  ),
+  ranked AS (
+    SELECT
+      p.key,
+      p.name AS restaurant_name,
+      p.slug AS restaurant_slug,
+      ld.*,
+      row_number() OVER (
+        PARTITION BY p.key
+        ORDER BY ld.active_now DESC, ld.is_featured DESC NULLS LAST,
+          ld.discount_percentage DESC NULLS LAST, ld.created_at DESC
+      ) AS deal_rank
+    FROM pinned p
+    JOIN live_deals ld ON ld.restaurant_id = p.id
+  ),
+  pin_deals AS (
+    SELECT
+      r.key,
+      COUNT(*)::int AS deal_count,
+      COUNT(*) FILTER (WHERE r.active_now)::int AS active_deal_count,
+      COALESCE(
+        jsonb_agg(jsonb_build_object(
+          'id', r.id, 'title', r.title, 'price', r.price, 'original_price', r.original_price,
+          'discount_percentage', r.discount_percentage, 'discount_amount', r.discount_amount,
+          'coupon_code', r.coupon_code, 'expires_at', r.expires_at, 'is_featured', r.is_featured,
+          'active_now', r.active_now,
+          'restaurant_id', r.restaurant_id, 'restaurant_name', r.restaurant_name, 'restaurant_slug', r.restaurant_slug
+        ) ORDER BY r.deal_rank) FILTER (WHERE r.deal_rank <= p_deals_per_pin),
+        '[]'::jsonb
+      ) AS deals
+    FROM ranked r
+    GROUP BY r.key
+  )
+  SELECT
+    p.key AS pin_key,
+    p.restaurant_count,
+    p.latitude,
+    p.longitude,
+    p.bounds,
+    p.restaurant,
+    COALESCE(pd.deal_count, 0) AS deal_count,
+    COALESCE(pd.active_deal_count, 0) AS active_deal_count,
+    COALESCE(pd.deals, '[]'::jsonb) AS deals
+  FROM pins p
+  LEFT JOIN pin_deals pd ON pd.key = p.key
+  ORDER BY p.restaurant_count DESC, p.key
+  LIMIT LEAST(GREATEST(p_max_pins, 1), 2000);
+$$;
+
+GRANT EXECUTE ON FUNCTION restaurant_map_pins TO anon, authenticated;
+
+COMMENT ON FUNCTION restaurant_map_pins IS 'Grid-clustered restaurant pins with deal summaries for a map viewport';
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Restaurant map migration completed successfully!' as status;
@@ -0,0 +1,79 @@
+-- SAVEBUCKS EMAIL DELIVERY
+-- notification_queue rows of type 'email' are now actually sent by the API
+-- (apps/api/src/lib/email). This adds what delivery needs: a template per
+-- queued row, retry bookkeeping, a log of every message we tried to send,
+-- bounce/complaint events from the mail provider, and the suppression list
+-- that keeps us from mailing addresses that bounced, complained or opted out.
+
+-- =============================================
+-- PART 1: QUEUE COLUMNS
+-- =============================================
+
+ALTER TABLE notification_queue
+  ADD COLUMN IF NOT EXISTS template TEXT,              -- supabase/email-templates/<template>.html|.txt, NULL = 'notification'
+  ADD COLUMN IF NOT EXISTS template_data JSONB,        -- extra template variables
+  ADD COLUMN IF NOT EXISTS attempts INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_notification_queue_email_pending
+  ON notification_queue(scheduled_for)
+  WHERE status = 'pending' AND notification_type = 'email';
+
+-- =============================================
+-- PART 2: MESSAGE LOG
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.email_messages (
+  id BIGSERIAL PRIMARY KEY,
+  notification_id BIGINT REFERENCES notification_queue(id) ON DELETE SET NULL,
+  user_id UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  to_email TEXT NOT NULL,
+  template TEXT NOT NULL,
+  subject TEXT NOT NULL,
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed', 'suppressed')),
+  transport TEXT,
+  provider_message_id TEXT,
+  error_message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_messages_to ON email_messages(lower(to_email), created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_email_messages_provider_id ON email_messages(provider_message_id) WHERE provider_message_id IS NOT NULL;
+
+-- =============================================
+-- PART 3: BOUNCES AND SUPPRESSIONS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.email_events (
+  id BIGSERIAL PRIMARY KEY,
+  email TEXT NOT NULL,                               -- stored lowercased
+  event_type TEXT NOT NULL CHECK (event_type IN ('hard_bounce', 'soft_bounce', 'complaint')),
+  provider_message_id TEXT,
+  details JSONB,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_email_events_email ON email_events(email, created_at DESC);
+
+-- One row per address we must not mail. Unsubscribes from a single list are
+-- preferences, not suppressions; 'unsubscribed' here means "all email".
+CREATE TABLE IF NOT EXISTS public.email_suppressions (
+  email TEXT PRIMARY KEY,                            -- stored lowercased
+  reason TEXT NOT NULL CHECK (reason IN ('hard_bounce', 'soft_bounce', 'complaint', 'unsubscribed', 'manual')),
+  details JSONB,
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- =============================================
+-- PART 4: ROW LEVEL SECURITY
+-- =============================================
+
+-- Only the service role (API) touches these tables
+ALTER TABLE email_messages ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE email_suppressions ENABLE ROW LEVEL SECURITY;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Email delivery migration completed successfully!' as status;
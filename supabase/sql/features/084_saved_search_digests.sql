@@ -0,0 +1,74 @@
+-- SAVEBUCKS SAVED SEARCH DIGESTS
+-- Saved searches set to 'daily' or 'weekly' no longer alert on every match.
+-- The API records each match in saved_search_matches; immediate searches are
+-- notified straight away, the rest wait for the digest worker
+-- (apps/worker/src/jobs/digests), which batches them per user, skips deals
+-- the user already heard about and respects quiet hours in the user's
+-- timezone.
+
+-- =============================================
+-- PART 1: MATCHES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.saved_search_digests (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  frequency TEXT NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+  search_count INTEGER NOT NULL DEFAULT 0,
+  deal_count INTEGER NOT NULL DEFAULT 0,
+  notification_id BIGINT REFERENCES notification_queue(id) ON DELETE SET NULL, -- the queued email, if any
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_digests_user
+  ON saved_search_digests(user_id, frequency, created_at DESC);
+
+-- One row per (search, deal), so a deal never matches the same search twice
+CREATE TABLE IF NOT EXISTS public.saved_search_matches (
+  id BIGSERIAL PRIMARY KEY,
+  saved_search_id BIGINT NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES profiles(id) ON DELETE CASCADE,
+  deal_id BIGINT NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'notified', 'dropped')),
+  digest_id BIGINT REFERENCES saved_search_digests(id) ON DELETE SET NULL, -- NULL when sent immediately
+  matched_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notified_at TIMESTAMPTZ,
+  UNIQUE (saved_search_id, deal_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_pending
+  ON saved_search_matches(user_id, matched_at)
+  WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_matches_user_deal
+  ON saved_search_matches(user_id, deal_id)
+  WHERE status = 'notified';
+
+-- =============================================
+-- PART 2: PREFERENCES
+-- =============================================
+
+-- Quiet hours are wall-clock times; this says whose wall clock.
+-- NULL = the worker's default timezone.
+ALTER TABLE user_notification_preferences
+  ADD COLUMN IF NOT EXISTS timezone TEXT;
+
+-- =============================================
+-- PART 3: ROW LEVEL SECURITY
+-- =============================================
+
+ALTER TABLE saved_search_matches ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_search_digests ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Users can view own saved search matches" ON saved_search_matches;
+CREATE POLICY "Users can view own saved search matches" ON saved_search_matches
+  FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can view own saved search digests" ON saved_search_digests;
+CREATE POLICY "Users can view own saved search digests" ON saved_search_digests
+  FOR SELECT USING (auth.uid() = user_id);
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Saved search digests migration completed successfully!' as status;
@@ -0,0 +1,219 @@
+-- SAVEBUCKS EVENT-DRIVEN SAVED SEARCH MATCHING
+-- Saved searches used to be matched by re-scanning every deal created in the
+-- last N minutes against every search (and, separately, by the 025 trigger
+-- scanning every search in SQL). That missed deals approved late and
+-- re-notified on overlapping windows.
+--
+-- Now each transition of a deal to 'approved' - from the admin routes, the
+-- ingestion worker's auto-approval or anywhere else - writes one row to
+-- deal_approval_events. The API (lib/savedSearchAlerts.js) works through
+-- those events in order. Candidate searches come from an inverted index of
+-- search terms, so a deal is only checked against searches that could match
+-- it. Events can commit out of id order, so rather than a per-search
+-- high-water mark, the searches already checked against an event are
+-- recorded per event, and an event is never applied to a search twice.
+
+-- =============================================
+-- PART 1: APPROVAL EVENTS
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.deal_approval_events (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id BIGINT NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  processed_at TIMESTAMPTZ,
+  error_message TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_approval_events_pending
+  ON deal_approval_events(id)
+  WHERE processed_at IS NULL;
+
+-- Replaces the 025 trigger body, which matched and queued notifications in SQL
+CREATE OR REPLACE FUNCTION trigger_check_saved_searches()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  IF NEW.status = 'approved' AND (TG_OP = 'INSERT' OR OLD.status IS DISTINCT FROM 'approved') THEN
+    INSERT INTO public.deal_approval_events (deal_id) VALUES (NEW.id);
+  END IF;
+
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_deals_saved_searches ON public.deals;
+CREATE TRIGGER trigger_deals_saved_searches
+  AFTER INSERT OR UPDATE OF status ON public.deals
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_check_saved_searches();
+
+-- =============================================
+-- PART 2: EVENT TRACKING
+-- =============================================
+
+CREATE OR REPLACE FUNCTION latest_deal_approval_event()
+RETURNS BIGINT
+LANGUAGE sql
+STABLE
+AS $$
+  SELECT COALESCE(MAX(id), 0) FROM public.deal_approval_events;
+$$;
+
+-- Approval events up to this id were written before the search existed, so
+-- it doesn't alert on deals approved before then
+ALTER TABLE saved_searches
+  ADD COLUMN IF NOT EXISTS created_after_event_id BIGINT NOT NULL DEFAULT latest_deal_approval_event();
+
+-- Searches already checked against an event, so a retried event skips them.
+-- Only needed until the event is processed; the API deletes them then.
+CREATE TABLE IF NOT EXISTS public.saved_search_event_matches (
+  event_id BIGINT NOT NULL REFERENCES deal_approval_events(id) ON DELETE CASCADE,
+  saved_search_id BIGINT NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  PRIMARY KEY (event_id, saved_search_id)
+);
+
+-- =============================================
+-- PART 3: SEARCH TERM INDEX
+-- =============================================
+
+-- Terms are 'kw:<word>' (keyword searches), 'm:<merchant key>' (merchant),
+-- 'cat:<category id>' (category) and '*' for filter-only searches, which are
+-- checked against every deal. lib/savedSearchAlerts.js tokenizes deals the
+-- same way (textTerms / merchantKey); keep the two in step.
+
+CREATE OR REPLACE FUNCTION saved_search_text_terms(p_text TEXT)
+RETURNS TEXT[]
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT COALESCE(array_agg(DISTINCT word), '{}')
+  FROM regexp_split_to_table(lower(COALESCE(p_text, '')), '[^a-z0-9]+') AS word
+  WHERE length(word) >= 2;
+$$;
+
+-- 'https://www.BestBuy.com', 'bestbuy.com' and 'Best Buy' all become 'bestbuy'
+CREATE OR REPLACE FUNCTION saved_search_merchant_key(p_merchant TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT NULLIF(
+    regexp_replace(
+      regexp_replace(lower(COALESCE(p_merchant, '')), '^(https?://)?(www\.)?|\.(com|net|org|co|io|us|ca|co\.uk)(/.*)?$', '', 'g'),
+      '[^a-z0-9]', '', 'g'),
+    '');
+$$;
+
+CREATE TABLE IF NOT EXISTS public.saved_search_terms (
+  saved_search_id BIGINT NOT NULL REFERENCES saved_searches(id) ON DELETE CASCADE,
+  term TEXT NOT NULL,
+  PRIMARY KEY (saved_search_id, term)
+);
+
+CREATE INDEX IF NOT EXISTS idx_saved_search_terms_term ON saved_search_terms(term);
+
+CREATE OR REPLACE FUNCTION saved_search_index_terms(s public.saved_searches)
+RETURNS SETOF TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+  SELECT 'kw:' || word
+  FROM unnest(saved_search_text_terms(s.query_text)) AS word
+  WHERE s.search_type = 'keyword'
+  UNION
+  SELECT 'm:' || saved_search_merchant_key(s.merchant_domain)
+  WHERE s.search_type = 'merchant' AND saved_search_merchant_key(s.merchant_domain) IS NOT NULL
+  UNION
+  SELECT 'cat:' || s.category_id
+  WHERE s.search_type = 'category' AND s.category_id IS NOT NULL
+  UNION
+  SELECT '*'
+  WHERE s.search_type NOT IN ('keyword', 'merchant', 'category');
+$$;
+
+CREATE OR REPLACE FUNCTION trigger_index_saved_search()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  DELETE FROM public.saved_search_terms WHERE saved_search_id = NEW.id;
+  INSERT INTO public.saved_search_terms (saved_search_id, term)
+  SELECT NEW.id, term FROM saved_search_index_terms(NEW) AS term;
+  RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_saved_searches_index ON public.saved_searches;
+CREATE TRIGGER trigger_saved_searches_index
+  AFTER INSERT OR UPDATE OF search_type, query_text, merchant_domain, category_id ON public.saved_searches
+  FOR EACH ROW
+  EXECUTE FUNCTION trigger_index_saved_search();
+
+-- Backfill existing searches
+INSERT INTO saved_search_terms (saved_search_id, term)
+SELECT s.id, term
+FROM saved_searches s, saved_search_index_terms(s) AS term
+ON CONFLICT DO NOTHING;
+
+-- =============================================
+-- PART 4: CANDIDATE LOOKUP
+-- =============================================
+
+-- Enabled searches that could match the deal and haven't seen this event yet.
+-- The API still runs its own check on each candidate (price filters etc.).
+CREATE OR REPLACE FUNCTION saved_search_candidates(p_deal_id BIGINT, p_event_id BIGINT)
+RETURNS SETOF public.saved_searches
+LANGUAGE sql
+STABLE
+AS $$
+  WITH deal AS (
+    SELECT d.title, d.description, d.merchant, d.category_id, c.name AS company_name
+    FROM deals d
+    LEFT JOIN companies c ON c.id = d.company_id
+    WHERE d.id = p_deal_id
+  ),
+  deal_terms AS (
+    SELECT '*' AS term
+    UNION
+    SELECT 'kw:' || word
+    FROM deal, unnest(saved_search_text_terms(COALESCE(deal.title, '') || ' ' || COALESCE(deal.description, ''))) AS word
+    UNION
+    SELECT 'm:' || saved_search_merchant_key(name)
+    FROM deal, unnest(ARRAY[deal.merchant, deal.company_name]) AS name
+    WHERE saved_search_merchant_key(name) IS NOT NULL
+    UNION
+    SELECT 'cat:' || deal.category_id
+    FROM deal
+    WHERE deal.category_id IS NOT NULL
+  )
+  SELECT s.*
+  FROM saved_searches s
+  WHERE s.alert_enabled = TRUE
+    AND s.created_after_event_id < p_event_id
+    AND NOT EXISTS (
+      SELECT 1 FROM saved_search_event_matches m
+      WHERE m.event_id = p_event_id AND m.saved_search_id = s.id
+    )
+    AND s.id IN (
+      SELECT t.saved_search_id
+      FROM saved_search_terms t
+      JOIN deal_terms dt ON dt.term = t.term
+    );
+$$;
+
+-- =============================================
+-- PART 5: ROW LEVEL SECURITY
+-- =============================================
+
+-- Only the service role (API) touches these tables
+ALTER TABLE deal_approval_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_search_terms ENABLE ROW LEVEL SECURITY;
+ALTER TABLE saved_search_event_matches ENABLE ROW LEVEL SECURITY;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Saved search matching migration completed successfully!' as status;
@@ -0,0 +1,60 @@
+-- SAVEBUCKS DEAL LINK CHECKS
+-- The link check worker (apps/worker/src/jobs/links) samples approved deals,
+-- follows their store links and looks for dead pages, redirects to the store
+-- homepage, "sold out" markers and schema.org availability. Problems flag the
+-- deal with a reason; a problem seen on consecutive checks expires the deal.
+-- Admins see the flag and can dismiss it or restore an expired deal; users
+-- see the reason on the deal page.
+
+-- =============================================
+-- PART 1: DEAL COLUMNS
+-- =============================================
+
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS link_status TEXT NOT NULL DEFAULT 'unchecked'
+    CHECK (link_status IN ('unchecked', 'ok', 'dead', 'out_of_stock')),
+  ADD COLUMN IF NOT EXISTS link_issue TEXT,                 -- human readable reason while flagged
+  ADD COLUMN IF NOT EXISTS link_failures INTEGER NOT NULL DEFAULT 0, -- consecutive checks with the same problem
+  ADD COLUMN IF NOT EXISTS link_checked_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS link_check_disabled BOOLEAN NOT NULL DEFAULT FALSE, -- admin opted the deal out (e.g. store blocks bots)
+  ADD COLUMN IF NOT EXISTS expired_reason TEXT;             -- why status became 'expired', when we know
+
+-- Next deals to sample: never checked first, then the longest unchecked
+CREATE INDEX IF NOT EXISTS idx_deals_link_check_due
+  ON deals(link_checked_at NULLS FIRST)
+  WHERE status = 'approved' AND link_check_disabled = FALSE;
+
+CREATE INDEX IF NOT EXISTS idx_deals_link_flagged
+  ON deals(link_checked_at)
+  WHERE link_status IN ('dead', 'out_of_stock');
+
+-- =============================================
+-- PART 2: CHECK LOG
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.deal_link_checks (
+  id BIGSERIAL PRIMARY KEY,
+  deal_id BIGINT NOT NULL REFERENCES deals(id) ON DELETE CASCADE,
+  url TEXT NOT NULL,
+  final_url TEXT,
+  http_status INTEGER,
+  outcome TEXT NOT NULL CHECK (outcome IN ('ok', 'dead', 'out_of_stock', 'unknown')),
+  reason TEXT,
+  details JSONB,
+  action TEXT CHECK (action IN ('flagged', 'expired', 'cleared')), -- what the check did to the deal, if anything
+  checked_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_deal_link_checks_deal ON deal_link_checks(deal_id, checked_at DESC);
+
+-- =============================================
+-- PART 3: ROW LEVEL SECURITY
+-- =============================================
+
+-- Only the service role (worker, API) touches the log
+ALTER TABLE deal_link_checks ENABLE ROW LEVEL SECURITY;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Deal link checks migration completed successfully!' as status;
@@ -0,0 +1,30 @@
+-- SAVEBUCKS DEAL PRODUCT METADATA
+-- During ingestion the worker reads the merchant page's JSON-LD, microdata and
+-- Open Graph product tags (apps/worker/src/lib/pageMetadata.js). It fills a
+-- missing price or list price from the page, stores the product's brand,
+-- identifiers and rating, and compares the feed's claimed price with the
+-- page so moderators can see deals whose price the store doesn't show.
+
+-- =============================================
+-- PART 1: DEAL COLUMNS
+-- =============================================
+
+ALTER TABLE deals
+  ADD COLUMN IF NOT EXISTS brand TEXT,
+  ADD COLUMN IF NOT EXISTS gtin TEXT,                  -- UPC / EAN / GTIN-14
+  ADD COLUMN IF NOT EXISTS mpn TEXT,                   -- manufacturer part number
+  ADD COLUMN IF NOT EXISTS asin TEXT,                  -- Amazon product id
+  ADD COLUMN IF NOT EXISTS product_rating NUMERIC(3,2),
+  ADD COLUMN IF NOT EXISTS product_rating_count INTEGER,
+  ADD COLUMN IF NOT EXISTS page_price NUMERIC,         -- price on the merchant page at ingestion
+  ADD COLUMN IF NOT EXISTS price_check TEXT NOT NULL DEFAULT 'unverified'
+    CHECK (price_check IN ('verified', 'mismatch', 'unverified'));
+
+-- Same product across merchants and feeds
+CREATE INDEX IF NOT EXISTS idx_deals_gtin ON deals(gtin) WHERE gtin IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_deals_asin ON deals(asin) WHERE asin IS NOT NULL;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Deal product metadata migration completed successfully!' as status;
@@ -0,0 +1,59 @@
+-- SAVEBUCKS INGESTION SOURCES
+-- Ingestion sources move from the hardcoded registry
+-- (apps/worker/src/jobs/ingestion/sources/registry.js) to this table so
+-- admins can add, edit, enable, disable and run sources without a deploy.
+-- The worker seeds missing sources from the registry on startup, polls this
+-- table to pick up changes and run requests, and writes each source's health,
+-- circuit breaker state and daily cap usage back to runtime_status.
+-- Credentials never live here: config values like "env:CJ_API_KEY" are read
+-- from the worker's environment when a job runs.
+
+-- =============================================
+-- PART 1: SOURCES
+-- =============================================
+
+CREATE TABLE IF NOT EXISTS public.ingestion_sources (
+  key TEXT PRIMARY KEY CHECK (key ~ '^[a-z0-9_]{3,50}$'),
+  type TEXT NOT NULL CHECK (type IN ('rss', 'api', 'scraper', 'json')),
+  entity TEXT CHECK (entity IN ('deal', 'coupon')), -- NULL: decided from the key
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  priority INTEGER NOT NULL DEFAULT 3 CHECK (priority BETWEEN 1 AND 5),
+  schedule TEXT NOT NULL,                             -- cron pattern
+  rate_limit JSONB,                                   -- { requests, window (ms) }
+  daily_cap INTEGER CHECK (daily_cap > 0),            -- NULL: worker default
+  config JSONB NOT NULL DEFAULT '{}',
+  fetcher TEXT,                                       -- api sources: module in fetchers/
+  notes TEXT,                                         -- why a source is disabled etc.
+
+  -- Set by the admin "Run now" button, cleared by the worker once queued
+  run_requested_at TIMESTAMPTZ,
+
+  -- Written by the worker: { health, circuit, dailyCap, rateLimit, problems }
+  runtime_status JSONB,
+  runtime_updated_at TIMESTAMPTZ,
+
+  created_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  updated_by UUID REFERENCES profiles(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_ingestion_sources_run_requested
+  ON ingestion_sources(run_requested_at)
+  WHERE run_requested_at IS NOT NULL;
+
+-- Latest runs per source for the admin page
+CREATE INDEX IF NOT EXISTS idx_ingestion_runs_source_started
+  ON ingestion_runs(source, started_at DESC);
+
+-- =============================================
+-- PART 2: ROW LEVEL SECURITY
+-- =============================================
+
+-- Only the service role (worker, admin API) reads or writes sources
+ALTER TABLE ingestion_sources ENABLE ROW LEVEL SECURITY;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Ingestion sources migration completed successfully!' as status;
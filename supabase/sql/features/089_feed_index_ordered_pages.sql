@@ -0,0 +1,420 @@
+-- SAVEBUCKS FEED INDEX-ORDERED PAGES
+-- get_feed_page() from 076/078 built one UNION over every approved deal and
+-- coupon, summed votes per row for the score order and sorted on a computed
+-- key, so each page was a full scan plus sort however the cursor moved. This
+-- replaces it with one keyset query per table that walks an index in sort
+-- order and stops after a page, then merges the two short lists. The score
+-- order reads a vote_score column kept up to date by triggers on the vote
+-- tables.
+--
+-- The cursor (sort_key, item_type, item_id) and the rows returned are the
+-- same as before, so GET /api/feed and existing cursors keep working.
+
+-- =============================================
+-- PART 1: STORED VOTE SCORES
+-- =============================================
+
+ALTER TABLE deals ADD COLUMN IF NOT EXISTS vote_score INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE coupons ADD COLUMN IF NOT EXISTS vote_score INTEGER NOT NULL DEFAULT 0;
+
+COMMENT ON COLUMN deals.vote_score IS 'Net votes (sum of votes.value), maintained by trg_votes_deal_score';
+COMMENT ON COLUMN coupons.vote_score IS 'Net votes (sum of coupon_votes.value), maintained by trg_coupon_votes_score';
+
+UPDATE deals d
+SET vote_score = v.total
+FROM (SELECT deal_id, SUM(value)::INTEGER AS total FROM votes GROUP BY deal_id) v
+WHERE v.deal_id = d.id
+  AND d.vote_score <> v.total;
+
+UPDATE coupons c
+SET vote_score = v.total
+FROM (SELECT coupon_id, SUM(value)::INTEGER AS total FROM coupon_votes GROUP BY coupon_id) v
+WHERE v.coupon_id = c.id
+  AND c.vote_score <> v.total;
+
+-- Recompute from the vote rows rather than applying deltas, so a missed
+-- event can't leave the score drifting
+CREATE OR REPLACE FUNCTION votes_deal_score()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') AND OLD.deal_id IS NOT NULL THEN
+    UPDATE deals
+    SET vote_score = (SELECT COALESCE(SUM(value), 0) FROM votes WHERE deal_id = OLD.deal_id)
+    WHERE id = OLD.deal_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') AND NEW.deal_id IS NOT NULL THEN
+    UPDATE deals
+    SET vote_score = (SELECT COALESCE(SUM(value), 0) FROM votes WHERE deal_id = NEW.deal_id)
+    WHERE id = NEW.deal_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_votes_deal_score ON votes;
+CREATE TRIGGER trg_votes_deal_score
+  AFTER INSERT OR UPDATE OR DELETE ON votes
+  FOR EACH ROW EXECUTE FUNCTION votes_deal_score();
+
+CREATE OR REPLACE FUNCTION coupon_votes_score()
+RETURNS TRIGGER AS $$
+BEGIN
+  IF TG_OP IN ('UPDATE', 'DELETE') THEN
+    UPDATE coupons
+    SET vote_score = (SELECT COALESCE(SUM(value), 0) FROM coupon_votes WHERE coupon_id = OLD.coupon_id)
+    WHERE id = OLD.coupon_id;
+  END IF;
+  IF TG_OP IN ('INSERT', 'UPDATE') THEN
+    UPDATE coupons
+    SET vote_score = (SELECT COALESCE(SUM(value), 0) FROM coupon_votes WHERE coupon_id = NEW.coupon_id)
+    WHERE id = NEW.coupon_id;
+  END IF;
+  RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_coupon_votes_score ON coupon_votes;
+CREATE TRIGGER trg_coupon_votes_score
+  AFTER INSERT OR UPDATE OR DELETE ON coupon_votes
+  FOR EACH ROW EXECUTE FUNCTION coupon_votes_score();
+
+-- =============================================
+-- PART 2: INDEXES
+-- =============================================
+
+-- One per order, matching the ORDER BY of its keyset query below. newest
+-- uses idx_deals_status_created_id / idx_coupons_status_created_id from 076.
+CREATE INDEX IF NOT EXISTS idx_deals_feed_score ON deals(vote_score DESC, id DESC)
+  WHERE status = 'approved';
+CREATE INDEX IF NOT EXISTS idx_coupons_feed_score ON coupons(vote_score DESC, id DESC)
+  WHERE status = 'approved';
+CREATE INDEX IF NOT EXISTS idx_deals_feed_discount ON deals((COALESCE(discount_value, 0)::DOUBLE PRECISION) DESC, id DESC)
+  WHERE status = 'approved';
+CREATE INDEX IF NOT EXISTS idx_deals_feed_expiring ON deals(valid_until ASC, id DESC)
+  WHERE status = 'approved' AND valid_until IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_coupons_feed_expiring ON coupons(expires_at ASC, id DESC)
+  WHERE status = 'approved' AND expires_at IS NOT NULL;
+
+-- =============================================
+-- PART 3: FILTER HELPERS
+-- =============================================
+
+-- Kilometres from the viewer, NULL when either point is unknown
+CREATE OR REPLACE FUNCTION feed_distance_km(
+  p_lat DOUBLE PRECISION,
+  p_lng DOUBLE PRECISION,
+  p_item_lat DOUBLE PRECISION,
+  p_item_lng DOUBLE PRECISION
+)
+RETURNS DOUBLE PRECISION
+LANGUAGE sql STABLE
+SET search_path = public, extensions
+AS $$
+  SELECT CASE WHEN p_lat IS NOT NULL AND p_lng IS NOT NULL AND p_item_lat IS NOT NULL AND p_item_lng IS NOT NULL
+    THEN earth_distance(ll_to_earth(p_lat, p_lng), ll_to_earth(p_item_lat, p_item_lng)) / 1000
+  END;
+$$;
+
+-- The p_filter / p_category test from 078, applied while an index is walked.
+-- Coupons pass NULL for the deal-only columns.
+DROP FUNCTION IF EXISTS feed_item_matches(TEXT, TEXT, TEXT, NUMERIC, NUMERIC, INTEGER, TIMESTAMPTZ, TIMESTAMPTZ,
+  TEXT, TEXT, BIGINT, DOUBLE PRECISION, DOUBLE PRECISION, BOOLEAN, TEXT[], JSONB, TEXT);
+
+CREATE OR REPLACE FUNCTION feed_item_matches(
+  p_filter TEXT,
+  p_category TEXT,
+  p_item_type TEXT,
+  p_price NUMERIC,
+  p_discount NUMERIC,
+  p_score INTEGER,
+  p_created_at TIMESTAMPTZ,
+  p_expires_at TIMESTAMPTZ,
+  p_title TEXT,
+  p_description TEXT,
+  p_category_id BIGINT,
+  p_distance_km DOUBLE PRECISION,
+  p_radius_km DOUBLE PRECISION,
+  p_has_location BOOLEAN,
+  p_valid_days TEXT[],
+  p_valid_hours JSONB,
+  p_starts_at TIMESTAMPTZ,
+  p_timezone TEXT
+)
+RETURNS BOOLEAN
+LANGUAGE sql STABLE
+AS $$
+  SELECT COALESCE(
+    CASE p_filter
+      WHEN 'under-10' THEN p_price > 0 AND p_price < 10
+      WHEN 'under-25' THEN p_price > 0 AND p_price < 25
+      WHEN 'under-50' THEN p_price > 0 AND p_price < 50
+      WHEN '50-off' THEN p_discount >= 50
+      WHEN 'trending' THEN p_created_at >= NOW() - INTERVAL '7 days'
+      -- Hot items also need a net score above 5
+      WHEN 'hot' THEN p_created_at >= NOW() - INTERVAL '1 day' AND p_score > 5
+      WHEN 'ending-soon' THEN p_expires_at > NOW() AND p_expires_at <= NOW() + INTERVAL '3 days'
+      WHEN 'new-arrivals' THEN p_created_at >= NOW() - INTERVAL '3 days'
+      WHEN 'freebies' THEN p_item_type = 'deal' AND (p_price = 0 OR p_price IS NULL)
+      WHEN 'flash-sale' THEN p_discount >= 40 AND p_expires_at > NOW() AND p_expires_at <= NOW() + INTERVAL '2 days'
+      WHEN 'free-shipping' THEN p_title ILIKE '%free shipping%' OR p_description ILIKE '%free shipping%'
+      WHEN 'near-you' THEN NOT p_has_location OR p_distance_km <= p_radius_km
+      WHEN 'active-now' THEN p_item_type = 'deal'
+        AND (p_expires_at IS NULL OR p_expires_at > NOW())
+        AND deal_schedule_active(p_valid_days, p_valid_hours, p_timezone, p_starts_at)
+      ELSE TRUE
+    END
+    AND (
+      p_category IS NULL
+      OR p_category_id::TEXT = p_category
+      OR p_title ILIKE '%' || p_category || '%'
+      OR p_description ILIKE '%' || p_category || '%'
+    ),
+    FALSE
+  );
+$$;
+
+-- =============================================
+-- PART 4: FEED PAGE FUNCTION
+-- =============================================
+
+-- Returns one page of feed item references; the API hydrates them.
+--
+-- p_order decides the sort key (always sorted descending, ascending orders
+-- are negated):
+--   newest   - created_at
+--   score    - net votes (vote_score)
+--   discount - deal discount (coupons count as 0)
+--   expiring - soonest expiry first (items without expiry are skipped)
+--   distance - nearest first, deals within p_radius_km only (needs p_lat/p_lng)
+--
+-- Each table is read with its own keyset query: WHERE key is at or past the
+-- cursor, ORDER BY key, id LIMIT page size, so the scan walks an index from
+-- the cursor and stops early. Ties on the key go deal before coupon, then by
+-- id, which is what the "*_before" ids encode. distance can't be served by a
+-- b-tree; it is bounded by the radius through idx_deals_earth instead.
+--
+-- p_default_timezone is the API's DEFAULT_TIMEZONE, used by 'active-now' for
+-- restaurants without a timezone or a known US state (see company_timezone()).
+DROP FUNCTION IF EXISTS get_feed_page(TEXT, TEXT, TEXT, DOUBLE PRECISION, DOUBLE PRECISION, DOUBLE PRECISION,
+  DOUBLE PRECISION, TEXT, BIGINT, INTEGER);
+
+CREATE OR REPLACE FUNCTION get_feed_page(
+  p_filter TEXT DEFAULT 'all',
+  p_order TEXT DEFAULT 'newest',
+  p_category TEXT DEFAULT NULL,
+  p_lat DOUBLE PRECISION DEFAULT NULL,
+  p_lng DOUBLE PRECISION DEFAULT NULL,
+  p_radius_km DOUBLE PRECISION DEFAULT 50,
+  p_cursor_key DOUBLE PRECISION DEFAULT NULL,
+  p_cursor_type TEXT DEFAULT NULL,
+  p_cursor_id BIGINT DEFAULT NULL,
+  p_limit INTEGER DEFAULT 12,
+  p_default_timezone TEXT DEFAULT 'America/New_York'
+)
+RETURNS TABLE (
+  item_type TEXT,
+  item_id BIGINT,
+  sort_key DOUBLE PRECISION,
+  distance_km DOUBLE PRECISION
+)
+LANGUAGE plpgsql STABLE SECURITY DEFINER
+SET search_path = public, extensions
+AS $$
+#variable_conflict use_column
+DECLARE
+  v_limit INTEGER := LEAST(GREATEST(p_limit, 1), 101);
+  v_has_location BOOLEAN := p_lat IS NOT NULL AND p_lng IS NOT NULL;
+  v_active_now BOOLEAN := p_filter = 'active-now';
+  -- Rows tied with the cursor's key are unseen below these ids. Deals come
+  -- first on a tie: after a coupon every tied deal was shown, after a deal
+  -- none of the tied coupons were. Without a cursor everything is unseen.
+  v_deal_before BIGINT := CASE
+    WHEN p_cursor_key IS NULL THEN 9223372036854775807
+    WHEN p_cursor_type = 'deal' THEN p_cursor_id
+    ELSE 0
+  END;
+  v_coupon_before BIGINT := CASE
+    WHEN p_cursor_key IS NULL OR p_cursor_type = 'deal' THEN 9223372036854775807
+    ELSE p_cursor_id
+  END;
+  -- The cursor's key in each order's column type; open-ended without a cursor
+  v_key DOUBLE PRECISION := COALESCE(p_cursor_key, 'Infinity');
+  v_created TIMESTAMPTZ := COALESCE(to_timestamp(p_cursor_key), 'infinity');
+  v_score INTEGER := COALESCE(p_cursor_key::INTEGER, 2147483647);
+  v_expiry TIMESTAMPTZ := COALESCE(to_timestamp(-p_cursor_key), '-infinity');
+BEGIN
+  IF p_order = 'score' THEN
+    RETURN QUERY
+    SELECT p.item_type, p.item_id, p.sort_key, p.distance_km
+    FROM (
+      (SELECT 'deal'::TEXT, d.id, d.vote_score::DOUBLE PRECISION,
+              feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION)
+       FROM deals d
+       WHERE d.status = 'approved'
+         AND d.vote_score <= v_score
+         AND (d.vote_score < v_score OR d.id < v_deal_before)
+         AND feed_item_matches(p_filter, p_category, 'deal', d.sale_price, d.discount_value, d.vote_score,
+               d.created_at, d.valid_until, d.title, d.description, d.category_id,
+               feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION),
+               p_radius_km, v_has_location, d.valid_days, d.valid_hours, d.starts_at,
+               CASE WHEN v_active_now THEN COALESCE(
+                 (SELECT company_timezone(co.timezone, co.state, co.country, p_default_timezone)
+                  FROM companies co WHERE co.id = d.company_id),
+                 p_default_timezone) END)
+       ORDER BY d.vote_score DESC, d.id DESC
+       LIMIT v_limit)
+      UNION ALL
+      (SELECT 'coupon'::TEXT, c.id, c.vote_score::DOUBLE PRECISION, NULL::DOUBLE PRECISION
+       FROM coupons c
+       WHERE c.status = 'approved'
+         AND c.vote_score <= v_score
+         AND (c.vote_score < v_score OR c.id < v_coupon_before)
+         AND feed_item_matches(p_filter, p_category, 'coupon', NULL, NULL, c.vote_score,
+               c.created_at, c.expires_at, c.title, c.description, c.category_id,
+               NULL, p_radius_km, v_has_location, NULL, NULL, NULL, NULL)
+       ORDER BY c.vote_score DESC, c.id DESC
+       LIMIT v_limit)
+    ) p(item_type, item_id, sort_key, distance_km)
+    ORDER BY p.sort_key DESC, p.item_type DESC, p.item_id DESC
+    LIMIT v_limit;
+
+  ELSIF p_order = 'discount' THEN
+    RETURN QUERY
+    SELECT p.item_type, p.item_id, p.sort_key, p.distance_km
+    FROM (
+      (SELECT 'deal'::TEXT, d.id, COALESCE(d.discount_value, 0)::DOUBLE PRECISION,
+              feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION)
+       FROM deals d
+       WHERE d.status = 'approved'
+         AND COALESCE(d.discount_value, 0)::DOUBLE PRECISION <= v_key
+         AND (COALESCE(d.discount_value, 0)::DOUBLE PRECISION < v_key OR d.id < v_deal_before)
+         AND feed_item_matches(p_filter, p_category, 'deal', d.sale_price, d.discount_value, d.vote_score,
+               d.created_at, d.valid_until, d.title, d.description, d.category_id,
+               feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION),
+               p_radius_km, v_has_location, d.valid_days, d.valid_hours, d.starts_at,
+               CASE WHEN v_active_now THEN COALESCE(
+                 (SELECT company_timezone(co.timezone, co.state, co.country, p_default_timezone)
+                  FROM companies co WHERE co.id = d.company_id),
+                 p_default_timezone) END)
+       ORDER BY COALESCE(d.discount_value, 0)::DOUBLE PRECISION DESC, d.id DESC
+       LIMIT v_limit)
+      UNION ALL
+      -- Coupons all sit at key 0, below every discounted deal
+      (SELECT 'coupon'::TEXT, c.id, 0::DOUBLE PRECISION, NULL::DOUBLE PRECISION
+       FROM coupons c
+       WHERE c.status = 'approved'
+         AND v_key >= 0
+         AND (v_key > 0 OR c.id < v_coupon_before)
+         AND feed_item_matches(p_filter, p_category, 'coupon', NULL, NULL, c.vote_score,
+               c.created_at, c.expires_at, c.title, c.description, c.category_id,
+               NULL, p_radius_km, v_has_location, NULL, NULL, NULL, NULL)
+       ORDER BY c.id DESC
+       LIMIT v_limit)
+    ) p(item_type, item_id, sort_key, distance_km)
+    ORDER BY p.sort_key DESC, p.item_type DESC, p.item_id DESC
+    LIMIT v_limit;
+
+  ELSIF p_order = 'expiring' THEN
+    RETURN QUERY
+    SELECT p.item_type, p.item_id, p.sort_key, p.distance_km
+    FROM (
+      (SELECT 'deal'::TEXT, d.id, -EXTRACT(EPOCH FROM d.valid_until)::DOUBLE PRECISION,
+              feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION)
+       FROM deals d
+       WHERE d.status = 'approved'
+         AND d.valid_until >= v_expiry
+         AND (d.valid_until > v_expiry OR d.id < v_deal_before)
+         AND feed_item_matches(p_filter, p_category, 'deal', d.sale_price, d.discount_value, d.vote_score,
+               d.created_at, d.valid_until, d.title, d.description, d.category_id,
+               feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION),
+               p_radius_km, v_has_location, d.valid_days, d.valid_hours, d.starts_at,
+               CASE WHEN v_active_now THEN COALESCE(
+                 (SELECT company_timezone(co.timezone, co.state, co.country, p_default_timezone)
+                  FROM companies co WHERE co.id = d.company_id),
+                 p_default_timezone) END)
+       ORDER BY d.valid_until ASC, d.id DESC
+       LIMIT v_limit)
+      UNION ALL
+      (SELECT 'coupon'::TEXT, c.id, -EXTRACT(EPOCH FROM c.expires_at)::DOUBLE PRECISION, NULL::DOUBLE PRECISION
+       FROM coupons c
+       WHERE c.status = 'approved'
+         AND c.expires_at >= v_expiry
+         AND (c.expires_at > v_expiry OR c.id < v_coupon_before)
+         AND feed_item_matches(p_filter, p_category, 'coupon', NULL, NULL, c.vote_score,
+               c.created_at, c.expires_at, c.title, c.description, c.category_id,
+               NULL, p_radius_km, v_has_location, NULL, NULL, NULL, NULL)
+       ORDER BY c.expires_at ASC, c.id DESC
+       LIMIT v_limit)
+    ) p(item_type, item_id, sort_key, distance_km)
+    ORDER BY p.sort_key DESC, p.item_type DESC, p.item_id DESC
+    LIMIT v_limit;
+
+  ELSIF p_order = 'distance' AND v_has_location THEN
+    -- Coupons have no location, so only deals have a distance
+    RETURN QUERY
+    SELECT 'deal'::TEXT, n.id, -n.distance_km, n.distance_km
+    FROM (
+      SELECT d.id, feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION) AS distance_km
+      FROM deals d
+      WHERE d.status = 'approved'
+        AND d.latitude IS NOT NULL
+        AND d.longitude IS NOT NULL
+        AND earth_box(ll_to_earth(p_lat, p_lng), p_radius_km * 1000)
+          @> ll_to_earth(d.latitude::float8, d.longitude::float8)
+        AND feed_item_matches(p_filter, p_category, 'deal', d.sale_price, d.discount_value, d.vote_score,
+              d.created_at, d.valid_until, d.title, d.description, d.category_id,
+              feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION),
+              p_radius_km, v_has_location, d.valid_days, d.valid_hours, d.starts_at,
+              CASE WHEN v_active_now THEN COALESCE(
+                (SELECT company_timezone(co.timezone, co.state, co.country, p_default_timezone)
+                 FROM companies co WHERE co.id = d.company_id),
+                p_default_timezone) END)
+    ) n
+    WHERE n.distance_km <= p_radius_km
+      AND -n.distance_km <= v_key
+      AND (-n.distance_km < v_key OR n.id < v_deal_before)
+    ORDER BY n.distance_km ASC, n.id DESC
+    LIMIT v_limit;
+
+  ELSE
+    RETURN QUERY
+    SELECT p.item_type, p.item_id, p.sort_key, p.distance_km
+    FROM (
+      (SELECT 'deal'::TEXT, d.id, EXTRACT(EPOCH FROM d.created_at)::DOUBLE PRECISION,
+              feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION)
+       FROM deals d
+       WHERE d.status = 'approved'
+         AND d.created_at <= v_created
+         AND (d.created_at < v_created OR d.id < v_deal_before)
+         AND feed_item_matches(p_filter, p_category, 'deal', d.sale_price, d.discount_value, d.vote_score,
+               d.created_at, d.valid_until, d.title, d.description, d.category_id,
+               feed_distance_km(p_lat, p_lng, d.latitude::DOUBLE PRECISION, d.longitude::DOUBLE PRECISION),
+               p_radius_km, v_has_location, d.valid_days, d.valid_hours, d.starts_at,
+               CASE WHEN v_active_now THEN COALESCE(
+                 (SELECT company_timezone(co.timezone, co.state, co.country, p_default_timezone)
+                  FROM companies co WHERE co.id = d.company_id),
+                 p_default_timezone) END)
+       ORDER BY d.created_at DESC, d.id DESC
+       LIMIT v_limit)
+      UNION ALL
+      (SELECT 'coupon'::TEXT, c.id, EXTRACT(EPOCH FROM c.created_at)::DOUBLE PRECISION, NULL::DOUBLE PRECISION
+       FROM coupons c
+       WHERE c.status = 'approved'
+         AND c.created_at <= v_created
+         AND (c.created_at < v_created OR c.id < v_coupon_before)
+         AND feed_item_matches(p_filter, p_category, 'coupon', NULL, NULL, c.vote_score,
+               c.created_at, c.expires_at, c.title, c.description, c.category_id,
+               NULL, p_radius_km, v_has_location, NULL, NULL, NULL, NULL)
+       ORDER BY c.created_at DESC, c.id DESC
+       LIMIT v_limit)
+    ) p(item_type, item_id, sort_key, distance_km)
+    ORDER BY p.sort_key DESC, p.item_type DESC, p.item_id DESC
+    LIMIT v_limit;
+  END IF;
+END;
+$$;
+
+-- =============================================
+-- DONE!
+-- =============================================
+SELECT 'Feed index-ordered pages migration completed successfully!' as status;